@@ -2,6 +2,9 @@ import React from 'react';
 import { StatusBar } from 'expo-status-bar';
 import { ThemeProvider } from './src/contexts/ThemeContext';
 import { AuthProvider } from './src/contexts/AuthContextLocal';
+import { CalendarProvider } from './src/contexts/CalendarContext';
+import { CurrencyProvider } from './src/contexts/CurrencyContext';
+import { AppLockProvider } from './src/contexts/AppLockContext';
 import AppNavigatorLocal from './src/navigation/AppNavigatorLocal';
 import ErrorBoundary from './src/components/common/ErrorBoundary';
 
@@ -16,10 +19,16 @@ export default function App() {
   return (
     <ErrorBoundary>
       <ThemeProvider>
-        <AuthProvider>
-          <StatusBar style="auto" />
-          <AppNavigatorLocal />
-        </AuthProvider>
+        <CalendarProvider>
+          <CurrencyProvider>
+            <AuthProvider>
+              <AppLockProvider>
+                <StatusBar style="auto" />
+                <AppNavigatorLocal />
+              </AppLockProvider>
+            </AuthProvider>
+          </CurrencyProvider>
+        </CalendarProvider>
       </ThemeProvider>
     </ErrorBoundary>
   );
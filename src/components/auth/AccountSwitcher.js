@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useAuth } from '../../contexts/AuthContextLocal';
+import Card from '../common/Card';
+import PromptModal from '../common/PromptModal';
+
+/**
+ * Account Switcher Component
+ * Lists the accounts on this device. Tapping one asks for its switch PIN,
+ * or its password without one, and signs it in
+ * Renders nothing while there are no accounts
+ */
+const AccountSwitcher = ({ title, style }) => {
+  const { theme } = useTheme();
+  const { user, getAccounts, switchAccount } = useAuth();
+  const styles = createStyles(theme);
+
+  const [accounts, setAccounts] = useState([]);
+  const [selected, setSelected] = useState(null);
+  const [error, setError] = useState(null);
+  const [switching, setSwitching] = useState(false);
+
+  useEffect(() => {
+    loadAccounts();
+  }, [user?.uid]);
+
+  const loadAccounts = async () => {
+    setAccounts(await getAccounts());
+  };
+
+  const handleSelect = (account) => {
+    if (account.uid === user?.uid) return;
+
+    setError(null);
+    setSelected(account);
+  };
+
+  const handleSwitch = async (secret) => {
+    setSwitching(true);
+    try {
+      setError(null);
+      await switchAccount(selected.uid, secret);
+      setSelected(null);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSwitching(false);
+    }
+  };
+
+  if (accounts.length === 0) {
+    return null;
+  }
+
+  const usesPin = !!selected?.hasSwitchPin;
+
+  return (
+    <View style={style}>
+      {title && <Text style={styles.title}>{title}</Text>}
+
+      {accounts.map((account) => {
+        const isCurrent = account.uid === user?.uid;
+
+        return (
+          <Card
+            key={account.uid}
+            style={styles.accountCard}
+            onPress={isCurrent ? undefined : () => handleSelect(account)}
+          >
+            <View style={styles.avatar}>
+              <Text style={styles.avatarText}>
+                {(account.name || account.email).charAt(0).toUpperCase()}
+              </Text>
+            </View>
+
+            <View style={styles.accountInfo}>
+              <Text style={styles.accountName}>{account.name}</Text>
+              <Text style={styles.accountEmail}>{account.email}</Text>
+            </View>
+
+            {isCurrent ? (
+              <Text style={styles.currentLabel}>Signed in</Text>
+            ) : (
+              <Ionicons
+                name={account.hasSwitchPin ? 'keypad-outline' : 'key-outline'}
+                size={20}
+                color={theme.colors.textTertiary}
+              />
+            )}
+          </Card>
+        );
+      })}
+
+      <PromptModal
+        visible={!!selected}
+        title={`Switch to ${selected?.name || ''}`}
+        message={
+          usesPin
+            ? 'Enter the switch PIN for this account'
+            : 'Enter the password for this account'
+        }
+        label={usesPin ? 'PIN' : 'Password'}
+        placeholder={usesPin ? 'Enter the PIN' : 'Enter the password'}
+        submitTitle="Switch"
+        requiredMessage={
+          usesPin ? 'Please enter the PIN' : 'Please enter the password'
+        }
+        inputProps={{
+          secureTextEntry: true,
+          keyboardType: usesPin ? 'number-pad' : 'default',
+          autoCapitalize: 'none',
+        }}
+        error={error}
+        onSubmit={handleSwitch}
+        onClose={() => setSelected(null)}
+        loading={switching}
+      />
+    </View>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    title: {
+      fontSize: theme.typography.fontSize.lg,
+      fontWeight: theme.typography.fontWeight.semibold,
+      color: theme.colors.text,
+      marginBottom: theme.spacing.md,
+    },
+    accountCard: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      padding: theme.spacing.md,
+      marginBottom: theme.spacing.sm,
+    },
+    avatar: {
+      width: 40,
+      height: 40,
+      borderRadius: 20,
+      backgroundColor: theme.colors.primary,
+      alignItems: 'center',
+      justifyContent: 'center',
+    },
+    avatarText: {
+      fontSize: theme.typography.fontSize.lg,
+      fontWeight: theme.typography.fontWeight.bold,
+      color: theme.colors.textInverse,
+    },
+    accountInfo: {
+      flex: 1,
+      marginLeft: theme.spacing.md,
+    },
+    accountName: {
+      fontSize: theme.typography.fontSize.md,
+      fontWeight: theme.typography.fontWeight.semibold,
+      color: theme.colors.text,
+    },
+    accountEmail: {
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textSecondary,
+      marginTop: theme.spacing.xs,
+    },
+    currentLabel: {
+      fontSize: theme.typography.fontSize.xs,
+      fontWeight: theme.typography.fontWeight.semibold,
+      color: theme.colors.success,
+    },
+  });
+
+export default AccountSwitcher;
@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import Card from './Card';
+import Input from './Input';
+import Button from './Button';
+
+/**
+ * Prompt Modal Component
+ * Asks for a single line of required text (e.g. the reason for an action)
+ * Works on both platforms, unlike Alert.prompt which is iOS only
+ * `inputProps` go to the input (e.g. secureTextEntry for a PIN), and
+ * `error` shows why a submitted value was refused
+ */
+const PromptModal = ({
+  visible,
+  title,
+  message,
+  label,
+  placeholder,
+  submitTitle = 'Confirm',
+  requiredMessage = 'This field is required',
+  inputProps,
+  error: submitError,
+  onSubmit,
+  onClose,
+  loading,
+}) => {
+  const { theme } = useTheme();
+  const styles = createStyles(theme);
+
+  const [value, setValue] = useState('');
+  const [error, setError] = useState(null);
+
+  // Reset the input every time the modal opens
+  useEffect(() => {
+    if (visible) {
+      setValue('');
+      setError(null);
+    }
+  }, [visible]);
+
+  const handleSubmit = () => {
+    if (!value.trim()) {
+      setError(requiredMessage);
+      return;
+    }
+
+    setError(null);
+    onSubmit(value.trim());
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.overlay}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <Card style={styles.dialog}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{title}</Text>
+            <Ionicons
+              name="close"
+              size={24}
+              color={theme.colors.textSecondary}
+              onPress={onClose}
+            />
+          </View>
+
+          {message && <Text style={styles.message}>{message}</Text>}
+
+          <Input
+            label={label}
+            value={value}
+            onChangeText={setValue}
+            placeholder={placeholder}
+            error={error || submitError}
+            autoFocus
+            {...inputProps}
+          />
+
+          <View style={styles.actions}>
+            <Button
+              title="Cancel"
+              onPress={onClose}
+              variant="ghost"
+              style={styles.cancelButton}
+            />
+            <Button
+              title={submitTitle}
+              onPress={handleSubmit}
+              loading={loading}
+              style={styles.submitButton}
+            />
+          </View>
+        </Card>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    overlay: {
+      flex: 1,
+      justifyContent: 'center',
+      padding: theme.layout.screenPadding,
+      backgroundColor: theme.colors.overlay,
+    },
+    dialog: {
+      width: '100%',
+    },
+    header: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: theme.spacing.xs,
+    },
+    title: {
+      fontSize: theme.typography.fontSize.xl,
+      fontWeight: theme.typography.fontWeight.bold,
+      color: theme.colors.text,
+    },
+    message: {
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textSecondary,
+      marginBottom: theme.spacing.lg,
+    },
+    actions: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      marginTop: theme.spacing.md,
+    },
+    cancelButton: {
+      flex: 1,
+      marginRight: theme.spacing.sm,
+    },
+    submitButton: {
+      flex: 2,
+    },
+  });
+
+export default PromptModal;
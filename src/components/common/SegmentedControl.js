@@ -0,0 +1,103 @@
+import React from 'react';
+import { View, Text, StyleSheet, TouchableOpacity } from 'react-native';
+import { useTheme } from '../../contexts/ThemeContext';
+
+/**
+ * Premium Segmented Control Component
+ * Single-choice selector with label and helper text support
+ * Options: [{ label: 'Flat Rate', value: 'flat' }, ...]
+ */
+const SegmentedControl = ({
+  label,
+  options,
+  value,
+  onChange,
+  helperText,
+  style,
+}) => {
+  const { theme } = useTheme();
+  const styles = createStyles(theme);
+
+  return (
+    <View style={[styles.container, style]}>
+      {label && <Text style={styles.label}>{label}</Text>}
+
+      <View style={styles.segments}>
+        {options.map((option) => {
+          const selected = option.value === value;
+
+          return (
+            <TouchableOpacity
+              key={option.value}
+              style={[styles.segment, selected && styles.segmentSelected]}
+              onPress={() => onChange(option.value)}
+              activeOpacity={0.7}
+            >
+              <Text
+                style={[
+                  styles.segmentText,
+                  selected && styles.segmentTextSelected,
+                ]}
+              >
+                {option.label}
+              </Text>
+            </TouchableOpacity>
+          );
+        })}
+      </View>
+
+      {helperText && <Text style={styles.helperText}>{helperText}</Text>}
+    </View>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    container: {
+      marginBottom: theme.spacing.md,
+    },
+    label: {
+      fontSize: theme.typography.fontSize.sm,
+      fontWeight: theme.typography.fontWeight.semibold,
+      color: theme.colors.text,
+      marginBottom: theme.spacing.xs,
+    },
+    segments: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      backgroundColor: theme.colors.backgroundTertiary,
+      borderRadius: theme.borderRadius.md,
+      borderWidth: 2,
+      borderColor: theme.colors.border,
+      padding: theme.spacing.xs,
+    },
+    segment: {
+      flex: 1,
+      alignItems: 'center',
+      justifyContent: 'center',
+      paddingVertical: theme.spacing.sm,
+      paddingHorizontal: theme.spacing.xs,
+      borderRadius: theme.borderRadius.sm,
+    },
+    segmentSelected: {
+      backgroundColor: theme.colors.primary,
+      ...theme.shadows.sm,
+    },
+    segmentText: {
+      fontSize: theme.typography.fontSize.sm,
+      fontWeight: theme.typography.fontWeight.medium,
+      color: theme.colors.textSecondary,
+      textAlign: 'center',
+    },
+    segmentTextSelected: {
+      color: theme.colors.textInverse,
+      fontWeight: theme.typography.fontWeight.semibold,
+    },
+    helperText: {
+      fontSize: theme.typography.fontSize.xs,
+      color: theme.colors.textTertiary,
+      marginTop: theme.spacing.xs,
+    },
+  });
+
+export default SegmentedControl;
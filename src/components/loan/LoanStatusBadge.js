@@ -0,0 +1,61 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import { useTheme } from '../../contexts/ThemeContext';
+import { LOAN_STATUSES, LOAN_STATUS_LABELS } from '../../utils/loanStatus';
+
+/**
+ * Colour a loan status is shown in
+ */
+export const getLoanStatusColor = (status, theme) => {
+  switch (status) {
+    case LOAN_STATUSES.ACTIVE:
+      return theme.colors.primary;
+    case LOAN_STATUSES.OVERDUE:
+      return theme.colors.warning;
+    case LOAN_STATUSES.DEFAULTED:
+    case LOAN_STATUSES.WRITTEN_OFF:
+      return theme.colors.error;
+    case LOAN_STATUSES.COMPLETED:
+    case LOAN_STATUSES.SETTLED:
+      return theme.colors.success;
+    case LOAN_STATUSES.PENDING_ACCEPTANCE:
+      return theme.colors.info;
+    default:
+      return theme.colors.textSecondary;
+  }
+};
+
+/**
+ * Loan Status Badge
+ * Small tinted pill with the label of a loan status, `text` replaces the
+ * label when given
+ */
+const LoanStatusBadge = ({ status, text, style }) => {
+  const { theme } = useTheme();
+  const styles = createStyles(theme);
+  const color = getLoanStatusColor(status, theme);
+
+  return (
+    <View style={[styles.badge, { backgroundColor: color + '20' }, style]}>
+      <Text style={[styles.text, { color }]}>
+        {text || LOAN_STATUS_LABELS[status] || status}
+      </Text>
+    </View>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    badge: {
+      alignSelf: 'flex-start',
+      paddingHorizontal: theme.spacing.sm,
+      paddingVertical: theme.spacing.xs,
+      borderRadius: theme.borderRadius.sm,
+    },
+    text: {
+      fontSize: theme.typography.fontSize.xs,
+      fontWeight: theme.typography.fontWeight.semibold,
+    },
+  });
+
+export default LoanStatusBadge;
@@ -0,0 +1,365 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import Card from '../common/Card';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import SegmentedControl from '../common/SegmentedControl';
+import { formatCurrency } from '../../utils/loanCalculations';
+import { getCurrencySymbol, getLoanCurrency } from '../../utils/currencies';
+import {
+  daysBetween,
+  parseDateKey,
+  toDateKey,
+  today,
+} from '../../utils/dateUtils';
+import {
+  PAYMENT_METHODS,
+  PAYMENT_METHOD_LABELS,
+} from '../../utils/paymentLedger';
+import {
+  FORECLOSURE_FEE_TYPES,
+  FORECLOSURE_FEE_TYPE_LABELS,
+  calculatePayoffQuote,
+} from '../../utils/payoffQuote';
+
+const PAYMENT_METHOD_OPTIONS = Object.values(PAYMENT_METHODS).map((method) => ({
+  label: PAYMENT_METHOD_LABELS[method],
+  value: method,
+}));
+
+const FORECLOSURE_FEE_OPTIONS = Object.values(FORECLOSURE_FEE_TYPES).map(
+  (type) => ({ label: FORECLOSURE_FEE_TYPE_LABELS[type], value: type })
+);
+
+/**
+ * Payoff Quote Modal
+ * Shows how much closes the loan on a chosen date, with an optional
+ * foreclosure fee, and lets the lender close the loan for that amount
+ */
+const PayoffQuoteModal = ({
+  visible,
+  loan,
+  canClose,
+  onSubmit,
+  onClose,
+  loading,
+}) => {
+  const { theme } = useTheme();
+  const styles = createStyles(theme);
+  const currency = getLoanCurrency(loan);
+
+  const [date, setDate] = useState(toDateKey(today()));
+  const [feeType, setFeeType] = useState(FORECLOSURE_FEE_TYPES.NONE);
+  const [feeValue, setFeeValue] = useState('');
+  const [method, setMethod] = useState(PAYMENT_METHODS.CASH);
+  const [note, setNote] = useState('');
+  const [errors, setErrors] = useState({});
+
+  // Reset the form every time the modal opens
+  useEffect(() => {
+    if (visible) {
+      setDate(toDateKey(today()));
+      setFeeType(FORECLOSURE_FEE_TYPES.NONE);
+      setFeeValue('');
+      setMethod(PAYMENT_METHODS.CASH);
+      setNote('');
+      setErrors({});
+    }
+  }, [visible]);
+
+  const foreclosureFee = {
+    type: feeType,
+    value: parseFloat(feeValue) || 0,
+  };
+
+  // The quote follows the inputs as they are typed
+  const getQuote = () => {
+    const payoffDate = parseDateKey(date);
+    if (!payoffDate) {
+      return { error: 'Use the format YYYY-MM-DD' };
+    }
+
+    try {
+      return { quote: calculatePayoffQuote(loan, payoffDate, foreclosureFee) };
+    } catch (err) {
+      return { error: err.message };
+    }
+  };
+
+  const { quote, error: quoteError } = visible ? getQuote() : {};
+
+  // Validate inputs
+  const validate = () => {
+    const newErrors = {};
+
+    if (quoteError) {
+      newErrors.date = quoteError;
+    } else if (daysBetween(today(), parseDateKey(date)) > 0) {
+      newErrors.date = 'A loan can only be closed on or before today';
+    }
+
+    if (
+      feeType !== FORECLOSURE_FEE_TYPES.NONE &&
+      !(parseFloat(feeValue) > 0)
+    ) {
+      newErrors.feeValue = 'Please enter a valid fee';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = () => {
+    if (validate()) {
+      onSubmit({
+        date: parseDateKey(date).toISOString(),
+        foreclosureFee,
+        method,
+        note: note.trim(),
+      });
+    }
+  };
+
+  const renderQuoteRow = (label, amount) =>
+    amount > 0 && (
+      <View style={styles.quoteRow}>
+        <Text style={styles.quoteLabel}>{label}</Text>
+        <Text style={styles.quoteValue}>
+          {formatCurrency(amount, currency)}
+        </Text>
+      </View>
+    );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.overlay}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <Card style={styles.sheet}>
+          <ScrollView
+            showsVerticalScrollIndicator={false}
+            keyboardShouldPersistTaps="handled"
+          >
+            <View style={styles.header}>
+              <Text style={styles.title}>Payoff Quote</Text>
+              <Ionicons
+                name="close"
+                size={24}
+                color={theme.colors.textSecondary}
+                onPress={onClose}
+              />
+            </View>
+
+            <Text style={styles.subtitle}>
+              What it takes to close the loan on a date
+            </Text>
+
+            <Input
+              label="Payoff Date"
+              value={date}
+              onChangeText={setDate}
+              placeholder="YYYY-MM-DD"
+              error={errors.date || quoteError}
+              leftIcon={
+                <Ionicons
+                  name="calendar-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+
+            <SegmentedControl
+              label="Foreclosure Fee"
+              options={FORECLOSURE_FEE_OPTIONS}
+              value={feeType}
+              onChange={setFeeType}
+            />
+
+            {feeType !== FORECLOSURE_FEE_TYPES.NONE && (
+              <Input
+                label={
+                  feeType === FORECLOSURE_FEE_TYPES.PERCENT
+                    ? 'Fee (% of principal owed)'
+                    : `Fee (${getCurrencySymbol(currency)})`
+                }
+                value={feeValue}
+                onChangeText={setFeeValue}
+                placeholder="Enter fee"
+                keyboardType="decimal-pad"
+                error={errors.feeValue}
+                leftIcon={
+                  <Ionicons
+                    name="pricetag-outline"
+                    size={20}
+                    color={theme.colors.textTertiary}
+                  />
+                }
+              />
+            )}
+
+            {quote && (
+              <View style={styles.quote}>
+                {renderQuoteRow('Overdue EMIs', quote.overdueAmount)}
+                {renderQuoteRow(
+                  'Principal Outstanding',
+                  quote.principalOutstanding
+                )}
+                {renderQuoteRow('Interest Accrued', quote.accruedInterest)}
+                {renderQuoteRow('Late Penalties', quote.penaltyDue)}
+                {renderQuoteRow('Foreclosure Fee', quote.foreclosureFee)}
+
+                <View style={styles.divider} />
+
+                <View style={styles.quoteRow}>
+                  <Text style={styles.quoteTotalLabel}>Payoff Amount</Text>
+                  <Text style={styles.quoteTotal}>
+                    {formatCurrency(quote.total, currency)}
+                  </Text>
+                </View>
+              </View>
+            )}
+
+            {canClose && (
+              <>
+                <SegmentedControl
+                  label="Method"
+                  options={PAYMENT_METHOD_OPTIONS}
+                  value={method}
+                  onChange={setMethod}
+                />
+
+                <Input
+                  label="Note"
+                  value={note}
+                  onChangeText={setNote}
+                  placeholder="Optional"
+                  leftIcon={
+                    <Ionicons
+                      name="create-outline"
+                      size={20}
+                      color={theme.colors.textTertiary}
+                    />
+                  }
+                />
+              </>
+            )}
+
+            <View style={styles.actions}>
+              <Button
+                title={canClose ? 'Cancel' : 'Done'}
+                onPress={onClose}
+                variant="ghost"
+                style={styles.cancelButton}
+              />
+              {canClose && (
+                <Button
+                  title="Close Loan"
+                  onPress={handleSubmit}
+                  loading={loading}
+                  style={styles.submitButton}
+                />
+              )}
+            </View>
+          </ScrollView>
+        </Card>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    overlay: {
+      flex: 1,
+      justifyContent: 'flex-end',
+      backgroundColor: theme.colors.overlay,
+    },
+    sheet: {
+      borderBottomLeftRadius: 0,
+      borderBottomRightRadius: 0,
+      maxHeight: '90%',
+    },
+    header: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: theme.spacing.xs,
+    },
+    title: {
+      fontSize: theme.typography.fontSize.xl,
+      fontWeight: theme.typography.fontWeight.bold,
+      color: theme.colors.text,
+    },
+    subtitle: {
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textSecondary,
+      marginBottom: theme.spacing.lg,
+    },
+    quote: {
+      backgroundColor: theme.colors.backgroundTertiary,
+      borderRadius: theme.borderRadius.md,
+      padding: theme.spacing.md,
+      marginBottom: theme.spacing.md,
+    },
+    quoteRow: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      paddingVertical: theme.spacing.xs,
+    },
+    quoteLabel: {
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textSecondary,
+    },
+    quoteValue: {
+      fontSize: theme.typography.fontSize.sm,
+      fontWeight: theme.typography.fontWeight.medium,
+      color: theme.colors.text,
+    },
+    quoteTotalLabel: {
+      fontSize: theme.typography.fontSize.md,
+      fontWeight: theme.typography.fontWeight.semibold,
+      color: theme.colors.text,
+    },
+    quoteTotal: {
+      fontSize: theme.typography.fontSize.lg,
+      fontWeight: theme.typography.fontWeight.bold,
+      color: theme.colors.primary,
+    },
+    divider: {
+      height: 1,
+      backgroundColor: theme.colors.border,
+      marginVertical: theme.spacing.sm,
+    },
+    actions: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      marginTop: theme.spacing.md,
+    },
+    cancelButton: {
+      flex: 1,
+      marginRight: theme.spacing.sm,
+    },
+    submitButton: {
+      flex: 2,
+    },
+  });
+
+export default PayoffQuoteModal;
@@ -0,0 +1,226 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import Card from '../common/Card';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import { parseDateKey, toDateKey, today } from '../../utils/dateUtils';
+import {
+  RATE_CONVENTIONS,
+  toAnnualRate,
+  getRateInputLabel,
+  formatRate,
+} from '../../utils/rateConventions';
+
+/**
+ * Rate Change Modal
+ * Captures a renegotiated interest rate, quoted the way the loan's rate
+ * is, and the date it takes effect from
+ */
+const RateChangeModal = ({
+  visible,
+  currentAnnualRate,
+  rateConvention = RATE_CONVENTIONS.MONTHLY,
+  currency,
+  onSubmit,
+  onClose,
+  loading,
+}) => {
+  const { theme } = useTheme();
+  const styles = createStyles(theme);
+
+  const [rate, setRate] = useState('');
+  const [effectiveDate, setEffectiveDate] = useState(toDateKey(today()));
+  const [note, setNote] = useState('');
+  const [errors, setErrors] = useState({});
+
+  // Reset the form every time the modal opens
+  useEffect(() => {
+    if (visible) {
+      setRate('');
+      setEffectiveDate(toDateKey(today()));
+      setNote('');
+      setErrors({});
+    }
+  }, [visible]);
+
+  // Validate inputs
+  const validate = () => {
+    const newErrors = {};
+
+    if (!rate || !(parseFloat(rate) >= 0)) {
+      newErrors.rate = 'Please enter a valid interest rate';
+    }
+
+    if (!parseDateKey(effectiveDate)) {
+      newErrors.effectiveDate = 'Use the format YYYY-MM-DD';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = () => {
+    if (validate()) {
+      onSubmit({
+        annualInterestRate: toAnnualRate(parseFloat(rate), rateConvention),
+        effectiveDate: parseDateKey(effectiveDate).toISOString(),
+        note: note.trim(),
+      });
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.overlay}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <Card style={styles.sheet}>
+          <ScrollView
+            showsVerticalScrollIndicator={false}
+            keyboardShouldPersistTaps="handled"
+          >
+            <View style={styles.header}>
+              <Text style={styles.title}>Change Interest Rate</Text>
+              <Ionicons
+                name="close"
+                size={24}
+                color={theme.colors.textSecondary}
+                onPress={onClose}
+              />
+            </View>
+
+            <Text style={styles.subtitle}>
+              Current rate:{' '}
+              {formatRate(currentAnnualRate, rateConvention, currency)}
+            </Text>
+
+            <Input
+              label={getRateInputLabel(
+                rateConvention,
+                currency,
+                'New Interest'
+              )}
+              value={rate}
+              onChangeText={setRate}
+              placeholder="Enter interest rate"
+              keyboardType="decimal-pad"
+              error={errors.rate}
+              leftIcon={
+                <Ionicons
+                  name="trending-up-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+
+            <Input
+              label="Effective From"
+              value={effectiveDate}
+              onChangeText={setEffectiveDate}
+              placeholder="YYYY-MM-DD"
+              error={errors.effectiveDate}
+              helperText="Unpaid EMIs due from this date are recalculated"
+              leftIcon={
+                <Ionicons
+                  name="calendar-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+
+            <Input
+              label="Note"
+              value={note}
+              onChangeText={setNote}
+              placeholder="Optional, e.g. Renegotiated after job change"
+              leftIcon={
+                <Ionicons
+                  name="create-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+
+            <View style={styles.actions}>
+              <Button
+                title="Cancel"
+                onPress={onClose}
+                variant="ghost"
+                style={styles.cancelButton}
+              />
+              <Button
+                title="Change Rate"
+                onPress={handleSubmit}
+                loading={loading}
+                style={styles.submitButton}
+              />
+            </View>
+          </ScrollView>
+        </Card>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    overlay: {
+      flex: 1,
+      justifyContent: 'flex-end',
+      backgroundColor: theme.colors.overlay,
+    },
+    sheet: {
+      borderBottomLeftRadius: 0,
+      borderBottomRightRadius: 0,
+      maxHeight: '90%',
+    },
+    header: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: theme.spacing.xs,
+    },
+    title: {
+      fontSize: theme.typography.fontSize.xl,
+      fontWeight: theme.typography.fontWeight.bold,
+      color: theme.colors.text,
+    },
+    subtitle: {
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textSecondary,
+      marginBottom: theme.spacing.lg,
+    },
+    actions: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      marginTop: theme.spacing.md,
+    },
+    cancelButton: {
+      flex: 1,
+      marginRight: theme.spacing.sm,
+    },
+    submitButton: {
+      flex: 2,
+    },
+  });
+
+export default RateChangeModal;
@@ -0,0 +1,259 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import Card from '../common/Card';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import SegmentedControl from '../common/SegmentedControl';
+import { formatCurrency } from '../../utils/loanCalculations';
+import { parseDateKey, toDateKey, today } from '../../utils/dateUtils';
+import {
+  PAYMENT_METHODS,
+  PAYMENT_METHOD_LABELS,
+} from '../../utils/paymentLedger';
+
+const PAYMENT_METHOD_OPTIONS = Object.values(PAYMENT_METHODS).map((method) => ({
+  label: PAYMENT_METHOD_LABELS[method],
+  value: method,
+}));
+
+/**
+ * Record Payment Modal
+ * Captures amount, date, method and note for a payment in the loan ledger
+ * Pass `modeOptions` to also ask how the payment is applied (e.g. prepayments)
+ */
+const RecordPaymentModal = ({
+  visible,
+  title = 'Record Payment',
+  amountHelperText = 'Applied to the oldest unpaid EMIs first',
+  suggestedAmount,
+  maxAmount,
+  currency,
+  modeOptions,
+  onSubmit,
+  onClose,
+  loading,
+}) => {
+  const { theme } = useTheme();
+  const styles = createStyles(theme);
+
+  const [amount, setAmount] = useState('');
+  const [date, setDate] = useState(toDateKey(today()));
+  const [method, setMethod] = useState(PAYMENT_METHODS.CASH);
+  const [note, setNote] = useState('');
+  const [mode, setMode] = useState(modeOptions?.[0]?.value);
+  const [errors, setErrors] = useState({});
+
+  // Reset the form every time the modal opens
+  useEffect(() => {
+    if (visible) {
+      setAmount(suggestedAmount ? suggestedAmount.toString() : '');
+      setDate(toDateKey(today()));
+      setMethod(PAYMENT_METHODS.CASH);
+      setNote('');
+      setMode(modeOptions?.[0]?.value);
+      setErrors({});
+    }
+  }, [visible]);
+
+  // Validate inputs
+  const validate = () => {
+    const newErrors = {};
+    const value = parseFloat(amount);
+
+    if (!amount || !(value > 0)) {
+      newErrors.amount = 'Please enter a valid amount';
+    } else if (value > maxAmount) {
+      newErrors.amount = `Cannot exceed the outstanding ${formatCurrency(
+        maxAmount,
+        currency
+      )}`;
+    }
+
+    if (!parseDateKey(date)) {
+      newErrors.date = 'Use the format YYYY-MM-DD';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSubmit = () => {
+    if (validate()) {
+      onSubmit(
+        {
+          amount: parseFloat(amount),
+          date: parseDateKey(date).toISOString(),
+          method,
+          note: note.trim(),
+        },
+        mode
+      );
+    }
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.overlay}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <Card style={styles.sheet}>
+          <ScrollView
+            showsVerticalScrollIndicator={false}
+            keyboardShouldPersistTaps="handled"
+          >
+            <View style={styles.header}>
+              <Text style={styles.title}>{title}</Text>
+              <Ionicons
+                name="close"
+                size={24}
+                color={theme.colors.textSecondary}
+                onPress={onClose}
+              />
+            </View>
+
+            <Text style={styles.subtitle}>
+              Outstanding: {formatCurrency(maxAmount, currency)}
+            </Text>
+
+            <Input
+              label="Amount Received"
+              value={amount}
+              onChangeText={setAmount}
+              placeholder="Enter amount"
+              keyboardType="decimal-pad"
+              error={errors.amount}
+              helperText={amountHelperText}
+              leftIcon={
+                <Ionicons
+                  name="cash-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+
+            <Input
+              label="Payment Date"
+              value={date}
+              onChangeText={setDate}
+              placeholder="YYYY-MM-DD"
+              error={errors.date}
+              leftIcon={
+                <Ionicons
+                  name="calendar-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+
+            {modeOptions && (
+              <SegmentedControl
+                label="Apply To"
+                options={modeOptions}
+                value={mode}
+                onChange={setMode}
+              />
+            )}
+
+            <SegmentedControl
+              label="Method"
+              options={PAYMENT_METHOD_OPTIONS}
+              value={method}
+              onChange={setMethod}
+            />
+
+            <Input
+              label="Note"
+              value={note}
+              onChangeText={setNote}
+              placeholder="Optional"
+              leftIcon={
+                <Ionicons
+                  name="create-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+
+            <View style={styles.actions}>
+              <Button
+                title="Cancel"
+                onPress={onClose}
+                variant="ghost"
+                style={styles.cancelButton}
+              />
+              <Button
+                title="Save Payment"
+                onPress={handleSubmit}
+                loading={loading}
+                style={styles.submitButton}
+              />
+            </View>
+          </ScrollView>
+        </Card>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    overlay: {
+      flex: 1,
+      justifyContent: 'flex-end',
+      backgroundColor: theme.colors.overlay,
+    },
+    sheet: {
+      borderBottomLeftRadius: 0,
+      borderBottomRightRadius: 0,
+      maxHeight: '90%',
+    },
+    header: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: theme.spacing.xs,
+    },
+    title: {
+      fontSize: theme.typography.fontSize.xl,
+      fontWeight: theme.typography.fontWeight.bold,
+      color: theme.colors.text,
+    },
+    subtitle: {
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textSecondary,
+      marginBottom: theme.spacing.lg,
+    },
+    actions: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      marginTop: theme.spacing.md,
+    },
+    cancelButton: {
+      flex: 1,
+      marginRight: theme.spacing.sm,
+    },
+    submitButton: {
+      flex: 2,
+    },
+  });
+
+export default RecordPaymentModal;
@@ -0,0 +1,397 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useCalendar } from '../../contexts/CalendarContext';
+import Card from '../common/Card';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import {
+  formatCurrency,
+  formatDate,
+  getPeriodUnit,
+  getScheduleOptions,
+  isInstallment,
+} from '../../utils/loanCalculations';
+import { parseDateKey, toDateKey, today } from '../../utils/dateUtils';
+import { getCurrencySymbol, getLoanCurrency } from '../../utils/currencies';
+import { calculatePayoffQuote } from '../../utils/payoffQuote';
+import { applyRestructure } from '../../utils/restructuring';
+import {
+  getRateConvention,
+  toAnnualRate,
+  fromAnnualRate,
+  getRateInputLabel,
+} from '../../utils/rateConventions';
+
+/**
+ * Restructure Modal
+ * Captures the renegotiated amount, rate (quoted the way the loan's rate
+ * is) and duration of a loan, and previews the balance carried over and
+ * the new EMI
+ */
+const RestructureModal = ({ visible, loan, onSubmit, onClose, loading }) => {
+  const { theme } = useTheme();
+  const { calendar } = useCalendar();
+  const styles = createStyles(theme);
+  const currency = getLoanCurrency(loan);
+  const rateConvention = getRateConvention(loan);
+
+  const { frequency } = getScheduleOptions(loan);
+  const periodUnit = getPeriodUnit(frequency, true);
+  const durationLabel = `Duration (${periodUnit
+    .charAt(0)
+    .toUpperCase()}${periodUnit.slice(1)})`;
+
+  const [date, setDate] = useState(toDateKey(today()));
+  const [amount, setAmount] = useState('');
+  const [rate, setRate] = useState('');
+  const [duration, setDuration] = useState('');
+  const [note, setNote] = useState('');
+  const [errors, setErrors] = useState({});
+
+  // Reset the form every time the modal opens, starting from the balance
+  // owed today, the current rate and the installments left
+  useEffect(() => {
+    if (visible) {
+      let balance = '';
+      try {
+        balance = String(calculatePayoffQuote(loan, today()).total);
+      } catch (err) {
+        // Nothing left to carry over, the preview shows why
+      }
+
+      setDate(toDateKey(today()));
+      setAmount(balance);
+      setRate(String(fromAnnualRate(loan.annualInterestRate, rateConvention)));
+      setDuration(
+        String(
+          loan.emis.filter((emi) => isInstallment(emi) && !emi.paid).length ||
+            ''
+        )
+      );
+      setNote('');
+      setErrors({});
+    }
+  }, [visible]);
+
+  const getTerms = () => ({
+    date: parseDateKey(date),
+    amount: parseFloat(amount),
+    annualInterestRate: toAnnualRate(parseFloat(rate), rateConvention),
+    duration: parseInt(duration),
+    note,
+  });
+
+  // The preview follows the inputs as they are typed
+  const getPreview = () => {
+    if (!parseDateKey(date)) {
+      return {};
+    }
+
+    try {
+      return { preview: applyRestructure(loan, getTerms(), calendar) };
+    } catch (err) {
+      return { error: err.message };
+    }
+  };
+
+  const { preview, error: previewError } = visible ? getPreview() : {};
+
+  // Validate inputs
+  const validate = () => {
+    const newErrors = {};
+
+    if (!parseDateKey(date)) {
+      newErrors.date = 'Use the format YYYY-MM-DD';
+    }
+
+    if (!(parseFloat(amount) > 0)) {
+      newErrors.amount = 'Please enter a valid amount';
+    }
+
+    if (!rate || !(parseFloat(rate) >= 0)) {
+      newErrors.rate = 'Please enter a valid interest rate';
+    }
+
+    if (!(parseInt(duration) > 0)) {
+      newErrors.duration = 'Please enter a valid duration';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0 && !previewError;
+  };
+
+  const handleSubmit = () => {
+    if (validate()) {
+      const terms = getTerms();
+      onSubmit({ ...terms, date: terms.date.toISOString() });
+    }
+  };
+
+  const renderPreviewRow = (label, value) => (
+    <View style={styles.previewRow}>
+      <Text style={styles.previewLabel}>{label}</Text>
+      <Text style={styles.previewValue}>{value}</Text>
+    </View>
+  );
+
+  const renderPreview = () => {
+    const { quote, closedLoan, newLoan } = preview;
+    const { waivedAmount } = closedLoan.restructure;
+    const topUp = Math.max(0, newLoan.amount - quote.total);
+
+    return (
+      <View style={styles.preview}>
+        {renderPreviewRow(
+          'Balance Carried Over',
+          formatCurrency(quote.total, currency)
+        )}
+        {waivedAmount > 0 &&
+          renderPreviewRow('Waived', formatCurrency(waivedAmount, currency))}
+        {topUp > 0 &&
+          renderPreviewRow('Fresh Lending', formatCurrency(topUp, currency))}
+
+        <View style={styles.divider} />
+
+        <View style={styles.previewRow}>
+          <Text style={styles.previewTotalLabel}>New EMI</Text>
+          <Text style={styles.previewTotal}>
+            {formatCurrency(newLoan.emis[0]?.emi || 0, currency)}
+          </Text>
+        </View>
+        {renderPreviewRow(
+          'First Due',
+          newLoan.emis[0] ? formatDate(newLoan.emis[0].dueDate) : '—'
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.overlay}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <Card style={styles.sheet}>
+          <ScrollView
+            showsVerticalScrollIndicator={false}
+            keyboardShouldPersistTaps="handled"
+          >
+            <View style={styles.header}>
+              <Text style={styles.title}>Restructure Loan</Text>
+              <Ionicons
+                name="close"
+                size={24}
+                color={theme.colors.textSecondary}
+                onPress={onClose}
+              />
+            </View>
+
+            <Text style={styles.subtitle}>
+              The balance owed is closed on this loan and carried into a new
+              one with these terms
+            </Text>
+
+            <Input
+              label="Restructure On"
+              value={date}
+              onChangeText={setDate}
+              placeholder="YYYY-MM-DD"
+              error={errors.date}
+              leftIcon={
+                <Ionicons
+                  name="calendar-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+
+            <Input
+              label={`New Loan Amount (${getCurrencySymbol(currency)})`}
+              value={amount}
+              onChangeText={setAmount}
+              placeholder="Enter amount"
+              keyboardType="decimal-pad"
+              error={errors.amount}
+              helperText="Less than the balance waives the difference"
+              leftIcon={
+                <Ionicons
+                  name="cash-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+
+            <Input
+              label={getRateInputLabel(rateConvention, currency)}
+              value={rate}
+              onChangeText={setRate}
+              placeholder="Enter interest rate"
+              keyboardType="decimal-pad"
+              error={errors.rate}
+              leftIcon={
+                <Ionicons
+                  name="trending-up-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+
+            <Input
+              label={durationLabel}
+              value={duration}
+              onChangeText={setDuration}
+              placeholder="Enter duration"
+              keyboardType="number-pad"
+              error={errors.duration}
+              leftIcon={
+                <Ionicons
+                  name="time-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+
+            {preview && renderPreview()}
+            {previewError && (
+              <Text style={styles.previewError}>{previewError}</Text>
+            )}
+
+            <Input
+              label="Note"
+              value={note}
+              onChangeText={setNote}
+              placeholder="Optional, e.g. Lost job, lower EMI agreed"
+              leftIcon={
+                <Ionicons
+                  name="create-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+
+            <View style={styles.actions}>
+              <Button
+                title="Cancel"
+                onPress={onClose}
+                variant="ghost"
+                style={styles.cancelButton}
+              />
+              <Button
+                title="Restructure"
+                onPress={handleSubmit}
+                loading={loading}
+                style={styles.submitButton}
+              />
+            </View>
+          </ScrollView>
+        </Card>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    overlay: {
+      flex: 1,
+      justifyContent: 'flex-end',
+      backgroundColor: theme.colors.overlay,
+    },
+    sheet: {
+      borderBottomLeftRadius: 0,
+      borderBottomRightRadius: 0,
+      maxHeight: '90%',
+    },
+    header: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: theme.spacing.xs,
+    },
+    title: {
+      fontSize: theme.typography.fontSize.xl,
+      fontWeight: theme.typography.fontWeight.bold,
+      color: theme.colors.text,
+    },
+    subtitle: {
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textSecondary,
+      marginBottom: theme.spacing.lg,
+    },
+    preview: {
+      backgroundColor: theme.colors.backgroundTertiary,
+      borderRadius: theme.borderRadius.md,
+      padding: theme.spacing.md,
+      marginBottom: theme.spacing.md,
+    },
+    previewRow: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      paddingVertical: theme.spacing.xs,
+    },
+    previewLabel: {
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textSecondary,
+    },
+    previewValue: {
+      fontSize: theme.typography.fontSize.sm,
+      fontWeight: theme.typography.fontWeight.medium,
+      color: theme.colors.text,
+    },
+    previewTotalLabel: {
+      fontSize: theme.typography.fontSize.md,
+      fontWeight: theme.typography.fontWeight.semibold,
+      color: theme.colors.text,
+    },
+    previewTotal: {
+      fontSize: theme.typography.fontSize.lg,
+      fontWeight: theme.typography.fontWeight.bold,
+      color: theme.colors.primary,
+    },
+    previewError: {
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.error,
+      marginBottom: theme.spacing.md,
+    },
+    divider: {
+      height: 1,
+      backgroundColor: theme.colors.border,
+      marginVertical: theme.spacing.sm,
+    },
+    actions: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      marginTop: theme.spacing.md,
+    },
+    cancelButton: {
+      flex: 1,
+      marginRight: theme.spacing.sm,
+    },
+    submitButton: {
+      flex: 2,
+    },
+  });
+
+export default RestructureModal;
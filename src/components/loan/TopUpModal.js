@@ -0,0 +1,354 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  Modal,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useCalendar } from '../../contexts/CalendarContext';
+import Card from '../common/Card';
+import Input from '../common/Input';
+import Button from '../common/Button';
+import {
+  formatCurrency,
+  formatDate,
+  formatDuration,
+  getScheduleOptions,
+  isInstallment,
+} from '../../utils/loanCalculations';
+import { parseDateKey, toDateKey, today } from '../../utils/dateUtils';
+import { getCurrencySymbol, getLoanCurrency } from '../../utils/currencies';
+import { applyDisbursement } from '../../utils/disbursements';
+
+/**
+ * Top-up Modal
+ * Captures a further amount lent on a running loan and previews the
+ * regenerated installments
+ */
+const TopUpModal = ({ visible, loan, onSubmit, onClose, loading }) => {
+  const { theme } = useTheme();
+  const { calendar } = useCalendar();
+  const styles = createStyles(theme);
+  const currency = getLoanCurrency(loan);
+
+  const { frequency } = getScheduleOptions(loan);
+
+  const [amount, setAmount] = useState('');
+  const [date, setDate] = useState(toDateKey(today()));
+  const [additionalPeriods, setAdditionalPeriods] = useState('');
+  const [note, setNote] = useState('');
+  const [errors, setErrors] = useState({});
+
+  // Reset the form every time the modal opens
+  useEffect(() => {
+    if (visible) {
+      setAmount('');
+      setDate(toDateKey(today()));
+      setAdditionalPeriods('');
+      setNote('');
+      setErrors({});
+    }
+  }, [visible]);
+
+  const getDisbursement = () => ({
+    amount: parseFloat(amount),
+    date: parseDateKey(date),
+    additionalPeriods: parseInt(additionalPeriods) || 0,
+    note,
+  });
+
+  // The preview follows the inputs once an amount and date are entered
+  const getPreview = () => {
+    if (!(parseFloat(amount) > 0) || !parseDateKey(date)) {
+      return {};
+    }
+
+    try {
+      return {
+        preview: applyDisbursement(loan, getDisbursement(), calendar),
+      };
+    } catch (err) {
+      return { error: err.message };
+    }
+  };
+
+  const { preview, error: previewError } = visible ? getPreview() : {};
+
+  // Validate inputs
+  const validate = () => {
+    const newErrors = {};
+
+    if (!(parseFloat(amount) > 0)) {
+      newErrors.amount = 'Please enter a valid amount';
+    }
+
+    if (!parseDateKey(date)) {
+      newErrors.date = 'Use the format YYYY-MM-DD';
+    }
+
+    if (additionalPeriods && !(parseInt(additionalPeriods) >= 0)) {
+      newErrors.additionalPeriods =
+        'Please enter a valid number of installments';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0 && !previewError;
+  };
+
+  const handleSubmit = () => {
+    if (validate()) {
+      const disbursement = getDisbursement();
+      onSubmit({ ...disbursement, date: disbursement.date.toISOString() });
+    }
+  };
+
+  const renderPreviewRow = (label, value) => (
+    <View style={styles.previewRow}>
+      <Text style={styles.previewLabel}>{label}</Text>
+      <Text style={styles.previewValue}>{value}</Text>
+    </View>
+  );
+
+  const renderPreview = () => {
+    const upcoming = preview.emis.filter(
+      (emi) => isInstallment(emi) && !emi.paid
+    );
+    // The first installment is reduced for the days before the top-up
+    const nextEMI = upcoming[0];
+    const newEMI = upcoming[1] || nextEMI;
+
+    return (
+      <View style={styles.preview}>
+        {renderPreviewRow(
+          'Total Lent',
+          formatCurrency(preview.amount, currency)
+        )}
+        {renderPreviewRow(
+          'Installments Left',
+          formatDuration(upcoming.length, frequency)
+        )}
+        {renderPreviewRow(
+          `Next Due ${formatDate(nextEMI.dueDate)}`,
+          formatCurrency(nextEMI.emi, currency)
+        )}
+
+        <View style={styles.divider} />
+
+        <View style={styles.previewRow}>
+          <Text style={styles.previewTotalLabel}>New EMI</Text>
+          <Text style={styles.previewTotal}>
+            {formatCurrency(newEMI.emi, currency)}
+          </Text>
+        </View>
+      </View>
+    );
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="slide"
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={styles.overlay}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <Card style={styles.sheet}>
+          <ScrollView
+            showsVerticalScrollIndicator={false}
+            keyboardShouldPersistTaps="handled"
+          >
+            <View style={styles.header}>
+              <Text style={styles.title}>Top Up Loan</Text>
+              <Ionicons
+                name="close"
+                size={24}
+                color={theme.colors.textSecondary}
+                onPress={onClose}
+              />
+            </View>
+
+            <Text style={styles.subtitle}>
+              The amount earns interest from the day it is lent and is added
+              to the unpaid installments
+            </Text>
+
+            <Input
+              label={`Top-up Amount (${getCurrencySymbol(currency)})`}
+              value={amount}
+              onChangeText={setAmount}
+              placeholder="Enter amount"
+              keyboardType="decimal-pad"
+              error={errors.amount}
+              leftIcon={
+                <Ionicons
+                  name="cash-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+
+            <Input
+              label="Lent On"
+              value={date}
+              onChangeText={setDate}
+              placeholder="YYYY-MM-DD"
+              error={errors.date}
+              leftIcon={
+                <Ionicons
+                  name="calendar-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+
+            <Input
+              label="Extra Installments"
+              value={additionalPeriods}
+              onChangeText={setAdditionalPeriods}
+              placeholder="0"
+              keyboardType="number-pad"
+              error={errors.additionalPeriods}
+              helperText="Optional, spreads the top-up over a longer term"
+              leftIcon={
+                <Ionicons
+                  name="time-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+
+            {preview && renderPreview()}
+            {previewError && (
+              <Text style={styles.previewError}>{previewError}</Text>
+            )}
+
+            <Input
+              label="Note"
+              value={note}
+              onChangeText={setNote}
+              placeholder="Optional, e.g. Second tranche for renovation"
+              leftIcon={
+                <Ionicons
+                  name="create-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+
+            <View style={styles.actions}>
+              <Button
+                title="Cancel"
+                onPress={onClose}
+                variant="ghost"
+                style={styles.cancelButton}
+              />
+              <Button
+                title="Add Top-up"
+                onPress={handleSubmit}
+                loading={loading}
+                style={styles.submitButton}
+              />
+            </View>
+          </ScrollView>
+        </Card>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    overlay: {
+      flex: 1,
+      justifyContent: 'flex-end',
+      backgroundColor: theme.colors.overlay,
+    },
+    sheet: {
+      borderBottomLeftRadius: 0,
+      borderBottomRightRadius: 0,
+      maxHeight: '90%',
+    },
+    header: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      marginBottom: theme.spacing.xs,
+    },
+    title: {
+      fontSize: theme.typography.fontSize.xl,
+      fontWeight: theme.typography.fontWeight.bold,
+      color: theme.colors.text,
+    },
+    subtitle: {
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textSecondary,
+      marginBottom: theme.spacing.lg,
+    },
+    preview: {
+      backgroundColor: theme.colors.backgroundTertiary,
+      borderRadius: theme.borderRadius.md,
+      padding: theme.spacing.md,
+      marginBottom: theme.spacing.md,
+    },
+    previewRow: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      paddingVertical: theme.spacing.xs,
+    },
+    previewLabel: {
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textSecondary,
+    },
+    previewValue: {
+      fontSize: theme.typography.fontSize.sm,
+      fontWeight: theme.typography.fontWeight.medium,
+      color: theme.colors.text,
+    },
+    previewTotalLabel: {
+      fontSize: theme.typography.fontSize.md,
+      fontWeight: theme.typography.fontWeight.semibold,
+      color: theme.colors.text,
+    },
+    previewTotal: {
+      fontSize: theme.typography.fontSize.lg,
+      fontWeight: theme.typography.fontWeight.bold,
+      color: theme.colors.primary,
+    },
+    previewError: {
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.error,
+      marginBottom: theme.spacing.md,
+    },
+    divider: {
+      height: 1,
+      backgroundColor: theme.colors.border,
+      marginVertical: theme.spacing.sm,
+    },
+    actions: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      marginTop: theme.spacing.md,
+    },
+    cancelButton: {
+      flex: 1,
+      marginRight: theme.spacing.sm,
+    },
+    submitButton: {
+      flex: 2,
+    },
+  });
+
+export default TopUpModal;
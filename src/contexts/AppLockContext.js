@@ -0,0 +1,321 @@
+import React, {
+  createContext,
+  useState,
+  useContext,
+  useEffect,
+  useRef,
+} from 'react';
+import { AppState, Modal } from 'react-native';
+import {
+  localAppLock,
+  localAuth,
+  localEncryption,
+} from '../services/localStorage';
+import { useAuth } from './AuthContextLocal';
+import AppLockScreen from '../screens/Auth/AppLockScreen';
+import PromptModal from '../components/common/PromptModal';
+import {
+  DEFAULT_APP_LOCK,
+  ERASE_CONFIRMATION,
+  isAppLockEnabled,
+  setPin as setLockPin,
+  removePin as removeLockPin,
+  checkLegacyPin,
+  shouldAutoLock,
+} from '../utils/appLock';
+import {
+  getLockoutRemaining,
+  recordFailedSignIn,
+  getLockoutMessage,
+} from '../utils/passwords';
+
+const AppLockContext = createContext();
+
+/**
+ * App lock with a PIN
+ * Locks on a cold start and after the auto-lock time in the background,
+ * and asks who is there again before destructive actions: the PIN, or the
+ * account password while no PIN is set
+ * The PIN is also the passcode the loans and accounts are encrypted with,
+ * so nothing below this provider is shown until it has been entered once
+ */
+export const AppLockProvider = ({ children }) => {
+  const { user, signOut, refreshUserProfile } = useAuth();
+  const [appLock, setAppLock] = useState(DEFAULT_APP_LOCK);
+  const [loaded, setLoaded] = useState(false);
+  const [locked, setLocked] = useState(false);
+  const [hasUnlocked, setHasUnlocked] = useState(false);
+  const [confirmation, setConfirmation] = useState(null);
+  const [confirmationError, setConfirmationError] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+
+  // The AppState listener is added once and reads these through refs
+  const appLockRef = useRef(appLock);
+  const backgroundedAt = useRef(null);
+  appLockRef.current = appLock;
+
+  const isEnabled = isAppLockEnabled(appLock);
+
+  // Load the settings on mount, a cold start is locked
+  useEffect(() => {
+    loadAppLock();
+  }, []);
+
+  // Lock again after the app has been in the background long enough
+  useEffect(() => {
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'background') {
+        backgroundedAt.current = Date.now();
+      } else if (state === 'active') {
+        if (shouldAutoLock(appLockRef.current, backgroundedAt.current)) {
+          setLocked(true);
+        }
+        backgroundedAt.current = null;
+      }
+    });
+
+    return () => subscription.remove();
+  }, []);
+
+  const loadAppLock = async () => {
+    let saved = await localAppLock.get();
+
+    // Encrypted data needs the PIN even if turning the lock on was cut short
+    if (!isAppLockEnabled(saved) && (await localEncryption.isEnabled())) {
+      saved = { ...saved, enabled: true };
+    }
+
+    setAppLock(saved);
+    setLocked(isAppLockEnabled(saved));
+    setHasUnlocked(!isAppLockEnabled(saved));
+    setLoaded(true);
+  };
+
+  const updateAppLock = async (nextAppLock) => {
+    setAppLock(nextAppLock);
+    await localAppLock.save(nextAppLock);
+  };
+
+  /**
+   * Run a PIN check, throws if it fails or PIN entry is locked out
+   * Wrong PINs count towards a lockout like wrong passwords do
+   */
+  const throttlePinCheck = async (isCorrect) => {
+    const remaining = getLockoutRemaining(appLock.attempts);
+    if (remaining > 0) {
+      throw new Error(getLockoutMessage(remaining));
+    }
+
+    if (!(await isCorrect())) {
+      const attempts = recordFailedSignIn(appLock.attempts);
+      await updateAppLock({ ...appLock, attempts });
+
+      const lockout = getLockoutRemaining(attempts);
+      throw new Error(
+        lockout > 0 ? getLockoutMessage(lockout) : 'Incorrect PIN'
+      );
+    }
+
+    if (appLock.attempts) {
+      await updateAppLock({ ...appLock, attempts: null });
+    }
+  };
+
+  /**
+   * Check the PIN against the encrypted data, throws if it is wrong
+   * A lock turned on before encryption at rest still has the old credential
+   */
+  const verifyPin = (pin) =>
+    throttlePinCheck(async () =>
+      (await localEncryption.isEnabled())
+        ? localEncryption.checkPasscode(pin)
+        : checkLegacyPin(appLock, pin)
+    );
+
+  /**
+   * Unlock the app, throws if the PIN is wrong
+   * The first unlock also unlocks the encrypted data, decrypting with the
+   * PIN is what checks it, and encrypts it if the lock was turned on
+   * before encryption at rest
+   */
+  const unlock = async (pin) => {
+    if (localEncryption.isUnlocked()) {
+      await verifyPin(pin);
+    } else if (await localEncryption.isEnabled()) {
+      await throttlePinCheck(() => localEncryption.unlock(pin));
+    } else {
+      await verifyPin(pin);
+      await localEncryption.enable(pin);
+    }
+
+    // The data checks the PIN now, the old credential is not needed
+    if (appLock.pin) {
+      await updateAppLock(setLockPin(appLock, pin));
+    }
+
+    setLocked(false);
+    setHasUnlocked(true);
+
+    // The profile could not be read while the data was locked
+    await refreshUserProfile();
+  };
+
+  const lock = () => {
+    if (isEnabled) {
+      setLocked(true);
+    }
+  };
+
+  /**
+   * Turn the lock on with a PIN and encrypt the data with it, throws if the
+   * PIN is invalid
+   * The data is encrypted first, it is the only thing the PIN is checked
+   * against
+   */
+  const enableLock = async (pin) => {
+    const nextAppLock = setLockPin(appLock, pin);
+    await localEncryption.enable(pin);
+    await updateAppLock(nextAppLock);
+  };
+
+  /**
+   * Change the PIN and re-encrypt the data with it, throws if the current
+   * PIN is wrong or the new one is invalid
+   */
+  const changePin = async (currentPin, newPin) => {
+    await verifyPin(currentPin);
+
+    const nextAppLock = setLockPin(appLock, newPin);
+    await localEncryption.rekey(newPin);
+    await updateAppLock(nextAppLock);
+  };
+
+  /**
+   * Turn the lock off and decrypt the data, callers confirm the user's
+   * identity first
+   */
+  const disableLock = async () => {
+    await localEncryption.disable();
+    await updateAppLock(removeLockPin(appLock));
+  };
+
+  /**
+   * Erase the encrypted data and every account, for a forgotten PIN
+   * Throws unless `confirmation` is ERASE_CONFIRMATION. The session ends
+   * first, so nobody is left signed in should erasing fail part way
+   */
+  const eraseData = async (confirmation) => {
+    if (confirmation !== ERASE_CONFIRMATION) {
+      throw new Error(`Type ${ERASE_CONFIRMATION} to erase everything`);
+    }
+
+    await signOut();
+    await localEncryption.erase();
+    await updateAppLock(removeLockPin(appLock));
+
+    setLocked(false);
+    setHasUnlocked(true);
+  };
+
+  const setAutoLockMinutes = async (autoLockMinutes) => {
+    await updateAppLock({ ...appLock, autoLockMinutes });
+  };
+
+  /**
+   * Ask for the PIN, or the password without one, before a destructive
+   * action. Resolves true once confirmed, false if the user cancels
+   */
+  const confirmIdentity = (message) =>
+    new Promise((resolve) => {
+      setConfirmationError(null);
+      setConfirmation({ message, resolve });
+    });
+
+  const handleConfirm = async (value) => {
+    try {
+      setVerifying(true);
+      setConfirmationError(null);
+
+      if (isEnabled) {
+        await verifyPin(value);
+      } else {
+        await localAuth.confirmPassword(user.uid, value);
+      }
+
+      confirmation.resolve(true);
+      setConfirmation(null);
+    } catch (error) {
+      setConfirmationError(error.message);
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  const handleCancelConfirmation = () => {
+    confirmation.resolve(false);
+    setConfirmation(null);
+  };
+
+  const value = {
+    appLock,
+    isEnabled,
+    locked,
+    unlock,
+    lock,
+    enableLock,
+    changePin,
+    disableLock,
+    setAutoLockMinutes,
+    confirmIdentity,
+  };
+
+  // Nothing is shown until it is known whether the app starts locked
+  if (!loaded) {
+    return null;
+  }
+
+  return (
+    <AppLockContext.Provider value={value}>
+      {hasUnlocked && children}
+
+      <Modal
+        visible={locked}
+        animationType="fade"
+        onRequestClose={() => {}}
+      >
+        <AppLockScreen onUnlock={unlock} onErase={eraseData} />
+      </Modal>
+
+      <PromptModal
+        visible={!!confirmation}
+        title="Confirm It's You"
+        message={confirmation?.message}
+        label={isEnabled ? 'PIN' : 'Password'}
+        placeholder={isEnabled ? 'Enter your PIN' : 'Enter your password'}
+        submitTitle="Confirm"
+        requiredMessage={
+          isEnabled ? 'Please enter your PIN' : 'Please enter your password'
+        }
+        inputProps={{
+          secureTextEntry: true,
+          keyboardType: isEnabled ? 'number-pad' : 'default',
+          autoCapitalize: 'none',
+        }}
+        error={confirmationError}
+        onSubmit={handleConfirm}
+        onClose={handleCancelConfirmation}
+        loading={verifying}
+      />
+    </AppLockContext.Provider>
+  );
+};
+
+export const useAppLock = () => {
+  const context = useContext(AppLockContext);
+  if (!context) {
+    throw new Error('useAppLock must be used within an AppLockProvider');
+  }
+  return context;
+};
+
+export default AppLockContext;
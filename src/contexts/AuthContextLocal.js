@@ -49,16 +49,21 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
+  // Resolves with the new user and their recovery code to show once
   const signUp = async (email, password, name) => {
     try {
-      const user = await localAuth.signUp(email, password, name);
+      const { recoveryCode, ...user } = await localAuth.signUp(
+        email,
+        password,
+        name
+      );
       setUser(user);
 
       // Profile is already created during signup
       const profile = await getUserProfile(user.uid);
       setUserProfile(profile);
 
-      return user;
+      return { ...user, recoveryCode };
     } catch (error) {
       console.error('Error signing up:', error);
       throw error;
@@ -76,15 +81,100 @@ export const AuthProvider = ({ children }) => {
     }
   };
 
-  const resetPassword = async (email) => {
+  // Resolves with the recovery code that replaces the one used up
+  const resetPassword = async (email, recoveryCode, newPassword) => {
     try {
-      await localAuth.resetPassword(email);
+      return await localAuth.resetPassword(email, recoveryCode, newPassword);
     } catch (error) {
       console.error('Error resetting password:', error);
       throw error;
     }
   };
 
+  const changePassword = async (currentPassword, newPassword) => {
+    try {
+      await localAuth.changePassword(user.uid, currentPassword, newPassword);
+    } catch (error) {
+      console.error('Error changing password:', error);
+      throw error;
+    }
+  };
+
+  const changeEmail = async (newEmail, password) => {
+    try {
+      const updatedUser = await localAuth.changeEmail(
+        user.uid,
+        newEmail,
+        password
+      );
+      setUser(updatedUser);
+
+      const profile = await getUserProfile(updatedUser.uid);
+      setUserProfile(profile);
+
+      return updatedUser;
+    } catch (error) {
+      console.error('Error changing email:', error);
+      throw error;
+    }
+  };
+
+  // Resolves with the new recovery code to show once
+  const createRecoveryCode = async (password) => {
+    try {
+      const recoveryCode = await localAuth.createRecoveryCode(
+        user.uid,
+        password
+      );
+
+      const profile = await getUserProfile(user.uid);
+      setUserProfile(profile);
+
+      return recoveryCode;
+    } catch (error) {
+      console.error('Error creating recovery code:', error);
+      throw error;
+    }
+  };
+
+  const getAccounts = async () => {
+    try {
+      return await localAuth.getAccounts();
+    } catch (error) {
+      console.error('Error getting accounts:', error);
+      return [];
+    }
+  };
+
+  // `secret` is the account's switch PIN, or its password without one
+  const switchAccount = async (userId, secret) => {
+    try {
+      const nextUser = await localAuth.switchAccount(userId, secret);
+      setUser(nextUser);
+
+      const profile = await getUserProfile(nextUser.uid);
+      setUserProfile(profile);
+
+      return nextUser;
+    } catch (error) {
+      console.error('Error switching account:', error);
+      throw error;
+    }
+  };
+
+  // A null `pin` removes the switch PIN
+  const setSwitchPin = async (password, pin) => {
+    try {
+      await localAuth.setSwitchPin(user.uid, password, pin);
+
+      const profile = await getUserProfile(user.uid);
+      setUserProfile(profile);
+    } catch (error) {
+      console.error('Error setting switch PIN:', error);
+      throw error;
+    }
+  };
+
   const refreshUserProfile = async () => {
     if (user) {
       const profile = await getUserProfile(user.uid);
@@ -100,6 +190,12 @@ export const AuthProvider = ({ children }) => {
     signUp,
     signOut,
     resetPassword,
+    changePassword,
+    changeEmail,
+    createRecoveryCode,
+    getAccounts,
+    switchAccount,
+    setSwitchPin,
     refreshUserProfile,
   };
 
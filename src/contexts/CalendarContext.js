@@ -0,0 +1,64 @@
+import React, { createContext, useState, useContext, useEffect } from 'react';
+import { localCalendar } from '../services/localStorage';
+import {
+  DEFAULT_CALENDAR,
+  addHoliday as addCalendarHoliday,
+  removeHoliday as removeCalendarHoliday,
+} from '../utils/businessCalendar';
+
+const CalendarContext = createContext();
+
+/**
+ * Business day calendar shared by schedule generation and due date checks
+ */
+export const CalendarProvider = ({ children }) => {
+  const [calendar, setCalendar] = useState(DEFAULT_CALENDAR);
+
+  // Load the calendar from storage on mount
+  useEffect(() => {
+    loadCalendar();
+  }, []);
+
+  const loadCalendar = async () => {
+    const saved = await localCalendar.get();
+    setCalendar(saved);
+  };
+
+  const updateCalendar = async (nextCalendar) => {
+    setCalendar(nextCalendar);
+    await localCalendar.save(nextCalendar);
+  };
+
+  /**
+   * Add a holiday, throws if the date or name is invalid
+   */
+  const addHoliday = async (dateKey, name) => {
+    await updateCalendar(addCalendarHoliday(calendar, dateKey, name));
+  };
+
+  const removeHoliday = async (dateKey) => {
+    await updateCalendar(removeCalendarHoliday(calendar, dateKey));
+  };
+
+  const value = {
+    calendar,
+    addHoliday,
+    removeHoliday,
+  };
+
+  return (
+    <CalendarContext.Provider value={value}>
+      {children}
+    </CalendarContext.Provider>
+  );
+};
+
+export const useCalendar = () => {
+  const context = useContext(CalendarContext);
+  if (!context) {
+    throw new Error('useCalendar must be used within a CalendarProvider');
+  }
+  return context;
+};
+
+export default CalendarContext;
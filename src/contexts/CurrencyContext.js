@@ -0,0 +1,70 @@
+import React, { createContext, useState, useContext, useEffect } from 'react';
+import { localExchangeRates } from '../services/localStorage';
+import {
+  DEFAULT_EXCHANGE_RATES,
+  setExchangeRate as setTableRate,
+  removeExchangeRate as removeTableRate,
+  setBaseCurrency as setTableBaseCurrency,
+} from '../utils/currencies';
+
+const CurrencyContext = createContext();
+
+/**
+ * Conversion table used to combine portfolio totals across currencies
+ */
+export const CurrencyProvider = ({ children }) => {
+  const [exchangeRates, setExchangeRates] = useState(DEFAULT_EXCHANGE_RATES);
+
+  // Load the table from storage on mount
+  useEffect(() => {
+    loadExchangeRates();
+  }, []);
+
+  const loadExchangeRates = async () => {
+    const saved = await localExchangeRates.get();
+    setExchangeRates(saved);
+  };
+
+  const updateExchangeRates = async (nextExchangeRates) => {
+    setExchangeRates(nextExchangeRates);
+    await localExchangeRates.save(nextExchangeRates);
+  };
+
+  /**
+   * Set the rate of a currency, throws if the rate is invalid
+   */
+  const setExchangeRate = async (code, rate) => {
+    await updateExchangeRates(setTableRate(exchangeRates, code, rate));
+  };
+
+  const removeExchangeRate = async (code) => {
+    await updateExchangeRates(removeTableRate(exchangeRates, code));
+  };
+
+  const setBaseCurrency = async (code) => {
+    await updateExchangeRates(setTableBaseCurrency(exchangeRates, code));
+  };
+
+  const value = {
+    exchangeRates,
+    setExchangeRate,
+    removeExchangeRate,
+    setBaseCurrency,
+  };
+
+  return (
+    <CurrencyContext.Provider value={value}>
+      {children}
+    </CurrencyContext.Provider>
+  );
+};
+
+export const useCurrency = () => {
+  const context = useContext(CurrencyContext);
+  if (!context) {
+    throw new Error('useCurrency must be used within a CurrencyProvider');
+  }
+  return context;
+};
+
+export default CurrencyContext;
@@ -1,5 +1,44 @@
 import { useState } from 'react';
-import { localLoans, localUserProfile } from '../services/localStorage';
+import {
+  localCalendar,
+  localLoans,
+  localUserProfile,
+} from '../services/localStorage';
+import {
+  getEMIOutstanding,
+  getEMIInterestPaid,
+  sumMoney,
+} from '../utils/loanCalculations';
+import {
+  applyPayment,
+  applyPrepayment,
+  applySettlement,
+} from '../utils/paymentLedger';
+import {
+  accruePenalties,
+  getPenaltyOutstanding,
+  havePenaltiesChanged,
+  waivePenalty,
+} from '../utils/latePenalties';
+import { applyRateChange } from '../utils/rateChanges';
+import {
+  calculatePortfolioReturns,
+  getOutstandingPrincipal,
+} from '../utils/loanReturns';
+import { calculatePayoffQuote } from '../utils/payoffQuote';
+import { applyRestructure, getFreshAmount } from '../utils/restructuring';
+import { applyDisbursement } from '../utils/disbursements';
+import { groupLoansByCurrency } from '../utils/currencies';
+import {
+  LOAN_STATUSES,
+  getActivationUpdates,
+  getScheduleStatus,
+  isLoanDisbursed,
+  isLoanRepaying,
+  syncLoanStatus,
+  transitionLoanStatus,
+} from '../utils/loanStatus';
+import { today } from '../utils/dateUtils';
 
 /**
  * Custom hook for Local Storage operations
@@ -89,13 +128,12 @@ const useLocalStorage = () => {
 
   /**
    * Get loans for a specific user (as borrower)
-   * Fetches all loans and filters in memory
+   * Searches the loans of every account on this device, since the lender
+   * keeps them under their own account
    */
   const getUserLoansAsBorrower = async (userId) => {
     try {
-      const allLoans = await getAllLoans();
-      // Filter in memory for loans where user is the borrower
-      return allLoans.filter((loan) => loan.borrowerId === userId);
+      return await localLoans.getByBorrower(userId);
     } catch (err) {
       console.error('Error fetching user loans as borrower:', err);
       return [];
@@ -103,14 +141,14 @@ const useLocalStorage = () => {
   };
 
   /**
-   * Get active loans (loans with status 'active')
+   * Get active loans (loans being repaid: active, overdue or defaulted)
    * Fetches all loans and filters in memory
    */
   const getActiveLoans = async (userId) => {
     try {
       const userLoans = await getUserLoansAsLender(userId);
       // Filter in memory for active loans
-      return userLoans.filter((loan) => loan.status === 'active');
+      return userLoans.filter(isLoanRepaying);
     } catch (err) {
       console.error('Error fetching active loans:', err);
       return [];
@@ -175,9 +213,69 @@ const useLocalStorage = () => {
   };
 
   /**
-   * Mark an EMI as paid
+   * Delete a loan and its whole history
+   * Returns true on success
+   */
+  const deleteLoan = async (loanId) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const success = await localLoans.delete(loanId);
+      return success;
+    } catch (err) {
+      console.error('Error deleting loan:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Accrue late penalties up to today, bring the status in line with the
+   * schedule and save them if anything changed
+   * Only loans being repaid accrue penalties
+   * Returns the loan with its up-to-date penalties and status
+   */
+  const refreshLatePenalties = async (loanId) => {
+    try {
+      const loan = await getLoanById(loanId);
+      if (!loan) {
+        return null;
+      }
+
+      const penalties = isLoanRepaying(loan)
+        ? accruePenalties(loan)
+        : loan.penalties || [];
+      const calendar = await localCalendar.get();
+      const updates = {
+        ...(havePenaltiesChanged(loan.penalties, penalties)
+          ? { penalties }
+          : {}),
+        ...syncLoanStatus({ ...loan, penalties }, calendar),
+      };
+
+      if (Object.keys(updates).length === 0) {
+        return loan;
+      }
+
+      await updateLoan(loanId, updates);
+      return { ...loan, ...updates };
+    } catch (err) {
+      console.error('Error accruing penalties:', err);
+      setError(err.message);
+      return null;
+    }
+  };
+
+  /**
+   * Record a payment in the loan's ledger
+   * Penalties are accrued up to the payment date and the amount is allocated
+   * to the oldest outstanding EMIs (and their penalties) first,
+   * or to `emiIndex` first when given
    */
-  const markEMIAsPaid = async (loanId, emiIndex) => {
+  const recordPayment = async (loanId, paymentData, emiIndex = null) => {
     try {
       setLoading(true);
       setError(null);
@@ -188,29 +286,351 @@ const useLocalStorage = () => {
         throw new Error('Loan not found');
       }
 
-      // Update the EMI status
-      const updatedEMIs = [...loan.emis];
-      updatedEMIs[emiIndex] = {
-        ...updatedEMIs[emiIndex],
-        paid: true,
-        paidDate: new Date().toISOString(),
-      };
+      if (!isLoanRepaying(loan)) {
+        throw new Error('Payments can only be recorded on a running loan');
+      }
 
-      // Calculate if loan is fully paid
-      const allPaid = updatedEMIs.every((emi) => emi.paid);
-      const newStatus = allPaid ? 'completed' : 'active';
+      const { emis, penalties, payments } = applyPayment(
+        {
+          ...loan,
+          penalties: accruePenalties(loan, paymentData.date || today()),
+        },
+        paymentData,
+        emiIndex
+      );
+
+      // Completed once fully paid, penalties included, and no longer overdue
+      // once the overdue EMIs are covered
+      const calendar = await localCalendar.get();
+      const statusUpdates = syncLoanStatus(
+        { ...loan, emis, penalties },
+        calendar
+      );
 
       // Update the loan
       await updateLoan(loanId, {
-        emis: updatedEMIs,
-        status: newStatus,
+        emis,
+        penalties,
+        payments,
+        ...statusUpdates,
       });
 
       return true;
+    } catch (err) {
+      console.error('Error recording payment:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Record a prepayment of extra principal
+   * Penalties are accrued up to the payment date and the EMIs due after it
+   * are regenerated to reduce either the EMI or the tenure
+   */
+  const recordPrepayment = async (loanId, paymentData, mode) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const loan = await getLoanById(loanId);
+      if (!loan) {
+        throw new Error('Loan not found');
+      }
+
+      if (!isLoanRepaying(loan)) {
+        throw new Error('Payments can only be recorded on a running loan');
+      }
+
+      const calendar = await localCalendar.get();
+      const { emis, penalties, payments } = applyPrepayment(
+        {
+          ...loan,
+          penalties: accruePenalties(loan, paymentData.date || today()),
+        },
+        paymentData,
+        mode,
+        calendar
+      );
+
+      await updateLoan(loanId, {
+        emis,
+        penalties,
+        payments,
+      });
+
+      return true;
+    } catch (err) {
+      console.error('Error recording prepayment:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Mark an EMI as paid
+   * Records a payment for whatever is still outstanding on that EMI,
+   * including any late penalty on it
+   */
+  const markEMIAsPaid = async (loanId, emiIndex, paymentData = {}) => {
+    try {
+      const loan = await getLoanById(loanId);
+      if (!loan) {
+        throw new Error('Loan not found');
+      }
+
+      const penalty = accruePenalties(
+        loan,
+        paymentData.date || today()
+      ).find((p) => p.emiIndex === emiIndex);
+      const penaltyDue = penalty ? getPenaltyOutstanding(penalty) : 0;
+
+      return await recordPayment(
+        loanId,
+        {
+          ...paymentData,
+          amount: getEMIOutstanding(loan.emis[emiIndex]) + penaltyDue,
+        },
+        emiIndex
+      );
     } catch (err) {
       console.error('Error marking EMI as paid:', err);
       setError(err.message);
       return false;
+    }
+  };
+
+  /**
+   * Waive a late penalty
+   * The lender has to give a reason, which is kept on the penalty
+   */
+  const waiveLatePenalty = async (loanId, penaltyId, reason) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const loan = await getLoanById(loanId);
+      if (!loan) {
+        throw new Error('Loan not found');
+      }
+
+      const penalties = waivePenalty(loan.penalties || [], penaltyId, reason);
+      const calendar = await localCalendar.get();
+
+      await updateLoan(loanId, {
+        penalties,
+        ...syncLoanStatus({ ...loan, penalties }, calendar),
+      });
+
+      return true;
+    } catch (err) {
+      console.error('Error waiving penalty:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Change the interest rate from an effective date
+   * Unpaid EMIs from that date on are regenerated at the new rate
+   */
+  const changeInterestRate = async (loanId, rateChange) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const loan = await getLoanById(loanId);
+      if (!loan) {
+        throw new Error('Loan not found');
+      }
+
+      if (!isLoanRepaying(loan)) {
+        throw new Error('The rate can only be changed on a running loan');
+      }
+
+      const calendar = await localCalendar.get();
+      await updateLoan(loanId, applyRateChange(loan, rateChange, calendar));
+
+      return true;
+    } catch (err) {
+      console.error('Error changing interest rate:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Close a loan early
+   * Records the payoff amount on `closure.date` as a settlement, settles the
+   * remaining EMIs and marks the loan completed
+   */
+  const closeLoan = async (loanId, closure) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const loan = await getLoanById(loanId);
+      if (!loan) {
+        throw new Error('Loan not found');
+      }
+
+      const quote = calculatePayoffQuote(
+        loan,
+        closure.date || today(),
+        closure.foreclosureFee
+      );
+      const { emis, penalties, payments, payment } = applySettlement(
+        loan,
+        quote,
+        closure
+      );
+
+      await updateLoan(loanId, {
+        emis,
+        penalties,
+        payments,
+        closure: {
+          date: quote.payoffDate,
+          amount: quote.total,
+          foreclosureFee: quote.foreclosureFee,
+          paymentId: payment.id,
+        },
+        ...transitionLoanStatus(loan, LOAN_STATUSES.COMPLETED, 'Closed early'),
+      });
+
+      return true;
+    } catch (err) {
+      console.error('Error closing loan:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Restructure a loan into a new one with new terms
+   * Closes the current schedule at its outstanding balance on `terms.date`
+   * and carries it into a new loan linked back to this one
+   * Returns the new loan, or null
+   */
+  const restructureLoan = async (loanId, terms) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const loan = await getLoanById(loanId);
+      if (!loan) {
+        throw new Error('Loan not found');
+      }
+
+      const calendar = await localCalendar.get();
+      const { closedLoan, newLoan } = applyRestructure(
+        { ...loan, id: loanId },
+        terms,
+        calendar
+      );
+
+      const createdLoan = await createLoan(newLoan);
+      if (!createdLoan) {
+        throw new Error('Could not create the restructured loan');
+      }
+
+      await updateLoan(loanId, {
+        ...closedLoan,
+        restructure: { ...closedLoan.restructure, intoLoanId: createdLoan.id },
+      });
+
+      return createdLoan;
+    } catch (err) {
+      console.error('Error restructuring loan:', err);
+      setError(err.message);
+      return null;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Move a loan to another status by hand, e.g. write it off
+   * Draft and pending loans restart their schedule from the day they are
+   * activated. Returns true on success
+   */
+  const changeLoanStatus = async (loanId, status, reason = '') => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const loan = await getLoanById(loanId);
+      if (!loan) {
+        throw new Error('Loan not found');
+      }
+
+      const calendar = await localCalendar.get();
+      let updates = transitionLoanStatus(loan, status, reason);
+
+      if (status === LOAN_STATUSES.ACTIVE && !isLoanDisbursed(loan)) {
+        updates = { ...updates, ...getActivationUpdates(loan, calendar) };
+      }
+
+      // A reinstated loan that is still behind goes straight to overdue
+      const updated = { ...loan, ...updates };
+      await updateLoan(loanId, {
+        ...updates,
+        ...syncLoanStatus(updated, calendar),
+      });
+
+      return true;
+    } catch (err) {
+      console.error('Error changing loan status:', err);
+      setError(err.message);
+      return false;
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Lend more on a running loan
+   * Adds the tranche on `disbursement.date` and regenerates the unpaid
+   * installments for the larger balance. Returns true on success
+   */
+  const addDisbursement = async (loanId, disbursement) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const loan = await getLoanById(loanId);
+      if (!loan) {
+        throw new Error('Loan not found');
+      }
+
+      if (!isLoanRepaying(loan)) {
+        throw new Error('Top-ups can only be added to a running loan');
+      }
+
+      const calendar = await localCalendar.get();
+      const updates = applyDisbursement(loan, disbursement, calendar);
+
+      // Installments due before the top-up may still be overdue
+      await updateLoan(loanId, {
+        ...updates,
+        ...syncLoanStatus({ ...loan, ...updates }, calendar),
+      });
+
+      return true;
+    } catch (err) {
+      console.error('Error adding disbursement:', err);
+      setError(err.message);
+      return false;
     } finally {
       setLoading(false);
     }
@@ -249,53 +669,97 @@ const useLocalStorage = () => {
   // ==================== ANALYTICS / METRICS ====================
 
   /**
-   * Calculate user metrics (total lended, interest earned, avg return)
+   * Calculate user metrics (total lended, interest earned, avg return, XIRR)
    * Fetches loans and calculates in memory
+   * Amounts are in `totals`, keyed by currency, loan counts cover them all
    */
   const getUserMetrics = async (userId) => {
     try {
-      const userLoans = await getUserLoansAsLender(userId);
+      const allLoans = await getUserLoansAsLender(userId);
+      // Drafts, loans awaiting acceptance and cancelled loans lent nothing
+      const userLoans = allLoans.filter(isLoanDisbursed);
+      const calendar = await localCalendar.get();
+      const statuses = new Map(
+        userLoans.map((loan) => [loan, getScheduleStatus(loan, calendar)])
+      );
+      const getLoansIn = (loans, ...wanted) =>
+        loans.filter((loan) => wanted.includes(statuses.get(loan)));
+
+      // Amounts only add up within a currency
+      const getCurrencyTotals = (loans) => {
+        // A restructured balance is counted once, on the closed loan
+        const totalLended = sumMoney(loans.map(getFreshAmount));
+
+        // Calculate interest from EMIs, in minor units like the schedule
+        const emis = loans.flatMap((loan) =>
+          Array.isArray(loan.emis) ? loan.emis : []
+        );
+        const totalExpectedInterest = sumMoney(
+          emis.map((emi) => emi.interest || 0)
+        );
+        const totalInterestEarned = sumMoney(emis.map(getEMIInterestPaid));
+
+        const avgReturn =
+          totalLended > 0
+            ? ((totalExpectedInterest / totalLended) * 100).toFixed(2)
+            : 0;
+
+        return {
+          totalLended,
+          totalInterestEarned,
+          totalExpectedInterest,
+          avgReturn,
+          // Interest and XIRR on the real dates money changed hands
+          ...calculatePortfolioReturns(loans),
+          // Principal still owed on loans that have fallen behind
+          atRiskAmount: getOutstandingPrincipal(
+            getLoansIn(
+              loans,
+              LOAN_STATUSES.OVERDUE,
+              LOAN_STATUSES.DEFAULTED
+            ).flatMap((loan) => loan.emis || [])
+          ),
+          writtenOffAmount: getOutstandingPrincipal(
+            getLoansIn(loans, LOAN_STATUSES.WRITTEN_OFF).flatMap(
+              (loan) => loan.emis || []
+            )
+          ),
+        };
+      };
 
-      let totalLended = 0;
-      let totalInterestEarned = 0;
-      let totalExpectedInterest = 0;
-
-      userLoans.forEach((loan) => {
-        totalLended += loan.amount || 0;
-
-        // Calculate interest from EMIs
-        if (loan.emis && Array.isArray(loan.emis)) {
-          loan.emis.forEach((emi) => {
-            totalExpectedInterest += emi.interest || 0;
-            if (emi.paid) {
-              totalInterestEarned += emi.interest || 0;
-            }
-          });
+      const totals = {};
+      Object.entries(groupLoansByCurrency(userLoans)).forEach(
+        ([currency, loans]) => {
+          totals[currency] = getCurrencyTotals(loans);
         }
-      });
-
-      const avgReturn =
-        totalLended > 0
-          ? ((totalExpectedInterest / totalLended) * 100).toFixed(2)
-          : 0;
+      );
 
       return {
-        totalLended,
-        totalInterestEarned,
-        totalExpectedInterest,
-        avgReturn,
+        totals,
         totalLoans: userLoans.length,
-        activeLoans: userLoans.filter((l) => l.status === 'active').length,
+        activeLoans: getLoansIn(
+          userLoans,
+          LOAN_STATUSES.ACTIVE,
+          LOAN_STATUSES.OVERDUE,
+          LOAN_STATUSES.DEFAULTED
+        ).length,
+        overdueLoans: getLoansIn(userLoans, LOAN_STATUSES.OVERDUE).length,
+        defaultedLoans: getLoansIn(userLoans, LOAN_STATUSES.DEFAULTED).length,
+        pendingLoans: allLoans.filter(
+          (loan) =>
+            loan.status === LOAN_STATUSES.DRAFT ||
+            loan.status === LOAN_STATUSES.PENDING_ACCEPTANCE
+        ).length,
       };
     } catch (err) {
       console.error('Error calculating user metrics:', err);
       return {
-        totalLended: 0,
-        totalInterestEarned: 0,
-        totalExpectedInterest: 0,
-        avgReturn: 0,
+        totals: {},
         totalLoans: 0,
         activeLoans: 0,
+        overdueLoans: 0,
+        defaultedLoans: 0,
+        pendingLoans: 0,
       };
     }
   };
@@ -314,7 +778,17 @@ const useLocalStorage = () => {
     getLoanById,
     createLoan,
     updateLoan,
+    deleteLoan,
+    refreshLatePenalties,
+    recordPayment,
+    recordPrepayment,
     markEMIAsPaid,
+    waiveLatePenalty,
+    changeInterestRate,
+    closeLoan,
+    restructureLoan,
+    changeLoanStatus,
+    addDisbursement,
     // Real-time listeners
     subscribeLoanUpdates,
     subscribeAllLoans,
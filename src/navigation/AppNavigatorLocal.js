@@ -14,6 +14,11 @@ import DashboardScreen from '../screens/Dashboard/DashboardScreen';
 import LoanCreationWizard from '../screens/LoanCreation/LoanCreationWizard';
 import LoanDetailScreen from '../screens/LoanDetail/LoanDetailScreen';
 import ProfileScreen from '../screens/Profile/ProfileScreen';
+import HolidayCalendarScreen from '../screens/Profile/HolidayCalendarScreen';
+import ExchangeRatesScreen from '../screens/Profile/ExchangeRatesScreen';
+import AppLockSettingsScreen from '../screens/Profile/AppLockSettingsScreen';
+import AccountSecurityScreen from '../screens/Profile/AccountSecurityScreen';
+import SwitchAccountScreen from '../screens/Profile/SwitchAccountScreen';
 
 const Stack = createStackNavigator();
 const Tab = createBottomTabNavigator();
@@ -151,6 +156,41 @@ const MainStack = () => {
           title: 'Loan Details',
         }}
       />
+      <Stack.Screen
+        name="HolidayCalendar"
+        component={HolidayCalendarScreen}
+        options={{
+          title: 'Holidays',
+        }}
+      />
+      <Stack.Screen
+        name="ExchangeRates"
+        component={ExchangeRatesScreen}
+        options={{
+          title: 'Exchange Rates',
+        }}
+      />
+      <Stack.Screen
+        name="AppLock"
+        component={AppLockSettingsScreen}
+        options={{
+          title: 'App Lock',
+        }}
+      />
+      <Stack.Screen
+        name="AccountSecurity"
+        component={AccountSecurityScreen}
+        options={{
+          title: 'Account Security',
+        }}
+      />
+      <Stack.Screen
+        name="SwitchAccount"
+        component={SwitchAccountScreen}
+        options={{
+          title: 'Switch Account',
+        }}
+      />
     </Stack.Navigator>
   );
 };
@@ -178,7 +218,8 @@ const AppNavigatorLocal = () => {
         },
       }}
     >
-      {user ? <MainStack /> : <AuthStack />}
+      {/* Each account starts from its own dashboard after a switch */}
+      {user ? <MainStack key={user.uid} /> : <AuthStack />}
     </NavigationContainer>
   );
 };
@@ -0,0 +1,201 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import Card from '../../components/common/Card';
+import Input from '../../components/common/Input';
+import Button from '../../components/common/Button';
+import PromptModal from '../../components/common/PromptModal';
+import { PIN_LENGTH, ERASE_CONFIRMATION } from '../../utils/appLock';
+
+/**
+ * App Lock Screen
+ * Covers the app until the PIN is entered
+ * The data is encrypted with the PIN, so someone who forgot it can only
+ * erase everything and start again, after typing ERASE_CONFIRMATION
+ */
+const AppLockScreen = ({ onUnlock, onErase }) => {
+  const { theme } = useTheme();
+  const styles = createStyles(theme);
+
+  const [pin, setPin] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [showErase, setShowErase] = useState(false);
+  const [eraseError, setEraseError] = useState(null);
+  const [erasing, setErasing] = useState(false);
+
+  const handleUnlock = async () => {
+    if (!pin) {
+      setError('Please enter your PIN');
+      return;
+    }
+
+    setLoading(true);
+    try {
+      setError(null);
+      await onUnlock(pin);
+      setPin('');
+    } catch (err) {
+      setError(err.message);
+      setPin('');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleForgotPin = () => {
+    setEraseError(null);
+    setShowErase(true);
+  };
+
+  const handleErase = async (confirmation) => {
+    setErasing(true);
+    try {
+      setEraseError(null);
+      await onErase(confirmation);
+      setShowErase(false);
+    } catch (err) {
+      setEraseError(err.message);
+    } finally {
+      setErasing(false);
+    }
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+        keyboardShouldPersistTaps="handled"
+      >
+        <View style={styles.header}>
+          <View style={styles.logoContainer}>
+            <Ionicons
+              name="lock-closed"
+              size={48}
+              color={theme.colors.primary}
+            />
+          </View>
+          <Text style={styles.title}>LoanLedger is Locked</Text>
+          <Text style={styles.subtitle}>Enter your PIN to continue</Text>
+        </View>
+
+        <Card>
+          <Input
+            label="PIN"
+            value={pin}
+            onChangeText={setPin}
+            placeholder="Enter your PIN"
+            keyboardType="number-pad"
+            maxLength={PIN_LENGTH.max}
+            secureTextEntry
+            autoFocus
+            error={error}
+            onSubmitEditing={handleUnlock}
+            leftIcon={
+              <Ionicons
+                name="keypad-outline"
+                size={20}
+                color={theme.colors.textTertiary}
+              />
+            }
+          />
+
+          <Button
+            title="Unlock"
+            onPress={handleUnlock}
+            loading={loading}
+            style={styles.unlockButton}
+          />
+
+          <Button
+            title="Forgot PIN?"
+            onPress={handleForgotPin}
+            variant="ghost"
+            size="small"
+            style={styles.forgotButton}
+          />
+        </Card>
+      </ScrollView>
+
+      <PromptModal
+        visible={showErase}
+        title="Forgot PIN"
+        message={
+          'Your loans and accounts on this device are encrypted with the ' +
+          'PIN and cannot be opened without it. You can erase them all ' +
+          `and start again. Type ${ERASE_CONFIRMATION} to confirm.`
+        }
+        label="Confirmation"
+        placeholder={ERASE_CONFIRMATION}
+        submitTitle="Erase Everything"
+        requiredMessage={`Please type ${ERASE_CONFIRMATION}`}
+        inputProps={{ autoCapitalize: 'characters', autoCorrect: false }}
+        error={eraseError}
+        onSubmit={handleErase}
+        onClose={() => setShowErase(false)}
+        loading={erasing}
+      />
+    </KeyboardAvoidingView>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.colors.background,
+    },
+    scrollView: {
+      flex: 1,
+    },
+    scrollContent: {
+      padding: theme.layout.screenPadding,
+      paddingTop: theme.spacing.xxxl,
+    },
+    header: {
+      alignItems: 'center',
+      marginBottom: theme.spacing.xl,
+    },
+    logoContainer: {
+      width: 96,
+      height: 96,
+      borderRadius: 48,
+      backgroundColor: theme.colors.primaryLight + '20',
+      alignItems: 'center',
+      justifyContent: 'center',
+      marginBottom: theme.spacing.md,
+    },
+    title: {
+      fontSize: theme.typography.fontSize.xxl,
+      fontWeight: theme.typography.fontWeight.bold,
+      color: theme.colors.text,
+      marginBottom: theme.spacing.xs,
+    },
+    subtitle: {
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textSecondary,
+      textAlign: 'center',
+    },
+    unlockButton: {
+      marginTop: theme.spacing.md,
+    },
+    forgotButton: {
+      alignSelf: 'center',
+      marginTop: theme.spacing.md,
+    },
+  });
+
+export default AppLockScreen;
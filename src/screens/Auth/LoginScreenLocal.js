@@ -14,19 +14,25 @@ import { useAuth } from '../../contexts/AuthContextLocal';
 import Card from '../../components/common/Card';
 import Input from '../../components/common/Input';
 import Button from '../../components/common/Button';
+import AccountSwitcher from '../../components/auth/AccountSwitcher';
+import { MIN_PASSWORD_LENGTH } from '../../utils/passwords';
 
 /**
  * Login Screen (Local Storage Version)
  * Email/Password authentication with Local Storage
+ * A forgotten password is reset with the recovery code shown at sign-up
+ * Accounts already on the device are listed to switch into with their PIN
  */
 const LoginScreenLocal = () => {
   const { theme } = useTheme();
   const { signIn, signUp, resetPassword } = useAuth();
 
   const [isLogin, setIsLogin] = useState(true);
+  const [isResetting, setIsResetting] = useState(false);
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [name, setName] = useState('');
+  const [recoveryCode, setRecoveryCode] = useState('');
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState({});
 
@@ -40,8 +46,14 @@ const LoginScreenLocal = () => {
       newErrors.email = 'Please enter a valid email';
     }
 
-    if (!password || password.length < 6) {
-      newErrors.password = 'Password must be at least 6 characters';
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+      newErrors.password = `Password must be at least ${
+        MIN_PASSWORD_LENGTH
+      } characters`;
+    }
+
+    if (isResetting && !recoveryCode.trim()) {
+      newErrors.recoveryCode = 'Please enter your recovery code';
     }
 
     if (!isLogin && (!name || name.trim().length === 0)) {
@@ -74,8 +86,14 @@ const LoginScreenLocal = () => {
 
     setLoading(true);
     try {
-      await signUp(email, password, name.trim());
+      const user = await signUp(email, password, name.trim());
       // Navigation will be handled by AuthContext
+      showRecoveryCode(
+        'Save Your Recovery Code',
+        'If you forget your password, this code is the only way to reset ' +
+          'it. Write it down and keep it somewhere safe.',
+        user.recoveryCode
+      );
     } catch (error) {
       console.error('Signup error:', error);
       Alert.alert('Signup Failed', error.message || 'Failed to create account');
@@ -84,22 +102,44 @@ const LoginScreenLocal = () => {
     }
   };
 
+  // Recovery codes are shown once, when they are made
+  const showRecoveryCode = (title, message, code) => {
+    Alert.alert(title, `${message}\n\n${code}`, [{ text: "I've Saved It" }]);
+  };
+
   // Handle forgot password
-  const handleForgotPassword = async () => {
-    if (!email || !email.includes('@')) {
-      Alert.alert('Error', 'Please enter your email address');
-      return;
-    }
+  const handleForgotPassword = () => {
+    setIsResetting(true);
+    setPassword('');
+    setErrors({});
+  };
+
+  // Handle password reset with the recovery code
+  const handleResetPassword = async () => {
+    if (!validate()) return;
 
+    setLoading(true);
     try {
-      await resetPassword(email);
-      Alert.alert(
+      const nextRecoveryCode = await resetPassword(
+        email,
+        recoveryCode,
+        password
+      );
+
+      setIsResetting(false);
+      setPassword('');
+      setRecoveryCode('');
+      showRecoveryCode(
         'Password Reset',
-        'Password reset instructions logged to console (mock implementation)'
+        'Sign in with your new password. The recovery code you used no ' +
+          'longer works, write down the new one:',
+        nextRecoveryCode
       );
     } catch (error) {
       console.error('Password reset error:', error);
-      Alert.alert('Error', error.message || 'Failed to send password reset');
+      Alert.alert('Error', error.message || 'Failed to reset the password');
+    } finally {
+      setLoading(false);
     }
   };
 
@@ -109,6 +149,34 @@ const LoginScreenLocal = () => {
     setErrors({});
   };
 
+  // Leave the password reset for the sign in form
+  const cancelReset = () => {
+    setIsResetting(false);
+    setPassword('');
+    setRecoveryCode('');
+    setErrors({});
+  };
+
+  const getCardTitle = () => {
+    if (isResetting) return 'Reset Password';
+    return isLogin ? 'Welcome Back' : 'Create Account';
+  };
+
+  const getCardSubtitle = () => {
+    if (isResetting) return 'Use the recovery code you saved at sign up';
+    return isLogin ? 'Sign in to continue' : 'Sign up to start tracking loans';
+  };
+
+  const getSubmitHandler = () => {
+    if (isResetting) return handleResetPassword;
+    return isLogin ? handleLogin : handleSignup;
+  };
+
+  const getSubmitTitle = () => {
+    if (isResetting) return 'Reset Password';
+    return isLogin ? 'Sign In' : 'Create Account';
+  };
+
   return (
     <KeyboardAvoidingView
       style={styles.container}
@@ -134,16 +202,18 @@ const LoginScreenLocal = () => {
           </View>
         </View>
 
+        {/* Accounts on this device */}
+        {isLogin && !isResetting && (
+          <AccountSwitcher
+            title="Continue As"
+            style={styles.accountSwitcher}
+          />
+        )}
+
         {/* Auth Card */}
         <Card style={styles.authCard}>
-          <Text style={styles.cardTitle}>
-            {isLogin ? 'Welcome Back' : 'Create Account'}
-          </Text>
-          <Text style={styles.cardSubtitle}>
-            {isLogin
-              ? 'Sign in to continue'
-              : 'Sign up to start tracking loans'}
-          </Text>
+          <Text style={styles.cardTitle}>{getCardTitle()}</Text>
+          <Text style={styles.cardSubtitle}>{getCardSubtitle()}</Text>
 
           {/* Name Input (Signup only) */}
           {!isLogin && (
@@ -181,16 +251,40 @@ const LoginScreenLocal = () => {
             }
           />
 
+          {/* Recovery Code Input (Reset only) */}
+          {isResetting && (
+            <Input
+              label="Recovery Code"
+              value={recoveryCode}
+              onChangeText={setRecoveryCode}
+              placeholder="XXXX-XXXX-XXXX-XXXX"
+              autoCapitalize="characters"
+              autoCorrect={false}
+              error={errors.recoveryCode}
+              leftIcon={
+                <Ionicons
+                  name="key-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+          )}
+
           {/* Password Input */}
           <Input
-            label="Password"
+            label={isResetting ? 'New Password' : 'Password'}
             value={password}
             onChangeText={setPassword}
-            placeholder="Enter your password"
+            placeholder={
+              isResetting ? 'Enter a new password' : 'Enter your password'
+            }
             secureTextEntry
             error={errors.password}
             helperText={
-              !isLogin ? 'Must be at least 6 characters' : undefined
+              !isLogin || isResetting
+                ? `Must be at least ${MIN_PASSWORD_LENGTH} characters`
+                : undefined
             }
             leftIcon={
               <Ionicons
@@ -202,7 +296,7 @@ const LoginScreenLocal = () => {
           />
 
           {/* Forgot Password (Login only) */}
-          {isLogin && (
+          {isLogin && !isResetting && (
             <Button
               title="Forgot Password?"
               onPress={handleForgotPassword}
@@ -214,26 +308,36 @@ const LoginScreenLocal = () => {
 
           {/* Submit Button */}
           <Button
-            title={isLogin ? 'Sign In' : 'Create Account'}
-            onPress={isLogin ? handleLogin : handleSignup}
+            title={getSubmitTitle()}
+            onPress={getSubmitHandler()}
             loading={loading}
             style={styles.submitButton}
           />
 
           {/* Toggle Mode */}
-          <View style={styles.toggleContainer}>
-            <Text style={styles.toggleText}>
-              {isLogin
-                ? "Don't have an account? "
-                : 'Already have an account? '}
-            </Text>
+          {isResetting ? (
             <Button
-              title={isLogin ? 'Sign Up' : 'Sign In'}
-              onPress={toggleMode}
+              title="Back to Sign In"
+              onPress={cancelReset}
               variant="ghost"
               size="small"
+              style={styles.backButton}
             />
-          </View>
+          ) : (
+            <View style={styles.toggleContainer}>
+              <Text style={styles.toggleText}>
+                {isLogin
+                  ? "Don't have an account? "
+                  : 'Already have an account? '}
+              </Text>
+              <Button
+                title={isLogin ? 'Sign Up' : 'Sign In'}
+                onPress={toggleMode}
+                variant="ghost"
+                size="small"
+              />
+            </View>
+          )}
         </Card>
 
         {/* Info Card */}
@@ -311,6 +415,9 @@ const createStyles = (theme) =>
       fontWeight: theme.typography.fontWeight.bold,
       color: theme.colors.success,
     },
+    accountSwitcher: {
+      marginBottom: theme.spacing.lg,
+    },
     authCard: {
       marginBottom: theme.spacing.lg,
     },
@@ -333,6 +440,10 @@ const createStyles = (theme) =>
     submitButton: {
       marginTop: theme.spacing.md,
     },
+    backButton: {
+      alignSelf: 'center',
+      marginTop: theme.spacing.md,
+    },
     toggleContainer: {
       flexDirection: 'row',
       alignItems: 'center',
@@ -10,37 +10,129 @@ import {
 import { useFocusEffect, useNavigation } from '@react-navigation/native';
 import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../../contexts/ThemeContext';
+import { useCalendar } from '../../contexts/CalendarContext';
+import { useCurrency } from '../../contexts/CurrencyContext';
 import { useAuth } from '../../contexts/AuthContextLocal';
 import useLocalStorage from '../../hooks/useLocalStorage';
 import Card from '../../components/common/Card';
 import Button from '../../components/common/Button';
 import LegalDisclaimer from '../../components/common/LegalDisclaimer';
+import SegmentedControl from '../../components/common/SegmentedControl';
+import { getLoanStatusColor } from '../../components/loan/LoanStatusBadge';
 import {
   formatCurrency,
   formatDate,
   getNextEMIDueDate,
   getDaysUntilDue,
+  getScheduleOptions,
   calculateLoanProgress,
 } from '../../utils/loanCalculations';
+import { adjustDueDate } from '../../utils/businessCalendar';
+import { calculateLoanReturns, formatXIRR } from '../../utils/loanReturns';
+import {
+  LOAN_STATUSES,
+  LOAN_STATUS_LABELS,
+  getScheduleStatus,
+} from '../../utils/loanStatus';
+import {
+  CURRENCY_OPTIONS,
+  DEFAULT_CURRENCY,
+  combineAmounts,
+  getLoanCurrency,
+} from '../../utils/currencies';
+import {
+  formatRateShort,
+  getRateConvention,
+} from '../../utils/rateConventions';
+
+// Loan list filters and the statuses each one shows
+const LOAN_FILTERS = {
+  OPEN: 'open',
+  OVERDUE: 'overdue',
+  PENDING: 'pending',
+  CLOSED: 'closed',
+};
+
+const LOAN_FILTER_LABELS = {
+  [LOAN_FILTERS.OPEN]: 'Active',
+  [LOAN_FILTERS.OVERDUE]: 'Overdue',
+  [LOAN_FILTERS.PENDING]: 'Pending',
+  [LOAN_FILTERS.CLOSED]: 'Closed',
+};
+
+const LOAN_FILTER_STATUSES = {
+  [LOAN_FILTERS.OPEN]: [
+    LOAN_STATUSES.ACTIVE,
+    LOAN_STATUSES.OVERDUE,
+    LOAN_STATUSES.DEFAULTED,
+  ],
+  [LOAN_FILTERS.OVERDUE]: [LOAN_STATUSES.OVERDUE, LOAN_STATUSES.DEFAULTED],
+  [LOAN_FILTERS.PENDING]: [
+    LOAN_STATUSES.DRAFT,
+    LOAN_STATUSES.PENDING_ACCEPTANCE,
+  ],
+  [LOAN_FILTERS.CLOSED]: [
+    LOAN_STATUSES.COMPLETED,
+    LOAN_STATUSES.SETTLED,
+    LOAN_STATUSES.WRITTEN_OFF,
+    LOAN_STATUSES.CANCELLED,
+    LOAN_STATUSES.RESTRUCTURED,
+  ],
+};
+
+const LOAN_FILTER_OPTIONS = Object.values(LOAN_FILTERS).map((filter) => ({
+  label: LOAN_FILTER_LABELS[filter],
+  value: filter,
+}));
+
+// Totals shown before anything has been lent
+const EMPTY_TOTALS = {
+  totalLended: 0,
+  totalInterestEarned: 0,
+  avgReturn: 0,
+  realizedInterest: 0,
+  projectedInterest: 0,
+  realizedXIRR: null,
+  projectedXIRR: null,
+  atRiskAmount: 0,
+  writtenOffAmount: 0,
+};
+
+// Totals that can be combined across currencies, XIRR cannot
+const COMBINED_TOTALS = [
+  { key: 'totalLended', label: 'Total Lended' },
+  { key: 'totalInterestEarned', label: 'Interest Earned' },
+  { key: 'atRiskAmount', label: 'At Risk' },
+  { key: 'writtenOffAmount', label: 'Written Off' },
+];
 
 /**
  * Dashboard Screen
- * Shows metrics and active loans for the lender
+ * Shows metrics and the lender's loans, filtered by where they are in their
+ * lifecycle (active, overdue, pending or closed)
+ * Returns are XIRR on the real dates money was lent and received
+ * Amounts are totalled per currency, and combined into the base currency
+ * when the exchange rate table has a rate for each of them
  */
 const DashboardScreen = () => {
   const { theme } = useTheme();
   const navigation = useNavigation();
   const { user } = useAuth();
-  const { getUserMetrics, getActiveLoans, loading } = useLocalStorage();
+  const { calendar } = useCalendar();
+  const { exchangeRates } = useCurrency();
+  const { getUserMetrics, getUserLoansAsLender, loading } = useLocalStorage();
 
   const [metrics, setMetrics] = useState({
-    totalLended: 0,
-    totalInterestEarned: 0,
-    avgReturn: 0,
+    totals: {},
     totalLoans: 0,
     activeLoans: 0,
+    overdueLoans: 0,
+    defaultedLoans: 0,
+    pendingLoans: 0,
   });
-  const [activeLoans, setActiveLoans] = useState([]);
+  const [loans, setLoans] = useState([]);
+  const [currency, setCurrency] = useState(null);
+  const [filter, setFilter] = useState(LOAN_FILTERS.OPEN);
   const [refreshing, setRefreshing] = useState(false);
 
   const styles = createStyles(theme);
@@ -52,11 +144,11 @@ const DashboardScreen = () => {
     try {
       const [metricsData, loansData] = await Promise.all([
         getUserMetrics(user.uid),
-        getActiveLoans(user.uid),
+        getUserLoansAsLender(user.uid),
       ]);
 
       setMetrics(metricsData);
-      setActiveLoans(loansData);
+      setLoans(loansData);
     } catch (error) {
       console.error('Error loading dashboard data:', error);
     }
@@ -97,16 +189,95 @@ const DashboardScreen = () => {
     </Card>
   );
 
+  // Totals of the chosen currency, or the first one lent in
+  const currencies = Object.keys(metrics.totals);
+  const shownCurrency = currencies.includes(currency)
+    ? currency
+    : currencies[0] || DEFAULT_CURRENCY;
+  const totals = metrics.totals[shownCurrency] || EMPTY_TOTALS;
+  const formatAmount = (amount) => formatCurrency(amount, shownCurrency);
+  const currencyOptions = CURRENCY_OPTIONS.filter((option) =>
+    currencies.includes(option.value)
+  );
+
+  // A total across every currency, through the exchange rate table
+  const getCombinedTotal = (key) => {
+    const amounts = {};
+    currencies.forEach((code) => {
+      amounts[code] = metrics.totals[code][key];
+    });
+    return combineAmounts(amounts, exchangeRates);
+  };
+
+  // Render the totals of every currency added up in the base currency
+  const renderCombinedTotals = () => {
+    const { baseCurrency } = exchangeRates;
+    const combined = COMBINED_TOTALS.map((total) => ({
+      ...total,
+      ...getCombinedTotal(total.key),
+    }));
+    const { missing } = combined[0];
+
+    return (
+      <Card style={styles.returnsCard}>
+        <Text style={styles.combinedTitle}>Combined in {baseCurrency}</Text>
+
+        {combined.map((total) => (
+          <View key={total.key} style={styles.returnsRow}>
+            <Text style={styles.returnsLabel}>{total.label}</Text>
+            <Text style={styles.returnsValue}>
+              {formatCurrency(total.amount, baseCurrency)}
+            </Text>
+          </View>
+        ))}
+
+        <Text style={styles.returnsNote}>
+          {missing.length > 0
+            ? `No rate for ${missing.join(', ')} yet, left out of these totals.`
+            : 'Converted with the rates in Profile → Exchange Rates.'}
+        </Text>
+
+        {missing.length > 0 && (
+          <Button
+            title="Set Rates"
+            onPress={() => navigation.navigate('ExchangeRates')}
+            variant="ghost"
+            size="small"
+            style={styles.combinedButton}
+          />
+        )}
+      </Card>
+    );
+  };
+
+  // Statuses follow the schedule here, so a loan counts as overdue as soon
+  // as an EMI is late, before its detail screen saves the change
+  const getStatus = (loan) => getScheduleStatus(loan, calendar);
+  const filteredLoans = loans.filter((loan) =>
+    LOAN_FILTER_STATUSES[filter].includes(getStatus(loan))
+  );
+  const filterLabel = LOAN_FILTER_LABELS[filter];
+
   // Render loan card
   const renderLoanCard = (loan) => {
-    const nextEMI = getNextEMIDueDate(loan.emis);
+    const status = getStatus(loan);
+    const { dueDateAdjustment } = getScheduleOptions(loan);
+    const dueDate = getNextEMIDueDate(loan.emis);
+    // Expected on the business day the due date is moved to
+    const nextEMI = dueDate
+      ? adjustDueDate(dueDate, dueDateAdjustment, calendar)
+      : null;
     const progress = calculateLoanProgress(loan.emis);
     const daysUntilDue = nextEMI ? getDaysUntilDue(nextEMI) : null;
+    const { realizedXIRR } = calculateLoanReturns(loan);
 
     let statusColor = theme.colors.success;
     let statusText = 'On Track';
 
-    if (daysUntilDue !== null) {
+    if (status !== LOAN_STATUSES.ACTIVE && status !== LOAN_STATUSES.OVERDUE) {
+      statusColor = getLoanStatusColor(status, theme);
+      statusText = LOAN_STATUS_LABELS[status];
+    } else if (daysUntilDue !== null) {
       if (daysUntilDue < 0) {
         statusColor = theme.colors.error;
         statusText = `${Math.abs(daysUntilDue)} days overdue`;
@@ -135,7 +306,7 @@ const DashboardScreen = () => {
             <View style={styles.loanHeaderInfo}>
               <Text style={styles.borrowerName}>{loan.borrowerName}</Text>
               <Text style={styles.loanAmount}>
-                {formatCurrency(loan.amount)}
+                {formatCurrency(loan.amount, getLoanCurrency(loan))}
               </Text>
             </View>
           </View>
@@ -183,7 +354,22 @@ const DashboardScreen = () => {
               color={theme.colors.textTertiary}
             />
             <Text style={styles.loanInfoText}>
-              {(loan.annualInterestRate / 12).toFixed(2)}% /mo
+              {formatRateShort(
+                loan.annualInterestRate,
+                getRateConvention(loan),
+                getLoanCurrency(loan)
+              )}
+            </Text>
+          </View>
+
+          <View style={styles.loanInfoItem}>
+            <Ionicons
+              name="stats-chart-outline"
+              size={16}
+              color={theme.colors.textTertiary}
+            />
+            <Text style={styles.loanInfoText}>
+              XIRR {formatXIRR(realizedXIRR)}
             </Text>
           </View>
         </View>
@@ -205,33 +391,90 @@ const DashboardScreen = () => {
         <View style={styles.metricsSection}>
           <Text style={styles.sectionTitle}>Your Portfolio</Text>
 
+          {currencyOptions.length > 1 && (
+            <SegmentedControl
+              options={currencyOptions}
+              value={shownCurrency}
+              onChange={setCurrency}
+            />
+          )}
+
           <View style={styles.metricsGrid}>
             {renderMetricCard(
               'cash',
               'Total Lended',
-              formatCurrency(metrics.totalLended),
+              formatAmount(totals.totalLended),
               theme.colors.primary
             )}
             {renderMetricCard(
               'trending-up',
               'Interest Earned',
-              formatCurrency(metrics.totalInterestEarned),
+              formatAmount(totals.totalInterestEarned),
               theme.colors.success
             )}
             {renderMetricCard(
               'stats-chart',
-              'Avg. Return',
-              `${metrics.avgReturn}%`,
+              'XIRR to Date',
+              formatXIRR(totals.realizedXIRR),
               theme.colors.warning
             )}
+            {renderMetricCard(
+              'alert-circle',
+              `At Risk (${metrics.overdueLoans + metrics.defaultedLoans})`,
+              formatAmount(totals.atRiskAmount),
+              theme.colors.error
+            )}
+            {renderMetricCard(
+              'close-circle',
+              'Written Off',
+              formatAmount(totals.writtenOffAmount),
+              theme.colors.textSecondary
+            )}
           </View>
+
+          {/* Realized vs Projected */}
+          <Card style={styles.returnsCard}>
+            <View style={styles.returnsHeader}>
+              <Text style={styles.returnsHeaderText} />
+              <Text style={styles.returnsHeaderText}>Realized</Text>
+              <Text style={styles.returnsHeaderText}>Projected</Text>
+            </View>
+
+            <View style={styles.returnsRow}>
+              <Text style={styles.returnsLabel}>Interest</Text>
+              <Text style={styles.returnsValue}>
+                {formatAmount(totals.realizedInterest)}
+              </Text>
+              <Text style={styles.returnsValue}>
+                {formatAmount(totals.projectedInterest)}
+              </Text>
+            </View>
+
+            <View style={styles.returnsRow}>
+              <Text style={styles.returnsLabel}>XIRR</Text>
+              <Text style={styles.returnsValue}>
+                {formatXIRR(totals.realizedXIRR)}
+              </Text>
+              <Text style={styles.returnsValue}>
+                {formatXIRR(totals.projectedXIRR)}
+              </Text>
+            </View>
+
+            <Text style={styles.returnsNote}>
+              Realized counts the payments received so far and what is still
+              owed at its principal. Projected assumes every remaining EMI is
+              paid on time.
+            </Text>
+          </Card>
+
+          {currencies.length > 1 && renderCombinedTotals()}
         </View>
 
-        {/* Active Loans Section */}
+        {/* Loans Section */}
         <View style={styles.loansSection}>
           <View style={styles.sectionHeader}>
             <Text style={styles.sectionTitle}>
-              Active Loans ({activeLoans.length})
+              {filterLabel} Loans ({filteredLoans.length})
             </Text>
             <Button
               title="New Loan"
@@ -249,8 +492,14 @@ const DashboardScreen = () => {
             />
           </View>
 
-          {activeLoans.length > 0 ? (
-            activeLoans.map((loan) => renderLoanCard(loan))
+          <SegmentedControl
+            options={LOAN_FILTER_OPTIONS}
+            value={filter}
+            onChange={setFilter}
+          />
+
+          {filteredLoans.length > 0 ? (
+            filteredLoans.map((loan) => renderLoanCard(loan))
           ) : (
             <Card style={styles.emptyState}>
               <Ionicons
@@ -258,7 +507,9 @@ const DashboardScreen = () => {
                 size={48}
                 color={theme.colors.textTertiary}
               />
-              <Text style={styles.emptyStateTitle}>No Active Loans</Text>
+              <Text style={styles.emptyStateTitle}>
+                No {filterLabel} Loans
+              </Text>
               <Text style={styles.emptyStateText}>
                 Create your first loan to start tracking payments
               </Text>
@@ -331,6 +582,52 @@ const createStyles = (theme) =>
       color: theme.colors.text,
       textAlign: 'center',
     },
+    returnsCard: {
+      marginTop: theme.spacing.sm,
+      marginHorizontal: theme.spacing.xs,
+    },
+    returnsHeader: {
+      flexDirection: 'row',
+      marginBottom: theme.spacing.xs,
+    },
+    returnsHeaderText: {
+      flex: 1,
+      fontSize: theme.typography.fontSize.xs,
+      color: theme.colors.textTertiary,
+      textAlign: 'right',
+    },
+    returnsRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      paddingVertical: theme.spacing.xs,
+    },
+    returnsLabel: {
+      flex: 1,
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textSecondary,
+    },
+    returnsValue: {
+      flex: 1,
+      fontSize: theme.typography.fontSize.md,
+      fontWeight: theme.typography.fontWeight.semibold,
+      color: theme.colors.text,
+      textAlign: 'right',
+    },
+    returnsNote: {
+      fontSize: theme.typography.fontSize.xs,
+      color: theme.colors.textTertiary,
+      marginTop: theme.spacing.sm,
+    },
+    combinedTitle: {
+      fontSize: theme.typography.fontSize.md,
+      fontWeight: theme.typography.fontWeight.semibold,
+      color: theme.colors.text,
+      marginBottom: theme.spacing.xs,
+    },
+    combinedButton: {
+      alignSelf: 'flex-start',
+      marginTop: theme.spacing.sm,
+    },
     loansSection: {
       marginBottom: theme.spacing.xl,
     },
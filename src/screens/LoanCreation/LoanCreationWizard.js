@@ -9,6 +9,7 @@ import {
 import { useNavigation } from '@react-navigation/native';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useAuth } from '../../contexts/AuthContextLocal';
+import { useCalendar } from '../../contexts/CalendarContext';
 import useLocalStorage from '../../hooks/useLocalStorage';
 
 // Steps
@@ -21,7 +22,23 @@ import Step4ContractReview from './Step4ContractReview';
 import LegalDisclaimer from '../../components/common/LegalDisclaimer';
 
 // Utils
-import { generateAmortizationSchedule } from '../../utils/loanCalculations';
+import {
+  INTEREST_METHODS,
+  REPAYMENT_TYPES,
+  REPAYMENT_FREQUENCIES,
+  MORATORIUM_INTEREST,
+  DUE_DAY_POLICIES,
+  DEFAULT_STEP_PERIODS,
+  generateAmortizationSchedule,
+  resolveDueDay,
+} from '../../utils/loanCalculations';
+import { PENALTY_TYPES } from '../../utils/latePenalties';
+import { DUE_DATE_ADJUSTMENTS } from '../../utils/businessCalendar';
+import { createInitialRateEntry } from '../../utils/rateChanges';
+import { createInitialStatusEntry } from '../../utils/loanStatus';
+import { DEFAULT_CURRENCY } from '../../utils/currencies';
+import { RATE_CONVENTIONS } from '../../utils/rateConventions';
+import { today } from '../../utils/dateUtils';
 
 /**
  * Loan Creation Wizard
@@ -31,18 +48,41 @@ const LoanCreationWizard = () => {
   const { theme } = useTheme();
   const navigation = useNavigation();
   const { user } = useAuth();
+  const { calendar } = useCalendar();
   const { createLoan, loading } = useLocalStorage();
 
   const [currentStep, setCurrentStep] = useState(1);
   const [loanData, setLoanData] = useState({
     // Step 1: Loan Details
+    currency: DEFAULT_CURRENCY,
     amount: '',
-    durationMonths: '',
+    duration: '',
+    frequency: REPAYMENT_FREQUENCIES.MONTHLY,
     annualInterestRate: '',
+    rateConvention: RATE_CONVENTIONS.MONTHLY,
+    interestMethod: INTEREST_METHODS.REDUCING,
+    repaymentType: REPAYMENT_TYPES.EMI,
+    moratoriumMonths: 0,
+    moratoriumInterest: MORATORIUM_INTEREST.WAIVED,
+    stepPercent: 0,
+    stepPeriods: DEFAULT_STEP_PERIODS,
+    startDate: null,
+    firstDueDate: null,
+    dueDayPolicy: DUE_DAY_POLICIES.SAME_DAY,
+    dueDay: null,
+    dueDateAdjustment: DUE_DATE_ADJUSTMENTS.NONE,
+    penaltyRule: { type: PENALTY_TYPES.NONE },
+    rateHistory: [],
 
     // Step 2: Amortization Schedule (auto-generated)
     emis: [],
 
+    // Payment ledger (filled in as payments are recorded)
+    payments: [],
+
+    // Late penalties (accrued once EMIs go overdue)
+    penalties: [],
+
     // Step 3: Borrower
     borrowerId: '',
     borrowerName: '',
@@ -80,17 +120,57 @@ const LoanCreationWizard = () => {
 
   // Handle completion of Step 1
   const handleStep1Complete = (data) => {
+    const startDate = today();
+    const scheduleOptions = {
+      interestMethod: data.interestMethod,
+      repaymentType: data.repaymentType,
+      frequency: data.frequency,
+      moratoriumMonths: data.moratoriumMonths,
+      moratoriumInterest: data.moratoriumInterest,
+      stepPercent: data.stepPercent,
+      stepPeriods: data.stepPeriods,
+      firstDueDate: data.firstDueDate,
+      dueDayPolicy: data.dueDayPolicy,
+      dueDay: data.dueDay,
+      dueDateAdjustment: data.dueDateAdjustment,
+      calendar,
+    };
+
     // Generate amortization schedule
     const schedule = generateAmortizationSchedule(
       parseFloat(data.amount),
       parseFloat(data.annualInterestRate),
-      parseInt(data.durationMonths)
+      parseInt(data.duration),
+      startDate,
+      scheduleOptions
     );
 
     updateLoanData({
+      currency: data.currency,
       amount: parseFloat(data.amount),
-      durationMonths: parseInt(data.durationMonths),
+      duration: parseInt(data.duration),
+      frequency: data.frequency,
       annualInterestRate: parseFloat(data.annualInterestRate),
+      rateConvention: data.rateConvention,
+      interestMethod: data.interestMethod,
+      repaymentType: data.repaymentType,
+      moratoriumMonths: data.moratoriumMonths,
+      moratoriumInterest: data.moratoriumInterest,
+      stepPercent: data.stepPercent,
+      stepPeriods: data.stepPeriods,
+      startDate: startDate.toISOString(),
+      firstDueDate: data.firstDueDate,
+      dueDayPolicy: data.dueDayPolicy,
+      // Stored resolved so regenerated schedules keep the same day
+      dueDay: resolveDueDay(startDate, scheduleOptions),
+      dueDateAdjustment: data.dueDateAdjustment,
+      penaltyRule: data.penaltyRule,
+      rateHistory: [
+        createInitialRateEntry(
+          parseFloat(data.annualInterestRate),
+          startDate.toISOString()
+        ),
+      ],
       emis: schedule,
     });
 
@@ -108,11 +188,13 @@ const LoanCreationWizard = () => {
     nextStep();
   };
 
-  // Handle final submission (Step 4)
-  const handleFinalSubmit = async () => {
+  // Handle final submission (Step 4) as an active, pending or draft loan
+  const handleFinalSubmit = async (status) => {
     try {
       const newLoan = await createLoan({
         ...loanData,
+        status,
+        statusHistory: [createInitialStatusEntry(status)],
         createdAt: new Date().toISOString(),
       });
 
@@ -141,8 +223,17 @@ const LoanCreationWizard = () => {
           <Step2AmortizationSchedule
             schedule={loanData.emis}
             amount={loanData.amount}
+            currency={loanData.currency}
             interestRate={loanData.annualInterestRate}
-            duration={loanData.durationMonths}
+            rateConvention={loanData.rateConvention}
+            duration={loanData.duration}
+            frequency={loanData.frequency}
+            interestMethod={loanData.interestMethod}
+            repaymentType={loanData.repaymentType}
+            moratoriumMonths={loanData.moratoriumMonths}
+            moratoriumInterest={loanData.moratoriumInterest}
+            stepPercent={loanData.stepPercent}
+            stepPeriods={loanData.stepPeriods}
             onNext={handleStep2Complete}
             onBack={previousStep}
           />
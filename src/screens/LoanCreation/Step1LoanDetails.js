@@ -2,32 +2,291 @@ import React, { useState } from 'react';
 import { View, Text, StyleSheet } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../../contexts/ThemeContext';
+import { useCalendar } from '../../contexts/CalendarContext';
 import Card from '../../components/common/Card';
 import Input from '../../components/common/Input';
 import Button from '../../components/common/Button';
+import SegmentedControl from '../../components/common/SegmentedControl';
 import {
-  calculateEMI,
-  calculateTotalInterest,
+  INTEREST_METHODS,
+  INTEREST_METHOD_LABELS,
+  REPAYMENT_TYPES,
+  REPAYMENT_TYPE_LABELS,
+  REPAYMENT_FREQUENCIES,
+  REPAYMENT_FREQUENCY_LABELS,
+  getPeriodUnit,
+  MORATORIUM_INTEREST,
+  MORATORIUM_INTEREST_LABELS,
+  DUE_DAY_POLICIES,
+  DUE_DAY_POLICY_LABELS,
+  DEFAULT_STEP_PERIODS,
+  solveTenure,
+  solveInterestRate,
+  solveLoanAmount,
+  generateAmortizationSchedule,
+  summarizeSchedule,
+  calculateCapitalizedInterest,
   formatCurrency,
+  formatDate,
 } from '../../utils/loanCalculations';
+import { PENALTY_TYPES, PENALTY_TYPE_LABELS } from '../../utils/latePenalties';
+import {
+  DUE_DATE_ADJUSTMENTS,
+  DUE_DATE_ADJUSTMENT_LABELS,
+} from '../../utils/businessCalendar';
+import {
+  CURRENCY_OPTIONS,
+  DEFAULT_CURRENCY,
+  getCurrency,
+  getCurrencySymbol,
+} from '../../utils/currencies';
+import {
+  RATE_CONVENTIONS,
+  RATE_CONVENTION_OPTIONS,
+  getRateConvention,
+  toAnnualRate,
+  fromAnnualRate,
+  getRateInputLabel,
+  formatRate,
+} from '../../utils/rateConventions';
+import {
+  daysBetween,
+  parseDateKey,
+  toDateKey,
+  today,
+} from '../../utils/dateUtils';
+
+const INTEREST_METHOD_OPTIONS = [
+  {
+    label: INTEREST_METHOD_LABELS[INTEREST_METHODS.REDUCING],
+    value: INTEREST_METHODS.REDUCING,
+  },
+  {
+    label: INTEREST_METHOD_LABELS[INTEREST_METHODS.FLAT],
+    value: INTEREST_METHODS.FLAT,
+  },
+];
+
+const REPAYMENT_TYPE_OPTIONS = [
+  REPAYMENT_TYPES.EMI,
+  REPAYMENT_TYPES.INTEREST_ONLY,
+  REPAYMENT_TYPES.BULLET,
+].map((type) => ({ label: REPAYMENT_TYPE_LABELS[type], value: type }));
+
+const REPAYMENT_FREQUENCY_OPTIONS = [
+  REPAYMENT_FREQUENCIES.MONTHLY,
+  REPAYMENT_FREQUENCIES.BIWEEKLY,
+  REPAYMENT_FREQUENCIES.WEEKLY,
+].map((frequency) => ({
+  label: REPAYMENT_FREQUENCY_LABELS[frequency],
+  value: frequency,
+}));
+
+const DURATION_LABELS = {
+  [REPAYMENT_FREQUENCIES.MONTHLY]: 'Duration (Months)',
+  [REPAYMENT_FREQUENCIES.BIWEEKLY]: 'Duration (Fortnights)',
+  [REPAYMENT_FREQUENCIES.WEEKLY]: 'Duration (Weeks)',
+};
+
+const REPAYMENT_TYPE_HELP = {
+  [REPAYMENT_TYPES.EMI]: 'Equal payments of principal and interest',
+  [REPAYMENT_TYPES.INTEREST_ONLY]:
+    'Interest every installment, principal returned with the last payment',
+  [REPAYMENT_TYPES.BULLET]:
+    'Principal and interest repaid in one payment at the end',
+};
+
+// Graduated EMI plans, stored on the loan as a signed `stepPercent`
+const EMI_PLANS = {
+  LEVEL: 'level',
+  STEP_UP: 'stepUp',
+  STEP_DOWN: 'stepDown',
+};
+
+const EMI_PLAN_OPTIONS = [
+  { label: 'Level', value: EMI_PLANS.LEVEL },
+  { label: 'Step-up', value: EMI_PLANS.STEP_UP },
+  { label: 'Step-down', value: EMI_PLANS.STEP_DOWN },
+];
+
+const EMI_PLAN_HELP = {
+  [EMI_PLANS.LEVEL]: 'The same EMI every installment',
+  [EMI_PLANS.STEP_UP]:
+    'EMIs start lower and rise by a percentage at every step',
+  [EMI_PLANS.STEP_DOWN]:
+    'EMIs start higher and fall by a percentage at every step',
+};
+
+const STEP_PERIOD_LABELS = {
+  [REPAYMENT_FREQUENCIES.MONTHLY]: 'Step Every (Months)',
+  [REPAYMENT_FREQUENCIES.BIWEEKLY]: 'Step Every (Fortnights)',
+  [REPAYMENT_FREQUENCIES.WEEKLY]: 'Step Every (Weeks)',
+};
+
+// "What can they afford": which field to work out from an affordable EMI
+const SOLVE_FOR = {
+  EMI: 'emi',
+  AMOUNT: 'amount',
+  DURATION: 'duration',
+  RATE: 'rate',
+};
+
+const SOLVE_FOR_OPTIONS = [
+  { label: 'EMI', value: SOLVE_FOR.EMI },
+  { label: 'Amount', value: SOLVE_FOR.AMOUNT },
+  { label: 'Duration', value: SOLVE_FOR.DURATION },
+  { label: 'Rate', value: SOLVE_FOR.RATE },
+];
+
+const SOLVE_FOR_HELP = {
+  [SOLVE_FOR.EMI]: 'The EMI is worked out from the amount, duration and rate',
+  [SOLVE_FOR.AMOUNT]: 'The largest amount they can repay with this EMI',
+  [SOLVE_FOR.DURATION]: 'How long it takes to repay the amount with this EMI',
+  [SOLVE_FOR.RATE]: 'The interest rate this EMI works out to',
+};
+
+const getEMIPlan = (stepPercent) => {
+  if (stepPercent > 0) return EMI_PLANS.STEP_UP;
+  if (stepPercent < 0) return EMI_PLANS.STEP_DOWN;
+  return EMI_PLANS.LEVEL;
+};
+
+const MORATORIUM_INTEREST_OPTIONS = [
+  MORATORIUM_INTEREST.WAIVED,
+  MORATORIUM_INTEREST.CAPITALIZED,
+].map((treatment) => ({
+  label: MORATORIUM_INTEREST_LABELS[treatment],
+  value: treatment,
+}));
+
+const DUE_DAY_POLICY_OPTIONS = Object.values(DUE_DAY_POLICIES).map(
+  (policy) => ({ label: DUE_DAY_POLICY_LABELS[policy], value: policy })
+);
+
+const DUE_DAY_POLICY_HELP = {
+  [DUE_DAY_POLICIES.SAME_DAY]:
+    'Same day every month, the last day in shorter months',
+  [DUE_DAY_POLICIES.MONTH_END]: 'Last day of every month',
+  [DUE_DAY_POLICIES.FIXED_DAY]:
+    'A day of your choice, the last day in shorter months',
+};
+
+const DUE_DATE_ADJUSTMENT_OPTIONS = Object.values(DUE_DATE_ADJUSTMENTS).map(
+  (adjustment) => ({
+    label: DUE_DATE_ADJUSTMENT_LABELS[adjustment],
+    value: adjustment,
+  })
+);
+
+const DUE_DATE_ADJUSTMENT_HELP = {
+  [DUE_DATE_ADJUSTMENTS.NONE]: 'EMIs can fall due on weekends and holidays',
+  [DUE_DATE_ADJUSTMENTS.NEXT_BUSINESS_DAY]:
+    'EMIs due on a weekend or holiday move to the next working day',
+  [DUE_DATE_ADJUSTMENTS.PREVIOUS_BUSINESS_DAY]:
+    'EMIs due on a weekend or holiday move to the previous working day',
+};
+
+const PENALTY_TYPE_OPTIONS = Object.values(PENALTY_TYPES).map((type) => ({
+  label: PENALTY_TYPE_LABELS[type],
+  value: type,
+}));
+
+const PENALTY_TYPE_HELP = {
+  [PENALTY_TYPES.NONE]: 'No charge for late payments',
+  [PENALTY_TYPES.FIXED]: 'A one-time fee on every EMI paid late',
+  [PENALTY_TYPES.DAILY_INTEREST]:
+    'Daily interest on the unpaid part of a late EMI',
+};
 
 /**
  * Step 1: Loan Details
- * Input Amount, Duration (months), Interest Rate (% per month converted to annual)
+ * Input Currency, Amount, Repayment Frequency,
+ * Duration (installments at that frequency),
+ * Interest Rate (quoted % per month, % per year or per hundred a month,
+ * stored as the annual rate)
+ * Interest Method (reducing balance or flat on the original amount)
+ * and Repayment Type (EMI, interest-only with balloon, or single bullet payment)
+ * with level, step-up or step-down EMIs
+ * Level EMI loans can start from the EMI the borrower can afford and fill in
+ * the amount, duration or rate from it
+ * plus an optional moratorium before the first payment,
+ * the first due date, which day of the month later EMIs fall on
+ * and how due dates on weekends and holidays are moved
+ * and an optional late payment penalty rule
  */
 const Step1LoanDetails = ({ initialData, onComplete, onCancel }) => {
   const { theme } = useTheme();
+  const { calendar } = useCalendar();
   const styles = createStyles(theme);
 
+  const [currency, setCurrency] = useState(
+    initialData.currency || DEFAULT_CURRENCY
+  );
   const [amount, setAmount] = useState(initialData.amount?.toString() || '');
-  const [durationMonths, setDurationMonths] = useState(
-    initialData.durationMonths?.toString() || ''
+  const [frequency, setFrequency] = useState(
+    initialData.frequency || REPAYMENT_FREQUENCIES.MONTHLY
+  );
+  const [duration, setDuration] = useState(
+    initialData.duration?.toString() || ''
   );
-  const [monthlyInterestRate, setMonthlyInterestRate] = useState(
+  const [rateConvention, setRateConvention] = useState(
+    getRateConvention(initialData)
+  );
+  const [interestRate, setInterestRate] = useState(
     initialData.annualInterestRate
-      ? (initialData.annualInterestRate / 12).toFixed(2)
+      ? fromAnnualRate(
+          initialData.annualInterestRate,
+          getRateConvention(initialData)
+        ).toFixed(2)
       : ''
   );
+  const [interestMethod, setInterestMethod] = useState(
+    initialData.interestMethod || INTEREST_METHODS.REDUCING
+  );
+  const [repaymentType, setRepaymentType] = useState(
+    initialData.repaymentType || REPAYMENT_TYPES.EMI
+  );
+  const [emiPlan, setEMIPlan] = useState(getEMIPlan(initialData.stepPercent));
+  const [stepPercent, setStepPercent] = useState(
+    initialData.stepPercent ? Math.abs(initialData.stepPercent).toString() : ''
+  );
+  const [stepPeriods, setStepPeriods] = useState(
+    (initialData.stepPeriods || DEFAULT_STEP_PERIODS).toString()
+  );
+  const [solveFor, setSolveFor] = useState(SOLVE_FOR.EMI);
+  const [affordableEMI, setAffordableEMI] = useState('');
+  const [moratoriumMonths, setMoratoriumMonths] = useState(
+    initialData.moratoriumMonths ? initialData.moratoriumMonths.toString() : ''
+  );
+  const [moratoriumInterest, setMoratoriumInterest] = useState(
+    initialData.moratoriumInterest || MORATORIUM_INTEREST.WAIVED
+  );
+  const [firstDueDate, setFirstDueDate] = useState(
+    initialData.firstDueDate ? toDateKey(initialData.firstDueDate) : ''
+  );
+  const [dueDayPolicy, setDueDayPolicy] = useState(
+    initialData.dueDayPolicy || DUE_DAY_POLICIES.SAME_DAY
+  );
+  const [dueDay, setDueDay] = useState(
+    initialData.dueDayPolicy === DUE_DAY_POLICIES.FIXED_DAY
+      ? initialData.dueDay.toString()
+      : ''
+  );
+  const [dueDateAdjustment, setDueDateAdjustment] = useState(
+    initialData.dueDateAdjustment || DUE_DATE_ADJUSTMENTS.NONE
+  );
+  const [penaltyType, setPenaltyType] = useState(
+    initialData.penaltyRule?.type || PENALTY_TYPES.NONE
+  );
+  const [graceDays, setGraceDays] = useState(
+    initialData.penaltyRule?.graceDays?.toString() || ''
+  );
+  const [penaltyFee, setPenaltyFee] = useState(
+    initialData.penaltyRule?.fixedAmount?.toString() || ''
+  );
+  const [penaltyRate, setPenaltyRate] = useState(
+    initialData.penaltyRule?.dailyRate?.toString() || ''
+  );
 
   const [errors, setErrors] = useState({});
 
@@ -39,59 +298,273 @@ const Step1LoanDetails = ({ initialData, onComplete, onCancel }) => {
       newErrors.amount = 'Please enter a valid amount';
     }
 
-    if (!durationMonths || parseInt(durationMonths) <= 0) {
-      newErrors.durationMonths = 'Please enter a valid duration';
+    if (!duration || parseInt(duration) <= 0) {
+      newErrors.duration = 'Please enter a valid duration';
     }
 
-    if (monthlyInterestRate && parseFloat(monthlyInterestRate) < 0) {
-      newErrors.monthlyInterestRate = 'Interest rate cannot be negative';
+    if (interestRate && parseFloat(interestRate) < 0) {
+      newErrors.interestRate = 'Interest rate cannot be negative';
+    }
+
+    if (isGraduated) {
+      const step = parseFloat(stepPercent);
+
+      if (!(step > 0)) {
+        newErrors.stepPercent = 'Please enter a valid step';
+      } else if (emiPlan === EMI_PLANS.STEP_DOWN && step >= 100) {
+        newErrors.stepPercent = 'A step-down must be less than 100%';
+      } else if (coversInterest === false) {
+        newErrors.stepPercent =
+          'Step is too steep, some EMIs would not cover their interest';
+      }
+
+      if (!(parseInt(stepPeriods) >= 1)) {
+        newErrors.stepPeriods = 'Please enter a valid number of installments';
+      }
+    }
+
+    if (moratoriumMonths && !(parseInt(moratoriumMonths) >= 0)) {
+      newErrors.moratoriumMonths = 'Please enter a valid number of months';
+    }
+
+    if (firstDueDate) {
+      const date = parseDateKey(firstDueDate);
+
+      if (!date) {
+        newErrors.firstDueDate = 'Use the format YYYY-MM-DD';
+      } else if (daysBetween(today(), date) <= 0) {
+        newErrors.firstDueDate = 'First due date must be after today';
+      }
+    }
+
+    if (
+      isMonthly &&
+      dueDayPolicy === DUE_DAY_POLICIES.FIXED_DAY &&
+      !(parseInt(dueDay) >= 1 && parseInt(dueDay) <= 31)
+    ) {
+      newErrors.dueDay = 'Please enter a day between 1 and 31';
+    }
+
+    if (graceDays && !(parseInt(graceDays) >= 0)) {
+      newErrors.graceDays = 'Please enter a valid number of days';
+    }
+
+    if (penaltyType === PENALTY_TYPES.FIXED && !(parseFloat(penaltyFee) > 0)) {
+      newErrors.penaltyFee = 'Please enter a valid fee';
+    }
+
+    if (
+      penaltyType === PENALTY_TYPES.DAILY_INTEREST &&
+      !(parseFloat(penaltyRate) > 0)
+    ) {
+      newErrors.penaltyRate = 'Please enter a valid rate';
     }
 
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
+  // Loans always store the nominal annual rate
+  const getAnnualRate = () =>
+    toAnnualRate(parseFloat(interestRate || 0), rateConvention);
+
+  // Restate the entered rate so the loan's rate stays the same
+  const handleRateConventionChange = (convention) => {
+    if (interestRate && parseFloat(interestRate) >= 0) {
+      setInterestRate(fromAnnualRate(getAnnualRate(), convention).toFixed(2));
+    }
+    setRateConvention(convention);
+  };
+
   // Handle next
   const handleNext = () => {
     if (validate()) {
-      // Convert monthly interest rate to annual
-      const annualRate = parseFloat(monthlyInterestRate || 0) * 12;
+      const annualRate = getAnnualRate();
 
       onComplete({
+        currency,
         amount,
-        durationMonths,
+        duration,
+        frequency,
         annualInterestRate: annualRate,
+        rateConvention,
+        interestMethod,
+        repaymentType,
+        moratoriumMonths: parseInt(moratoriumMonths || 0),
+        moratoriumInterest,
+        ...buildEMIPlanOptions(),
+        ...buildDueDateOptions(),
+        penaltyRule: buildPenaltyRule(),
       });
     }
   };
 
+  // Fill in the chosen field from the affordable EMI and the other fields
+  const handleSolve = () => {
+    const options = { interestMethod, frequency, currency };
+    const emiAmount = parseFloat(affordableEMI);
+    const annualRate = getAnnualRate();
+
+    try {
+      if (solveFor === SOLVE_FOR.AMOUNT) {
+        const solved = solveLoanAmount(
+          emiAmount,
+          annualRate,
+          parseInt(duration),
+          options
+        );
+        setAmount(solved.toString());
+      } else if (solveFor === SOLVE_FOR.DURATION) {
+        const solved = solveTenure(
+          parseFloat(amount),
+          annualRate,
+          emiAmount,
+          options
+        );
+        setDuration(solved.toString());
+      } else {
+        const solved = solveInterestRate(
+          parseFloat(amount),
+          emiAmount,
+          parseInt(duration),
+          options
+        );
+        setInterestRate(fromAnnualRate(solved, rateConvention).toFixed(2));
+      }
+
+      setErrors({});
+    } catch (error) {
+      setErrors({ affordableEMI: error.message });
+    }
+  };
+
+  // Graduated plan options, the step is negative for step-down plans
+  const buildEMIPlanOptions = () => {
+    if (!isGraduated) {
+      return { stepPercent: 0, stepPeriods: DEFAULT_STEP_PERIODS };
+    }
+
+    const step = parseFloat(stepPercent) || 0;
+
+    return {
+      stepPercent: emiPlan === EMI_PLANS.STEP_DOWN ? -step : step,
+      stepPeriods: parseInt(stepPeriods) || DEFAULT_STEP_PERIODS,
+    };
+  };
+
+  // Due date options, a blank or invalid first due date means the default
+  const buildDueDateOptions = () => {
+    const date = parseDateKey(firstDueDate);
+
+    return {
+      firstDueDate: date ? date.toISOString() : null,
+      dueDateAdjustment,
+      dueDayPolicy,
+      dueDay:
+        dueDayPolicy === DUE_DAY_POLICIES.FIXED_DAY
+          ? parseInt(dueDay) || null
+          : null,
+    };
+  };
+
+  // Build the late payment penalty rule from the inputs
+  const buildPenaltyRule = () => {
+    if (penaltyType === PENALTY_TYPES.NONE) {
+      return { type: PENALTY_TYPES.NONE };
+    }
+
+    const rule = {
+      type: penaltyType,
+      graceDays: parseInt(graceDays || 0),
+    };
+
+    if (penaltyType === PENALTY_TYPES.FIXED) {
+      rule.fixedAmount = parseFloat(penaltyFee);
+    } else {
+      rule.dailyRate = parseFloat(penaltyRate);
+    }
+
+    return rule;
+  };
+
   // Calculate preview values
   const getPreviewValues = () => {
     if (
       amount &&
-      durationMonths &&
+      duration &&
       parseFloat(amount) > 0 &&
-      parseInt(durationMonths) > 0
+      parseInt(duration) > 0
     ) {
-      const annualRate = parseFloat(monthlyInterestRate || 0) * 12;
-      const emi = calculateEMI(
+      const annualRate = getAnnualRate();
+      const options = {
+        interestMethod,
+        repaymentType,
+        frequency,
+        moratoriumMonths: parseInt(moratoriumMonths || 0) || 0,
+        moratoriumInterest,
+        ...buildEMIPlanOptions(),
+        ...buildDueDateOptions(),
+        calendar,
+      };
+      const schedule = generateAmortizationSchedule(
         parseFloat(amount),
         annualRate,
-        parseInt(durationMonths)
+        parseInt(duration),
+        today(),
+        options
       );
-      const totalInterest = calculateTotalInterest(
-        parseFloat(amount),
-        annualRate,
-        parseInt(durationMonths)
+      const { totalInterest, totalAmount } = summarizeSchedule(
+        schedule,
+        parseFloat(amount)
       );
 
-      return { emi, totalInterest };
+      return {
+        emi: schedule[0].emi,
+        finalPayment: schedule[schedule.length - 1].emi,
+        totalInterest,
+        totalAmount,
+        capitalizedInterest: calculateCapitalizedInterest(
+          parseFloat(amount),
+          annualRate,
+          options
+        ),
+        firstPaymentDate: schedule[0].dueDate,
+        coversInterest: schedule.every((row) => row.principal >= 0),
+      };
     }
 
-    return { emi: 0, totalInterest: 0 };
+    return {
+      emi: 0,
+      finalPayment: 0,
+      totalInterest: 0,
+      totalAmount: 0,
+      capitalizedInterest: 0,
+      firstPaymentDate: null,
+      coversInterest: null,
+    };
   };
 
-  const { emi, totalInterest } = getPreviewValues();
+  const isGraduated =
+    repaymentType === REPAYMENT_TYPES.EMI && emiPlan !== EMI_PLANS.LEVEL;
+  const canSolve = repaymentType === REPAYMENT_TYPES.EMI && !isGraduated;
+  const solveForLabel = SOLVE_FOR_OPTIONS.find(
+    (option) => option.value === solveFor
+  ).label;
+  const {
+    emi,
+    finalPayment,
+    totalInterest,
+    totalAmount,
+    capitalizedInterest,
+    firstPaymentDate,
+    coversInterest,
+  } = getPreviewValues();
+  const hasMoratorium = parseInt(moratoriumMonths) > 0;
+  const isMonthly = frequency === REPAYMENT_FREQUENCIES.MONTHLY;
+  const frequencyLabel = REPAYMENT_FREQUENCY_LABELS[frequency];
+  const periodUnits = getPeriodUnit(frequency, true);
+  const currencySymbol = getCurrencySymbol(currency);
+  const formatAmount = (value) => formatCurrency(value, currency);
 
   return (
     <View style={styles.container}>
@@ -110,8 +583,16 @@ const Step1LoanDetails = ({ initialData, onComplete, onCancel }) => {
 
       {/* Form */}
       <Card style={styles.formCard}>
+        <SegmentedControl
+          label="Currency"
+          options={CURRENCY_OPTIONS}
+          value={currency}
+          onChange={setCurrency}
+          helperText={getCurrency(currency).label}
+        />
+
         <Input
-          label="Loan Amount (₹)"
+          label={`Loan Amount (${currencySymbol})`}
           value={amount}
           onChangeText={setAmount}
           placeholder="Enter amount"
@@ -126,13 +607,20 @@ const Step1LoanDetails = ({ initialData, onComplete, onCancel }) => {
           }
         />
 
+        <SegmentedControl
+          label="Repayment Frequency"
+          options={REPAYMENT_FREQUENCY_OPTIONS}
+          value={frequency}
+          onChange={setFrequency}
+        />
+
         <Input
-          label="Duration (Months)"
-          value={durationMonths}
-          onChangeText={setDurationMonths}
-          placeholder="Enter duration in months"
+          label={DURATION_LABELS[frequency]}
+          value={duration}
+          onChangeText={setDuration}
+          placeholder={`Enter duration in ${periodUnits}`}
           keyboardType="numeric"
-          error={errors.durationMonths}
+          error={errors.duration}
           leftIcon={
             <Ionicons
               name="calendar-outline"
@@ -142,14 +630,29 @@ const Step1LoanDetails = ({ initialData, onComplete, onCancel }) => {
           }
         />
 
+        <SegmentedControl
+          label="Rate Quoted As"
+          options={RATE_CONVENTION_OPTIONS}
+          value={rateConvention}
+          onChange={handleRateConventionChange}
+        />
+
         <Input
-          label="Interest Rate (% per month)"
-          value={monthlyInterestRate}
-          onChangeText={setMonthlyInterestRate}
+          label={getRateInputLabel(rateConvention, currency)}
+          value={interestRate}
+          onChangeText={setInterestRate}
           placeholder="Enter interest rate"
           keyboardType="decimal-pad"
-          error={errors.monthlyInterestRate}
-          helperText="Leave blank for 0% interest"
+          error={errors.interestRate}
+          helperText={
+            parseFloat(interestRate) > 0 &&
+            rateConvention !== RATE_CONVENTIONS.ANNUAL
+              ? `Nominal ${formatRate(
+                  getAnnualRate(),
+                  RATE_CONVENTIONS.ANNUAL
+                )}`
+              : 'Leave blank for 0% interest'
+          }
           leftIcon={
             <Ionicons
               name="trending-up-outline"
@@ -158,24 +661,355 @@ const Step1LoanDetails = ({ initialData, onComplete, onCancel }) => {
             />
           }
         />
+
+        <SegmentedControl
+          label="Interest Method"
+          options={INTEREST_METHOD_OPTIONS}
+          value={interestMethod}
+          onChange={setInterestMethod}
+          helperText={
+            interestMethod === INTEREST_METHODS.FLAT
+              ? 'Interest is charged on the original amount every installment'
+              : 'Interest is charged on the outstanding balance'
+          }
+        />
+
+        <SegmentedControl
+          label="Repayment Type"
+          options={REPAYMENT_TYPE_OPTIONS}
+          value={repaymentType}
+          onChange={setRepaymentType}
+          helperText={REPAYMENT_TYPE_HELP[repaymentType]}
+        />
+
+        {repaymentType === REPAYMENT_TYPES.EMI && (
+          <SegmentedControl
+            label="EMI Plan"
+            options={EMI_PLAN_OPTIONS}
+            value={emiPlan}
+            onChange={setEMIPlan}
+            helperText={EMI_PLAN_HELP[emiPlan]}
+          />
+        )}
+
+        {canSolve && (
+          <SegmentedControl
+            label="Solve For"
+            options={SOLVE_FOR_OPTIONS}
+            value={solveFor}
+            onChange={setSolveFor}
+            helperText={SOLVE_FOR_HELP[solveFor]}
+          />
+        )}
+
+        {canSolve && solveFor !== SOLVE_FOR.EMI && (
+          <>
+            <Input
+              label={`Affordable ${frequencyLabel} EMI (${currencySymbol})`}
+              value={affordableEMI}
+              onChangeText={setAffordableEMI}
+              placeholder="What they can pay every installment"
+              keyboardType="decimal-pad"
+              error={errors.affordableEMI}
+              helperText={
+                hasMoratorium
+                  ? 'Interest capitalized during the moratorium is not included'
+                  : undefined
+              }
+              leftIcon={
+                <Ionicons
+                  name="wallet-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+
+            <Button
+              title={`Fill In ${solveForLabel}`}
+              onPress={handleSolve}
+              variant="outline"
+              size="small"
+              style={styles.solveButton}
+            />
+          </>
+        )}
+
+        {isGraduated && (
+          <>
+            <Input
+              label="Step (%)"
+              value={stepPercent}
+              onChangeText={setStepPercent}
+              placeholder="e.g. 10"
+              keyboardType="decimal-pad"
+              error={errors.stepPercent}
+              helperText={`How much the EMI ${
+                emiPlan === EMI_PLANS.STEP_UP ? 'rises' : 'falls'
+              } at every step`}
+              leftIcon={
+                <Ionicons
+                  name={
+                    emiPlan === EMI_PLANS.STEP_UP
+                      ? 'arrow-up-circle-outline'
+                      : 'arrow-down-circle-outline'
+                  }
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+
+            <Input
+              label={STEP_PERIOD_LABELS[frequency]}
+              value={stepPeriods}
+              onChangeText={setStepPeriods}
+              placeholder={DEFAULT_STEP_PERIODS.toString()}
+              keyboardType="numeric"
+              error={errors.stepPeriods}
+              leftIcon={
+                <Ionicons
+                  name="repeat-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+          </>
+        )}
+
+        <Input
+          label="Moratorium (Months)"
+          value={moratoriumMonths}
+          onChangeText={setMoratoriumMonths}
+          placeholder="0"
+          keyboardType="numeric"
+          error={errors.moratoriumMonths}
+          helperText="Months before the first payment is due, leave blank for none"
+          leftIcon={
+            <Ionicons
+              name="pause-circle-outline"
+              size={20}
+              color={theme.colors.textTertiary}
+            />
+          }
+        />
+
+        {hasMoratorium && (
+          <SegmentedControl
+            label="Interest During Moratorium"
+            options={MORATORIUM_INTEREST_OPTIONS}
+            value={moratoriumInterest}
+            onChange={setMoratoriumInterest}
+            helperText={
+              moratoriumInterest === MORATORIUM_INTEREST.CAPITALIZED
+                ? 'Interest accrues and is added to the principal'
+                : 'No interest is charged until repayments start'
+            }
+          />
+        )}
+
+        <Input
+          label="First Due Date"
+          value={firstDueDate}
+          onChangeText={setFirstDueDate}
+          placeholder="YYYY-MM-DD"
+          error={errors.firstDueDate}
+          helperText={`Leave blank for one ${getPeriodUnit(
+            frequency
+          )} from today${hasMoratorium ? ' plus the moratorium' : ''}`}
+          leftIcon={
+            <Ionicons
+              name="calendar-number-outline"
+              size={20}
+              color={theme.colors.textTertiary}
+            />
+          }
+        />
+
+        {isMonthly && (
+          <SegmentedControl
+            label="Monthly Due Day"
+            options={DUE_DAY_POLICY_OPTIONS}
+            value={dueDayPolicy}
+            onChange={setDueDayPolicy}
+            helperText={DUE_DAY_POLICY_HELP[dueDayPolicy]}
+          />
+        )}
+
+        {isMonthly && dueDayPolicy === DUE_DAY_POLICIES.FIXED_DAY && (
+          <Input
+            label="Day of Month"
+            value={dueDay}
+            onChangeText={setDueDay}
+            placeholder="e.g. 5"
+            keyboardType="numeric"
+            error={errors.dueDay}
+            leftIcon={
+              <Ionicons
+                name="today-outline"
+                size={20}
+                color={theme.colors.textTertiary}
+              />
+            }
+          />
+        )}
+
+        <SegmentedControl
+          label="Due on a Weekend or Holiday"
+          options={DUE_DATE_ADJUSTMENT_OPTIONS}
+          value={dueDateAdjustment}
+          onChange={setDueDateAdjustment}
+          helperText={DUE_DATE_ADJUSTMENT_HELP[dueDateAdjustment]}
+        />
+
+        <SegmentedControl
+          label="Late Payment Penalty"
+          options={PENALTY_TYPE_OPTIONS}
+          value={penaltyType}
+          onChange={setPenaltyType}
+          helperText={PENALTY_TYPE_HELP[penaltyType]}
+        />
+
+        {penaltyType === PENALTY_TYPES.FIXED && (
+          <Input
+            label={`Late Fee (${currencySymbol})`}
+            value={penaltyFee}
+            onChangeText={setPenaltyFee}
+            placeholder="Enter fee per late EMI"
+            keyboardType="decimal-pad"
+            error={errors.penaltyFee}
+            leftIcon={
+              <Ionicons
+                name="alert-circle-outline"
+                size={20}
+                color={theme.colors.textTertiary}
+              />
+            }
+          />
+        )}
+
+        {penaltyType === PENALTY_TYPES.DAILY_INTEREST && (
+          <Input
+            label="Penal Interest (% per day)"
+            value={penaltyRate}
+            onChangeText={setPenaltyRate}
+            placeholder="Enter daily rate"
+            keyboardType="decimal-pad"
+            error={errors.penaltyRate}
+            leftIcon={
+              <Ionicons
+                name="alert-circle-outline"
+                size={20}
+                color={theme.colors.textTertiary}
+              />
+            }
+          />
+        )}
+
+        {penaltyType !== PENALTY_TYPES.NONE && (
+          <Input
+            label="Grace Period (Days)"
+            value={graceDays}
+            onChangeText={setGraceDays}
+            placeholder="0"
+            keyboardType="numeric"
+            error={errors.graceDays}
+            helperText="Days after the due date before a penalty applies"
+            leftIcon={
+              <Ionicons
+                name="hourglass-outline"
+                size={20}
+                color={theme.colors.textTertiary}
+              />
+            }
+          />
+        )}
       </Card>
 
       {/* Preview Card */}
-      {emi > 0 && (
+      {finalPayment > 0 && (
         <Card style={styles.previewCard}>
           <Text style={styles.previewTitle}>Loan Summary</Text>
 
           <View style={styles.previewRow}>
-            <Text style={styles.previewLabel}>Monthly EMI</Text>
-            <Text style={styles.previewValue}>{formatCurrency(emi)}</Text>
+            <Text style={styles.previewLabel}>First Payment</Text>
+            <Text style={styles.previewValue}>
+              {formatDate(firstPaymentDate)}
+            </Text>
           </View>
 
+          {capitalizedInterest > 0 && (
+            <View style={styles.previewRow}>
+              <Text style={styles.previewLabel}>Capitalized Interest</Text>
+              <Text style={styles.previewValue}>
+                {formatAmount(capitalizedInterest)}
+              </Text>
+            </View>
+          )}
+
+          <View style={styles.divider} />
+
+          {repaymentType === REPAYMENT_TYPES.EMI && !isGraduated && (
+            <View style={styles.previewRow}>
+              <Text style={styles.previewLabel}>{frequencyLabel} EMI</Text>
+              <Text style={styles.previewValue}>{formatAmount(emi)}</Text>
+            </View>
+          )}
+
+          {isGraduated && (
+            <>
+              <View style={styles.previewRow}>
+                <Text style={styles.previewLabel}>First EMI</Text>
+                <Text style={styles.previewValue}>{formatAmount(emi)}</Text>
+              </View>
+
+              <View style={styles.divider} />
+
+              <View style={styles.previewRow}>
+                <Text style={styles.previewLabel}>Last EMI</Text>
+                <Text style={styles.previewValue}>
+                  {formatAmount(finalPayment)}
+                </Text>
+              </View>
+            </>
+          )}
+
+          {repaymentType === REPAYMENT_TYPES.INTEREST_ONLY && (
+            <>
+              <View style={styles.previewRow}>
+                <Text style={styles.previewLabel}>
+                  {frequencyLabel} Interest
+                </Text>
+                <Text style={styles.previewValue}>{formatAmount(emi)}</Text>
+              </View>
+
+              <View style={styles.divider} />
+
+              <View style={styles.previewRow}>
+                <Text style={styles.previewLabel}>Final Payment</Text>
+                <Text style={styles.previewValue}>
+                  {formatAmount(finalPayment)}
+                </Text>
+              </View>
+            </>
+          )}
+
+          {repaymentType === REPAYMENT_TYPES.BULLET && (
+            <View style={styles.previewRow}>
+              <Text style={styles.previewLabel}>Payment at Maturity</Text>
+              <Text style={styles.previewValue}>
+                {formatAmount(finalPayment)}
+              </Text>
+            </View>
+          )}
+
           <View style={styles.divider} />
 
           <View style={styles.previewRow}>
             <Text style={styles.previewLabel}>Total Interest</Text>
             <Text style={styles.previewValue}>
-              {formatCurrency(totalInterest)}
+              {formatAmount(totalInterest)}
             </Text>
           </View>
 
@@ -184,7 +1018,7 @@ const Step1LoanDetails = ({ initialData, onComplete, onCancel }) => {
           <View style={styles.previewRow}>
             <Text style={styles.previewLabel}>Total Amount</Text>
             <Text style={[styles.previewValue, styles.previewTotal]}>
-              {formatCurrency(parseFloat(amount) + totalInterest)}
+              {formatAmount(totalAmount)}
             </Text>
           </View>
         </Card>
@@ -248,6 +1082,9 @@ const createStyles = (theme) =>
     formCard: {
       marginBottom: theme.spacing.lg,
     },
+    solveButton: {
+      marginBottom: theme.spacing.md,
+    },
     previewCard: {
       backgroundColor: theme.colors.backgroundTertiary,
       marginBottom: theme.spacing.lg,
@@ -3,25 +3,58 @@ import { View, Text, StyleSheet, ScrollView } from 'react-native';
 import { useTheme } from '../../contexts/ThemeContext';
 import Card from '../../components/common/Card';
 import Button from '../../components/common/Button';
-import { formatCurrency, formatDate } from '../../utils/loanCalculations';
+import {
+  INTEREST_METHOD_LABELS,
+  INTEREST_METHODS,
+  REPAYMENT_TYPE_LABELS,
+  REPAYMENT_TYPES,
+  REPAYMENT_FREQUENCIES,
+  REPAYMENT_FREQUENCY_LABELS,
+  formatDuration,
+  MORATORIUM_INTEREST,
+  MORATORIUM_INTEREST_LABELS,
+  calculateCapitalizedInterest,
+  describeEMIStep,
+  summarizeSchedule,
+  formatCurrency,
+  formatDate,
+} from '../../utils/loanCalculations';
+import { DEFAULT_CURRENCY } from '../../utils/currencies';
+import { formatRateShort } from '../../utils/rateConventions';
 
 /**
  * Step 2: Amortization Schedule
- * Display auto-calculated monthly breakdown of Principal + Interest
+ * Display auto-calculated breakdown of Principal + Interest per installment
+ * with due dates shifted past any moratorium and EMIs that change at every
+ * step of a step-up or step-down plan
  */
 const Step2AmortizationSchedule = ({
   schedule,
   amount,
+  currency = DEFAULT_CURRENCY,
   interestRate,
+  rateConvention,
   duration,
+  frequency = REPAYMENT_FREQUENCIES.MONTHLY,
+  interestMethod = INTEREST_METHODS.REDUCING,
+  repaymentType = REPAYMENT_TYPES.EMI,
+  moratoriumMonths = 0,
+  moratoriumInterest = MORATORIUM_INTEREST.WAIVED,
+  stepPercent = 0,
+  stepPeriods,
   onNext,
   onBack,
 }) => {
   const { theme } = useTheme();
   const styles = createStyles(theme);
+  const formatAmount = (value) => formatCurrency(value, currency);
 
-  const totalInterest = schedule.reduce((sum, emi) => sum + emi.interest, 0);
-  const totalAmount = amount + totalInterest;
+  const capitalizedInterest = calculateCapitalizedInterest(
+    amount,
+    interestRate,
+    { interestMethod, moratoriumMonths, moratoriumInterest }
+  );
+  const { totalInterest, totalAmount } = summarizeSchedule(schedule, amount);
 
   return (
     <View style={styles.container}>
@@ -34,7 +67,7 @@ const Step2AmortizationSchedule = ({
           <Text style={styles.stepTitle}>Payment Schedule</Text>
         </View>
         <Text style={styles.stepDescription}>
-          Review the monthly payment breakdown
+          Review the payment breakdown
         </Text>
       </View>
 
@@ -43,44 +76,101 @@ const Step2AmortizationSchedule = ({
         <View style={styles.summaryRow}>
           <View style={styles.summaryItem}>
             <Text style={styles.summaryLabel}>Principal</Text>
-            <Text style={styles.summaryValue}>{formatCurrency(amount)}</Text>
+            <Text style={styles.summaryValue}>{formatAmount(amount)}</Text>
           </View>
           <View style={styles.summaryDivider} />
           <View style={styles.summaryItem}>
             <Text style={styles.summaryLabel}>Duration</Text>
-            <Text style={styles.summaryValue}>{duration} months</Text>
+            <Text style={styles.summaryValue}>
+              {formatDuration(duration, frequency)}
+            </Text>
+            <Text style={styles.summarySubValue}>
+              {REPAYMENT_TYPE_LABELS[repaymentType]}
+            </Text>
           </View>
           <View style={styles.summaryDivider} />
           <View style={styles.summaryItem}>
             <Text style={styles.summaryLabel}>Rate</Text>
             <Text style={styles.summaryValue}>
-              {(interestRate / 12).toFixed(2)}% /mo
+              {formatRateShort(interestRate, rateConvention, currency)}
+            </Text>
+            <Text style={styles.summarySubValue}>
+              {INTEREST_METHOD_LABELS[interestMethod]}
             </Text>
           </View>
         </View>
 
         <View style={styles.divider} />
 
+        {stepPercent !== 0 && (
+          <>
+            <View style={styles.totalRow}>
+              <Text style={styles.totalLabel}>EMI Plan</Text>
+              <Text style={styles.moratoriumValue}>
+                {describeEMIStep({ stepPercent, stepPeriods }, frequency)}
+              </Text>
+            </View>
+
+            <View style={styles.totalRow}>
+              <Text style={styles.totalLabel}>First / Last EMI</Text>
+              <Text style={styles.moratoriumValue}>
+                {formatAmount(schedule[0].emi)} /{' '}
+                {formatAmount(schedule[schedule.length - 1].emi)}
+              </Text>
+            </View>
+          </>
+        )}
+
+        {moratoriumMonths > 0 && (
+          <>
+            <View style={styles.totalRow}>
+              <Text style={styles.totalLabel}>Moratorium</Text>
+              <Text style={styles.moratoriumValue}>
+                {moratoriumMonths} months ·{' '}
+                {MORATORIUM_INTEREST_LABELS[moratoriumInterest]}
+              </Text>
+            </View>
+
+            {capitalizedInterest > 0 && (
+              <View style={styles.totalRow}>
+                <Text style={styles.totalLabel}>Capitalized Interest</Text>
+                <Text style={styles.moratoriumValue}>
+                  {formatAmount(capitalizedInterest)}
+                </Text>
+              </View>
+            )}
+
+            <View style={styles.totalRow}>
+              <Text style={styles.totalLabel}>First Payment</Text>
+              <Text style={styles.moratoriumValue}>
+                {formatDate(schedule[0].dueDate)}
+              </Text>
+            </View>
+          </>
+        )}
+
         <View style={styles.totalRow}>
           <Text style={styles.totalLabel}>Total Interest</Text>
           <Text style={styles.totalInterest}>
-            {formatCurrency(totalInterest)}
+            {formatAmount(totalInterest)}
           </Text>
         </View>
 
         <View style={styles.totalRow}>
           <Text style={styles.totalLabel}>Total Repayment</Text>
-          <Text style={styles.totalAmount}>{formatCurrency(totalAmount)}</Text>
+          <Text style={styles.totalAmount}>{formatAmount(totalAmount)}</Text>
         </View>
       </Card>
 
       {/* Schedule Table */}
       <Card style={styles.scheduleCard}>
-        <Text style={styles.scheduleTitle}>Monthly Breakdown</Text>
+        <Text style={styles.scheduleTitle}>
+          {REPAYMENT_FREQUENCY_LABELS[frequency]} Breakdown
+        </Text>
 
         <View style={styles.tableHeader}>
           <Text style={[styles.tableHeaderText, styles.monthColumn]}>
-            Month
+            Due
           </Text>
           <Text style={[styles.tableHeaderText, styles.emiColumn]}>EMI</Text>
           <Text style={[styles.tableHeaderText, styles.principalColumn]}>
@@ -106,20 +196,25 @@ const Step2AmortizationSchedule = ({
                 index % 2 === 0 && styles.tableRowEven,
               ]}
             >
-              <Text style={[styles.tableCell, styles.monthColumn]}>
-                {emi.month}
-              </Text>
+              <View style={styles.monthColumn}>
+                <Text style={[styles.tableCell, styles.monthText]}>
+                  {emi.month}
+                </Text>
+                <Text style={styles.dueDateText}>
+                  {formatDate(emi.dueDate, 'compact')}
+                </Text>
+              </View>
               <Text style={[styles.tableCell, styles.emiColumn]}>
-                ₹{emi.emi.toLocaleString('en-IN')}
+                {formatAmount(emi.emi)}
               </Text>
               <Text style={[styles.tableCell, styles.principalColumn]}>
-                ₹{emi.principal.toLocaleString('en-IN')}
+                {formatAmount(emi.principal)}
               </Text>
               <Text style={[styles.tableCell, styles.interestColumn]}>
-                ₹{emi.interest.toLocaleString('en-IN')}
+                {formatAmount(emi.interest)}
               </Text>
               <Text style={[styles.tableCell, styles.balanceColumn]}>
-                ₹{emi.balance.toLocaleString('en-IN')}
+                {formatAmount(emi.balance)}
               </Text>
             </View>
           ))}
@@ -208,6 +303,11 @@ const createStyles = (theme) =>
       fontWeight: theme.typography.fontWeight.semibold,
       color: theme.colors.text,
     },
+    summarySubValue: {
+      fontSize: theme.typography.fontSize.xs,
+      color: theme.colors.textTertiary,
+      marginTop: theme.spacing.xs,
+    },
     divider: {
       height: 1,
       backgroundColor: theme.colors.border,
@@ -223,6 +323,11 @@ const createStyles = (theme) =>
       fontSize: theme.typography.fontSize.md,
       color: theme.colors.textSecondary,
     },
+    moratoriumValue: {
+      fontSize: theme.typography.fontSize.md,
+      fontWeight: theme.typography.fontWeight.medium,
+      color: theme.colors.text,
+    },
     totalInterest: {
       fontSize: theme.typography.fontSize.lg,
       fontWeight: theme.typography.fontWeight.semibold,
@@ -272,23 +377,31 @@ const createStyles = (theme) =>
       color: theme.colors.text,
     },
     monthColumn: {
-      width: '12%',
+      width: '20%',
       textAlign: 'center',
+      alignItems: 'center',
+    },
+    monthText: {
+      textAlign: 'center',
+    },
+    dueDateText: {
+      fontSize: theme.typography.fontSize.xs,
+      color: theme.colors.textTertiary,
     },
     emiColumn: {
-      width: '22%',
+      width: '20%',
       textAlign: 'right',
     },
     principalColumn: {
-      width: '22%',
+      width: '20%',
       textAlign: 'right',
     },
     interestColumn: {
-      width: '22%',
+      width: '20%',
       textAlign: 'right',
     },
     balanceColumn: {
-      width: '22%',
+      width: '20%',
       textAlign: 'right',
     },
     actions: {
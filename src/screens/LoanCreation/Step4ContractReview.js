@@ -1,30 +1,82 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { View, Text, StyleSheet, ScrollView } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../../contexts/ThemeContext';
 import Card from '../../components/common/Card';
 import Button from '../../components/common/Button';
+import SegmentedControl from '../../components/common/SegmentedControl';
 import {
+  INTEREST_METHODS,
+  INTEREST_METHOD_LABELS,
+  REPAYMENT_TYPES,
+  REPAYMENT_TYPE_LABELS,
+  REPAYMENT_FREQUENCIES,
+  REPAYMENT_FREQUENCY_LABELS,
+  formatDuration,
+  MORATORIUM_INTEREST_LABELS,
+  describeDueDay,
+  describeEMIStep,
   formatCurrency,
   formatDate,
-  calculateTotalInterest,
+  summarizeSchedule,
 } from '../../utils/loanCalculations';
+import { describePenaltyRule } from '../../utils/latePenalties';
+import { getLoanCurrency } from '../../utils/currencies';
+import { describeDueDateAdjustment } from '../../utils/businessCalendar';
+import { getRateHistory } from '../../utils/rateChanges';
+import { LOAN_STATUSES } from '../../utils/loanStatus';
+import { formatRate, getRateConvention } from '../../utils/rateConventions';
+import {
+  calculateEffectiveAnnualRate,
+  formatXIRR,
+} from '../../utils/loanReturns';
+
+// What the loan is saved as, and the button that saves it
+const START_OPTIONS = [
+  { label: 'Active', value: LOAN_STATUSES.ACTIVE },
+  { label: 'For Acceptance', value: LOAN_STATUSES.PENDING_ACCEPTANCE },
+  { label: 'Draft', value: LOAN_STATUSES.DRAFT },
+];
+
+const START_HELP = {
+  [LOAN_STATUSES.ACTIVE]: 'The money is lent and the schedule starts today',
+  [LOAN_STATUSES.PENDING_ACCEPTANCE]:
+    'The schedule starts once the borrower accepts the terms',
+  [LOAN_STATUSES.DRAFT]: 'Keep the terms to finish later, nothing is lent yet',
+};
+
+const SUBMIT_TITLES = {
+  [LOAN_STATUSES.ACTIVE]: 'Create Loan',
+  [LOAN_STATUSES.PENDING_ACCEPTANCE]: 'Send for Acceptance',
+  [LOAN_STATUSES.DRAFT]: 'Save Draft',
+};
 
 /**
  * Step 4: Contract Review
- * Final review of all loan details before submission
+ * Final review of all loan details before submission, which saves the loan
+ * as active, awaiting the borrower's acceptance or as a draft
  */
 const Step4ContractReview = ({ loanData, onSubmit, onBack, loading }) => {
   const { theme } = useTheme();
   const styles = createStyles(theme);
+  const currency = getLoanCurrency(loanData);
+  const rateConvention = getRateConvention(loanData);
+  const formatAmount = (amount) => formatCurrency(amount, currency);
+
+  const [startAs, setStartAs] = useState(LOAN_STATUSES.ACTIVE);
 
-  const totalInterest = calculateTotalInterest(
-    loanData.amount,
-    loanData.annualInterestRate,
-    loanData.durationMonths
+  // Totals come from the schedule itself so they match Step 2 to the paisa
+  const { totalInterest, totalAmount } = summarizeSchedule(
+    loanData.emis,
+    loanData.amount
   );
-  const totalAmount = loanData.amount + totalInterest;
+  const repaymentType = loanData.repaymentType || REPAYMENT_TYPES.EMI;
+  const frequency = loanData.frequency || REPAYMENT_FREQUENCIES.MONTHLY;
+  const frequencyLabel = REPAYMENT_FREQUENCY_LABELS[frequency];
+  const isGraduated =
+    repaymentType === REPAYMENT_TYPES.EMI && !!loanData.stepPercent;
   const firstEMI = loanData.emis[0];
+  const lastEMI = loanData.emis[loanData.emis.length - 1];
 
   return (
     <View style={styles.container}>
@@ -99,50 +151,198 @@ const Step4ContractReview = ({ loanData, onSubmit, onBack, loading }) => {
             <View style={styles.termRow}>
               <Text style={styles.termLabel}>Principal Amount</Text>
               <Text style={styles.termValue}>
-                {formatCurrency(loanData.amount)}
+                {formatAmount(loanData.amount)}
               </Text>
             </View>
 
             <View style={styles.termRow}>
               <Text style={styles.termLabel}>Interest Rate</Text>
               <Text style={styles.termValue}>
-                {(loanData.annualInterestRate / 12).toFixed(2)}% per month
+                {formatRate(
+                  loanData.annualInterestRate,
+                  rateConvention,
+                  currency
+                )}
+              </Text>
+            </View>
+
+            <View style={styles.termRow}>
+              <Text style={styles.termLabel}>Effective Annual Rate (APR)</Text>
+              <Text style={styles.termValue}>
+                {formatXIRR(calculateEffectiveAnnualRate(loanData))}
+              </Text>
+            </View>
+            <Text style={styles.sectionNote}>
+              What the borrower pays a year on the money lent if every
+              installment is paid on its due date, with compounding and the
+              interest method included
+            </Text>
+
+            <View style={styles.termRow}>
+              <Text style={styles.termLabel}>Interest Method</Text>
+              <Text style={styles.termValue}>
+                {
+                  INTEREST_METHOD_LABELS[
+                    loanData.interestMethod || INTEREST_METHODS.REDUCING
+                  ]
+                }
               </Text>
             </View>
 
             <View style={styles.termRow}>
               <Text style={styles.termLabel}>Duration</Text>
               <Text style={styles.termValue}>
-                {loanData.durationMonths} months
+                {formatDuration(loanData.duration, frequency)}
               </Text>
             </View>
 
             <View style={styles.termRow}>
-              <Text style={styles.termLabel}>Monthly EMI</Text>
+              <Text style={styles.termLabel}>Repayment Frequency</Text>
+              <Text style={styles.termValue}>{frequencyLabel}</Text>
+            </View>
+
+            {loanData.frequency === REPAYMENT_FREQUENCIES.MONTHLY && (
+              <View style={styles.termRow}>
+                <Text style={styles.termLabel}>Due Day</Text>
+                <Text style={styles.termValue}>{describeDueDay(loanData)}</Text>
+              </View>
+            )}
+
+            <View style={styles.termRow}>
+              <Text style={styles.termLabel}>Weekends & Holidays</Text>
               <Text style={styles.termValue}>
-                {formatCurrency(firstEMI.emi)}
+                {describeDueDateAdjustment(loanData.dueDateAdjustment)}
               </Text>
             </View>
 
+            {loanData.moratoriumMonths > 0 && (
+              <View style={styles.termRow}>
+                <Text style={styles.termLabel}>Moratorium</Text>
+                <Text style={styles.termValue}>
+                  {loanData.moratoriumMonths} months ·{' '}
+                  {MORATORIUM_INTEREST_LABELS[loanData.moratoriumInterest]}
+                </Text>
+              </View>
+            )}
+
+            <View style={styles.termRow}>
+              <Text style={styles.termLabel}>Repayment Type</Text>
+              <Text style={styles.termValue}>
+                {REPAYMENT_TYPE_LABELS[repaymentType]}
+              </Text>
+            </View>
+
+            <View style={styles.termRow}>
+              <Text style={styles.termLabel}>Late Payment Penalty</Text>
+              <Text style={styles.termValue}>
+                {describePenaltyRule(loanData.penaltyRule, formatAmount)}
+              </Text>
+            </View>
+
+            {repaymentType === REPAYMENT_TYPES.EMI && !isGraduated && (
+              <View style={styles.termRow}>
+                <Text style={styles.termLabel}>{frequencyLabel} EMI</Text>
+                <Text style={styles.termValue}>
+                  {formatAmount(firstEMI.emi)}
+                </Text>
+              </View>
+            )}
+
+            {isGraduated && (
+              <>
+                <View style={styles.termRow}>
+                  <Text style={styles.termLabel}>EMI Plan</Text>
+                  <Text style={styles.termValue}>
+                    {describeEMIStep(loanData, frequency)}
+                  </Text>
+                </View>
+
+                <View style={styles.termRow}>
+                  <Text style={styles.termLabel}>First EMI</Text>
+                  <Text style={styles.termValue}>
+                    {formatAmount(firstEMI.emi)}
+                  </Text>
+                </View>
+
+                <View style={styles.termRow}>
+                  <Text style={styles.termLabel}>Last EMI</Text>
+                  <Text style={styles.termValue}>
+                    {formatAmount(lastEMI.emi)}
+                  </Text>
+                </View>
+              </>
+            )}
+
+            {repaymentType === REPAYMENT_TYPES.INTEREST_ONLY && (
+              <View style={styles.termRow}>
+                <Text style={styles.termLabel}>
+                  {frequencyLabel} Interest
+                </Text>
+                <Text style={styles.termValue}>
+                  {formatAmount(firstEMI.emi)}
+                </Text>
+              </View>
+            )}
+
+            {repaymentType !== REPAYMENT_TYPES.EMI && (
+              <View style={styles.termRow}>
+                <Text style={styles.termLabel}>
+                  {repaymentType === REPAYMENT_TYPES.BULLET
+                    ? 'Payment at Maturity'
+                    : 'Final Payment'}
+                </Text>
+                <Text style={styles.termValue}>
+                  {formatAmount(lastEMI.emi)}
+                </Text>
+              </View>
+            )}
+
             <View style={styles.divider} />
 
             <View style={styles.termRow}>
               <Text style={styles.termLabelBold}>Total Interest</Text>
               <Text style={styles.termValueHighlight}>
-                {formatCurrency(totalInterest)}
+                {formatAmount(totalInterest)}
               </Text>
             </View>
 
             <View style={styles.termRow}>
               <Text style={styles.termLabelBold}>Total Repayment</Text>
               <Text style={styles.termValuePrimary}>
-                {formatCurrency(totalAmount)}
+                {formatAmount(totalAmount)}
               </Text>
             </View>
           </View>
 
           <View style={styles.divider} />
 
+          {/* Rate History */}
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Rate History</Text>
+
+            {getRateHistory(loanData).map((entry) => (
+              <View key={entry.id} style={styles.termRow}>
+                <Text style={styles.termLabel}>
+                  From {formatDate(entry.effectiveDate)}
+                </Text>
+                <Text style={styles.termValue}>
+                  {formatRate(
+                    entry.annualInterestRate,
+                    rateConvention,
+                    currency
+                  )}
+                </Text>
+              </View>
+            ))}
+
+            <Text style={styles.sectionNote}>
+              Rate changes agreed later are added here and recalculate the
+              unpaid EMIs from their effective date
+            </Text>
+          </View>
+
+          <View style={styles.divider} />
+
           {/* Payment Schedule Summary */}
           <View style={styles.section}>
             <Text style={styles.sectionTitle}>Payment Schedule</Text>
@@ -170,7 +370,7 @@ const Step4ContractReview = ({ loanData, onSubmit, onBack, loading }) => {
               <View style={styles.scheduleInfo}>
                 <Text style={styles.scheduleLabel}>Final Payment Due</Text>
                 <Text style={styles.scheduleValue}>
-                  {formatDate(loanData.emis[loanData.emis.length - 1].dueDate)}
+                  {formatDate(lastEMI.dueDate)}
                 </Text>
               </View>
             </View>
@@ -184,7 +384,9 @@ const Step4ContractReview = ({ loanData, onSubmit, onBack, loading }) => {
               <View style={styles.scheduleInfo}>
                 <Text style={styles.scheduleLabel}>Total Installments</Text>
                 <Text style={styles.scheduleValue}>
-                  {loanData.emis.length} monthly payments
+                  {loanData.emis.length === 1
+                    ? '1 payment'
+                    : `${loanData.emis.length} ${frequencyLabel.toLowerCase()} payments`}
                 </Text>
               </View>
             </View>
@@ -210,6 +412,14 @@ const Step4ContractReview = ({ loanData, onSubmit, onBack, loading }) => {
           </Text>
         </Card>
 
+        <SegmentedControl
+          label="Save As"
+          options={START_OPTIONS}
+          value={startAs}
+          onChange={setStartAs}
+          helperText={START_HELP[startAs]}
+        />
+
         {/* Actions */}
         <View style={styles.actions}>
           <Button
@@ -219,8 +429,8 @@ const Step4ContractReview = ({ loanData, onSubmit, onBack, loading }) => {
             style={styles.backButton}
           />
           <Button
-            title="Create Loan"
-            onPress={onSubmit}
+            title={SUBMIT_TITLES[startAs]}
+            onPress={() => onSubmit(startAs)}
             loading={loading}
             style={styles.submitButton}
           />
@@ -295,6 +505,11 @@ const createStyles = (theme) =>
       color: theme.colors.text,
       marginBottom: theme.spacing.md,
     },
+    sectionNote: {
+      fontSize: theme.typography.fontSize.xs,
+      color: theme.colors.textTertiary,
+      marginTop: theme.spacing.sm,
+    },
     partyRow: {
       flexDirection: 'row',
       alignItems: 'flex-start',
@@ -345,6 +560,9 @@ const createStyles = (theme) =>
       color: theme.colors.text,
     },
     termValue: {
+      flexShrink: 1,
+      marginLeft: theme.spacing.md,
+      textAlign: 'right',
       fontSize: theme.typography.fontSize.md,
       fontWeight: theme.typography.fontWeight.medium,
       color: theme.colors.text,
@@ -6,44 +6,157 @@ import {
   ScrollView,
   Alert,
   RefreshControl,
+  TouchableOpacity,
 } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useAuth } from '../../contexts/AuthContextLocal';
+import { useCalendar } from '../../contexts/CalendarContext';
+import { useAppLock } from '../../contexts/AppLockContext';
 import useLocalStorage from '../../hooks/useLocalStorage';
 import Card from '../../components/common/Card';
 import Button from '../../components/common/Button';
 import LegalDisclaimer from '../../components/common/LegalDisclaimer';
+import PromptModal from '../../components/common/PromptModal';
+import RecordPaymentModal from '../../components/loan/RecordPaymentModal';
+import RateChangeModal from '../../components/loan/RateChangeModal';
+import PayoffQuoteModal from '../../components/loan/PayoffQuoteModal';
+import RestructureModal from '../../components/loan/RestructureModal';
+import TopUpModal from '../../components/loan/TopUpModal';
+import LoanStatusBadge from '../../components/loan/LoanStatusBadge';
 import {
-  formatCurrency,
+  INTEREST_METHODS,
+  INTEREST_METHOD_LABELS,
+  REPAYMENT_TYPES,
+  REPAYMENT_TYPE_LABELS,
+  REPAYMENT_FREQUENCIES,
+  REPAYMENT_FREQUENCY_LABELS,
+  MORATORIUM_INTEREST_LABELS,
+  describeDueDay,
+  describeEMIStep,
+  getScheduleOptions,
+  getLoanDuration,
+  summarizeSchedule,
+  formatDuration,
+  PREPAYMENT_MODES,
+  PREPAYMENT_MODE_LABELS,
+  isInstallment,
   formatDate,
+  formatCurrency,
   calculateLoanProgress,
   calculateTotalPaid,
   calculateRemainingAmount,
+  getEMIPaidAmount,
+  getEMIOutstanding,
   isEMIOverdue,
   getDaysUntilDue,
 } from '../../utils/loanCalculations';
+import {
+  PAYMENT_METHOD_LABELS,
+  PAYMENT_TYPES,
+  applyPrepayment,
+  getPaymentHistory,
+} from '../../utils/paymentLedger';
+import {
+  PENALTY_TYPES,
+  describePenaltyRule,
+  calculatePenaltyDue,
+  getPenaltyOutstanding,
+} from '../../utils/latePenalties';
+import { applyRateChange, getRateHistory } from '../../utils/rateChanges';
+import { calculatePayoffQuote } from '../../utils/payoffQuote';
+import { applyRestructure, isRestructured } from '../../utils/restructuring';
+import {
+  applyDisbursement,
+  getDisbursements,
+} from '../../utils/disbursements';
+import {
+  LOAN_STATUSES,
+  LOAN_STATUS_LABELS,
+  getManualTransitions,
+  getStatusHistory,
+  getTransitionLabel,
+  isLoanClosed,
+  isLoanRepaying,
+  isReasonRequired,
+} from '../../utils/loanStatus';
+import {
+  adjustDueDate,
+  describeDueDateAdjustment,
+} from '../../utils/businessCalendar';
+import { getCurrency, getLoanCurrency } from '../../utils/currencies';
+import { formatRate, getRateConvention } from '../../utils/rateConventions';
+import {
+  calculateEffectiveAnnualRate,
+  formatXIRR,
+} from '../../utils/loanReturns';
 
 /**
  * Loan Detail Screen
- * Shows loan progress and EMI list with "Mark as Paid" functionality
+ * Shows loan progress, EMI list with "Mark as Paid" functionality
+ * and the payment ledger with partial payments and prepayments
+ * Late penalties are accrued on load and listed under their EMI
+ * Rate changes regenerate the unpaid EMIs and are kept in a rate history
+ * A payoff quote tells what closes the loan on a date, and the lender can
+ * close the loan early for that amount
+ * A restructured loan links to the loan its balance was carried into, and
+ * the new loan shows the schedule it replaced
+ * The status badge and history follow the loan's lifecycle, and the lender
+ * moves it along by hand (accepted, defaulted, written off, ...)
+ * Top-ups lend more on a running loan and are listed with the amount it
+ * started with
+ * Rates are shown the way the lender quoted them, next to the effective
+ * annual rate (APR) of the schedule
+ * Closing, restructuring, writing off or deleting a loan asks for the PIN
+ * (or password) again
  */
 const LoanDetailScreen = ({ route, navigation }) => {
   const { loanId } = route.params;
   const { theme } = useTheme();
   const { user } = useAuth();
-  const { getLoanById, markEMIAsPaid, loading } = useLocalStorage();
+  const { calendar } = useCalendar();
+  const { confirmIdentity } = useAppLock();
+  const {
+    refreshLatePenalties,
+    recordPayment,
+    recordPrepayment,
+    markEMIAsPaid,
+    waiveLatePenalty,
+    changeInterestRate,
+    closeLoan,
+    restructureLoan,
+    getLoanById,
+    changeLoanStatus,
+    addDisbursement,
+    deleteLoan,
+    loading,
+  } = useLocalStorage();
 
   const [loan, setLoan] = useState(null);
   const [refreshing, setRefreshing] = useState(false);
+  const [paymentModalVisible, setPaymentModalVisible] = useState(false);
+  const [prepaymentModalVisible, setPrepaymentModalVisible] = useState(false);
+  const [penaltyToWaive, setPenaltyToWaive] = useState(null);
+  const [rateModalVisible, setRateModalVisible] = useState(false);
+  const [payoffModalVisible, setPayoffModalVisible] = useState(false);
+  const [restructureModalVisible, setRestructureModalVisible] =
+    useState(false);
+  const [topUpModalVisible, setTopUpModalVisible] = useState(false);
+  const [previousLoan, setPreviousLoan] = useState(null);
+  const [statusToSet, setStatusToSet] = useState(null);
 
   const styles = createStyles(theme);
 
-  // Load loan data
+  // Load loan data with penalties accrued up to today
   const loadLoan = async () => {
-    const loanData = await getLoanById(loanId);
+    const loanData = await refreshLatePenalties(loanId);
     if (loanData) {
       setLoan(loanData);
+      setPreviousLoan(
+        loanData.restructuredFrom
+          ? await getLoanById(loanData.restructuredFrom.loanId)
+          : null
+      );
     } else {
       Alert.alert('Error', 'Loan not found');
       navigation.goBack();
@@ -61,11 +174,302 @@ const LoanDetailScreen = ({ route, navigation }) => {
     setRefreshing(false);
   };
 
+  // Handle recording a payment from the modal
+  const handleRecordPayment = async (paymentData) => {
+    const success = await recordPayment(loanId, paymentData);
+    if (success) {
+      setPaymentModalVisible(false);
+      await loadLoan();
+      Alert.alert('Success', 'Payment recorded');
+    } else {
+      Alert.alert('Error', 'Failed to record payment');
+    }
+  };
+
+  // Handle recording a prepayment and re-amortizing the remaining EMIs
+  const handlePrepayment = async (paymentData, mode) => {
+    let preview;
+    try {
+      // Validate against the current schedule before saving
+      preview = applyPrepayment(loan, paymentData, mode);
+    } catch (error) {
+      Alert.alert('Prepayment', error.message);
+      return;
+    }
+
+    const success = await recordPrepayment(loanId, paymentData, mode);
+    if (success) {
+      const upcoming = preview.emis.filter(
+        (emi) => isInstallment(emi) && !emi.paid
+      );
+      setPrepaymentModalVisible(false);
+      await loadLoan();
+      Alert.alert(
+        'Prepayment Recorded',
+        `${upcoming.length} installments of ${formatAmount(
+          upcoming[upcoming.length - 1]?.emi || 0
+        )} remaining`
+      );
+    } else {
+      Alert.alert('Error', 'Failed to record prepayment');
+    }
+  };
+
+  // Handle a rate change and regenerate the unpaid EMIs from its date
+  const handleRateChange = async (rateChange) => {
+    let preview;
+    try {
+      // Validate against the current schedule before saving
+      preview = applyRateChange(loan, rateChange, calendar);
+    } catch (error) {
+      Alert.alert('Rate Change', error.message);
+      return;
+    }
+
+    const success = await changeInterestRate(loanId, rateChange);
+    if (success) {
+      const upcoming = preview.emis.filter(
+        (emi) => isInstallment(emi) && !emi.paid
+      );
+      setRateModalVisible(false);
+      await loadLoan();
+      Alert.alert(
+        'Rate Changed',
+        `${upcoming.length} installments of ${formatAmount(
+          upcoming[0]?.emi || 0
+        )} remaining`
+      );
+    } else {
+      Alert.alert('Error', 'Failed to change interest rate');
+    }
+  };
+
+  // Handle closing the loan early for the payoff amount, after confirming
+  const handleCloseLoan = (closure) => {
+    let quote;
+    try {
+      quote = calculatePayoffQuote(
+        loan,
+        closure.date,
+        closure.foreclosureFee
+      );
+    } catch (error) {
+      Alert.alert('Close Loan', error.message);
+      return;
+    }
+
+    Alert.alert(
+      'Close Loan',
+      `Record ${formatAmount(
+        quote.total
+      )} received on ${formatDate(quote.payoffDate)} and close this loan?`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Close Loan',
+          style: 'destructive',
+          onPress: async () => {
+            if (!(await confirmIdentity('Confirm closing this loan'))) return;
+
+            const success = await closeLoan(loanId, closure);
+            if (success) {
+              setPayoffModalVisible(false);
+              await loadLoan();
+              Alert.alert('Loan Closed', 'The loan has been settled');
+            } else {
+              Alert.alert('Error', 'Failed to close the loan');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Handle restructuring the balance into a new loan, after confirming
+  const handleRestructure = (terms) => {
+    let preview;
+    try {
+      preview = applyRestructure(loan, terms, calendar);
+    } catch (error) {
+      Alert.alert('Restructure', error.message);
+      return;
+    }
+
+    Alert.alert(
+      'Restructure Loan',
+      `Close this loan at ${formatAmount(
+        preview.quote.total
+      )} and start a new loan of ${formatAmount(
+        preview.newLoan.amount
+      )} over ${formatDuration(terms.duration, frequency)}?`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Restructure',
+          style: 'destructive',
+          onPress: async () => {
+            if (!(await confirmIdentity('Confirm restructuring this loan'))) {
+              return;
+            }
+
+            const newLoan = await restructureLoan(loanId, terms);
+            if (newLoan) {
+              setRestructureModalVisible(false);
+              await loadLoan();
+              Alert.alert(
+                'Loan Restructured',
+                'The balance has been carried into a new loan',
+                [
+                  { text: 'Stay', style: 'cancel' },
+                  {
+                    text: 'View New Loan',
+                    onPress: () =>
+                      navigation.push('LoanDetail', { loanId: newLoan.id }),
+                  },
+                ]
+              );
+            } else {
+              Alert.alert('Error', 'Failed to restructure the loan');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Handle a top-up and regenerate the unpaid EMIs for the larger balance
+  const handleTopUp = async (disbursement) => {
+    let preview;
+    try {
+      // Validate against the current schedule before saving
+      preview = applyDisbursement(loan, disbursement, calendar);
+    } catch (error) {
+      Alert.alert('Top-up', error.message);
+      return;
+    }
+
+    const success = await addDisbursement(loanId, disbursement);
+    if (success) {
+      const upcoming = preview.emis.filter(
+        (emi) => isInstallment(emi) && !emi.paid
+      );
+      setTopUpModalVisible(false);
+      await loadLoan();
+      Alert.alert(
+        'Top-up Added',
+        `${formatAmount(preview.amount)} lent in total, ${
+          upcoming.length
+        } installments of ${formatAmount(
+          upcoming[upcoming.length - 1]?.emi || 0
+        )} remaining`
+      );
+    } else {
+      Alert.alert('Error', 'Failed to add the top-up');
+    }
+  };
+
+  // Handle moving the loan to another status, with a reason when required
+  // Closing a loan by hand, e.g. writing it off, asks who is there again
+  const handleChangeStatus = async (status, reason = '') => {
+    if (
+      isLoanClosed({ status }) &&
+      !(await confirmIdentity(
+        `Confirm moving this loan to ${LOAN_STATUS_LABELS[status]}`
+      ))
+    ) {
+      return;
+    }
+
+    const success = await changeLoanStatus(loanId, status, reason);
+    if (success) {
+      setStatusToSet(null);
+      await loadLoan();
+      Alert.alert(
+        'Status Changed',
+        `The loan is now ${LOAN_STATUS_LABELS[status]}`
+      );
+    } else {
+      Alert.alert('Error', 'Failed to change the loan status');
+    }
+  };
+
+  // Ask for a reason, or confirm, before changing the status
+  const handleStatusAction = (status) => {
+    if (isReasonRequired(status)) {
+      setStatusToSet(status);
+      return;
+    }
+
+    Alert.alert(
+      getTransitionLabel(loan.status, status),
+      `Move this loan to ${LOAN_STATUS_LABELS[status]}?`,
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Confirm',
+          onPress: () => handleChangeStatus(status),
+        },
+      ]
+    );
+  };
+
+  // Handle deleting the loan and its history, after confirming
+  const handleDeleteLoan = () => {
+    Alert.alert(
+      'Delete Loan',
+      'Delete this loan with its schedule and payments? This cannot be undone',
+      [
+        {
+          text: 'Cancel',
+          style: 'cancel',
+        },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            if (!(await confirmIdentity('Confirm deleting this loan'))) return;
+
+            const success = await deleteLoan(loanId);
+            if (success) {
+              navigation.goBack();
+            } else {
+              Alert.alert('Error', 'Failed to delete the loan');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  // Handle waiving a late penalty with the reason from the prompt
+  const handleWaivePenalty = async (reason) => {
+    const success = await waiveLatePenalty(loanId, penaltyToWaive.id, reason);
+    if (success) {
+      setPenaltyToWaive(null);
+      await loadLoan();
+      Alert.alert('Success', 'Penalty waived');
+    } else {
+      Alert.alert('Error', 'Failed to waive penalty');
+    }
+  };
+
   // Handle marking EMI as paid
-  const handleMarkAsPaid = (emiIndex) => {
+  const handleMarkAsPaid = (emiIndex, installmentNumber) => {
+    const outstanding =
+      getEMIOutstanding(loan.emis[emiIndex]) + getEMIPenaltyDue(emiIndex);
+
     Alert.alert(
       'Mark EMI as Paid',
-      `Mark EMI #${emiIndex + 1} as paid?`,
+      `Record ${formatAmount(outstanding)} for EMI #${installmentNumber}?`,
       [
         {
           text: 'Cancel',
@@ -98,7 +502,79 @@ const LoanDetailScreen = ({ route, navigation }) => {
   const progress = calculateLoanProgress(loan.emis);
   const totalPaid = calculateTotalPaid(loan.emis);
   const remaining = calculateRemainingAmount(loan.emis);
+  const { totalInterest, totalAmount } = summarizeSchedule(
+    loan.emis,
+    loan.amount
+  );
   const isLender = user?.uid === loan.lenderId;
+  // Amounts are shown in the loan's own currency
+  const currency = getLoanCurrency(loan);
+  const formatAmount = (amount) => formatCurrency(amount, currency);
+  const rateConvention = getRateConvention(loan);
+  const scheduleOptions = getScheduleOptions(loan);
+  const { repaymentType, frequency, dueDateAdjustment } = scheduleOptions;
+  const dueDateOptions = { dueDateAdjustment, calendar };
+  const frequencyLabel = REPAYMENT_FREQUENCY_LABELS[frequency];
+  const lastEMI = loan.emis[loan.emis.length - 1];
+  const payments = getPaymentHistory(loan);
+  const penalties = loan.penalties || [];
+  const penaltyDue = calculatePenaltyDue(penalties);
+  const amountDue = remaining + penaltyDue;
+  const nextOutstandingIndex = loan.emis.findIndex((emi) => !emi.paid);
+
+  // Late penalties attached to an EMI, and what is still due on them
+  const getEMIPenalties = (index) =>
+    penalties.filter((penalty) => penalty.emiIndex === index);
+  const getEMIPenaltyDue = (index) =>
+    calculatePenaltyDue(getEMIPenalties(index));
+
+  // EMI numbers skip prepayment rows in the schedule
+  const getInstallmentNumber = (index) =>
+    loan.emis.slice(0, index + 1).filter(isInstallment).length;
+  // Payments, penalties and schedule changes only apply while repaying
+  const isRepaying = isLoanRepaying(loan);
+  const canPrepay =
+    isLender &&
+    isRepaying &&
+    remaining > 0 &&
+    repaymentType !== REPAYMENT_TYPES.BULLET;
+  const canChangeRate = canPrepay;
+  const canTopUp = canPrepay;
+  const canRestructure = isLender && isRepaying && amountDue > 0;
+  const statusHistory = getStatusHistory(loan);
+  // The borrower can only accept a loan, everything else is up to the lender
+  const statusActions = getManualTransitions(loan).filter(
+    (status) =>
+      isLender ||
+      (loan.status === LOAN_STATUSES.PENDING_ACCEPTANCE &&
+        status === LOAN_STATUSES.ACTIVE)
+  );
+  const rateHistory = getRateHistory(loan);
+  const disbursements = getDisbursements(loan);
+  const isGraduated = !!scheduleOptions.stepPercent;
+  // Row linking to the other side of a restructure
+  const renderLinkedLoan = (label, linkedLoanId, date) => (
+    <TouchableOpacity
+      style={styles.infoRow}
+      onPress={() => navigation.push('LoanDetail', { loanId: linkedLoanId })}
+    >
+      <Text style={styles.infoLabel}>{label}</Text>
+      <View style={styles.linkedLoan}>
+        <Text style={styles.linkedLoanText}>{formatDate(date)}</Text>
+        <Ionicons
+          name="chevron-forward"
+          size={16}
+          color={theme.colors.primary}
+        />
+      </View>
+    </TouchableOpacity>
+  );
+
+  const prepaymentModeOptions = (
+    repaymentType === REPAYMENT_TYPES.INTEREST_ONLY || isGraduated
+      ? [PREPAYMENT_MODES.REDUCE_EMI]
+      : [PREPAYMENT_MODES.REDUCE_EMI, PREPAYMENT_MODES.REDUCE_TENURE]
+  ).map((mode) => ({ label: PREPAYMENT_MODE_LABELS[mode], value: mode }));
 
   return (
     <View style={styles.container}>
@@ -126,11 +602,15 @@ const LoanDetailScreen = ({ route, navigation }) => {
                 {isLender ? loan.borrowerName : loan.lenderName}
               </Text>
             </View>
+            <LoanStatusBadge
+              status={loan.status || LOAN_STATUSES.ACTIVE}
+              style={styles.statusBadge}
+            />
           </View>
 
           <View style={styles.amountRow}>
             <Text style={styles.amountLabel}>Loan Amount</Text>
-            <Text style={styles.amount}>{formatCurrency(loan.amount)}</Text>
+            <Text style={styles.amount}>{formatAmount(loan.amount)}</Text>
           </View>
         </Card>
 
@@ -162,7 +642,7 @@ const LoanDetailScreen = ({ route, navigation }) => {
                 color={theme.colors.success}
               />
               <Text style={styles.statLabel}>Paid</Text>
-              <Text style={styles.statValue}>{formatCurrency(totalPaid)}</Text>
+              <Text style={styles.statValue}>{formatAmount(totalPaid)}</Text>
             </View>
 
             <View style={styles.statDivider} />
@@ -175,51 +655,467 @@ const LoanDetailScreen = ({ route, navigation }) => {
               />
               <Text style={styles.statLabel}>Remaining</Text>
               <Text style={styles.statValue}>
-                {formatCurrency(remaining)}
+                {formatAmount(remaining)}
               </Text>
             </View>
           </View>
+
+          {penaltyDue > 0 && (
+            <View style={styles.penaltyDueRow}>
+              <Ionicons
+                name="alert-circle"
+                size={16}
+                color={theme.colors.error}
+              />
+              <Text style={styles.penaltyDueText}>
+                Late penalties due: {formatAmount(penaltyDue)}
+              </Text>
+            </View>
+          )}
+
+          {isRepaying && amountDue > 0 && (
+            <View style={styles.paymentActions}>
+              {isLender && (
+                <Button
+                  title="Record Payment"
+                  onPress={() => setPaymentModalVisible(true)}
+                  variant="outline"
+                  size="small"
+                  style={styles.paymentActionButton}
+                  icon={
+                    <Ionicons
+                      name="add-circle-outline"
+                      size={18}
+                      color={theme.colors.primary}
+                      style={{ marginRight: 4 }}
+                    />
+                  }
+                />
+              )}
+              {canPrepay && (
+                <Button
+                  title="Prepay"
+                  onPress={() => setPrepaymentModalVisible(true)}
+                  variant="ghost"
+                  size="small"
+                  style={styles.paymentActionButton}
+                  icon={
+                    <Ionicons
+                      name="flash-outline"
+                      size={18}
+                      color={theme.colors.primary}
+                      style={{ marginRight: 4 }}
+                    />
+                  }
+                />
+              )}
+              <Button
+                title="Payoff"
+                onPress={() => setPayoffModalVisible(true)}
+                variant="ghost"
+                size="small"
+                style={styles.paymentActionButton}
+                icon={
+                  <Ionicons
+                    name="calculator-outline"
+                    size={18}
+                    color={theme.colors.primary}
+                    style={{ marginRight: 4 }}
+                  />
+                }
+              />
+              {canRestructure && (
+                <Button
+                  title="Restructure"
+                  onPress={() => setRestructureModalVisible(true)}
+                  variant="ghost"
+                  size="small"
+                  style={styles.paymentActionButton}
+                  icon={
+                    <Ionicons
+                      name="git-branch-outline"
+                      size={18}
+                      color={theme.colors.primary}
+                      style={{ marginRight: 4 }}
+                    />
+                  }
+                />
+              )}
+            </View>
+          )}
         </Card>
 
         {/* Loan Info Card */}
         <Card style={styles.infoCard}>
           <Text style={styles.cardTitle}>Loan Details</Text>
 
+          <View style={styles.infoRow}>
+            <Text style={styles.infoLabel}>Currency</Text>
+            <Text style={styles.infoValue}>
+              {getCurrency(currency).label} ({currency})
+            </Text>
+          </View>
+
           <View style={styles.infoRow}>
             <Text style={styles.infoLabel}>Interest Rate</Text>
             <Text style={styles.infoValue}>
-              {(loan.annualInterestRate / 12).toFixed(2)}% per month
+              {formatRate(loan.annualInterestRate, rateConvention, currency)}
+            </Text>
+          </View>
+
+          <View style={styles.infoRow}>
+            <View style={styles.infoLabelColumn}>
+              <Text style={styles.infoLabel}>Effective Annual Rate (APR)</Text>
+              <Text style={styles.infoNote}>
+                Over the current schedule, paid on every due date
+              </Text>
+            </View>
+            <Text style={styles.infoValue}>
+              {formatXIRR(calculateEffectiveAnnualRate(loan))}
+            </Text>
+          </View>
+
+          <View style={styles.infoRow}>
+            <Text style={styles.infoLabel}>Interest Method</Text>
+            <Text style={styles.infoValue}>
+              {
+                INTEREST_METHOD_LABELS[
+                  loan.interestMethod || INTEREST_METHODS.REDUCING
+                ]
+              }
             </Text>
           </View>
 
           <View style={styles.infoRow}>
             <Text style={styles.infoLabel}>Duration</Text>
-            <Text style={styles.infoValue}>{loan.durationMonths} months</Text>
+            <Text style={styles.infoValue}>
+              {formatDuration(getLoanDuration(loan), frequency)}
+            </Text>
           </View>
 
           <View style={styles.infoRow}>
-            <Text style={styles.infoLabel}>Monthly EMI</Text>
+            <Text style={styles.infoLabel}>Repayment Frequency</Text>
+            <Text style={styles.infoValue}>{frequencyLabel}</Text>
+          </View>
+
+          {frequency === REPAYMENT_FREQUENCIES.MONTHLY && (
+            <View style={styles.infoRow}>
+              <Text style={styles.infoLabel}>Due Day</Text>
+              <Text style={styles.infoValue}>
+                {describeDueDay(scheduleOptions)}
+              </Text>
+            </View>
+          )}
+
+          <View style={styles.infoRow}>
+            <Text style={styles.infoLabel}>Weekends & Holidays</Text>
             <Text style={styles.infoValue}>
-              {formatCurrency(loan.emis[0]?.emi || 0)}
+              {describeDueDateAdjustment(dueDateAdjustment)}
             </Text>
           </View>
 
+          {loan.moratoriumMonths > 0 && (
+            <View style={styles.infoRow}>
+              <Text style={styles.infoLabel}>Moratorium</Text>
+              <Text style={styles.infoValue}>
+                {loan.moratoriumMonths} months ·{' '}
+                {MORATORIUM_INTEREST_LABELS[loan.moratoriumInterest]}
+              </Text>
+            </View>
+          )}
+
           <View style={styles.infoRow}>
-            <Text style={styles.infoLabel}>Status</Text>
-            <Text
-              style={[
-                styles.infoValue,
-                {
-                  color:
-                    loan.status === 'completed'
-                      ? theme.colors.success
-                      : theme.colors.primary,
-                },
-              ]}
-            >
-              {loan.status === 'completed' ? 'Completed' : 'Active'}
+            <Text style={styles.infoLabel}>Repayment Type</Text>
+            <Text style={styles.infoValue}>
+              {REPAYMENT_TYPE_LABELS[repaymentType]}
+            </Text>
+          </View>
+
+          {isGraduated && (
+            <View style={styles.infoRow}>
+              <Text style={styles.infoLabel}>EMI Plan</Text>
+              <Text style={styles.infoValue}>
+                {describeEMIStep(scheduleOptions, frequency)}
+              </Text>
+            </View>
+          )}
+
+          {repaymentType !== REPAYMENT_TYPES.BULLET && (
+            <View style={styles.infoRow}>
+              <Text style={styles.infoLabel}>
+                {isGraduated
+                  ? 'First EMI'
+                  : `${frequencyLabel} ${
+                      repaymentType === REPAYMENT_TYPES.INTEREST_ONLY
+                        ? 'Interest'
+                        : 'EMI'
+                    }`}
+              </Text>
+              <Text style={styles.infoValue}>
+                {formatAmount(loan.emis[0]?.emi || 0)}
+              </Text>
+            </View>
+          )}
+
+          {(repaymentType !== REPAYMENT_TYPES.EMI || isGraduated) && (
+            <View style={styles.infoRow}>
+              <Text style={styles.infoLabel}>
+                {isGraduated
+                  ? 'Last EMI'
+                  : repaymentType === REPAYMENT_TYPES.BULLET
+                    ? 'Payment at Maturity'
+                    : 'Final Payment'}
+              </Text>
+              <Text style={styles.infoValue}>
+                {formatAmount(lastEMI?.emi || 0)}
+              </Text>
+            </View>
+          )}
+
+          {loan.closure && (
+            <View style={styles.infoRow}>
+              <Text style={styles.infoLabel}>Closed Early</Text>
+              <Text style={styles.infoValue}>
+                {formatDate(loan.closure.date)} ·{' '}
+                {formatAmount(loan.closure.amount)}
+                {loan.closure.foreclosureFee > 0 &&
+                  ` incl. ${formatAmount(loan.closure.foreclosureFee)} fee`}
+              </Text>
+            </View>
+          )}
+
+          <View style={styles.infoRow}>
+            <Text style={styles.infoLabel}>Total Interest</Text>
+            <Text style={styles.infoValue}>
+              {formatAmount(totalInterest)}
             </Text>
           </View>
+
+          <View style={styles.infoRow}>
+            <Text style={styles.infoLabel}>Total Repayment</Text>
+            <Text style={styles.infoValue}>{formatAmount(totalAmount)}</Text>
+          </View>
+
+          <View style={styles.infoRow}>
+            <Text style={styles.infoLabel}>Late Penalty</Text>
+            <Text style={styles.infoValue}>
+              {describePenaltyRule(loan.penaltyRule, formatAmount)}
+            </Text>
+          </View>
+
+        </Card>
+
+        {/* Status History */}
+        <Card style={styles.statusCard}>
+          <Text style={styles.cardTitle}>Status</Text>
+
+          {statusHistory.map((entry) => (
+            <View key={entry.id} style={styles.paymentItem}>
+              <View style={styles.emiInfo}>
+                <Text style={styles.paymentAmount}>
+                  {LOAN_STATUS_LABELS[entry.to] || entry.to}
+                </Text>
+                <Text style={styles.emiDate}>
+                  {entry.from
+                    ? `From ${LOAN_STATUS_LABELS[entry.from] || entry.from}`
+                    : 'Created'}{' '}
+                  · {formatDate(entry.changedAt)}
+                </Text>
+                {!!entry.reason && (
+                  <Text style={styles.paymentNote}>{entry.reason}</Text>
+                )}
+              </View>
+            </View>
+          ))}
+
+          {statusActions.length > 0 && (
+            <View style={styles.statusActions}>
+              {statusActions.map((status) => (
+                <Button
+                  key={status}
+                  title={getTransitionLabel(loan.status, status)}
+                  onPress={() => handleStatusAction(status)}
+                  variant="ghost"
+                  size="small"
+                  style={styles.statusActionButton}
+                />
+              ))}
+            </View>
+          )}
+        </Card>
+
+        {/* Restructuring */}
+        {(loan.restructure || loan.restructuredFrom) && (
+          <Card style={styles.restructureCard}>
+            <Text style={styles.cardTitle}>Restructuring</Text>
+
+            {loan.restructure && (
+              <>
+                {renderLinkedLoan(
+                  'Restructured Into',
+                  loan.restructure.intoLoanId,
+                  loan.restructure.date
+                )}
+
+                <View style={styles.infoRow}>
+                  <Text style={styles.infoLabel}>Balance Carried Over</Text>
+                  <Text style={styles.infoValue}>
+                    {formatAmount(
+                      loan.restructure.balance - loan.restructure.waivedAmount
+                    )}
+                  </Text>
+                </View>
+
+                {loan.restructure.waivedAmount > 0 && (
+                  <View style={styles.infoRow}>
+                    <Text style={styles.infoLabel}>Waived</Text>
+                    <Text style={styles.infoValue}>
+                      {formatAmount(loan.restructure.waivedAmount)}
+                    </Text>
+                  </View>
+                )}
+
+                {!!loan.restructure.note && (
+                  <Text style={styles.paymentNote}>
+                    {loan.restructure.note}
+                  </Text>
+                )}
+              </>
+            )}
+
+            {loan.restructuredFrom && (
+              <>
+                {renderLinkedLoan(
+                  'Restructured From',
+                  loan.restructuredFrom.loanId,
+                  loan.restructuredFrom.date
+                )}
+
+                <View style={styles.infoRow}>
+                  <Text style={styles.infoLabel}>Balance Owed Then</Text>
+                  <Text style={styles.infoValue}>
+                    {formatAmount(loan.restructuredFrom.balance)}
+                  </Text>
+                </View>
+
+                {previousLoan && (
+                  <>
+                    <Text style={styles.previousScheduleTitle}>
+                      Previous Schedule
+                    </Text>
+
+                    {previousLoan.emis
+                      .map((emi, index) => ({ emi, index }))
+                      .filter(({ emi }) => isInstallment(emi))
+                      .map(({ emi, index }, number) => (
+                        <View key={index} style={styles.previousEMIItem}>
+                          <Text style={styles.emiDate}>
+                            EMI #{number + 1} · {formatDate(emi.dueDate)}
+                          </Text>
+                          <Text style={styles.emiDate}>
+                            {formatAmount(emi.emi)} ·{' '}
+                            {emi.settled
+                              ? 'Restructured'
+                              : emi.paid
+                              ? 'Paid'
+                              : 'Unpaid'}
+                          </Text>
+                        </View>
+                      ))}
+                  </>
+                )}
+              </>
+            )}
+          </Card>
+        )}
+
+        {/* Rate History */}
+        <Card style={styles.rateHistoryCard}>
+          <Text style={styles.cardTitle}>Rate History</Text>
+
+          {rateHistory.map((entry, index) => (
+            <View key={entry.id} style={styles.paymentItem}>
+              <View style={styles.emiInfo}>
+                <Text style={styles.paymentAmount}>
+                  {formatRate(
+                    entry.annualInterestRate,
+                    rateConvention,
+                    currency
+                  )}
+                </Text>
+                <Text style={styles.emiDate}>
+                  {index === 0 ? 'From' : 'Effective'}{' '}
+                  {formatDate(entry.effectiveDate)}
+                </Text>
+                {!!entry.note && (
+                  <Text style={styles.paymentNote}>{entry.note}</Text>
+                )}
+              </View>
+              <Text style={styles.paymentAllocation}>
+                {index === rateHistory.length - 1 ? 'Current' : 'Previous'}
+              </Text>
+            </View>
+          ))}
+
+          {canChangeRate && (
+            <Button
+              title="Change Rate"
+              onPress={() => setRateModalVisible(true)}
+              variant="ghost"
+              size="small"
+              style={styles.changeRateButton}
+              icon={
+                <Ionicons
+                  name="trending-up-outline"
+                  size={18}
+                  color={theme.colors.primary}
+                  style={{ marginRight: 4 }}
+                />
+              }
+            />
+          )}
+        </Card>
+
+        {/* Disbursements */}
+        <Card style={styles.disbursementsCard}>
+          <Text style={styles.cardTitle}>Disbursements</Text>
+
+          {disbursements.map((disbursement, index) => (
+            <View key={disbursement.id} style={styles.paymentItem}>
+              <View style={styles.emiInfo}>
+                <Text style={styles.paymentAmount}>
+                  {formatAmount(disbursement.amount)}
+                </Text>
+                <Text style={styles.emiDate}>
+                  Lent {formatDate(disbursement.date)}
+                </Text>
+                {!!disbursement.note && (
+                  <Text style={styles.paymentNote}>{disbursement.note}</Text>
+                )}
+              </View>
+              <Text style={styles.paymentAllocation}>
+                {index === 0 ? 'Initial' : 'Top-up'}
+              </Text>
+            </View>
+          ))}
+
+          {canTopUp && (
+            <Button
+              title="Add Top-up"
+              onPress={() => setTopUpModalVisible(true)}
+              variant="ghost"
+              size="small"
+              style={styles.changeRateButton}
+              icon={
+                <Ionicons
+                  name="add-outline"
+                  size={18}
+                  color={theme.colors.primary}
+                  style={{ marginRight: 4 }}
+                />
+              }
+            />
+          )}
         </Card>
 
         {/* EMI List */}
@@ -227,14 +1123,54 @@ const LoanDetailScreen = ({ route, navigation }) => {
           <Text style={styles.cardTitle}>Payment Schedule</Text>
 
           {loan.emis.map((emi, index) => {
-            const overdue = isEMIOverdue(emi);
-            const daysUntil = getDaysUntilDue(emi.dueDate);
+            const overdue = isEMIOverdue(emi, dueDateOptions);
+            const daysUntil = getDaysUntilDue(emi.dueDate, dueDateOptions);
+            const paidAmount = getEMIPaidAmount(emi);
+            const partiallyPaid = !emi.paid && paidAmount > 0;
+
+            if (!isInstallment(emi)) {
+              return (
+                <View key={index} style={styles.emiItem}>
+                  <View style={styles.emiLeft}>
+                    <Ionicons
+                      name="flash"
+                      size={24}
+                      color={theme.colors.success}
+                    />
+                    <View style={styles.emiInfo}>
+                      <Text style={styles.emiMonth}>Prepayment</Text>
+                      <Text style={styles.emiPaidDate}>
+                        Paid: {formatDate(emi.paidDate)}
+                      </Text>
+                    </View>
+                  </View>
+                  <View style={styles.emiRight}>
+                    <Text style={styles.emiAmount}>
+                      {formatAmount(emi.emi)}
+                    </Text>
+                    <Text style={styles.emiType}>
+                      Balance {formatAmount(emi.balance)}
+                    </Text>
+                  </View>
+                </View>
+              );
+            }
+
+            const installmentNumber = getInstallmentNumber(index);
 
             let statusColor = theme.colors.textTertiary;
             let statusIcon = 'ellipse-outline';
             let statusText = 'Pending';
 
-            if (emi.paid) {
+            if (emi.settled && isRestructured(loan)) {
+              statusColor = theme.colors.textSecondary;
+              statusIcon = 'git-branch-outline';
+              statusText = 'Restructured';
+            } else if (emi.settled) {
+              statusColor = theme.colors.success;
+              statusIcon = 'checkmark-done-circle';
+              statusText = 'Settled';
+            } else if (emi.paid) {
               statusColor = theme.colors.success;
               statusIcon = 'checkmark-circle';
               statusText = 'Paid';
@@ -248,49 +1184,296 @@ const LoanDetailScreen = ({ route, navigation }) => {
               statusText = `Due in ${daysUntil} days`;
             }
 
+            if (partiallyPaid && !overdue) {
+              statusColor = theme.colors.info;
+              statusIcon = 'pie-chart-outline';
+              statusText = 'Partially paid';
+            }
+
             return (
-              <View key={index} style={styles.emiItem}>
-                <View style={styles.emiLeft}>
-                  <Ionicons name={statusIcon} size={24} color={statusColor} />
-                  <View style={styles.emiInfo}>
-                    <Text style={styles.emiMonth}>EMI #{index + 1}</Text>
-                    <Text style={styles.emiDate}>
-                      Due: {formatDate(emi.dueDate)}
-                    </Text>
-                    {emi.paid && emi.paidDate && (
-                      <Text style={styles.emiPaidDate}>
-                        Paid: {formatDate(emi.paidDate)}
+              <React.Fragment key={index}>
+                <View style={styles.emiItem}>
+                  <View style={styles.emiLeft}>
+                    <Ionicons name={statusIcon} size={24} color={statusColor} />
+                    <View style={styles.emiInfo}>
+                      <Text style={styles.emiMonth}>
+                        EMI #{installmentNumber}
+                      </Text>
+                      <Text style={styles.emiDate}>
+                        Due:{' '}
+                        {formatDate(
+                          adjustDueDate(emi.dueDate, dueDateAdjustment, calendar)
+                        )}
                       </Text>
+                      {repaymentType !== REPAYMENT_TYPES.EMI && (
+                        <Text style={styles.emiType}>
+                          {emi.principal > 0
+                            ? 'Principal + Interest'
+                            : 'Interest Only'}
+                        </Text>
+                      )}
+                      {emi.paid && emi.paidDate && (
+                        <Text style={styles.emiPaidDate}>
+                          {emi.settled
+                            ? isRestructured(loan)
+                              ? 'Restructured'
+                              : 'Settled'
+                            : 'Paid'}
+                          :{' '}
+                          {formatDate(emi.paidDate)}
+                        </Text>
+                      )}
+                      {partiallyPaid && (
+                        <Text style={styles.emiPaidDate}>
+                          Received {formatAmount(paidAmount)} of{' '}
+                          {formatAmount(emi.emi)}
+                        </Text>
+                      )}
+                    </View>
+                  </View>
+
+                  <View style={styles.emiRight}>
+                    <Text style={styles.emiAmount}>
+                      {formatAmount(emi.emi)}
+                    </Text>
+                    <Text style={[styles.emiStatus, { color: statusColor }]}>
+                      {statusText}
+                    </Text>
+
+                    {!emi.paid && isLender && isRepaying && (
+                      <Button
+                        title="Mark Paid"
+                        onPress={() => handleMarkAsPaid(index, installmentNumber)}
+                        variant="ghost"
+                        size="small"
+                        style={styles.markPaidButton}
+                      />
                     )}
                   </View>
                 </View>
 
-                <View style={styles.emiRight}>
-                  <Text style={styles.emiAmount}>
-                    {formatCurrency(emi.emi)}
+                {getEMIPenalties(index).map((penalty) => {
+                  const penaltyOutstanding = getPenaltyOutstanding(penalty);
+                  let penaltyStatus = 'Due';
+                  if (penalty.waived) {
+                    penaltyStatus = 'Waived';
+                  } else if (penaltyOutstanding <= 0) {
+                    penaltyStatus = 'Paid';
+                  }
+
+                  return (
+                    <View key={penalty.id} style={styles.penaltyItem}>
+                      <View style={styles.emiInfo}>
+                        <Text style={styles.penaltyTitle}>
+                          {loan.penaltyRule?.type ===
+                          PENALTY_TYPES.DAILY_INTEREST
+                            ? 'Penal interest'
+                            : 'Late fee'}{' '}
+                          on EMI #{installmentNumber}
+                        </Text>
+                        {penalty.waived && (
+                          <Text style={styles.emiType}>
+                            Waived {formatDate(penalty.waivedAt)}:{' '}
+                            {penalty.waivedReason}
+                          </Text>
+                        )}
+                      </View>
+                      <View style={styles.emiRight}>
+                        <Text style={styles.penaltyAmount}>
+                          {formatAmount(penalty.amount)}
+                        </Text>
+                        <Text
+                          style={[
+                            styles.emiStatus,
+                            {
+                              color:
+                                penaltyStatus === 'Due'
+                                  ? theme.colors.error
+                                  : theme.colors.textTertiary,
+                            },
+                          ]}
+                        >
+                          {penaltyStatus}
+                        </Text>
+                        {isLender && isRepaying && penaltyOutstanding > 0 && (
+                          <Button
+                            title="Waive"
+                            onPress={() => setPenaltyToWaive(penalty)}
+                            variant="ghost"
+                            size="small"
+                            style={styles.markPaidButton}
+                          />
+                        )}
+                      </View>
+                    </View>
+                  );
+                })}
+              </React.Fragment>
+            );
+          })}
+        </Card>
+
+        {/* Payment History */}
+        {payments.length > 0 && (
+          <Card style={styles.paymentsCard}>
+            <Text style={styles.cardTitle}>Payment History</Text>
+
+            {payments.map((payment) => (
+              <View key={payment.id} style={styles.paymentItem}>
+                <View style={styles.emiInfo}>
+                  <Text style={styles.paymentAmount}>
+                    {formatAmount(payment.amount)}
                   </Text>
-                  <Text style={[styles.emiStatus, { color: statusColor }]}>
-                    {statusText}
+                  <Text style={styles.emiDate}>
+                    {formatDate(payment.date)} ·{' '}
+                    {payment.type === PAYMENT_TYPES.RESTRUCTURE
+                      ? 'Carried over'
+                      : PAYMENT_METHOD_LABELS[payment.method] ||
+                        payment.method}
                   </Text>
-
-                  {!emi.paid && isLender && (
-                    <Button
-                      title="Mark Paid"
-                      onPress={() => handleMarkAsPaid(index)}
-                      variant="ghost"
-                      size="small"
-                      style={styles.markPaidButton}
-                    />
+                  {!!payment.note && (
+                    <Text style={styles.paymentNote}>{payment.note}</Text>
                   )}
                 </View>
+                <Text style={styles.paymentAllocation}>
+                  {payment.type === PAYMENT_TYPES.PREPAYMENT
+                    ? `Prepayment · ${PREPAYMENT_MODE_LABELS[payment.prepaymentMode]}`
+                    : payment.type === PAYMENT_TYPES.SETTLEMENT
+                    ? 'Loan closed'
+                    : payment.type === PAYMENT_TYPES.RESTRUCTURE
+                    ? 'Restructured'
+                    : payment.allocations
+                        .map(
+                          (allocation) =>
+                            `${allocation.penaltyId ? 'Penalty' : 'EMI'} #${getInstallmentNumber(allocation.emiIndex)}`
+                        )
+                        .join(', ')}
+                </Text>
               </View>
-            );
-          })}
-        </Card>
+            ))}
+          </Card>
+        )}
+
+        {isLender && (
+          <Button
+            title="Delete Loan"
+            onPress={handleDeleteLoan}
+            variant="outline"
+            style={styles.deleteButton}
+            icon={
+              <Ionicons
+                name="trash-outline"
+                size={20}
+                color={theme.colors.error}
+                style={{ marginRight: 8 }}
+              />
+            }
+            textStyle={{ color: theme.colors.error }}
+          />
+        )}
 
         {/* Legal Disclaimer */}
         <LegalDisclaimer style={styles.disclaimer} />
       </ScrollView>
+
+      <RecordPaymentModal
+        visible={paymentModalVisible}
+        amountHelperText="Oldest unpaid EMIs first, each after its late penalty"
+        suggestedAmount={
+          nextOutstandingIndex >= 0
+            ? getEMIOutstanding(loan.emis[nextOutstandingIndex]) +
+              getEMIPenaltyDue(nextOutstandingIndex)
+            : penaltyDue
+        }
+        maxAmount={amountDue}
+        currency={currency}
+        onSubmit={handleRecordPayment}
+        onClose={() => setPaymentModalVisible(false)}
+        loading={loading}
+      />
+
+      <RecordPaymentModal
+        visible={prepaymentModalVisible}
+        title="Prepay Principal"
+        amountHelperText="Extra principal paid ahead of schedule"
+        maxAmount={remaining}
+        currency={currency}
+        modeOptions={prepaymentModeOptions}
+        onSubmit={handlePrepayment}
+        onClose={() => setPrepaymentModalVisible(false)}
+        loading={loading}
+      />
+
+      <RateChangeModal
+        visible={rateModalVisible}
+        currentAnnualRate={loan.annualInterestRate}
+        rateConvention={rateConvention}
+        currency={currency}
+        onSubmit={handleRateChange}
+        onClose={() => setRateModalVisible(false)}
+        loading={loading}
+      />
+
+      <PayoffQuoteModal
+        visible={payoffModalVisible}
+        loan={loan}
+        canClose={isLender}
+        onSubmit={handleCloseLoan}
+        onClose={() => setPayoffModalVisible(false)}
+        loading={loading}
+      />
+
+      <RestructureModal
+        visible={restructureModalVisible}
+        loan={loan}
+        onSubmit={handleRestructure}
+        onClose={() => setRestructureModalVisible(false)}
+        loading={loading}
+      />
+
+      <TopUpModal
+        visible={topUpModalVisible}
+        loan={loan}
+        onSubmit={handleTopUp}
+        onClose={() => setTopUpModalVisible(false)}
+        loading={loading}
+      />
+
+      <PromptModal
+        visible={!!statusToSet}
+        title={statusToSet ? getTransitionLabel(loan.status, statusToSet) : ''}
+        message={
+          statusToSet
+            ? `Move this loan to ${LOAN_STATUS_LABELS[statusToSet]}?`
+            : ''
+        }
+        label="Reason"
+        placeholder="e.g. Borrower unreachable for three months"
+        submitTitle="Confirm"
+        requiredMessage="Please give a reason for the status change"
+        onSubmit={(reason) => handleChangeStatus(statusToSet, reason)}
+        onClose={() => setStatusToSet(null)}
+        loading={loading}
+      />
+
+      <PromptModal
+        visible={!!penaltyToWaive}
+        title="Waive Penalty"
+        message={
+          penaltyToWaive
+            ? `Waive ${formatAmount(
+                getPenaltyOutstanding(penaltyToWaive)
+              )} still due on this penalty?`
+            : ''
+        }
+        label="Reason"
+        placeholder="e.g. Payment delayed by bank holiday"
+        submitTitle="Waive"
+        requiredMessage="Please give a reason for the waiver"
+        onSubmit={handleWaivePenalty}
+        onClose={() => setPenaltyToWaive(null)}
+        loading={loading}
+      />
     </View>
   );
 };
@@ -342,6 +1525,9 @@ const createStyles = (theme) =>
     headerInfo: {
       flex: 1,
     },
+    statusBadge: {
+      alignSelf: 'center',
+    },
     role: {
       fontSize: theme.typography.fontSize.sm,
       color: theme.colors.textTertiary,
@@ -443,6 +1629,15 @@ const createStyles = (theme) =>
       fontWeight: theme.typography.fontWeight.semibold,
       color: theme.colors.text,
     },
+    infoLabelColumn: {
+      flex: 1,
+      marginRight: theme.spacing.sm,
+    },
+    infoNote: {
+      fontSize: theme.typography.fontSize.xs,
+      color: theme.colors.textTertiary,
+      marginTop: theme.spacing.xs,
+    },
     emiListCard: {
       marginBottom: theme.spacing.md,
     },
@@ -472,6 +1667,11 @@ const createStyles = (theme) =>
       color: theme.colors.textSecondary,
       marginTop: theme.spacing.xs,
     },
+    emiType: {
+      fontSize: theme.typography.fontSize.xs,
+      color: theme.colors.textTertiary,
+      marginTop: theme.spacing.xs,
+    },
     emiPaidDate: {
       fontSize: theme.typography.fontSize.xs,
       color: theme.colors.success,
@@ -489,11 +1689,129 @@ const createStyles = (theme) =>
       fontSize: theme.typography.fontSize.xs,
       marginTop: theme.spacing.xs,
     },
+    paymentActions: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      justifyContent: 'center',
+      marginTop: theme.spacing.md,
+    },
+    paymentActionButton: {
+      marginHorizontal: theme.spacing.xs,
+    },
+    rateHistoryCard: {
+      marginBottom: theme.spacing.md,
+    },
+    restructureCard: {
+      marginBottom: theme.spacing.md,
+    },
+    disbursementsCard: {
+      marginBottom: theme.spacing.md,
+    },
+    statusCard: {
+      marginBottom: theme.spacing.md,
+    },
+    statusActions: {
+      flexDirection: 'row',
+      flexWrap: 'wrap',
+      marginTop: theme.spacing.sm,
+    },
+    statusActionButton: {
+      marginRight: theme.spacing.xs,
+    },
+    linkedLoan: {
+      flexDirection: 'row',
+      alignItems: 'center',
+    },
+    linkedLoanText: {
+      fontSize: theme.typography.fontSize.sm,
+      fontWeight: theme.typography.fontWeight.medium,
+      color: theme.colors.primary,
+      marginRight: theme.spacing.xs,
+    },
+    previousScheduleTitle: {
+      fontSize: theme.typography.fontSize.md,
+      fontWeight: theme.typography.fontWeight.semibold,
+      color: theme.colors.text,
+      marginTop: theme.spacing.md,
+      marginBottom: theme.spacing.xs,
+    },
+    previousEMIItem: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      paddingVertical: theme.spacing.xs,
+    },
+    changeRateButton: {
+      alignSelf: 'flex-start',
+      marginTop: theme.spacing.sm,
+    },
+    paymentsCard: {
+      marginBottom: theme.spacing.md,
+    },
+    paymentItem: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      paddingVertical: theme.spacing.md,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.borderLight,
+    },
+    paymentAmount: {
+      fontSize: theme.typography.fontSize.md,
+      fontWeight: theme.typography.fontWeight.semibold,
+      color: theme.colors.text,
+    },
+    paymentNote: {
+      fontSize: theme.typography.fontSize.xs,
+      color: theme.colors.textTertiary,
+      marginTop: theme.spacing.xs,
+    },
+    paymentAllocation: {
+      fontSize: theme.typography.fontSize.xs,
+      color: theme.colors.textSecondary,
+      textAlign: 'right',
+      flexShrink: 1,
+      marginLeft: theme.spacing.sm,
+    },
     markPaidButton: {
       marginTop: theme.spacing.xs,
       paddingHorizontal: theme.spacing.sm,
       paddingVertical: theme.spacing.xs,
     },
+    penaltyItem: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      paddingVertical: theme.spacing.sm,
+      paddingLeft: theme.spacing.xl,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.borderLight,
+    },
+    penaltyTitle: {
+      fontSize: theme.typography.fontSize.sm,
+      fontWeight: theme.typography.fontWeight.medium,
+      color: theme.colors.error,
+    },
+    penaltyAmount: {
+      fontSize: theme.typography.fontSize.md,
+      fontWeight: theme.typography.fontWeight.semibold,
+      color: theme.colors.text,
+    },
+    penaltyDueRow: {
+      flexDirection: 'row',
+      alignItems: 'center',
+      justifyContent: 'center',
+      marginTop: theme.spacing.md,
+    },
+    penaltyDueText: {
+      fontSize: theme.typography.fontSize.sm,
+      fontWeight: theme.typography.fontWeight.medium,
+      color: theme.colors.error,
+      marginLeft: theme.spacing.xs,
+    },
+    deleteButton: {
+      marginTop: theme.spacing.md,
+      borderColor: theme.colors.error,
+    },
     disclaimer: {
       marginTop: theme.spacing.lg,
       marginBottom: theme.spacing.xl,
@@ -0,0 +1,469 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, ScrollView, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useAuth } from '../../contexts/AuthContextLocal';
+import Card from '../../components/common/Card';
+import Input from '../../components/common/Input';
+import Button from '../../components/common/Button';
+import PromptModal from '../../components/common/PromptModal';
+import { MIN_PASSWORD_LENGTH } from '../../utils/passwords';
+import { PIN_LENGTH, validatePin } from '../../utils/appLock';
+
+/**
+ * Account Security Screen
+ * Changes the email or password of the signed-in account, replaces its
+ * recovery code and sets the PIN used to switch back to it, each confirmed
+ * with the current password
+ */
+const AccountSecurityScreen = () => {
+  const { theme } = useTheme();
+  const {
+    user,
+    userProfile,
+    changeEmail,
+    changePassword,
+    createRecoveryCode,
+    setSwitchPin,
+  } = useAuth();
+  const styles = createStyles(theme);
+
+  const [newEmail, setNewEmail] = useState('');
+  const [emailPassword, setEmailPassword] = useState('');
+  const [emailErrors, setEmailErrors] = useState({});
+  const [savingEmail, setSavingEmail] = useState(false);
+
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [passwordErrors, setPasswordErrors] = useState({});
+  const [savingPassword, setSavingPassword] = useState(false);
+
+  const [showRecoveryPrompt, setShowRecoveryPrompt] = useState(false);
+  const [recoveryError, setRecoveryError] = useState(null);
+  const [creatingCode, setCreatingCode] = useState(false);
+  const [recoveryCode, setRecoveryCode] = useState(null);
+
+  const [pinPassword, setPinPassword] = useState('');
+  const [switchPin, setSwitchPinValue] = useState('');
+  const [pinErrors, setPinErrors] = useState({});
+  const [savingPin, setSavingPin] = useState(false);
+
+  const handleChangeEmail = async () => {
+    const newErrors = {};
+
+    if (!newEmail || !newEmail.includes('@')) {
+      newErrors.newEmail = 'Please enter a valid email';
+    }
+
+    if (!emailPassword) {
+      newErrors.password = 'Please enter your password';
+    }
+
+    setEmailErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    setSavingEmail(true);
+    try {
+      const updatedUser = await changeEmail(newEmail, emailPassword);
+      setNewEmail('');
+      setEmailPassword('');
+      Alert.alert(
+        'Email Changed',
+        `Sign in with ${updatedUser.email} from now on`
+      );
+    } catch (error) {
+      setEmailErrors({ password: error.message });
+    } finally {
+      setSavingEmail(false);
+    }
+  };
+
+  const handleChangePassword = async () => {
+    const newErrors = {};
+
+    if (!currentPassword) {
+      newErrors.currentPassword = 'Please enter your current password';
+    }
+
+    if (!newPassword || newPassword.length < MIN_PASSWORD_LENGTH) {
+      newErrors.newPassword = `Password must be at least ${
+        MIN_PASSWORD_LENGTH
+      } characters`;
+    }
+
+    if (confirmPassword !== newPassword) {
+      newErrors.confirmPassword = 'The passwords do not match';
+    }
+
+    setPasswordErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    setSavingPassword(true);
+    try {
+      await changePassword(currentPassword, newPassword);
+      setCurrentPassword('');
+      setNewPassword('');
+      setConfirmPassword('');
+      Alert.alert('Password Changed', 'Use the new password to sign in');
+    } catch (error) {
+      setPasswordErrors({ currentPassword: error.message });
+    } finally {
+      setSavingPassword(false);
+    }
+  };
+
+  const handleCreateRecoveryCode = async (password) => {
+    setCreatingCode(true);
+    try {
+      setRecoveryError(null);
+      const code = await createRecoveryCode(password);
+      setRecoveryCode(code);
+      setShowRecoveryPrompt(false);
+    } catch (error) {
+      setRecoveryError(error.message);
+    } finally {
+      setCreatingCode(false);
+    }
+  };
+
+  // A null `pin` removes the switch PIN
+  const handleSaveSwitchPin = async (pin) => {
+    const newErrors = {};
+
+    if (!pinPassword) {
+      newErrors.password = 'Please enter your password';
+    }
+
+    if (pin !== null) {
+      try {
+        validatePin(pin);
+      } catch (error) {
+        newErrors.pin = error.message;
+      }
+    }
+
+    setPinErrors(newErrors);
+    if (Object.keys(newErrors).length > 0) return;
+
+    setSavingPin(true);
+    try {
+      await setSwitchPin(pinPassword, pin);
+      setPinPassword('');
+      setSwitchPinValue('');
+      Alert.alert(
+        pin === null ? 'Switch PIN Removed' : 'Switch PIN Saved',
+        pin === null
+          ? 'Switching to this account asks for your password again'
+          : 'Use the PIN to switch back to this account'
+      );
+    } catch (error) {
+      setPinErrors({ password: error.message });
+    } finally {
+      setSavingPin(false);
+    }
+  };
+
+  const renderPasswordInput = (label, value, onChangeText, error) => (
+    <Input
+      label={label}
+      value={value}
+      onChangeText={onChangeText}
+      placeholder="Enter password"
+      secureTextEntry
+      autoCapitalize="none"
+      error={error}
+      leftIcon={
+        <Ionicons
+          name="lock-closed-outline"
+          size={20}
+          color={theme.colors.textTertiary}
+        />
+      }
+    />
+  );
+
+  return (
+    <View style={styles.container}>
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+        keyboardShouldPersistTaps="handled"
+      >
+        {/* Change Email */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Email</Text>
+
+          <Card style={styles.card}>
+            <Text style={styles.currentValue}>Currently {user?.email}</Text>
+
+            <Input
+              label="New Email"
+              value={newEmail}
+              onChangeText={setNewEmail}
+              placeholder="Enter your new email"
+              keyboardType="email-address"
+              autoCapitalize="none"
+              error={emailErrors.newEmail}
+              leftIcon={
+                <Ionicons
+                  name="mail-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+
+            {renderPasswordInput(
+              'Password',
+              emailPassword,
+              setEmailPassword,
+              emailErrors.password
+            )}
+
+            <Button
+              title="Change Email"
+              onPress={handleChangeEmail}
+              loading={savingEmail}
+            />
+          </Card>
+        </View>
+
+        {/* Change Password */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Password</Text>
+
+          <Card style={styles.card}>
+            {renderPasswordInput(
+              'Current Password',
+              currentPassword,
+              setCurrentPassword,
+              passwordErrors.currentPassword
+            )}
+
+            {renderPasswordInput(
+              'New Password',
+              newPassword,
+              setNewPassword,
+              passwordErrors.newPassword
+            )}
+
+            {renderPasswordInput(
+              'Confirm New Password',
+              confirmPassword,
+              setConfirmPassword,
+              passwordErrors.confirmPassword
+            )}
+
+            <Button
+              title="Change Password"
+              onPress={handleChangePassword}
+              loading={savingPassword}
+            />
+          </Card>
+        </View>
+
+        {/* Recovery Code */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Recovery Code</Text>
+
+          <Card style={styles.card}>
+            <View style={styles.infoRow}>
+              <Ionicons
+                name="key-outline"
+                size={20}
+                color={theme.colors.textTertiary}
+              />
+              <Text style={styles.infoText}>
+                {userProfile?.hasRecoveryCode
+                  ? 'A forgotten password is reset on the sign in screen ' +
+                    'with your recovery code. Lost it? Make a new one, the ' +
+                    'old code stops working.'
+                  : 'This account has no recovery code yet. Without one, a ' +
+                    'forgotten password cannot be reset.'}
+              </Text>
+            </View>
+
+            {recoveryCode && (
+              <View style={styles.codeBox}>
+                <Text style={styles.codeText} selectable>
+                  {recoveryCode}
+                </Text>
+                <Text style={styles.codeHint}>
+                  Write this code down now, it will not be shown again
+                </Text>
+              </View>
+            )}
+
+            <Button
+              title={
+                userProfile?.hasRecoveryCode
+                  ? 'Make a New Recovery Code'
+                  : 'Make a Recovery Code'
+              }
+              onPress={() => {
+                setRecoveryError(null);
+                setShowRecoveryPrompt(true);
+              }}
+              variant="outline"
+            />
+          </Card>
+        </View>
+
+        {/* Switch PIN */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Switch PIN</Text>
+
+          <Card style={styles.card}>
+            <View style={styles.infoRow}>
+              <Ionicons
+                name="people-outline"
+                size={20}
+                color={theme.colors.textTertiary}
+              />
+              <Text style={styles.infoText}>
+                {userProfile?.hasSwitchPin
+                  ? 'Switching back to this account from another one on ' +
+                    'this device asks for your switch PIN.'
+                  : 'Set a short PIN to switch back to this account from ' +
+                    'another one on this device without your password.'}
+              </Text>
+            </View>
+
+            {renderPasswordInput(
+              'Password',
+              pinPassword,
+              setPinPassword,
+              pinErrors.password
+            )}
+
+            <Input
+              label={
+                userProfile?.hasSwitchPin ? 'New Switch PIN' : 'Switch PIN'
+              }
+              value={switchPin}
+              onChangeText={setSwitchPinValue}
+              placeholder="Enter PIN"
+              keyboardType="number-pad"
+              maxLength={PIN_LENGTH.max}
+              secureTextEntry
+              error={pinErrors.pin}
+              helperText={`${PIN_LENGTH.min} to ${PIN_LENGTH.max} digits`}
+              leftIcon={
+                <Ionicons
+                  name="keypad-outline"
+                  size={20}
+                  color={theme.colors.textTertiary}
+                />
+              }
+            />
+
+            <Button
+              title={
+                userProfile?.hasSwitchPin
+                  ? 'Change Switch PIN'
+                  : 'Set Switch PIN'
+              }
+              onPress={() => handleSaveSwitchPin(switchPin)}
+              loading={savingPin}
+            />
+
+            {userProfile?.hasSwitchPin && (
+              <Button
+                title="Remove Switch PIN"
+                onPress={() => handleSaveSwitchPin(null)}
+                variant="ghost"
+                size="small"
+                style={styles.removeButton}
+                textStyle={{ color: theme.colors.error }}
+              />
+            )}
+          </Card>
+        </View>
+      </ScrollView>
+
+      <PromptModal
+        visible={showRecoveryPrompt}
+        title="Confirm It's You"
+        message="Enter your password to make a new recovery code"
+        label="Password"
+        placeholder="Enter your password"
+        submitTitle="Make Code"
+        requiredMessage="Please enter your password"
+        inputProps={{ secureTextEntry: true, autoCapitalize: 'none' }}
+        error={recoveryError}
+        onSubmit={handleCreateRecoveryCode}
+        onClose={() => setShowRecoveryPrompt(false)}
+        loading={creatingCode}
+      />
+    </View>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.colors.background,
+    },
+    scrollView: {
+      flex: 1,
+    },
+    scrollContent: {
+      padding: theme.layout.screenPadding,
+      paddingBottom: theme.spacing.xl,
+    },
+    section: {
+      marginBottom: theme.spacing.xl,
+    },
+    sectionTitle: {
+      fontSize: theme.typography.fontSize.lg,
+      fontWeight: theme.typography.fontWeight.semibold,
+      color: theme.colors.text,
+      marginBottom: theme.spacing.md,
+    },
+    card: {
+      padding: theme.spacing.md,
+    },
+    currentValue: {
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textSecondary,
+      marginBottom: theme.spacing.md,
+    },
+    infoRow: {
+      flexDirection: 'row',
+      alignItems: 'flex-start',
+      marginBottom: theme.spacing.md,
+    },
+    infoText: {
+      flex: 1,
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textSecondary,
+      marginLeft: theme.spacing.sm,
+    },
+    codeBox: {
+      alignItems: 'center',
+      padding: theme.spacing.md,
+      marginBottom: theme.spacing.md,
+      borderRadius: theme.borderRadius.md,
+      backgroundColor: theme.colors.primaryLight + '20',
+    },
+    codeText: {
+      fontSize: theme.typography.fontSize.xl,
+      fontWeight: theme.typography.fontWeight.bold,
+      color: theme.colors.text,
+      letterSpacing: 2,
+    },
+    removeButton: {
+      alignSelf: 'center',
+      marginTop: theme.spacing.md,
+    },
+    codeHint: {
+      fontSize: theme.typography.fontSize.xs,
+      color: theme.colors.textSecondary,
+      marginTop: theme.spacing.xs,
+    },
+  });
+
+export default AccountSecurityScreen;
@@ -0,0 +1,247 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, ScrollView, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useAppLock } from '../../contexts/AppLockContext';
+import Card from '../../components/common/Card';
+import Input from '../../components/common/Input';
+import Button from '../../components/common/Button';
+import SegmentedControl from '../../components/common/SegmentedControl';
+import {
+  AUTO_LOCK_OPTIONS,
+  PIN_LENGTH,
+  describeAutoLock,
+} from '../../utils/appLock';
+
+/**
+ * App Lock Settings Screen
+ * Turns the PIN lock on or off, changes the PIN and sets how long the app
+ * may stay in the background before it locks again
+ */
+const AppLockSettingsScreen = () => {
+  const { theme } = useTheme();
+  const {
+    appLock,
+    isEnabled,
+    enableLock,
+    changePin,
+    disableLock,
+    setAutoLockMinutes,
+    confirmIdentity,
+  } = useAppLock();
+  const styles = createStyles(theme);
+
+  const [currentPin, setCurrentPin] = useState('');
+  const [pin, setPin] = useState('');
+  const [confirmPin, setConfirmPin] = useState('');
+  const [errors, setErrors] = useState({});
+
+  const resetForm = () => {
+    setCurrentPin('');
+    setPin('');
+    setConfirmPin('');
+    setErrors({});
+  };
+
+  // Validate that the new PIN was typed the same twice
+  const validate = () => {
+    const newErrors = {};
+
+    if (isEnabled && !currentPin) {
+      newErrors.currentPin = 'Please enter your current PIN';
+    }
+
+    if (confirmPin !== pin) {
+      newErrors.confirmPin = 'The PINs do not match';
+    }
+
+    setErrors(newErrors);
+    return Object.keys(newErrors).length === 0;
+  };
+
+  const handleSavePin = async () => {
+    if (!validate()) return;
+
+    try {
+      if (isEnabled) {
+        await changePin(currentPin, pin);
+        Alert.alert('PIN Changed', 'Use the new PIN to unlock the app');
+      } else {
+        await enableLock(pin);
+        Alert.alert('App Lock On', 'The app now asks for your PIN');
+      }
+      resetForm();
+    } catch (err) {
+      setErrors({ pin: err.message });
+    }
+  };
+
+  const handleTurnOff = async () => {
+    const confirmed = await confirmIdentity(
+      'Enter your PIN to turn off the app lock'
+    );
+
+    if (confirmed) {
+      await disableLock();
+      resetForm();
+    }
+  };
+
+  const pinHelp = `${PIN_LENGTH.min} to ${PIN_LENGTH.max} digits`;
+
+  const renderPinInput = (label, value, onChangeText, error, helperText) => (
+    <Input
+      label={label}
+      value={value}
+      onChangeText={onChangeText}
+      placeholder="Enter PIN"
+      keyboardType="number-pad"
+      maxLength={PIN_LENGTH.max}
+      secureTextEntry
+      error={error}
+      helperText={helperText}
+      leftIcon={
+        <Ionicons
+          name="keypad-outline"
+          size={20}
+          color={theme.colors.textTertiary}
+        />
+      }
+    />
+  );
+
+  return (
+    <View style={styles.container}>
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+        keyboardShouldPersistTaps="handled"
+      >
+        <Card style={styles.card}>
+          <View style={styles.infoRow}>
+            <Ionicons
+              name="lock-closed-outline"
+              size={20}
+              color={theme.colors.textTertiary}
+            />
+            <Text style={styles.infoText}>
+              With the app lock on, LoanLedger asks for a PIN every time it
+              starts and when you come back to it, and before a loan is
+              deleted, closed or written off. Your loans and accounts are
+              encrypted with the PIN, so a forgotten PIN can only be reset by
+              erasing them.
+            </Text>
+          </View>
+        </Card>
+
+        {/* Auto-Lock */}
+        {isEnabled && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Auto-Lock</Text>
+
+            <Card style={styles.card}>
+              <SegmentedControl
+                options={AUTO_LOCK_OPTIONS}
+                value={appLock.autoLockMinutes}
+                onChange={setAutoLockMinutes}
+                helperText={describeAutoLock(appLock.autoLockMinutes)}
+              />
+            </Card>
+          </View>
+        )}
+
+        {/* Set or Change PIN */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>
+            {isEnabled ? 'Change PIN' : 'Set a PIN'}
+          </Text>
+
+          <Card style={styles.card}>
+            {isEnabled &&
+              renderPinInput(
+                'Current PIN',
+                currentPin,
+                setCurrentPin,
+                errors.currentPin
+              )}
+
+            {renderPinInput(
+              isEnabled ? 'New PIN' : 'PIN',
+              pin,
+              setPin,
+              errors.pin,
+              pinHelp
+            )}
+
+            {renderPinInput(
+              'Confirm PIN',
+              confirmPin,
+              setConfirmPin,
+              errors.confirmPin
+            )}
+
+            <Button
+              title={isEnabled ? 'Change PIN' : 'Turn On App Lock'}
+              onPress={handleSavePin}
+            />
+          </Card>
+        </View>
+
+        {/* Turn Off */}
+        {isEnabled && (
+          <Button
+            title="Turn Off App Lock"
+            onPress={handleTurnOff}
+            variant="outline"
+            style={styles.turnOffButton}
+            textStyle={{ color: theme.colors.error }}
+          />
+        )}
+      </ScrollView>
+    </View>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.colors.background,
+    },
+    scrollView: {
+      flex: 1,
+    },
+    scrollContent: {
+      padding: theme.layout.screenPadding,
+    },
+    section: {
+      marginTop: theme.spacing.xl,
+    },
+    sectionTitle: {
+      fontSize: theme.typography.fontSize.lg,
+      fontWeight: theme.typography.fontWeight.semibold,
+      color: theme.colors.text,
+      marginBottom: theme.spacing.md,
+    },
+    card: {
+      padding: theme.spacing.md,
+    },
+    infoRow: {
+      flexDirection: 'row',
+      alignItems: 'flex-start',
+    },
+    infoText: {
+      flex: 1,
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textSecondary,
+      marginLeft: theme.spacing.sm,
+    },
+    turnOffButton: {
+      marginTop: theme.spacing.xl,
+      marginBottom: theme.spacing.xl,
+      borderColor: theme.colors.error,
+    },
+  });
+
+export default AppLockSettingsScreen;
@@ -0,0 +1,222 @@
+import React, { useState, useEffect } from 'react';
+import { View, Text, StyleSheet, ScrollView, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useCurrency } from '../../contexts/CurrencyContext';
+import Card from '../../components/common/Card';
+import Input from '../../components/common/Input';
+import Button from '../../components/common/Button';
+import SegmentedControl from '../../components/common/SegmentedControl';
+import { CURRENCY_OPTIONS, getCurrency } from '../../utils/currencies';
+
+/**
+ * Exchange Rates Screen
+ * Lets the lender keep the rates used to add up loans in different
+ * currencies into one combined figure on the dashboard
+ * Loans themselves are never converted
+ */
+const ExchangeRatesScreen = () => {
+  const { theme } = useTheme();
+  const { exchangeRates, setExchangeRate, removeExchangeRate, setBaseCurrency } =
+    useCurrency();
+  const styles = createStyles(theme);
+
+  const { baseCurrency, rates } = exchangeRates;
+  const currencyOptions = CURRENCY_OPTIONS.filter(
+    (option) => option.value !== baseCurrency
+  );
+
+  const [currency, setCurrency] = useState(currencyOptions[0].value);
+  const [rate, setRate] = useState('');
+  const [error, setError] = useState(null);
+
+  // The base currency cannot be given a rate
+  useEffect(() => {
+    if (currency === baseCurrency) {
+      setCurrency(currencyOptions[0].value);
+    }
+  }, [baseCurrency]);
+
+  const handleSetRate = async () => {
+    try {
+      setError(null);
+      await setExchangeRate(currency, parseFloat(rate));
+      setRate('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemove = (code) => {
+    Alert.alert('Remove Rate', `Remove the rate for ${code}?`, [
+      {
+        text: 'Cancel',
+        style: 'cancel',
+      },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: () => removeExchangeRate(code),
+      },
+    ]);
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+      >
+        <Card style={styles.card}>
+          <View style={styles.infoRow}>
+            <Ionicons
+              name="swap-horizontal-outline"
+              size={20}
+              color={theme.colors.textTertiary}
+            />
+            <Text style={styles.infoText}>
+              Loans stay in the currency they were lent in. These rates are
+              only used to show a combined total on the dashboard, in the base
+              currency.
+            </Text>
+          </View>
+        </Card>
+
+        {/* Base Currency */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Base Currency</Text>
+
+          <Card style={styles.card}>
+            <SegmentedControl
+              options={CURRENCY_OPTIONS}
+              value={baseCurrency}
+              onChange={setBaseCurrency}
+              helperText={getCurrency(baseCurrency).label}
+            />
+          </Card>
+        </View>
+
+        {/* Set Rate */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Set Rate</Text>
+
+          <Card style={styles.card}>
+            <SegmentedControl
+              label="Currency"
+              options={currencyOptions}
+              value={currency}
+              onChange={setCurrency}
+            />
+
+            <Input
+              label={`${baseCurrency} per 1 ${currency}`}
+              value={rate}
+              onChangeText={setRate}
+              placeholder="Enter rate"
+              keyboardType="decimal-pad"
+              error={error}
+            />
+
+            <Button title="Save Rate" onPress={handleSetRate} />
+          </Card>
+        </View>
+
+        {/* Rate List */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Rates</Text>
+
+          <Card style={styles.card}>
+            {Object.keys(rates).length === 0 ? (
+              <Text style={styles.emptyText}>No rates added yet</Text>
+            ) : (
+              Object.entries(rates).map(([code, value]) => (
+                <View key={code} style={styles.rateRow}>
+                  <View style={styles.rateInfo}>
+                    <Text style={styles.rateName}>
+                      1 {code} = {value} {baseCurrency}
+                    </Text>
+                    <Text style={styles.rateCurrency}>
+                      {getCurrency(code).label}
+                    </Text>
+                  </View>
+                  <Ionicons
+                    name="trash-outline"
+                    size={20}
+                    color={theme.colors.error}
+                    onPress={() => handleRemove(code)}
+                  />
+                </View>
+              ))
+            )}
+          </Card>
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.colors.background,
+    },
+    scrollView: {
+      flex: 1,
+    },
+    scrollContent: {
+      padding: theme.layout.screenPadding,
+    },
+    section: {
+      marginTop: theme.spacing.xl,
+    },
+    sectionTitle: {
+      fontSize: theme.typography.fontSize.lg,
+      fontWeight: theme.typography.fontWeight.semibold,
+      color: theme.colors.text,
+      marginBottom: theme.spacing.md,
+    },
+    card: {
+      padding: theme.spacing.md,
+    },
+    infoRow: {
+      flexDirection: 'row',
+      alignItems: 'flex-start',
+    },
+    infoText: {
+      flex: 1,
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textSecondary,
+      marginLeft: theme.spacing.sm,
+    },
+    emptyText: {
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textTertiary,
+      textAlign: 'center',
+      paddingVertical: theme.spacing.md,
+    },
+    rateRow: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      paddingVertical: theme.spacing.sm,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.borderLight,
+    },
+    rateInfo: {
+      flex: 1,
+    },
+    rateName: {
+      fontSize: theme.typography.fontSize.md,
+      fontWeight: theme.typography.fontWeight.medium,
+      color: theme.colors.text,
+    },
+    rateCurrency: {
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textSecondary,
+      marginTop: theme.spacing.xs,
+    },
+  });
+
+export default ExchangeRatesScreen;
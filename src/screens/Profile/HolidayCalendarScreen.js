@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, ScrollView, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useCalendar } from '../../contexts/CalendarContext';
+import Card from '../../components/common/Card';
+import Input from '../../components/common/Input';
+import Button from '../../components/common/Button';
+import { WEEKDAY_LABELS } from '../../utils/businessCalendar';
+import { parseDateKey } from '../../utils/dateUtils';
+import { formatDate } from '../../utils/loanCalculations';
+
+/**
+ * Holiday Calendar Screen
+ * Lists the weekend days and lets the lender keep a list of holidays
+ * Loans set to move due dates off days like these use this calendar
+ */
+const HolidayCalendarScreen = () => {
+  const { theme } = useTheme();
+  const { calendar, addHoliday, removeHoliday } = useCalendar();
+  const styles = createStyles(theme);
+
+  const [date, setDate] = useState('');
+  const [name, setName] = useState('');
+  const [error, setError] = useState(null);
+
+  const weekendLabel = calendar.weekendDays
+    .map((day) => WEEKDAY_LABELS[day])
+    .join(' and ');
+
+  const handleAdd = async () => {
+    try {
+      setError(null);
+      await addHoliday(date.trim(), name);
+      setDate('');
+      setName('');
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const handleRemove = (holiday) => {
+    Alert.alert('Remove Holiday', `Remove ${holiday.name}?`, [
+      {
+        text: 'Cancel',
+        style: 'cancel',
+      },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: () => removeHoliday(holiday.date),
+      },
+    ]);
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+      >
+        <Card style={styles.card}>
+          <View style={styles.infoRow}>
+            <Ionicons
+              name="calendar-outline"
+              size={20}
+              color={theme.colors.textTertiary}
+            />
+            <Text style={styles.infoText}>
+              {weekendLabel} are weekend days. Loans can move due dates that
+              fall on a weekend or holiday to the next or previous business
+              day.
+            </Text>
+          </View>
+        </Card>
+
+        {/* Add Holiday */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Add Holiday</Text>
+
+          <Card style={styles.card}>
+            <Input
+              label="Date"
+              value={date}
+              onChangeText={setDate}
+              placeholder="YYYY-MM-DD"
+            />
+
+            <Input
+              label="Name"
+              value={name}
+              onChangeText={setName}
+              placeholder="e.g. Diwali"
+              error={error}
+            />
+
+            <Button title="Add Holiday" onPress={handleAdd} />
+          </Card>
+        </View>
+
+        {/* Holiday List */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Holidays</Text>
+
+          <Card style={styles.card}>
+            {calendar.holidays.length === 0 ? (
+              <Text style={styles.emptyText}>No holidays added yet</Text>
+            ) : (
+              calendar.holidays.map((holiday) => (
+                <View key={holiday.date} style={styles.holidayRow}>
+                  <View style={styles.holidayInfo}>
+                    <Text style={styles.holidayName}>{holiday.name}</Text>
+                    <Text style={styles.holidayDate}>
+                      {formatDate(parseDateKey(holiday.date))}
+                    </Text>
+                  </View>
+                  <Ionicons
+                    name="trash-outline"
+                    size={20}
+                    color={theme.colors.error}
+                    onPress={() => handleRemove(holiday)}
+                  />
+                </View>
+              ))
+            )}
+          </Card>
+        </View>
+      </ScrollView>
+    </View>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.colors.background,
+    },
+    scrollView: {
+      flex: 1,
+    },
+    scrollContent: {
+      padding: theme.layout.screenPadding,
+    },
+    section: {
+      marginTop: theme.spacing.xl,
+    },
+    sectionTitle: {
+      fontSize: theme.typography.fontSize.lg,
+      fontWeight: theme.typography.fontWeight.semibold,
+      color: theme.colors.text,
+      marginBottom: theme.spacing.md,
+    },
+    card: {
+      padding: theme.spacing.md,
+    },
+    infoRow: {
+      flexDirection: 'row',
+      alignItems: 'flex-start',
+    },
+    infoText: {
+      flex: 1,
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textSecondary,
+      marginLeft: theme.spacing.sm,
+    },
+    emptyText: {
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textTertiary,
+      textAlign: 'center',
+      paddingVertical: theme.spacing.md,
+    },
+    holidayRow: {
+      flexDirection: 'row',
+      justifyContent: 'space-between',
+      alignItems: 'center',
+      paddingVertical: theme.spacing.sm,
+      borderBottomWidth: 1,
+      borderBottomColor: theme.colors.borderLight,
+    },
+    holidayInfo: {
+      flex: 1,
+    },
+    holidayName: {
+      fontSize: theme.typography.fontSize.md,
+      fontWeight: theme.typography.fontWeight.medium,
+      color: theme.colors.text,
+    },
+    holidayDate: {
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textSecondary,
+      marginTop: theme.spacing.xs,
+    },
+  });
+
+export default HolidayCalendarScreen;
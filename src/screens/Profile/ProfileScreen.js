@@ -1,18 +1,28 @@
 import React from 'react';
 import { View, Text, StyleSheet, ScrollView, Alert } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { useNavigation } from '@react-navigation/native';
 import { useTheme } from '../../contexts/ThemeContext';
 import { useAuth } from '../../contexts/AuthContextLocal';
+import { useCalendar } from '../../contexts/CalendarContext';
+import { useCurrency } from '../../contexts/CurrencyContext';
+import { useAppLock } from '../../contexts/AppLockContext';
 import Card from '../../components/common/Card';
 import Button from '../../components/common/Button';
+import { describeAutoLock } from '../../utils/appLock';
 
 /**
  * Profile Screen
- * User profile with theme toggle and logout
+ * User profile with theme toggle, holiday calendar, exchange rates, app
+ * lock, account security, account switching and logout
  */
 const ProfileScreen = () => {
   const { theme, isDarkMode, toggleTheme } = useTheme();
   const { user, userProfile, signOut } = useAuth();
+  const { calendar } = useCalendar();
+  const { exchangeRates } = useCurrency();
+  const { appLock, isEnabled: isAppLockEnabled } = useAppLock();
+  const navigation = useNavigation();
 
   const styles = createStyles(theme);
 
@@ -86,6 +96,128 @@ const ProfileScreen = () => {
                 size="small"
               />
             </View>
+
+            <View style={[styles.settingRow, styles.settingRowSpaced]}>
+              <View style={styles.settingLeft}>
+                <Ionicons
+                  name="calendar"
+                  size={24}
+                  color={theme.colors.primary}
+                />
+                <View style={styles.settingInfo}>
+                  <Text style={styles.settingTitle}>Holidays</Text>
+                  <Text style={styles.settingDescription}>
+                    {calendar.holidays.length} added
+                  </Text>
+                </View>
+              </View>
+
+              <Button
+                title="Manage"
+                onPress={() => navigation.navigate('HolidayCalendar')}
+                variant="outline"
+                size="small"
+              />
+            </View>
+
+            <View style={[styles.settingRow, styles.settingRowSpaced]}>
+              <View style={styles.settingLeft}>
+                <Ionicons
+                  name="swap-horizontal"
+                  size={24}
+                  color={theme.colors.primary}
+                />
+                <View style={styles.settingInfo}>
+                  <Text style={styles.settingTitle}>Exchange Rates</Text>
+                  <Text style={styles.settingDescription}>
+                    {Object.keys(exchangeRates.rates).length} against{' '}
+                    {exchangeRates.baseCurrency}
+                  </Text>
+                </View>
+              </View>
+
+              <Button
+                title="Manage"
+                onPress={() => navigation.navigate('ExchangeRates')}
+                variant="outline"
+                size="small"
+              />
+            </View>
+
+            <View style={[styles.settingRow, styles.settingRowSpaced]}>
+              <View style={styles.settingLeft}>
+                <Ionicons
+                  name="lock-closed"
+                  size={24}
+                  color={theme.colors.primary}
+                />
+                <View style={styles.settingInfo}>
+                  <Text style={styles.settingTitle}>App Lock</Text>
+                  <Text style={styles.settingDescription}>
+                    {isAppLockEnabled
+                      ? describeAutoLock(appLock.autoLockMinutes)
+                      : 'Off'}
+                  </Text>
+                </View>
+              </View>
+
+              <Button
+                title="Manage"
+                onPress={() => navigation.navigate('AppLock')}
+                variant="outline"
+                size="small"
+              />
+            </View>
+
+            <View style={[styles.settingRow, styles.settingRowSpaced]}>
+              <View style={styles.settingLeft}>
+                <Ionicons
+                  name="key"
+                  size={24}
+                  color={theme.colors.primary}
+                />
+                <View style={styles.settingInfo}>
+                  <Text style={styles.settingTitle}>Account Security</Text>
+                  <Text style={styles.settingDescription}>
+                    {userProfile?.hasRecoveryCode
+                      ? 'Recovery code saved'
+                      : 'No recovery code'}
+                  </Text>
+                </View>
+              </View>
+
+              <Button
+                title="Manage"
+                onPress={() => navigation.navigate('AccountSecurity')}
+                variant="outline"
+                size="small"
+              />
+            </View>
+
+            <View style={[styles.settingRow, styles.settingRowSpaced]}>
+              <View style={styles.settingLeft}>
+                <Ionicons
+                  name="people"
+                  size={24}
+                  color={theme.colors.primary}
+                />
+                <View style={styles.settingInfo}>
+                  <Text style={styles.settingTitle}>Switch Account</Text>
+                  <Text style={styles.settingDescription}>
+                    {userProfile?.hasSwitchPin
+                      ? 'Switch PIN set'
+                      : 'Switching back asks for your password'}
+                  </Text>
+                </View>
+              </View>
+
+              <Button
+                title="Switch"
+                onPress={() => navigation.navigate('SwitchAccount')}
+                variant="outline"
+                size="small"
+              />
+            </View>
           </Card>
         </View>
 
@@ -205,6 +337,9 @@ const createStyles = (theme) =>
       justifyContent: 'space-between',
       alignItems: 'center',
     },
+    settingRowSpaced: {
+      marginTop: theme.spacing.md,
+    },
     settingLeft: {
       flexDirection: 'row',
       alignItems: 'center',
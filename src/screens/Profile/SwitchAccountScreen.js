@@ -0,0 +1,108 @@
+import React from 'react';
+import { View, Text, StyleSheet, ScrollView, Alert } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useTheme } from '../../contexts/ThemeContext';
+import { useAuth } from '../../contexts/AuthContextLocal';
+import Card from '../../components/common/Card';
+import Button from '../../components/common/Button';
+import AccountSwitcher from '../../components/auth/AccountSwitcher';
+
+/**
+ * Switch Account Screen
+ * Switches between the accounts on a shared device, each with its own
+ * loans, or signs out to add another
+ */
+const SwitchAccountScreen = () => {
+  const { theme } = useTheme();
+  const { signOut } = useAuth();
+  const styles = createStyles(theme);
+
+  const handleAddAccount = async () => {
+    try {
+      await signOut();
+    } catch (error) {
+      Alert.alert('Error', 'Failed to logout');
+    }
+  };
+
+  return (
+    <View style={styles.container}>
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+      >
+        <Card style={styles.card}>
+          <View style={styles.infoRow}>
+            <Ionicons
+              name="people-outline"
+              size={20}
+              color={theme.colors.textTertiary}
+            />
+            <Text style={styles.infoText}>
+              Every account on this device keeps its own loans. Switching asks
+              for the account's switch PIN, or its password if it has none. Set
+              a switch PIN in Account Security.
+            </Text>
+          </View>
+        </Card>
+
+        <AccountSwitcher
+          title="Accounts on This Device"
+          style={styles.section}
+        />
+
+        <Button
+          title="Add Another Account"
+          onPress={handleAddAccount}
+          variant="outline"
+          style={styles.addButton}
+          icon={
+            <Ionicons
+              name="person-add-outline"
+              size={20}
+              color={theme.colors.primary}
+              style={{ marginRight: 8 }}
+            />
+          }
+        />
+      </ScrollView>
+    </View>
+  );
+};
+
+const createStyles = (theme) =>
+  StyleSheet.create({
+    container: {
+      flex: 1,
+      backgroundColor: theme.colors.background,
+    },
+    scrollView: {
+      flex: 1,
+    },
+    scrollContent: {
+      padding: theme.layout.screenPadding,
+    },
+    section: {
+      marginTop: theme.spacing.xl,
+    },
+    card: {
+      padding: theme.spacing.md,
+    },
+    infoRow: {
+      flexDirection: 'row',
+      alignItems: 'flex-start',
+    },
+    infoText: {
+      flex: 1,
+      fontSize: theme.typography.fontSize.sm,
+      color: theme.colors.textSecondary,
+      marginLeft: theme.spacing.sm,
+    },
+    addButton: {
+      marginTop: theme.spacing.lg,
+      marginBottom: theme.spacing.xl,
+    },
+  });
+
+export default SwitchAccountScreen;
@@ -1,46 +1,350 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as SecureStore from 'expo-secure-store';
+import { DEFAULT_CALENDAR } from '../utils/businessCalendar';
+import { DEFAULT_EXCHANGE_RATES } from '../utils/currencies';
+import { DEFAULT_APP_LOCK, validatePin } from '../utils/appLock';
+import { generateId } from '../utils/ids';
+import {
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  validatePassword,
+  generateRecoveryCode,
+  hashRecoveryCode,
+  verifyRecoveryCode,
+  getLockoutRemaining,
+  recordFailedSignIn,
+  getLockoutMessage,
+} from '../utils/passwords';
+import {
+  deriveEncryptionKey,
+  createKeyParams,
+  createSecret,
+  isEncrypted,
+  encryptString,
+  decryptString,
+} from '../utils/encryption';
 
 /**
  * Local Storage Service
  * Mimics Firebase operations using AsyncStorage for local development
  */
 
+// LOANS is the prefix of each account's own loans key, and on its own the
+// key all loans were shared under before accounts were separated
 const STORAGE_KEYS = {
   LOANS: '@loanledger_loans',
   USERS: '@loanledger_users',
   CURRENT_USER: '@loanledger_current_user',
+  CALENDAR: '@loanledger_calendar',
+  EXCHANGE_RATES: '@loanledger_exchange_rates',
+  SIGN_IN_ATTEMPTS: '@loanledger_sign_in_attempts',
+  APP_LOCK: '@loanledger_app_lock',
+  ENCRYPTION: '@loanledger_encryption',
 };
 
-// Helper to generate unique IDs
-const generateId = () => `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+// Kept in the device keychain, away from a copy of AsyncStorage
+const SECURE_KEYS = {
+  ENCRYPTION_SECRET: 'loanledger_encryption_secret',
+};
+
+// Encrypted alongside the key settings to tell a wrong passcode apart
+const ENCRYPTION_CHECK = 'loanledger';
+
+// The signed-in user as kept under CURRENT_USER, without credentials
+const toSessionUser = ({
+  password,
+  credential,
+  recovery,
+  switchPin,
+  ...user
+}) => user;
+
+// The signed-in user as handed to the app
+const toAuthUser = (user) => ({
+  uid: user.uid,
+  email: user.email,
+  displayName: user.name,
+});
+
+// Accounts created before passwords were hashed still hold the password
+const checkPassword = (user, password) =>
+  user.credential
+    ? verifyPassword(password, user.credential)
+    : user.password === password;
+
+// Failed sign-in attempts by email
+const getSignInAttempts = async () => {
+  const attemptsJson = await AsyncStorage.getItem(
+    STORAGE_KEYS.SIGN_IN_ATTEMPTS
+  );
+  return attemptsJson ? JSON.parse(attemptsJson) : {};
+};
+
+const saveSignInAttempts = async (attempts) => {
+  await AsyncStorage.setItem(
+    STORAGE_KEYS.SIGN_IN_ATTEMPTS,
+    JSON.stringify(attempts)
+  );
+};
+
+// Run a password check for `email`, throwing `failureMessage` when it fails
+// Failures count towards the email's lockout, a success clears them
+const throttlePasswordCheck = async (email, isCorrect, failureMessage) => {
+  const attempts = await getSignInAttempts();
+
+  const remaining = getLockoutRemaining(attempts[email]);
+  if (remaining > 0) {
+    throw new Error(getLockoutMessage(remaining));
+  }
+
+  if (!isCorrect()) {
+    attempts[email] = recordFailedSignIn(attempts[email]);
+    await saveSignInAttempts(attempts);
+
+    const lockout = getLockoutRemaining(attempts[email]);
+    throw new Error(lockout > 0 ? getLockoutMessage(lockout) : failureMessage);
+  }
+
+  if (attempts[email]) {
+    delete attempts[email];
+    await saveSignInAttempts(attempts);
+  }
+};
+
+// Key for the encrypted loans and users, only ever held in memory
+let dataKey = null;
+
+// Read the loans or users blob, decrypting it when encrypted at rest
+const readBlob = async (storageKey) => {
+  const stored = await AsyncStorage.getItem(storageKey);
+  if (!stored) return {};
+  if (!isEncrypted(stored)) return JSON.parse(stored);
+
+  if (!dataKey) {
+    throw new Error('Local data is locked');
+  }
+  return JSON.parse(decryptString(stored, dataKey));
+};
+
+// Write the loans or users blob, encrypted while encryption at rest is on
+const writeBlob = async (storageKey, value) => {
+  const json = JSON.stringify(value);
+
+  if (dataKey) {
+    await AsyncStorage.setItem(storageKey, encryptString(json, dataKey));
+    return;
+  }
+
+  // Never write plain text over encrypted data before the key is entered
+  if (await AsyncStorage.getItem(STORAGE_KEYS.ENCRYPTION)) {
+    throw new Error('Local data is locked');
+  }
+  await AsyncStorage.setItem(storageKey, json);
+};
+
+// Keys of every account's loans, and of the shared blob not yet split up
+const getLoanKeys = async () => {
+  const keys = await AsyncStorage.getAllKeys();
+  return keys.filter((key) => key.startsWith(STORAGE_KEYS.LOANS));
+};
+
+// Keys of the blobs encrypted at rest: the users and every account's loans
+const getDataKeys = async () => [STORAGE_KEYS.USERS, ...(await getLoanKeys())];
+
+// The keychain secret mixed into the key, created on first use
+// Null where there is no keychain (the web), the key then comes from the
+// passcode alone
+const getEncryptionSecret = async () => {
+  if (!(await SecureStore.isAvailableAsync())) return null;
+
+  const secret = await SecureStore.getItemAsync(SECURE_KEYS.ENCRYPTION_SECRET);
+  if (secret) return secret;
+
+  const newSecret = createSecret();
+  await SecureStore.setItemAsync(SECURE_KEYS.ENCRYPTION_SECRET, newSecret);
+  return newSecret;
+};
+
+const removeEncryptionSecret = async () => {
+  if (await SecureStore.isAvailableAsync()) {
+    await SecureStore.deleteItemAsync(SECURE_KEYS.ENCRYPTION_SECRET);
+  }
+};
+
+// The key and settings for `passcode`, or null if the data is not
+// encrypted with it. The passcode is only ever checked this way, by
+// decrypting with it, nothing else about it is stored
+const getKeyFor = async (passcode) => {
+  const settingsJson = await AsyncStorage.getItem(STORAGE_KEYS.ENCRYPTION);
+  if (!settingsJson) return null;
+
+  const settings = JSON.parse(settingsJson);
+  let secret = null;
+
+  if (settings.secret) {
+    secret = await SecureStore.getItemAsync(SECURE_KEYS.ENCRYPTION_SECRET);
+    if (!secret) {
+      throw new Error('The encryption secret is missing from this device');
+    }
+  }
+
+  const key = deriveEncryptionKey(passcode, settings, secret);
+  try {
+    decryptString(settings.check, key);
+  } catch (error) {
+    return null;
+  }
+
+  return { key, settings };
+};
+
+// Encrypt the loans and users under a new key from `passcode`
+// The blobs and key settings go in one multiSet, so a re-key cut short
+// does not leave data under a key nobody can derive
+const encryptBlobs = async (passcode) => {
+  const params = createKeyParams();
+  const secret = await getEncryptionSecret();
+  const key = deriveEncryptionKey(passcode, params, secret);
+  const settings = {
+    ...params,
+    secret: !!secret,
+    check: encryptString(ENCRYPTION_CHECK, key),
+  };
+
+  const entries = [];
+  for (const storageKey of await getDataKeys()) {
+    const blob = await readBlob(storageKey);
+    entries.push([storageKey, encryptString(JSON.stringify(blob), key)]);
+  }
+
+  await AsyncStorage.multiSet([
+    ...entries,
+    [STORAGE_KEYS.ENCRYPTION, JSON.stringify(settings)],
+  ]);
+
+  dataKey = key;
+};
+
+// The account signed in under CURRENT_USER, throws if there is none
+const getSessionUser = async () => {
+  const userJson = await AsyncStorage.getItem(STORAGE_KEYS.CURRENT_USER);
+  if (!userJson) {
+    throw new Error('No account is signed in');
+  }
+  return JSON.parse(userJson);
+};
+
+// Moves out of the shared blob in progress, by account
+const sharedLoanMoves = new Map();
+
+// Move an account's loans from the shared blob to its own key, unless an
+// earlier move already did
+const moveSharedLoans = async (uid, storageKey) => {
+  if ((await AsyncStorage.getItem(storageKey)) !== null) return;
+
+  const shared = await readBlob(STORAGE_KEYS.LOANS);
+  const loans = {};
+  Object.entries(shared).forEach(([loanId, loan]) => {
+    if (loan.lenderId === uid) {
+      loans[loanId] = loan;
+      delete shared[loanId];
+    }
+  });
+
+  await writeBlob(storageKey, loans);
+  if (Object.keys(shared).length > 0) {
+    await writeBlob(STORAGE_KEYS.LOANS, shared);
+  } else {
+    await AsyncStorage.removeItem(STORAGE_KEYS.LOANS);
+  }
+};
+
+// Reads run side by side (e.g. the dashboard's Promise.all), so they all
+// wait for one move instead of each starting their own
+const moveSharedLoansOnce = (uid, storageKey) => {
+  if (!sharedLoanMoves.has(uid)) {
+    sharedLoanMoves.set(
+      uid,
+      moveSharedLoans(uid, storageKey).finally(() =>
+        sharedLoanMoves.delete(uid)
+      )
+    );
+  }
+
+  return sharedLoanMoves.get(uid);
+};
+
+// The signed-in account's loans and the key they are kept under
+// Loans from the shared blob move to their lender's own key the first
+// time that account's loans are read
+const readLoans = async () => {
+  const { uid } = await getSessionUser();
+  const storageKey = `${STORAGE_KEYS.LOANS}_${uid}`;
+
+  if ((await AsyncStorage.getItem(storageKey)) === null) {
+    await moveSharedLoansOnce(uid, storageKey);
+  }
+
+  return { storageKey, loans: await readBlob(storageKey) };
+};
+
+// The loans blob holding `loanId` and the key it is kept under: the
+// signed-in account's own, or another account's for a loan it lent to the
+// signed-in account. Null when there is no such loan
+const findLoanBlob = async (loanId) => {
+  const own = await readLoans();
+  if (own.loans[loanId]) return own;
+
+  const { uid } = await getSessionUser();
+  for (const storageKey of await getLoanKeys()) {
+    if (storageKey === own.storageKey) continue;
+
+    const loans = await readBlob(storageKey);
+    if (loans[loanId] && loans[loanId].borrowerId === uid) {
+      return { storageKey, loans };
+    }
+  }
+
+  return null;
+};
 
 // ==================== AUTH OPERATIONS ====================
 
 export const localAuth = {
   /**
    * Sign in with email and password
+   * Too many failed attempts lock the email out for a while
    */
   signIn: async (email, password) => {
     try {
-      const usersJson = await AsyncStorage.getItem(STORAGE_KEYS.USERS);
-      const users = usersJson ? JSON.parse(usersJson) : {};
+      const normalizedEmail = email.toLowerCase();
+      const users = await readBlob(STORAGE_KEYS.USERS);
 
-      const user = Object.values(users).find(
-        (u) => u.email === email.toLowerCase() && u.password === password
+      let user = Object.values(users).find((u) => u.email === normalizedEmail);
+
+      await throttlePasswordCheck(
+        normalizedEmail,
+        () => !!user && checkPassword(user, password),
+        'Invalid email or password'
       );
 
-      if (!user) {
-        throw new Error('Invalid email or password');
+      // Plain-text or weakly hashed passwords are upgraded now that the
+      // password is known to be right
+      if (!user.credential || needsRehash(user.credential)) {
+        const { password: plainPassword, ...rest } = user;
+        user = { ...rest, credential: hashPassword(password) };
+        users[user.uid] = user;
+        await writeBlob(STORAGE_KEYS.USERS, users);
       }
 
       // Store current user
-      await AsyncStorage.setItem(STORAGE_KEYS.CURRENT_USER, JSON.stringify(user));
+      await AsyncStorage.setItem(
+        STORAGE_KEYS.CURRENT_USER,
+        JSON.stringify(toSessionUser(user))
+      );
 
-      return {
-        uid: user.uid,
-        email: user.email,
-        displayName: user.name,
-      };
+      return toAuthUser(user);
     } catch (error) {
       throw error;
     }
@@ -48,11 +352,11 @@ export const localAuth = {
 
   /**
    * Create new user account
+   * Also returns the account's recovery code, which is only shown now
    */
   signUp: async (email, password, name) => {
     try {
-      const usersJson = await AsyncStorage.getItem(STORAGE_KEYS.USERS);
-      const users = usersJson ? JSON.parse(usersJson) : {};
+      const users = await readBlob(STORAGE_KEYS.USERS);
 
       // Check if user already exists
       const existingUser = Object.values(users).find(
@@ -63,32 +367,55 @@ export const localAuth = {
         throw new Error('Email already in use');
       }
 
+      validatePassword(password);
+
       // Create new user
-      const uid = `user_${generateId()}`;
+      const uid = generateId('user');
+      const recoveryCode = generateRecoveryCode();
       const newUser = {
         uid,
         email: email.toLowerCase(),
-        password, // In production, this should be hashed
+        credential: hashPassword(password),
+        recovery: hashRecoveryCode(recoveryCode),
         name,
         createdAt: new Date().toISOString(),
       };
 
       users[uid] = newUser;
-      await AsyncStorage.setItem(STORAGE_KEYS.USERS, JSON.stringify(users));
+      await writeBlob(STORAGE_KEYS.USERS, users);
 
       // Store current user
-      await AsyncStorage.setItem(STORAGE_KEYS.CURRENT_USER, JSON.stringify(newUser));
+      await AsyncStorage.setItem(
+        STORAGE_KEYS.CURRENT_USER,
+        JSON.stringify(toSessionUser(newUser))
+      );
 
-      return {
-        uid: newUser.uid,
-        email: newUser.email,
-        displayName: newUser.name,
-      };
+      return { ...toAuthUser(newUser), recoveryCode };
     } catch (error) {
       throw error;
     }
   },
 
+  /**
+   * Check the password of a signed-in user before a sensitive action
+   * Wrong passwords count towards the same lockout as sign-ins
+   */
+  confirmPassword: async (userId, password) => {
+    const users = await readBlob(STORAGE_KEYS.USERS);
+
+    const user = users[userId];
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await throttlePasswordCheck(
+      user.email,
+      () => checkPassword(user, password),
+      'Incorrect password'
+    );
+    return true;
+  },
+
   /**
    * Sign out
    */
@@ -105,34 +432,239 @@ export const localAuth = {
       if (!userJson) return null;
 
       const user = JSON.parse(userJson);
-      return {
-        uid: user.uid,
-        email: user.email,
-        displayName: user.name,
-      };
+
+      // Sessions saved before passwords were hashed kept the password
+      if (user.password !== undefined) {
+        await AsyncStorage.setItem(
+          STORAGE_KEYS.CURRENT_USER,
+          JSON.stringify(toSessionUser(user))
+        );
+      }
+
+      return toAuthUser(user);
     } catch (error) {
       return null;
     }
   },
 
   /**
-   * Password reset (mock)
+   * Reset a forgotten password with the account's recovery code
+   * The code is used up, returns the new one that replaces it
+   * Wrong codes count towards the same lockout as sign-ins
    */
-  resetPassword: async (email) => {
-    // Mock implementation - just verify user exists
-    const usersJson = await AsyncStorage.getItem(STORAGE_KEYS.USERS);
-    const users = usersJson ? JSON.parse(usersJson) : {};
+  resetPassword: async (email, recoveryCode, newPassword) => {
+    const normalizedEmail = email.toLowerCase();
+    const users = await readBlob(STORAGE_KEYS.USERS);
 
     const user = Object.values(users).find(
-      (u) => u.email === email.toLowerCase()
+      (u) => u.email === normalizedEmail
+    );
+
+    await throttlePasswordCheck(
+      normalizedEmail,
+      () =>
+        !!user &&
+        !!user.recovery &&
+        verifyRecoveryCode(recoveryCode, user.recovery),
+      'Invalid email or recovery code'
     );
 
+    validatePassword(newPassword);
+
+    const nextRecoveryCode = generateRecoveryCode();
+    const { password, ...rest } = user;
+    users[user.uid] = {
+      ...rest,
+      credential: hashPassword(newPassword),
+      recovery: hashRecoveryCode(nextRecoveryCode),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await writeBlob(STORAGE_KEYS.USERS, users);
+    return nextRecoveryCode;
+  },
+
+  /**
+   * Change the password of a signed-in user, throws if the current
+   * password is wrong or the new one too weak
+   */
+  changePassword: async (userId, currentPassword, newPassword) => {
+    const users = await readBlob(STORAGE_KEYS.USERS);
+
+    const user = users[userId];
     if (!user) {
-      throw new Error('No user found with this email');
+      throw new Error('User not found');
     }
 
-    // In a real app, this would send an email
-    console.log('Password reset link sent to:', email);
+    await throttlePasswordCheck(
+      user.email,
+      () => checkPassword(user, currentPassword),
+      'Incorrect password'
+    );
+
+    validatePassword(newPassword);
+
+    const { password, ...rest } = user;
+    users[userId] = {
+      ...rest,
+      credential: hashPassword(newPassword),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await writeBlob(STORAGE_KEYS.USERS, users);
+    return true;
+  },
+
+  /**
+   * Change the email of a signed-in user, who confirms with the password
+   * Returns the updated user
+   */
+  changeEmail: async (userId, newEmail, password) => {
+    const users = await readBlob(STORAGE_KEYS.USERS);
+
+    const user = users[userId];
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await throttlePasswordCheck(
+      user.email,
+      () => checkPassword(user, password),
+      'Incorrect password'
+    );
+
+    const normalizedEmail = (newEmail || '').trim().toLowerCase();
+    if (!normalizedEmail.includes('@')) {
+      throw new Error('Please enter a valid email');
+    }
+
+    const existingUser = Object.values(users).find(
+      (u) => u.email === normalizedEmail && u.uid !== userId
+    );
+    if (existingUser) {
+      throw new Error('Email already in use');
+    }
+
+    users[userId] = {
+      ...user,
+      email: normalizedEmail,
+      updatedAt: new Date().toISOString(),
+    };
+
+    await writeBlob(STORAGE_KEYS.USERS, users);
+    await AsyncStorage.setItem(
+      STORAGE_KEYS.CURRENT_USER,
+      JSON.stringify(toSessionUser(users[userId]))
+    );
+
+    return toAuthUser(users[userId]);
+  },
+
+  /**
+   * Replace the recovery code of a signed-in user, who confirms with the
+   * password. Returns the new code, which is only shown now
+   */
+  createRecoveryCode: async (userId, password) => {
+    const users = await readBlob(STORAGE_KEYS.USERS);
+
+    const user = users[userId];
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await throttlePasswordCheck(
+      user.email,
+      () => checkPassword(user, password),
+      'Incorrect password'
+    );
+
+    const recoveryCode = generateRecoveryCode();
+    users[userId] = {
+      ...user,
+      recovery: hashRecoveryCode(recoveryCode),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await writeBlob(STORAGE_KEYS.USERS, users);
+    return recoveryCode;
+  },
+
+  /**
+   * Accounts on this device, for the account switcher
+   */
+  getAccounts: async () => {
+    const users = await readBlob(STORAGE_KEYS.USERS);
+
+    return Object.values(users)
+      .map((user) => ({
+        uid: user.uid,
+        email: user.email,
+        name: user.name,
+        hasSwitchPin: !!user.switchPin,
+      }))
+      // Names are optional, accounts without one sort by their email
+      .sort((a, b) => (a.name || a.email).localeCompare(b.name || b.email));
+  },
+
+  /**
+   * Switch the signed-in account, confirmed with the account's switch PIN
+   * or, without one, its password
+   * Wrong entries count towards the same lockout as sign-ins
+   */
+  switchAccount: async (userId, secret) => {
+    const users = await readBlob(STORAGE_KEYS.USERS);
+
+    const user = users[userId];
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await throttlePasswordCheck(
+      user.email,
+      () =>
+        user.switchPin
+          ? verifyPassword(secret, user.switchPin)
+          : checkPassword(user, secret),
+      user.switchPin ? 'Incorrect PIN' : 'Incorrect password'
+    );
+
+    await AsyncStorage.setItem(
+      STORAGE_KEYS.CURRENT_USER,
+      JSON.stringify(toSessionUser(user))
+    );
+
+    return toAuthUser(user);
+  },
+
+  /**
+   * Set the PIN that switches to a signed-in user's account, or remove it
+   * with a null `pin`. The user confirms with the password
+   */
+  setSwitchPin: async (userId, password, pin) => {
+    const users = await readBlob(STORAGE_KEYS.USERS);
+
+    const user = users[userId];
+    if (!user) {
+      throw new Error('User not found');
+    }
+
+    await throttlePasswordCheck(
+      user.email,
+      () => checkPassword(user, password),
+      'Incorrect password'
+    );
+
+    if (pin !== null) {
+      validatePin(pin);
+    }
+
+    users[userId] = {
+      ...user,
+      switchPin: pin === null ? null : hashPassword(pin),
+      updatedAt: new Date().toISOString(),
+    };
+
+    await writeBlob(STORAGE_KEYS.USERS, users);
     return true;
   },
 };
@@ -145,8 +677,7 @@ export const localUserProfile = {
    */
   getProfile: async (userId) => {
     try {
-      const usersJson = await AsyncStorage.getItem(STORAGE_KEYS.USERS);
-      const users = usersJson ? JSON.parse(usersJson) : {};
+      const users = await readBlob(STORAGE_KEYS.USERS);
 
       const user = users[userId];
       if (!user) return null;
@@ -156,6 +687,8 @@ export const localUserProfile = {
         name: user.name,
         email: user.email,
         createdAt: user.createdAt,
+        hasRecoveryCode: !!user.recovery,
+        hasSwitchPin: !!user.switchPin,
       };
     } catch (error) {
       console.error('Error getting profile:', error);
@@ -168,8 +701,7 @@ export const localUserProfile = {
    */
   updateProfile: async (userId, updates) => {
     try {
-      const usersJson = await AsyncStorage.getItem(STORAGE_KEYS.USERS);
-      const users = usersJson ? JSON.parse(usersJson) : {};
+      const users = await readBlob(STORAGE_KEYS.USERS);
 
       if (!users[userId]) {
         throw new Error('User not found');
@@ -181,7 +713,7 @@ export const localUserProfile = {
         updatedAt: new Date().toISOString(),
       };
 
-      await AsyncStorage.setItem(STORAGE_KEYS.USERS, JSON.stringify(users));
+      await writeBlob(STORAGE_KEYS.USERS, users);
 
       // Update current user if it's the same
       const currentUserJson = await AsyncStorage.getItem(STORAGE_KEYS.CURRENT_USER);
@@ -190,7 +722,7 @@ export const localUserProfile = {
         if (currentUser.uid === userId) {
           await AsyncStorage.setItem(
             STORAGE_KEYS.CURRENT_USER,
-            JSON.stringify(users[userId])
+            JSON.stringify(toSessionUser(users[userId]))
           );
         }
       }
@@ -207,12 +739,11 @@ export const localUserProfile = {
 
 export const localLoans = {
   /**
-   * Get all loans
+   * Get all loans of the signed-in account
    */
   getAll: async () => {
     try {
-      const loansJson = await AsyncStorage.getItem(STORAGE_KEYS.LOANS);
-      const loans = loansJson ? JSON.parse(loansJson) : {};
+      const { loans } = await readLoans();
       return Object.values(loans);
     } catch (error) {
       console.error('Error getting loans:', error);
@@ -221,13 +752,37 @@ export const localLoans = {
   },
 
   /**
-   * Get loan by ID
+   * Get the loans lent to `borrowerId` by any account on this device
+   * Each account keeps its own loans, so every one of them is searched
+   */
+  getByBorrower: async (borrowerId) => {
+    try {
+      const borrowed = [];
+
+      for (const storageKey of await getLoanKeys()) {
+        const loans = await readBlob(storageKey);
+        borrowed.push(
+          ...Object.values(loans).filter(
+            (loan) => loan.borrowerId === borrowerId
+          )
+        );
+      }
+
+      return borrowed;
+    } catch (error) {
+      console.error('Error getting borrowed loans:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Get loan by ID, from any account on this device that lent it to the
+   * signed-in account as well as its own
    */
   getById: async (loanId) => {
     try {
-      const loansJson = await AsyncStorage.getItem(STORAGE_KEYS.LOANS);
-      const loans = loansJson ? JSON.parse(loansJson) : {};
-      return loans[loanId] || null;
+      const found = await findLoanBlob(loanId);
+      return found ? found.loans[loanId] : null;
     } catch (error) {
       console.error('Error getting loan:', error);
       return null;
@@ -239,20 +794,20 @@ export const localLoans = {
    */
   create: async (loanData) => {
     try {
-      const loansJson = await AsyncStorage.getItem(STORAGE_KEYS.LOANS);
-      const loans = loansJson ? JSON.parse(loansJson) : {};
+      const { storageKey, loans } = await readLoans();
 
-      const loanId = `loan_${generateId()}`;
+      const loanId = generateId('loan');
       const newLoan = {
         id: loanId,
         ...loanData,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString(),
-        status: 'active',
+        // Drafts and loans awaiting acceptance say so, the rest start active
+        status: loanData.status || 'active',
       };
 
       loans[loanId] = newLoan;
-      await AsyncStorage.setItem(STORAGE_KEYS.LOANS, JSON.stringify(loans));
+      await writeBlob(storageKey, loans);
 
       return newLoan;
     } catch (error) {
@@ -263,23 +818,25 @@ export const localLoans = {
 
   /**
    * Update loan
+   * Saved under the key of the account that lent it, so a borrower can
+   * accept or decline a loan another account lent them
    */
   update: async (loanId, updates) => {
     try {
-      const loansJson = await AsyncStorage.getItem(STORAGE_KEYS.LOANS);
-      const loans = loansJson ? JSON.parse(loansJson) : {};
-
-      if (!loans[loanId]) {
+      const found = await findLoanBlob(loanId);
+      if (!found) {
         throw new Error('Loan not found');
       }
 
+      const { storageKey, loans } = found;
+
       loans[loanId] = {
         ...loans[loanId],
         ...updates,
         updatedAt: new Date().toISOString(),
       };
 
-      await AsyncStorage.setItem(STORAGE_KEYS.LOANS, JSON.stringify(loans));
+      await writeBlob(storageKey, loans);
       return true;
     } catch (error) {
       console.error('Error updating loan:', error);
@@ -292,11 +849,10 @@ export const localLoans = {
    */
   delete: async (loanId) => {
     try {
-      const loansJson = await AsyncStorage.getItem(STORAGE_KEYS.LOANS);
-      const loans = loansJson ? JSON.parse(loansJson) : {};
+      const { storageKey, loans } = await readLoans();
 
       delete loans[loanId];
-      await AsyncStorage.setItem(STORAGE_KEYS.LOANS, JSON.stringify(loans));
+      await writeBlob(storageKey, loans);
       return true;
     } catch (error) {
       console.error('Error deleting loan:', error);
@@ -308,9 +864,213 @@ export const localLoans = {
    * Clear all data (for testing)
    */
   clearAll: async () => {
-    await AsyncStorage.removeItem(STORAGE_KEYS.LOANS);
+    await AsyncStorage.multiRemove(await getLoanKeys());
     await AsyncStorage.removeItem(STORAGE_KEYS.USERS);
     await AsyncStorage.removeItem(STORAGE_KEYS.CURRENT_USER);
+    await AsyncStorage.removeItem(STORAGE_KEYS.CALENDAR);
+  },
+};
+
+// ==================== ENCRYPTION OPERATIONS ====================
+
+export const localEncryption = {
+  /**
+   * Whether the loans and users are encrypted at rest
+   */
+  isEnabled: async () =>
+    !!(await AsyncStorage.getItem(STORAGE_KEYS.ENCRYPTION)),
+
+  /**
+   * Whether the key has been entered since the app started
+   */
+  isUnlocked: () => !!dataKey,
+
+  /**
+   * Whether `passcode` is the one the data is encrypted with
+   */
+  checkPasscode: async (passcode) => !!(await getKeyFor(passcode)),
+
+  /**
+   * Derive the key from the passcode and keep it in memory
+   * Returns false if the passcode is wrong
+   */
+  unlock: async (passcode) => {
+    if (!(await localEncryption.isEnabled())) return true;
+
+    const unlocked = await getKeyFor(passcode);
+    if (!unlocked) return false;
+
+    dataKey = unlocked.key;
+
+    // Data encrypted before the keychain secret was used moves under it
+    if (!unlocked.settings.secret && (await SecureStore.isAvailableAsync())) {
+      await encryptBlobs(passcode);
+    }
+
+    return true;
+  },
+
+  /**
+   * Encrypt the loans and users with a key from `passcode`
+   */
+  enable: async (passcode) => {
+    await encryptBlobs(passcode);
+    return true;
+  },
+
+  /**
+   * Re-encrypt everything under a key from a new passcode
+   * Needs the current key, so only works once unlocked
+   */
+  rekey: async (passcode) => {
+    if (!dataKey) {
+      throw new Error('Local data is locked');
+    }
+
+    await encryptBlobs(passcode);
+    return true;
+  },
+
+  /**
+   * Decrypt the loans and users back to plain storage
+   */
+  disable: async () => {
+    const entries = [];
+    for (const storageKey of await getDataKeys()) {
+      const blob = await readBlob(storageKey);
+      entries.push([storageKey, JSON.stringify(blob)]);
+    }
+
+    await AsyncStorage.multiSet(entries);
+    await AsyncStorage.removeItem(STORAGE_KEYS.ENCRYPTION);
+    await removeEncryptionSecret();
+
+    dataKey = null;
+    return true;
+  },
+
+  /**
+   * Delete the encrypted data and every account on this device, the only
+   * way forward once the passcode is forgotten
+   */
+  erase: async () => {
+    await AsyncStorage.multiRemove([
+      ...(await getDataKeys()),
+      STORAGE_KEYS.CURRENT_USER,
+      STORAGE_KEYS.SIGN_IN_ATTEMPTS,
+      STORAGE_KEYS.ENCRYPTION,
+    ]);
+    await removeEncryptionSecret();
+
+    dataKey = null;
+    return true;
+  },
+};
+
+// ==================== CALENDAR OPERATIONS ====================
+
+export const localCalendar = {
+  /**
+   * Get the business day calendar (weekends and holidays)
+   */
+  get: async () => {
+    try {
+      const calendarJson = await AsyncStorage.getItem(STORAGE_KEYS.CALENDAR);
+      return calendarJson
+        ? { ...DEFAULT_CALENDAR, ...JSON.parse(calendarJson) }
+        : DEFAULT_CALENDAR;
+    } catch (error) {
+      console.error('Error getting calendar:', error);
+      return DEFAULT_CALENDAR;
+    }
+  },
+
+  /**
+   * Save the business day calendar
+   */
+  save: async (calendar) => {
+    try {
+      await AsyncStorage.setItem(
+        STORAGE_KEYS.CALENDAR,
+        JSON.stringify(calendar)
+      );
+      return true;
+    } catch (error) {
+      console.error('Error saving calendar:', error);
+      return false;
+    }
+  },
+};
+
+// ==================== EXCHANGE RATE OPERATIONS ====================
+
+export const localExchangeRates = {
+  /**
+   * Get the conversion table used to combine totals across currencies
+   */
+  get: async () => {
+    try {
+      const ratesJson = await AsyncStorage.getItem(
+        STORAGE_KEYS.EXCHANGE_RATES
+      );
+      return ratesJson
+        ? { ...DEFAULT_EXCHANGE_RATES, ...JSON.parse(ratesJson) }
+        : DEFAULT_EXCHANGE_RATES;
+    } catch (error) {
+      console.error('Error getting exchange rates:', error);
+      return DEFAULT_EXCHANGE_RATES;
+    }
+  },
+
+  /**
+   * Save the conversion table
+   */
+  save: async (exchangeRates) => {
+    try {
+      await AsyncStorage.setItem(
+        STORAGE_KEYS.EXCHANGE_RATES,
+        JSON.stringify(exchangeRates)
+      );
+      return true;
+    } catch (error) {
+      console.error('Error saving exchange rates:', error);
+      return false;
+    }
+  },
+};
+
+// ==================== APP LOCK OPERATIONS ====================
+
+export const localAppLock = {
+  /**
+   * Get the app lock settings
+   */
+  get: async () => {
+    try {
+      const appLockJson = await AsyncStorage.getItem(STORAGE_KEYS.APP_LOCK);
+      return appLockJson
+        ? { ...DEFAULT_APP_LOCK, ...JSON.parse(appLockJson) }
+        : DEFAULT_APP_LOCK;
+    } catch (error) {
+      console.error('Error getting app lock:', error);
+      return DEFAULT_APP_LOCK;
+    }
+  },
+
+  /**
+   * Save the app lock settings
+   */
+  save: async (appLock) => {
+    try {
+      await AsyncStorage.setItem(
+        STORAGE_KEYS.APP_LOCK,
+        JSON.stringify(appLock)
+      );
+      return true;
+    } catch (error) {
+      console.error('Error saving app lock:', error);
+      return false;
+    }
   },
 };
 
@@ -318,4 +1078,8 @@ export default {
   auth: localAuth,
   userProfile: localUserProfile,
   loans: localLoans,
+  calendar: localCalendar,
+  exchangeRates: localExchangeRates,
+  appLock: localAppLock,
+  encryption: localEncryption,
 };
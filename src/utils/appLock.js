@@ -0,0 +1,109 @@
+/**
+ * App lock utilities
+ * A PIN locks the app on a cold start and after it has been in the
+ * background for the auto-lock time. The settings are:
+ * {
+ *   enabled,  // whether the lock is on
+ *   autoLockMinutes,  // 0 locks as soon as the app leaves the screen
+ *   attempts,  // failed PIN entries, throttled like sign-ins
+ *   pin,  // credential older versions kept, dropped on the next unlock
+ * }
+ *
+ * The PIN itself is not stored: it is the passcode the data is encrypted
+ * with, and it is checked by decrypting (see localEncryption). The lockout
+ * after repeated wrong PINs protects it on the phone itself
+ */
+
+import { verifyPassword } from './passwords';
+
+export const PIN_LENGTH = { min: 4, max: 6 };
+
+// Typed to erase everything from the lock screen, where no PIN or
+// password can be checked
+export const ERASE_CONFIRMATION = 'ERASE';
+
+export const AUTO_LOCK_OPTIONS = [
+  { label: 'Immediately', value: 0 },
+  { label: '1 min', value: 1 },
+  { label: '5 min', value: 5 },
+  { label: '15 min', value: 15 },
+];
+
+export const DEFAULT_APP_LOCK = {
+  enabled: false,
+  autoLockMinutes: 1,
+  attempts: null,
+  pin: null,
+};
+
+/**
+ * Whether the app lock is turned on
+ */
+export const isAppLockEnabled = (appLock) =>
+  !!(appLock && (appLock.enabled || appLock.pin));
+
+/**
+ * Throws if `pin` cannot be used as a PIN
+ */
+export const validatePin = (pin) => {
+  const pattern = new RegExp(`^\\d{${PIN_LENGTH.min},${PIN_LENGTH.max}}$`);
+
+  if (!pattern.test(pin || '')) {
+    throw new Error(
+      `The PIN must be ${PIN_LENGTH.min} to ${PIN_LENGTH.max} digits`
+    );
+  }
+};
+
+/**
+ * Settings with the lock on for a new PIN, throws if the PIN is invalid
+ */
+export const setPin = (appLock, pin) => {
+  validatePin(pin);
+  return { ...appLock, enabled: true, attempts: null, pin: null };
+};
+
+export const removePin = (appLock) => ({
+  ...appLock,
+  enabled: false,
+  attempts: null,
+  pin: null,
+});
+
+/**
+ * Whether `pin` matches the credential older versions kept, for a lock
+ * turned on before the data was encrypted with the PIN
+ */
+export const checkLegacyPin = (appLock, pin) =>
+  !!(appLock && appLock.pin) && verifyPassword(pin, appLock.pin);
+
+/**
+ * Whether the app should lock on coming back after being in the background
+ * since `backgroundedAt` (ms)
+ */
+export const shouldAutoLock = (appLock, backgroundedAt, now = Date.now()) =>
+  isAppLockEnabled(appLock) &&
+  backgroundedAt !== null &&
+  now - backgroundedAt >= appLock.autoLockMinutes * 60 * 1000;
+
+/**
+ * Description of the auto-lock time, e.g. "Locks after 5 min away"
+ */
+export const describeAutoLock = (minutes) =>
+  minutes === 0
+    ? 'Locks as soon as you leave'
+    : `Locks after ${minutes} min away`;
+
+export default {
+  PIN_LENGTH,
+  ERASE_CONFIRMATION,
+  AUTO_LOCK_OPTIONS,
+  DEFAULT_APP_LOCK,
+  isAppLockEnabled,
+  validatePin,
+  setPin,
+  removePin,
+  checkLegacyPin,
+  shouldAutoLock,
+  describeAutoLock,
+};
@@ -0,0 +1,146 @@
+/**
+ * Business day calendar
+ * Moves due dates off weekends and holidays so nothing falls due on a day
+ * nobody pays
+ *
+ * The calendar is kept on the device:
+ * {
+ *   weekendDays,  // days of the week off, 0 = Sunday ... 6 = Saturday
+ *   holidays: [{ date: 'YYYY-MM-DD', name }]
+ * }
+ */
+
+import { addDays, parseDateKey, toCalendarDate, toDateKey } from './dateUtils';
+
+/**
+ * What happens to a due date that falls on a weekend or holiday
+ * NONE: keep the date as it is
+ * NEXT_BUSINESS_DAY: move it forward to the next business day
+ * PREVIOUS_BUSINESS_DAY: move it back to the previous business day
+ */
+export const DUE_DATE_ADJUSTMENTS = {
+  NONE: 'none',
+  NEXT_BUSINESS_DAY: 'nextBusinessDay',
+  PREVIOUS_BUSINESS_DAY: 'previousBusinessDay',
+};
+
+export const DUE_DATE_ADJUSTMENT_LABELS = {
+  [DUE_DATE_ADJUSTMENTS.NONE]: 'No Change',
+  [DUE_DATE_ADJUSTMENTS.NEXT_BUSINESS_DAY]: 'Next Day',
+  [DUE_DATE_ADJUSTMENTS.PREVIOUS_BUSINESS_DAY]: 'Previous Day',
+};
+
+/**
+ * Describe an adjustment rule for display
+ */
+export const describeDueDateAdjustment = (adjustment) => {
+  if (adjustment === DUE_DATE_ADJUSTMENTS.NEXT_BUSINESS_DAY) {
+    return 'Moved to the next business day';
+  }
+
+  if (adjustment === DUE_DATE_ADJUSTMENTS.PREVIOUS_BUSINESS_DAY) {
+    return 'Moved to the previous business day';
+  }
+
+  return 'Not moved';
+};
+
+export const WEEKDAY_LABELS = [
+  'Sunday',
+  'Monday',
+  'Tuesday',
+  'Wednesday',
+  'Thursday',
+  'Friday',
+  'Saturday',
+];
+
+export const DEFAULT_CALENDAR = {
+  weekendDays: [0, 6],
+  holidays: [],
+};
+
+// A year of days off in a row means the calendar has no business days
+const MAX_ADJUSTMENT_DAYS = 366;
+
+/**
+ * Check whether a date is a business day (not a weekend day or holiday)
+ */
+export const isBusinessDay = (date, calendar = DEFAULT_CALENDAR) => {
+  const day = toCalendarDate(date);
+  const { weekendDays = [], holidays = [] } = calendar;
+
+  if (weekendDays.includes(day.getUTCDay())) return false;
+
+  const key = toDateKey(day);
+  return !holidays.some((holiday) => holiday.date === key);
+};
+
+/**
+ * Move a due date off weekends and holidays following the adjustment rule
+ * Business days are returned unchanged, so adjusting twice is harmless
+ */
+export const adjustDueDate = (
+  date,
+  adjustment = DUE_DATE_ADJUSTMENTS.NONE,
+  calendar = DEFAULT_CALENDAR
+) => {
+  const dueDate = toCalendarDate(date);
+
+  if (adjustment === DUE_DATE_ADJUSTMENTS.NONE || !calendar) return dueDate;
+
+  const step =
+    adjustment === DUE_DATE_ADJUSTMENTS.PREVIOUS_BUSINESS_DAY ? -1 : 1;
+  let adjusted = dueDate;
+
+  for (let i = 0; i < MAX_ADJUSTMENT_DAYS; i++) {
+    if (isBusinessDay(adjusted, calendar)) return adjusted;
+    adjusted = addDays(adjusted, step);
+  }
+
+  return dueDate;
+};
+
+/**
+ * Add a holiday to a calendar, holidays are kept sorted by date
+ */
+export const addHoliday = (calendar, dateKey, name) => {
+  if (!parseDateKey(dateKey)) {
+    throw new Error('Please enter the date as YYYY-MM-DD');
+  }
+
+  if (!name || name.trim().length === 0) {
+    throw new Error('Please enter a name for the holiday');
+  }
+
+  if (calendar.holidays.some((holiday) => holiday.date === dateKey)) {
+    throw new Error('That date is already a holiday');
+  }
+
+  return {
+    ...calendar,
+    holidays: [...calendar.holidays, { date: dateKey, name: name.trim() }].sort(
+      (a, b) => a.date.localeCompare(b.date)
+    ),
+  };
+};
+
+/**
+ * Remove the holiday on a date from a calendar
+ */
+export const removeHoliday = (calendar, dateKey) => ({
+  ...calendar,
+  holidays: calendar.holidays.filter((holiday) => holiday.date !== dateKey),
+});
+
+export default {
+  DUE_DATE_ADJUSTMENTS,
+  DUE_DATE_ADJUSTMENT_LABELS,
+  describeDueDateAdjustment,
+  WEEKDAY_LABELS,
+  DEFAULT_CALENDAR,
+  isBusinessDay,
+  adjustDueDate,
+  addHoliday,
+  removeHoliday,
+};
@@ -0,0 +1,170 @@
+/**
+ * Currency utilities
+ * Each loan is kept in one currency, `currency` on the loan, and loans
+ * created before currencies existed are in rupees. Every currency offered
+ * has 2 decimal places, so the paise arithmetic of the schedules holds for
+ * cents and fils alike
+ *
+ * Totals across currencies are only combined through a conversion table the
+ * lender keeps on the device:
+ * {
+ *   baseCurrency,  // currency the combined figure is shown in
+ *   rates: { USD: 83.1 }  // units of the base currency per unit
+ * }
+ */
+
+export const CURRENCIES = {
+  INR: { code: 'INR', symbol: '₹', locale: 'en-IN', label: 'Indian Rupee' },
+  USD: { code: 'USD', symbol: '$', locale: 'en-US', label: 'US Dollar' },
+  AED: { code: 'AED', symbol: 'AED ', locale: 'en-AE', label: 'UAE Dirham' },
+  EUR: { code: 'EUR', symbol: '€', locale: 'en-IE', label: 'Euro' },
+  GBP: { code: 'GBP', symbol: '£', locale: 'en-GB', label: 'British Pound' },
+};
+
+export const DEFAULT_CURRENCY = 'INR';
+
+export const CURRENCY_OPTIONS = Object.keys(CURRENCIES).map((code) => ({
+  label: code,
+  value: code,
+}));
+
+export const DEFAULT_EXCHANGE_RATES = {
+  baseCurrency: DEFAULT_CURRENCY,
+  rates: {},
+};
+
+/**
+ * Currency details for a code, unknown codes fall back to the default
+ */
+export const getCurrency = (code) =>
+  CURRENCIES[code] || CURRENCIES[DEFAULT_CURRENCY];
+
+/**
+ * Symbol shown before amounts in a currency, e.g. "₹" or "$"
+ */
+export const getCurrencySymbol = (code) => getCurrency(code).symbol.trim();
+
+/**
+ * Currency a loan is kept in
+ */
+export const getLoanCurrency = (loan) =>
+  (loan && CURRENCIES[loan.currency] && loan.currency) || DEFAULT_CURRENCY;
+
+/**
+ * Group loans by their currency, in the order currencies are offered
+ * Returns { [currency]: loans }
+ */
+export const groupLoansByCurrency = (loans) => {
+  const groups = {};
+
+  Object.keys(CURRENCIES).forEach((code) => {
+    const inCurrency = loans.filter((loan) => getLoanCurrency(loan) === code);
+    if (inCurrency.length > 0) {
+      groups[code] = inCurrency;
+    }
+  });
+
+  return groups;
+};
+
+/**
+ * Units of the base currency per unit of `code`, or null when the table
+ * has no rate for it
+ */
+export const getExchangeRate = (code, exchangeRates) => {
+  const { baseCurrency, rates = {} } = exchangeRates;
+
+  if (code === baseCurrency) return 1;
+  return rates[code] > 0 ? rates[code] : null;
+};
+
+/**
+ * Combine amounts kept in several currencies into the base currency
+ * `amounts` is { [currency]: amount }
+ * Returns { amount, missing } where `missing` lists the currencies without a
+ * rate, which are left out of the amount
+ */
+export const combineAmounts = (amounts, exchangeRates) => {
+  let amount = 0;
+  const missing = [];
+
+  Object.entries(amounts).forEach(([code, value]) => {
+    const rate = getExchangeRate(code, exchangeRates);
+
+    if (rate === null) {
+      missing.push(code);
+    } else {
+      amount += value * rate;
+    }
+  });
+
+  return { amount: Math.round(amount * 100) / 100, missing };
+};
+
+/**
+ * Set the rate of a currency against the base currency, throws if the
+ * rate is not a positive number
+ */
+export const setExchangeRate = (exchangeRates, code, rate) => {
+  if (!CURRENCIES[code]) {
+    throw new Error('Please choose a currency');
+  }
+
+  if (code === exchangeRates.baseCurrency) {
+    throw new Error('The base currency does not need a rate');
+  }
+
+  if (!(rate > 0)) {
+    throw new Error('Please enter a valid rate');
+  }
+
+  return {
+    ...exchangeRates,
+    rates: { ...exchangeRates.rates, [code]: rate },
+  };
+};
+
+export const removeExchangeRate = (exchangeRates, code) => {
+  const { [code]: removed, ...rates } = exchangeRates.rates;
+  return { ...exchangeRates, rates };
+};
+
+// Rates are kept to 6 decimal places
+const roundRate = (rate) => Math.round(rate * 1e6) / 1e6;
+
+/**
+ * Change the base currency
+ * Rates are restated against the new base when it has a rate, otherwise
+ * they no longer mean anything and are dropped
+ */
+export const setBaseCurrency = (exchangeRates, code) => {
+  if (code === exchangeRates.baseCurrency) return exchangeRates;
+
+  const baseRate = getExchangeRate(code, exchangeRates);
+  if (baseRate === null) {
+    return { baseCurrency: code, rates: {} };
+  }
+
+  const rates = { [exchangeRates.baseCurrency]: roundRate(1 / baseRate) };
+  Object.entries(exchangeRates.rates).forEach(([other, rate]) => {
+    if (other !== code) rates[other] = roundRate(rate / baseRate);
+  });
+
+  return { baseCurrency: code, rates };
+};
+
+export default {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  CURRENCY_OPTIONS,
+  DEFAULT_EXCHANGE_RATES,
+  getCurrency,
+  getCurrencySymbol,
+  getLoanCurrency,
+  groupLoansByCurrency,
+  getExchangeRate,
+  combineAmounts,
+  setExchangeRate,
+  removeExchangeRate,
+  setBaseCurrency,
+};
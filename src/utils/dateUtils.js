@@ -0,0 +1,122 @@
+/**
+ * Calendar date utilities
+ * Due dates and payment dates are calendar days, kept as UTC midnight so a
+ * loan shows the same dates whatever timezone the device is in
+ */
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Calendar date at UTC midnight, month index is zero based like Date
+ * Out of range days and months roll over the same way Date.UTC does
+ */
+export const createDate = (year, monthIndex, day) =>
+  new Date(Date.UTC(year, monthIndex, day));
+
+/**
+ * Calendar date of any date value (Date, ISO string or timestamp)
+ */
+export const toCalendarDate = (value) => {
+  const date = new Date(value);
+  return createDate(
+    date.getUTCFullYear(),
+    date.getUTCMonth(),
+    date.getUTCDate()
+  );
+};
+
+/**
+ * Whether a date value is a calendar date (exactly UTC midnight)
+ * rather than a point in time
+ */
+export const isCalendarDate = (value) =>
+  new Date(value).getTime() % DAY_MS === 0;
+
+/**
+ * Today's date on the device's calendar
+ */
+export const today = () => {
+  const now = new Date();
+  return createDate(now.getFullYear(), now.getMonth(), now.getDate());
+};
+
+/**
+ * Format a calendar date as YYYY-MM-DD
+ */
+export const toDateKey = (value) =>
+  toCalendarDate(value).toISOString().slice(0, 10);
+
+/**
+ * Parse a YYYY-MM-DD string, returns null for malformed or impossible dates
+ */
+export const parseDateKey = (key) => {
+  if (!key || !DATE_KEY_PATTERN.test(key)) return null;
+
+  const [year, month, day] = key.split('-').map(Number);
+  const date = createDate(year, month - 1, day);
+
+  // Date.UTC rolls 2024-02-30 over into March
+  return toDateKey(date) === key ? date : null;
+};
+
+/**
+ * Number of days in a month
+ */
+export const getDaysInMonth = (year, monthIndex) =>
+  createDate(year, monthIndex + 1, 0).getUTCDate();
+
+/**
+ * Add calendar days to a date
+ */
+export const addDays = (value, days) => {
+  const date = toCalendarDate(value);
+  return createDate(
+    date.getUTCFullYear(),
+    date.getUTCMonth(),
+    date.getUTCDate() + days
+  );
+};
+
+/**
+ * Add calendar months to a date, landing on `day` of the target month
+ * (the date's own day by default) clamped to the month's last day,
+ * so 31 Jan + 1 month is 28/29 Feb rather than early March
+ */
+export const addMonths = (value, months, day) => {
+  const date = toCalendarDate(value);
+  const target = createDate(
+    date.getUTCFullYear(),
+    date.getUTCMonth() + months,
+    1
+  );
+  const year = target.getUTCFullYear();
+  const monthIndex = target.getUTCMonth();
+
+  return createDate(
+    year,
+    monthIndex,
+    Math.min(day || date.getUTCDate(), getDaysInMonth(year, monthIndex))
+  );
+};
+
+/**
+ * Whole calendar days from one date to another (negative if `to` is earlier)
+ */
+export const daysBetween = (from, to) =>
+  Math.round((toCalendarDate(to) - toCalendarDate(from)) / DAY_MS);
+
+export default {
+  DATE_KEY_PATTERN,
+  createDate,
+  toCalendarDate,
+  isCalendarDate,
+  today,
+  toDateKey,
+  parseDateKey,
+  getDaysInMonth,
+  addDays,
+  addMonths,
+  daysBetween,
+};
@@ -0,0 +1,178 @@
+/**
+ * Disbursement utilities
+ * A loan can be handed over in tranches, or topped up later, instead of
+ * opening a second loan. Each loan keeps a `disbursements` array, oldest
+ * first:
+ * {
+ *   id,
+ *   amount,
+ *   date,        // day the money was handed over
+ *   note,
+ *   recordedAt
+ * }
+ * The first entry is the amount the loan started with and `amount` on the
+ * loan is always the total lent
+ *
+ * Each tranche earns interest from its own date: the unpaid installments are
+ * regenerated for the larger balance and the one running when a tranche is
+ * added charges it only for the days after it was lent
+ */
+
+import {
+  REPAYMENT_TYPES,
+  getEMIPaidAmount,
+  getFlatInterestBase,
+  getLoanDuration,
+  getPeriodicRate,
+  getScheduleOptions,
+  isInstallment,
+  reamortizeSchedule,
+  roundMoney,
+  sumMoney,
+} from './loanCalculations';
+import { daysBetween, today, toCalendarDate } from './dateUtils';
+import { generateId } from './ids';
+
+/**
+ * Disbursements of a loan
+ * Older loans have none and were lent in full on the day they started
+ */
+export const getDisbursements = (loan) => {
+  if (loan.disbursements && loan.disbursements.length > 0) {
+    return loan.disbursements;
+  }
+
+  return [
+    {
+      id: 'initial',
+      amount: loan.amount,
+      date: loan.startDate || loan.createdAt,
+      note: '',
+    },
+  ];
+};
+
+/**
+ * Add a tranche of `amount` lent on `date` to a loan
+ * Unpaid installments from the one running on that date are regenerated for
+ * the new balance over the same number of installments, plus
+ * `additionalPeriods` to spread the top-up over a longer term
+ * Returns the loan fields to save:
+ * { emis, amount, duration, disbursements }
+ */
+export const applyDisbursement = (
+  loan,
+  { amount, date, additionalPeriods = 0, note = '' },
+  calendar
+) => {
+  const topUp = roundMoney(amount);
+  const disbursedOn = toCalendarDate(date || today());
+  const extraPeriods = parseInt(additionalPeriods) || 0;
+
+  if (!(topUp > 0)) {
+    throw new Error('Please enter a valid amount');
+  }
+
+  if (extraPeriods < 0) {
+    throw new Error('Please enter a valid number of installments');
+  }
+
+  if (daysBetween(today(), disbursedOn) > 0) {
+    throw new Error('A top-up can only be recorded on or before today');
+  }
+
+  const options = getScheduleOptions(loan);
+  if (options.repaymentType === REPAYMENT_TYPES.BULLET) {
+    throw new Error('Top-ups are not available for bullet loans');
+  }
+
+  const { emis } = loan;
+
+  // Start after the last row that has received money, at the first
+  // installment falling due after the tranche was lent
+  let fromIndex = 0;
+  emis.forEach((emi, index) => {
+    if (getEMIPaidAmount(emi) > 0) fromIndex = index + 1;
+  });
+
+  while (
+    fromIndex < emis.length &&
+    (!isInstallment(emis[fromIndex]) ||
+      daysBetween(disbursedOn, emis[fromIndex].dueDate) <= 0)
+  ) {
+    fromIndex++;
+  }
+
+  if (fromIndex >= emis.length) {
+    throw new Error('No unpaid installments fall due after this date');
+  }
+
+  // The running installment's period, which must not have received money
+  const previous = emis.slice(0, fromIndex).filter(isInstallment).pop();
+  const periodStart = previous
+    ? previous.dueDate
+    : loan.startDate || loan.createdAt;
+
+  if (daysBetween(periodStart, disbursedOn) < 0) {
+    throw new Error(
+      'A top-up cannot be dated before an installment that is already paid'
+    );
+  }
+
+  const firstReplaced = emis[fromIndex];
+  const balance = sumMoney([firstReplaced.balance, firstReplaced.principal]);
+  const periods =
+    emis.slice(fromIndex).filter(isInstallment).length + extraPeriods;
+
+  const regenerated = reamortizeSchedule(
+    emis,
+    fromIndex,
+    sumMoney([balance, topUp]),
+    loan.annualInterestRate,
+    {
+      ...options,
+      calendar,
+      periods,
+      // Flat interest is charged on every tranche lent
+      flatInterestBase: sumMoney([getFlatInterestBase(loan), topUp]),
+    }
+  );
+
+  // The running installment charges the tranche for the whole period, take
+  // off the interest for the days before it was lent
+  const periodDays = daysBetween(periodStart, firstReplaced.dueDate);
+  const unearnedShare =
+    periodDays > 0 ? daysBetween(periodStart, disbursedOn) / periodDays : 0;
+  const unearned = roundMoney(
+    topUp *
+      getPeriodicRate(loan.annualInterestRate, options.frequency) *
+      unearnedShare
+  );
+  const running = regenerated[fromIndex];
+  regenerated[fromIndex] = {
+    ...running,
+    emi: sumMoney([running.emi, -unearned]),
+    interest: sumMoney([running.interest, -unearned]),
+  };
+
+  return {
+    emis: regenerated,
+    amount: sumMoney([loan.amount, topUp]),
+    duration: getLoanDuration(loan) + extraPeriods,
+    disbursements: [
+      ...getDisbursements(loan),
+      {
+        id: generateId('disbursement'),
+        amount: topUp,
+        date: disbursedOn.toISOString(),
+        note: note.trim(),
+        recordedAt: new Date().toISOString(),
+      },
+    ],
+  };
+};
+
+export default {
+  getDisbursements,
+  applyDisbursement,
+};
@@ -0,0 +1,206 @@
+/**
+ * Encryption utilities for data kept on the device
+ * A passcode is stretched with PBKDF2 into two keys, one to encrypt and one
+ * to authenticate. Text is encrypted with a keystream of HMAC-SHA256 blocks
+ * over a random nonce and a block counter, then the nonce and ciphertext
+ * are signed with HMAC-SHA256 (encrypt-then-MAC), so a wrong key or a
+ * changed byte is caught before anything is decrypted
+ *
+ * An encrypted value is a string:
+ * "enc:v1:" + base64(nonce | ciphertext | mac)
+ * and the settings needed to derive the key again are kept beside it:
+ * { salt, iterations }  // salt in hex
+ *
+ * A short passcode such as a PIN is easily guessed by anyone holding the
+ * encrypted data, so a random secret kept apart from it (in the device
+ * keychain) can be mixed into the key as well
+ */
+
+import { getRandomBytes } from 'expo-crypto';
+import {
+  pbkdf2Sha256,
+  createHmacSha256,
+  utf8Encode,
+  utf8Decode,
+  toHex,
+  fromHex,
+  constantTimeEqual,
+} from './sha256';
+
+export const ENCRYPTION_KEY = {
+  iterations: 25000,
+  saltLength: 16,
+  secretLength: 32,
+};
+
+const PREFIX = 'enc:v1:';
+const NONCE_LENGTH = 16;
+const KEY_LENGTH = 32;
+const MAC_LENGTH = 32;
+
+const BASE64 =
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/';
+
+const toBase64 = (bytes) => {
+  const chunks = [];
+
+  for (let i = 0; i < bytes.length; i += 3) {
+    const a = bytes[i];
+    const b = i + 1 < bytes.length ? bytes[i + 1] : 0;
+    const c = i + 2 < bytes.length ? bytes[i + 2] : 0;
+    const triple = (a << 16) | (b << 8) | c;
+
+    chunks.push(
+      BASE64[(triple >> 18) & 63] +
+        BASE64[(triple >> 12) & 63] +
+        (i + 1 < bytes.length ? BASE64[(triple >> 6) & 63] : '=') +
+        (i + 2 < bytes.length ? BASE64[triple & 63] : '=')
+    );
+  }
+
+  return chunks.join('');
+};
+
+const fromBase64 = (string) => {
+  const clean = string.replace(/=+$/, '');
+  const bytes = new Uint8Array(Math.floor((clean.length * 3) / 4));
+  let buffer = 0;
+  let bits = 0;
+  let index = 0;
+
+  for (let i = 0; i < clean.length; i++) {
+    const value = BASE64.indexOf(clean[i]);
+    if (value === -1) {
+      throw new Error('Encrypted data is damaged');
+    }
+
+    buffer = (buffer << 6) | value;
+    bits += 6;
+
+    if (bits >= 8) {
+      bits -= 8;
+      bytes[index++] = (buffer >> bits) & 0xff;
+    }
+  }
+
+  return bytes;
+};
+
+/**
+ * XOR `bytes` with the keystream for `nonce`, which both encrypts and
+ * decrypts
+ */
+const applyKeystream = (key, nonce, bytes) => {
+  const prf = createHmacSha256(key.encryptionKey);
+  const block = new Uint8Array(NONCE_LENGTH + 4);
+  const output = new Uint8Array(bytes.length);
+  block.set(nonce);
+
+  for (let offset = 0, counter = 0; offset < bytes.length; counter++) {
+    block[NONCE_LENGTH] = counter >>> 24;
+    block[NONCE_LENGTH + 1] = (counter >>> 16) & 0xff;
+    block[NONCE_LENGTH + 2] = (counter >>> 8) & 0xff;
+    block[NONCE_LENGTH + 3] = counter & 0xff;
+
+    const stream = prf(block);
+    for (let i = 0; i < stream.length && offset < bytes.length; i++) {
+      output[offset] = bytes[offset] ^ stream[i];
+      offset++;
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Key for a passcode, key settings and optional secret, the same inputs
+ * always give the same key
+ */
+export const deriveEncryptionKey = (passcode, params, secret = null) => {
+  const bytes = pbkdf2Sha256(
+    utf8Encode(secret ? `${passcode}:${secret}` : passcode),
+    fromHex(params.salt),
+    params.iterations,
+    KEY_LENGTH * 2
+  );
+
+  return {
+    encryptionKey: bytes.slice(0, KEY_LENGTH),
+    macKey: bytes.slice(KEY_LENGTH),
+  };
+};
+
+/**
+ * New key settings with a random salt
+ */
+export const createKeyParams = () => ({
+  salt: toHex(getRandomBytes(ENCRYPTION_KEY.saltLength)),
+  iterations: ENCRYPTION_KEY.iterations,
+});
+
+/**
+ * New random secret to mix into a key, in hex
+ */
+export const createSecret = () =>
+  toHex(getRandomBytes(ENCRYPTION_KEY.secretLength));
+
+/**
+ * Whether a stored value was written by encryptString
+ */
+export const isEncrypted = (value) =>
+  typeof value === 'string' && value.startsWith(PREFIX);
+
+/**
+ * Encrypt text under a key from deriveEncryptionKey
+ */
+export const encryptString = (plaintext, key) => {
+  const nonce = getRandomBytes(NONCE_LENGTH);
+  const ciphertext = applyKeystream(key, nonce, utf8Encode(plaintext));
+
+  const signed = new Uint8Array(NONCE_LENGTH + ciphertext.length);
+  signed.set(nonce);
+  signed.set(ciphertext, NONCE_LENGTH);
+  const mac = createHmacSha256(key.macKey)(signed);
+
+  const payload = new Uint8Array(signed.length + MAC_LENGTH);
+  payload.set(signed);
+  payload.set(mac, signed.length);
+
+  return PREFIX + toBase64(payload);
+};
+
+/**
+ * Decrypt a value from encryptString, throws if the key is wrong or the
+ * value was changed
+ */
+export const decryptString = (value, key) => {
+  if (!isEncrypted(value)) {
+    throw new Error('Encrypted data is damaged');
+  }
+
+  const payload = fromBase64(value.slice(PREFIX.length));
+  if (payload.length < NONCE_LENGTH + MAC_LENGTH) {
+    throw new Error('Encrypted data is damaged');
+  }
+
+  const signed = payload.subarray(0, payload.length - MAC_LENGTH);
+  const mac = payload.subarray(payload.length - MAC_LENGTH);
+
+  if (!constantTimeEqual(createHmacSha256(key.macKey)(signed), mac)) {
+    throw new Error('Wrong key or damaged data');
+  }
+
+  const nonce = signed.subarray(0, NONCE_LENGTH);
+  const ciphertext = signed.subarray(NONCE_LENGTH);
+  return utf8Decode(applyKeystream(key, nonce, ciphertext));
+};
+
+export default {
+  ENCRYPTION_KEY,
+  deriveEncryptionKey,
+  createKeyParams,
+  createSecret,
+  isEncrypted,
+  encryptString,
+  decryptString,
+};
@@ -0,0 +1,16 @@
+/**
+ * Record IDs
+ * Loans, users and the entries kept on a loan (payments, penalties, rate
+ * changes, tranches, status changes) all share one ID format, the kind of
+ * record followed by the creation time and a random suffix
+ */
+
+/**
+ * Unique ID for a new record, e.g. generateId('payment')
+ */
+export const generateId = (prefix) =>
+  `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+export default {
+  generateId,
+};
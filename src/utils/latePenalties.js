@@ -0,0 +1,189 @@
+/**
+ * Late payment penalty utilities
+ * Accrues late fees or penal interest on overdue installments
+ *
+ * Each loan can carry a `penaltyRule`:
+ * {
+ *   type: 'none' | 'fixed' | 'dailyInterest',
+ *   graceDays,     // days after the due date before a penalty applies
+ *   fixedAmount,   // 'fixed': one-time fee per late installment
+ *   dailyRate,     // 'dailyInterest': % per day on the overdue amount
+ * }
+ * and a `penalties` array with one entry per late installment:
+ * {
+ *   id, emiIndex, amount, paidAmount, accruedThrough,
+ *   waived, waivedAmount, waivedReason, waivedAt
+ * }
+ */
+
+import {
+  getEMIOutstanding,
+  isInstallment,
+  roundMoney,
+  sumMoney,
+} from './loanCalculations';
+import { today } from './dateUtils';
+import { generateId } from './ids';
+
+export const PENALTY_TYPES = {
+  NONE: 'none',
+  FIXED: 'fixed',
+  DAILY_INTEREST: 'dailyInterest',
+};
+
+export const PENALTY_TYPE_LABELS = {
+  [PENALTY_TYPES.NONE]: 'None',
+  [PENALTY_TYPES.FIXED]: 'Fixed Fee',
+  [PENALTY_TYPES.DAILY_INTEREST]: 'Penal Interest',
+};
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+/**
+ * Describe a penalty rule for display, e.g. "₹100 per late EMI after 3 grace days"
+ */
+export const describePenaltyRule = (rule, formatAmount = (amount) => amount) => {
+  if (!rule || rule.type === PENALTY_TYPES.NONE) return 'None';
+
+  const grace = rule.graceDays
+    ? ` after ${rule.graceDays} grace day${rule.graceDays === 1 ? '' : 's'}`
+    : '';
+
+  if (rule.type === PENALTY_TYPES.FIXED) {
+    return `${formatAmount(rule.fixedAmount)} per late EMI${grace}`;
+  }
+
+  return `${rule.dailyRate}% per day on overdue amount${grace}`;
+};
+
+/**
+ * Amount still due on a penalty (zero once waived)
+ */
+export const getPenaltyOutstanding = (penalty) => {
+  if (penalty.waived) return 0;
+  return Math.max(0, sumMoney([penalty.amount, -(penalty.paidAmount || 0)]));
+};
+
+/**
+ * Total penalty amount still due on a loan
+ */
+export const calculatePenaltyDue = (penalties) => {
+  if (!penalties || penalties.length === 0) return 0;
+
+  return sumMoney(penalties.map(getPenaltyOutstanding));
+};
+
+/**
+ * Accrue penalties on a loan up to `asOf`
+ * Fixed fees are charged once per late installment, penal interest accrues
+ * daily on the unpaid part of an installment until it is paid or waived
+ * Returns a new penalties array, existing entries are never reduced
+ */
+export const accruePenalties = (loan, asOf = today()) => {
+  const rule = loan.penaltyRule;
+  const penalties = (loan.penalties || []).map((penalty) => ({ ...penalty }));
+
+  if (!rule || rule.type === PENALTY_TYPES.NONE || !loan.emis) {
+    return penalties;
+  }
+
+  const asOfTime = new Date(asOf).getTime();
+  const graceMs = (rule.graceDays || 0) * DAY_MS;
+
+  loan.emis.forEach((emi, emiIndex) => {
+    // Prepayment rows are paid when recorded and never late
+    if (!isInstallment(emi)) return;
+
+    const penaltyStart = new Date(emi.dueDate).getTime() + graceMs;
+    const settledAt = emi.paid && emi.paidDate
+      ? new Date(emi.paidDate).getTime()
+      : asOfTime;
+    const accrueUntil = Math.min(settledAt, asOfTime);
+
+    if (accrueUntil <= penaltyStart) return;
+
+    let penalty = penalties.find((p) => p.emiIndex === emiIndex);
+
+    if (rule.type === PENALTY_TYPES.FIXED) {
+      if (!penalty) {
+        penalties.push({
+          id: generateId('penalty'),
+          emiIndex,
+          amount: roundMoney(rule.fixedAmount || 0),
+          paidAmount: 0,
+          accruedThrough: new Date(penaltyStart).toISOString(),
+          waived: false,
+        });
+      }
+      return;
+    }
+
+    // Daily penal interest on whatever is still unpaid on the installment
+    if (emi.paid || (penalty && penalty.waived)) return;
+
+    const from = penalty
+      ? new Date(penalty.accruedThrough).getTime()
+      : penaltyStart;
+    const days = Math.floor((accrueUntil - from) / DAY_MS);
+    if (days <= 0) return;
+
+    const accrued =
+      getEMIOutstanding(emi) * ((rule.dailyRate || 0) / 100) * days;
+    const accruedThrough = new Date(from + days * DAY_MS).toISOString();
+
+    if (!penalty) {
+      penalty = {
+        id: generateId('penalty'),
+        emiIndex,
+        amount: 0,
+        paidAmount: 0,
+        waived: false,
+      };
+      penalties.push(penalty);
+    }
+
+    penalty.amount = sumMoney([penalty.amount, accrued]);
+    penalty.accruedThrough = accruedThrough;
+  });
+
+  return penalties;
+};
+
+/**
+ * Check whether accrual changed anything worth saving
+ */
+export const havePenaltiesChanged = (previous = [], next = []) =>
+  JSON.stringify(previous) !== JSON.stringify(next);
+
+/**
+ * Waive the unpaid part of a penalty with a reason
+ * Whatever was already collected stays on record
+ */
+export const waivePenalty = (penalties, penaltyId, reason) => {
+  if (!reason || reason.trim().length === 0) {
+    throw new Error('Please give a reason for the waiver');
+  }
+
+  return penalties.map((penalty) =>
+    penalty.id === penaltyId
+      ? {
+          ...penalty,
+          waived: true,
+          waivedAmount: getPenaltyOutstanding(penalty),
+          waivedReason: reason.trim(),
+          waivedAt: new Date().toISOString(),
+        }
+      : penalty
+  );
+};
+
+export default {
+  PENALTY_TYPES,
+  PENALTY_TYPE_LABELS,
+  describePenaltyRule,
+  getPenaltyOutstanding,
+  calculatePenaltyDue,
+  accruePenalties,
+  havePenaltiesChanged,
+  waivePenalty,
+};
@@ -1,104 +1,1163 @@
 /**
  * Loan calculation utilities
  * Amortization schedule calculation and loan metrics
+ *
+ * Amounts are stored in the loan's currency with 2 decimals, but the
+ * arithmetic runs on integer paise or cents (minor units) so schedules and
+ * totals add up exactly
  */
 
+import {
+  addDays,
+  addMonths,
+  daysBetween,
+  isCalendarDate,
+  today,
+  toCalendarDate,
+} from './dateUtils';
+import { DUE_DATE_ADJUSTMENTS, adjustDueDate } from './businessCalendar';
+import { DEFAULT_CURRENCY, getCurrency, getLoanCurrency } from './currencies';
+
+const MINOR_UNITS_PER_RUPEE = 100;
+
+/**
+ * Convert a rupee amount to integer paise
+ */
+export const toMinorUnits = (amount) =>
+  Math.round(amount * MINOR_UNITS_PER_RUPEE);
+
+/**
+ * Convert integer paise back to a rupee amount
+ */
+export const fromMinorUnits = (minorUnits) =>
+  minorUnits / MINOR_UNITS_PER_RUPEE;
+
+/**
+ * Round a rupee amount to whole paise
+ */
+export const roundMoney = (amount) => fromMinorUnits(toMinorUnits(amount));
+
+/**
+ * Add up rupee amounts exactly
+ */
+export const sumMoney = (amounts) =>
+  fromMinorUnits(
+    amounts.reduce((sum, amount) => sum + toMinorUnits(amount), 0)
+  );
+
+/**
+ * Interest methods supported by the schedule generator
+ * REDUCING: interest charged on the outstanding balance (standard EMI)
+ * FLAT: interest charged on the original principal for every month
+ */
+export const INTEREST_METHODS = {
+  REDUCING: 'reducing',
+  FLAT: 'flat',
+};
+
+export const INTEREST_METHOD_LABELS = {
+  [INTEREST_METHODS.REDUCING]: 'Reducing Balance',
+  [INTEREST_METHODS.FLAT]: 'Flat Rate',
+};
+
 /**
- * Calculate monthly EMI using the standard formula
+ * Repayment frequencies supported by the schedule generator
+ * The duration of a loan is counted in installments of its frequency
+ */
+export const REPAYMENT_FREQUENCIES = {
+  WEEKLY: 'weekly',
+  BIWEEKLY: 'biweekly',
+  MONTHLY: 'monthly',
+};
+
+export const REPAYMENT_FREQUENCY_LABELS = {
+  [REPAYMENT_FREQUENCIES.WEEKLY]: 'Weekly',
+  [REPAYMENT_FREQUENCIES.BIWEEKLY]: 'Bi-weekly',
+  [REPAYMENT_FREQUENCIES.MONTHLY]: 'Monthly',
+};
+
+const PERIODS_PER_YEAR = {
+  [REPAYMENT_FREQUENCIES.WEEKLY]: 52,
+  [REPAYMENT_FREQUENCIES.BIWEEKLY]: 26,
+  [REPAYMENT_FREQUENCIES.MONTHLY]: 12,
+};
+
+const DAYS_PER_PERIOD = {
+  [REPAYMENT_FREQUENCIES.WEEKLY]: 7,
+  [REPAYMENT_FREQUENCIES.BIWEEKLY]: 14,
+};
+
+const PERIOD_UNITS = {
+  [REPAYMENT_FREQUENCIES.WEEKLY]: ['week', 'weeks'],
+  [REPAYMENT_FREQUENCIES.BIWEEKLY]: ['fortnight', 'fortnights'],
+  [REPAYMENT_FREQUENCIES.MONTHLY]: ['month', 'months'],
+};
+
+/**
+ * Interest rate for one installment period
+ * The nominal annual rate is split evenly over the periods in a year
+ */
+export const getPeriodicRate = (
+  annualInterestRate,
+  frequency = REPAYMENT_FREQUENCIES.MONTHLY
+) => annualInterestRate / PERIODS_PER_YEAR[frequency] / 100;
+
+/**
+ * Unit of a single period, e.g. "week" or "months" when `plural` is set
+ */
+export const getPeriodUnit = (
+  frequency = REPAYMENT_FREQUENCIES.MONTHLY,
+  plural = false
+) => PERIOD_UNITS[frequency][plural ? 1 : 0];
+
+/**
+ * Format a duration in periods for display, e.g. "12 months" or "1 week"
+ */
+export const formatDuration = (
+  periods,
+  frequency = REPAYMENT_FREQUENCIES.MONTHLY
+) => `${periods} ${getPeriodUnit(frequency, periods !== 1)}`;
+
+/**
+ * Calculate the EMI for each period
+ *
+ * Reducing balance uses the standard formula
  * EMI = P × r × (1 + r)^n / ((1 + r)^n - 1)
  * where:
  * P = Principal loan amount
- * r = Monthly interest rate (annual rate / 12 / 100)
- * n = Number of months
+ * r = Interest rate per period (annual rate / periods per year / 100)
+ * n = Number of periods
+ *
+ * Flat rate charges P × r every period, so
+ * EMI = (P + P × r × n) / n
+ * where a regenerated flat schedule charges r on `flatInterestBase`
+ * (see getFlatInterestBase) rather than on what is left of P
  */
-export const calculateEMI = (principal, annualInterestRate, durationMonths) => {
+export const calculateEMI = (
+  principal,
+  annualInterestRate,
+  periods,
+  options = {}
+) => {
+  const {
+    interestMethod = INTEREST_METHODS.REDUCING,
+    frequency = REPAYMENT_FREQUENCIES.MONTHLY,
+    flatInterestBase = principal,
+  } = options;
+
   if (annualInterestRate === 0) {
-    return principal / durationMonths;
+    return roundMoney(principal / periods);
+  }
+
+  const periodicRate = getPeriodicRate(annualInterestRate, frequency);
+
+  if (interestMethod === INTEREST_METHODS.FLAT) {
+    const totalInterest = flatInterestBase * periodicRate * periods;
+    return roundMoney((principal + totalInterest) / periods);
   }
 
-  const monthlyRate = annualInterestRate / 12 / 100;
   const emi =
-    (principal * monthlyRate * Math.pow(1 + monthlyRate, durationMonths)) /
-    (Math.pow(1 + monthlyRate, durationMonths) - 1);
+    (principal * periodicRate * Math.pow(1 + periodicRate, periods)) /
+    (Math.pow(1 + periodicRate, periods) - 1);
 
-  return Math.round(emi * 100) / 100; // Round to 2 decimal places
+  return roundMoney(emi);
+};
+
+// Installments between steps of a graduated plan unless the loan says otherwise
+export const DEFAULT_STEP_PERIODS = 12;
+
+/**
+ * Growth factor of each installment in a graduated (step-up / step-down)
+ * plan: the EMI changes by `stepPercent` every `stepPeriods` installments,
+ * `stepOffset` is the number of installments already behind the first one
+ */
+const getStepFactors = (
+  periods,
+  { stepPercent = 0, stepPeriods = DEFAULT_STEP_PERIODS, stepOffset = 0 }
+) =>
+  Array.from({ length: periods }, (_, index) =>
+    Math.pow(
+      1 + stepPercent / 100,
+      Math.floor((index + stepOffset) / stepPeriods)
+    )
+  );
+
+/**
+ * Calculate the installments of a graduated plan
+ * Positive `stepPercent` grows the EMI (step-up), negative shrinks it
+ * (step-down). The EMIs are sized so the plan still repays everything:
+ *
+ * Reducing balance discounts every installment at the periodic rate
+ * EMIₖ = factorₖ × P / Σ (factorₖ / (1 + r)^k)
+ *
+ * Flat rate repays the principal plus P × r every period
+ * EMIₖ = factorₖ × (P + P × r × n) / Σ factorₖ
+ * with r charged on `flatInterestBase` when given, as for calculateEMI
+ */
+export const calculateGraduatedEMIs = (
+  principal,
+  annualInterestRate,
+  periods,
+  options = {}
+) => {
+  const {
+    interestMethod = INTEREST_METHODS.REDUCING,
+    frequency = REPAYMENT_FREQUENCIES.MONTHLY,
+    flatInterestBase = principal,
+  } = options;
+  const periodicRate = getPeriodicRate(annualInterestRate, frequency);
+  const factors = getStepFactors(periods, options);
+
+  // EMI before any step, every installment is a multiple of it
+  const baseEMI =
+    interestMethod === INTEREST_METHODS.FLAT || periodicRate === 0
+      ? (principal + flatInterestBase * periodicRate * periods) /
+        factors.reduce((sum, factor) => sum + factor, 0)
+      : principal /
+        factors.reduce(
+          (sum, factor, index) =>
+            sum + factor / Math.pow(1 + periodicRate, index + 1),
+          0
+        );
+
+  return factors.map((factor) => roundMoney(baseEMI * factor));
+};
+
+/**
+ * Describe a graduated plan for display, e.g. "+10% every 12 months"
+ */
+export const describeEMIStep = (
+  { stepPercent, stepPeriods = DEFAULT_STEP_PERIODS },
+  frequency = REPAYMENT_FREQUENCIES.MONTHLY
+) => {
+  if (!stepPercent) return 'Level';
+
+  const sign = stepPercent > 0 ? '+' : '−';
+  return `${sign}${Math.abs(stepPercent)}% every ${formatDuration(
+    stepPeriods,
+    frequency
+  )}`;
+};
+
+/**
+ * Inverse solvers
+ * Work calculateEMI backwards for level EMI loans: given any three of
+ * amount, rate, EMI and number of installments, find the fourth
+ * Options are { interestMethod, frequency } as for calculateEMI
+ * Inputs that have no answer throw an error with a message for the user
+ */
+
+// Bisection steps for the rate, far more than needed to settle on a paisa
+const MAX_RATE_ITERATIONS = 200;
+
+/**
+ * Number of installments needed to repay `principal` with a given EMI
+ * The last installment of the resulting schedule is a little smaller when
+ * the EMI does not divide the loan exactly
+ */
+export const solveTenure = (
+  principal,
+  annualInterestRate,
+  emi,
+  options = {}
+) => {
+  const {
+    interestMethod = INTEREST_METHODS.REDUCING,
+    frequency = REPAYMENT_FREQUENCIES.MONTHLY,
+    flatInterestBase = principal,
+  } = options;
+  const periodicRate = getPeriodicRate(annualInterestRate, frequency);
+  const interest =
+    (interestMethod === INTEREST_METHODS.FLAT ? flatInterestBase : principal) *
+    periodicRate;
+
+  if (!(principal > 0) || !(emi > 0)) {
+    throw new Error('Please enter a valid amount and EMI');
+  }
+
+  if (emi <= interest) {
+    throw new Error(
+      `The EMI must be more than the interest of ${formatCurrency(
+        roundMoney(interest),
+        options.currency
+      )} per ${getPeriodUnit(frequency)}`
+    );
+  }
+
+  const periods =
+    periodicRate === 0
+      ? principal / emi
+      : interestMethod === INTEREST_METHODS.FLAT
+        ? principal / (emi - interest)
+        : -Math.log(1 - interest / emi) / Math.log(1 + periodicRate);
+
+  // An EMI rounded to the paisa can leave a sliver over the whole number of
+  // installments it was calculated for, the final installment absorbs it
+  const wholePeriods = Math.floor(periods);
+  return wholePeriods > 0 &&
+    calculateEMI(principal, annualInterestRate, wholePeriods, options) <= emi
+    ? wholePeriods
+    : Math.ceil(periods);
+};
+
+/**
+ * Annual interest rate at which `periods` installments of `emi` repay
+ * `principal`
+ */
+export const solveInterestRate = (principal, emi, periods, options = {}) => {
+  const {
+    interestMethod = INTEREST_METHODS.REDUCING,
+    frequency = REPAYMENT_FREQUENCIES.MONTHLY,
+  } = options;
+
+  if (!(principal > 0) || !(emi > 0) || !(periods > 0)) {
+    throw new Error('Please enter a valid amount, EMI and duration');
+  }
+
+  // The EMI at 0% is the least that repays the loan at all
+  const interestFreeEMI = calculateEMI(principal, 0, periods, options);
+
+  if (roundMoney(emi) < interestFreeEMI) {
+    throw new Error(
+      `${formatCurrency(emi, options.currency)} for ${formatDuration(
+        periods,
+        frequency
+      )} does not repay ${formatCurrency(principal, options.currency)}`
+    );
+  }
+
+  if (roundMoney(emi) === interestFreeEMI) {
+    return 0;
+  }
+
+  // Flat rate charges the same interest every period
+  if (interestMethod === INTEREST_METHODS.FLAT) {
+    return (
+      ((emi - principal / periods) / principal) *
+      PERIODS_PER_YEAR[frequency] *
+      100
+    );
+  }
+
+  // Reducing balance has no closed form, the EMI grows with the rate so
+  // bracket the answer and halve the bracket until it settles
+  let low = 0;
+  let high = 100;
+
+  while (calculateEMI(principal, high, periods, options) < emi) {
+    high *= 2;
+  }
+
+  for (let i = 0; i < MAX_RATE_ITERATIONS && high - low > 1e-9; i++) {
+    const mid = (low + high) / 2;
+
+    if (calculateEMI(principal, mid, periods, options) < emi) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return (low + high) / 2;
+};
+
+/**
+ * Largest amount that `periods` installments of `emi` repay at a given rate
+ */
+export const solveLoanAmount = (
+  emi,
+  annualInterestRate,
+  periods,
+  options = {}
+) => {
+  const {
+    interestMethod = INTEREST_METHODS.REDUCING,
+    frequency = REPAYMENT_FREQUENCIES.MONTHLY,
+  } = options;
+  const periodicRate = getPeriodicRate(annualInterestRate, frequency);
+
+  if (!(emi > 0) || !(periods > 0)) {
+    throw new Error('Please enter a valid EMI and duration');
+  }
+
+  if (periodicRate === 0) {
+    return roundMoney(emi * periods);
+  }
+
+  const principal =
+    interestMethod === INTEREST_METHODS.FLAT
+      ? (emi * periods) / (1 + periodicRate * periods)
+      : (emi * (1 - Math.pow(1 + periodicRate, -periods))) / periodicRate;
+
+  // Keep the EMI for the answer within what was asked
+  const amount = roundMoney(principal);
+  return calculateEMI(amount, annualInterestRate, periods, options) > emi
+    ? sumMoney([amount, -0.01])
+    : amount;
+};
+
+/**
+ * Repayment structures supported by the schedule generator
+ * EMI: equal installments of principal + interest
+ * INTEREST_ONLY: interest every period, principal returned with the last installment
+ * BULLET: principal and all interest repaid in a single payment at maturity
+ */
+export const REPAYMENT_TYPES = {
+  EMI: 'emi',
+  INTEREST_ONLY: 'interestOnly',
+  BULLET: 'bullet',
+};
+
+export const REPAYMENT_TYPE_LABELS = {
+  [REPAYMENT_TYPES.EMI]: 'EMI',
+  [REPAYMENT_TYPES.INTEREST_ONLY]: 'Interest Only',
+  [REPAYMENT_TYPES.BULLET]: 'Bullet',
+};
+
+/**
+ * Interest treatment during a moratorium (months before the first payment)
+ * WAIVED: no interest is charged for the moratorium months
+ * CAPITALIZED: interest accrues and is added to the principal
+ */
+export const MORATORIUM_INTEREST = {
+  WAIVED: 'waived',
+  CAPITALIZED: 'capitalized',
+};
+
+export const MORATORIUM_INTEREST_LABELS = {
+  [MORATORIUM_INTEREST.WAIVED]: 'Interest Waived',
+  [MORATORIUM_INTEREST.CAPITALIZED]: 'Interest Capitalized',
+};
+
+/**
+ * Interest added to the principal by a capitalized moratorium
+ * Reducing balance compounds monthly, flat rate accrues simple interest
+ */
+export const calculateCapitalizedInterest = (
+  principal,
+  annualInterestRate,
+  options = {}
+) => {
+  const {
+    interestMethod = INTEREST_METHODS.REDUCING,
+    moratoriumMonths = 0,
+    moratoriumInterest = MORATORIUM_INTEREST.WAIVED,
+  } = options;
+
+  if (
+    moratoriumMonths <= 0 ||
+    moratoriumInterest !== MORATORIUM_INTEREST.CAPITALIZED
+  ) {
+    return 0;
+  }
+
+  const monthlyRate = annualInterestRate / 12 / 100;
+  const interest =
+    interestMethod === INTEREST_METHODS.FLAT
+      ? principal * monthlyRate * moratoriumMonths
+      : principal * (Math.pow(1 + monthlyRate, moratoriumMonths) - 1);
+
+  return roundMoney(interest);
+};
+
+// Build a single schedule row from amounts in minor units
+// `scheduledDueDate` is only kept when a holiday moved the due date
+const buildInstallment = (
+  month,
+  principalMinor,
+  interestMinor,
+  balanceMinor,
+  { dueDate, scheduledDueDate }
+) => ({
+  month,
+  emi: fromMinorUnits(principalMinor + interestMinor),
+  principal: fromMinorUnits(principalMinor),
+  interest: fromMinorUnits(interestMinor),
+  balance: fromMinorUnits(balanceMinor),
+  dueDate: dueDate.toISOString(),
+  ...(scheduledDueDate && {
+    scheduledDueDate: scheduledDueDate.toISOString(),
+  }),
+  paid: false,
+  paidDate: null,
+});
+
+/**
+ * How monthly installments pick their day of the month
+ * SAME_DAY: the day the loan started (or the chosen first due date)
+ * MONTH_END: the last day of every month
+ * FIXED_DAY: a day of the month chosen by the lender (`dueDay`)
+ * Days past the end of a shorter month fall on its last day
+ */
+export const DUE_DAY_POLICIES = {
+  SAME_DAY: 'sameDay',
+  MONTH_END: 'monthEnd',
+  FIXED_DAY: 'fixedDay',
+};
+
+export const DUE_DAY_POLICY_LABELS = {
+  [DUE_DAY_POLICIES.SAME_DAY]: 'Same Day',
+  [DUE_DAY_POLICIES.MONTH_END]: 'Month End',
+  [DUE_DAY_POLICIES.FIXED_DAY]: 'Fixed Day',
+};
+
+const LAST_DAY_OF_MONTH = 31;
+
+/**
+ * Day of the month monthly installments fall due on
+ * An explicit `dueDay` wins, so a loan keeps its day when its schedule is
+ * regenerated from a clamped (e.g. 28 Feb) installment
+ */
+export const resolveDueDay = (startDate, options = {}) => {
+  const { dueDayPolicy = DUE_DAY_POLICIES.SAME_DAY, dueDay, firstDueDate } =
+    options;
+
+  if (dueDayPolicy === DUE_DAY_POLICIES.MONTH_END) return LAST_DAY_OF_MONTH;
+  if (dueDay) return dueDay;
+
+  return toCalendarDate(firstDueDate || startDate).getUTCDate();
+};
+
+const getOrdinalSuffix = (day) => {
+  if (day >= 11 && day <= 13) return 'th';
+  return { 1: 'st', 2: 'nd', 3: 'rd' }[day % 10] || 'th';
+};
+
+/**
+ * Describe the day monthly installments fall due, e.g. "5th of every month"
+ */
+export const describeDueDay = ({ dueDayPolicy, dueDay }) => {
+  if (dueDayPolicy === DUE_DAY_POLICIES.MONTH_END) {
+    return 'Last day of every month';
+  }
+
+  const clamped = dueDay > 28 ? ' (or the last day)' : '';
+  return `${dueDay}${getOrdinalSuffix(dueDay)} of every month${clamped}`;
+};
+
+/**
+ * Due date of the first installment: the chosen `firstDueDate`, otherwise
+ * one period after the start date
+ */
+export const getFirstDueDate = (startDate, options = {}) => {
+  const { frequency = REPAYMENT_FREQUENCIES.MONTHLY, firstDueDate } = options;
+
+  if (firstDueDate) return toCalendarDate(firstDueDate);
+
+  if (frequency !== REPAYMENT_FREQUENCIES.MONTHLY) {
+    return addDays(startDate, DAYS_PER_PERIOD[frequency]);
+  }
+
+  return addMonths(startDate, 1, resolveDueDay(startDate, options));
+};
+
+// First due date once a moratorium of `months` is over. Monthly loans keep
+// their due day, weekly and bi-weekly ones count their periods from the
+// date the moratorium ends
+const getDeferredFirstDueDate = (startDate, months, options, dueDay) => {
+  const { frequency = REPAYMENT_FREQUENCIES.MONTHLY, firstDueDate } = options;
+
+  if (frequency === REPAYMENT_FREQUENCIES.MONTHLY) {
+    return addMonths(getFirstDueDate(startDate, options), months, dueDay);
+  }
+
+  if (firstDueDate) return addMonths(firstDueDate, months);
+
+  return getFirstDueDate(addMonths(startDate, months), options);
+};
+
+// Due date of the installment `index` periods after the first one
+// Every date is counted from the first due date, never from the previous
+// installment, so a clamped 28 Feb does not pull later months back
+const getPeriodDueDate = (firstDueDate, index, frequency, dueDay) => {
+  if (index === 0) return firstDueDate;
+
+  if (frequency === REPAYMENT_FREQUENCIES.MONTHLY) {
+    return addMonths(firstDueDate, index, dueDay);
+  }
+
+  return addDays(firstDueDate, index * DAYS_PER_PERIOD[frequency]);
+};
+
+/**
+ * Interest-only schedule: interest every period on the full principal,
+ * with the principal returned alongside the last period's interest
+ */
+const generateInterestOnlySchedule = (
+  principal,
+  periodicRate,
+  periods,
+  getDueDate
+) => {
+  const schedule = [];
+  const principalMinor = toMinorUnits(principal);
+  const interestMinor = toMinorUnits(principal * periodicRate);
+
+  for (let month = 1; month <= periods; month++) {
+    const isLast = month === periods;
+
+    schedule.push(
+      buildInstallment(
+        month,
+        isLast ? principalMinor : 0,
+        interestMinor,
+        isLast ? 0 : principalMinor,
+        getDueDate(month)
+      )
+    );
+  }
+
+  return schedule;
+};
+
+/**
+ * Bullet schedule: a single payment at maturity
+ * Flat rate accrues simple interest, reducing balance compounds every period
+ */
+const generateBulletSchedule = (
+  principal,
+  periodicRate,
+  periods,
+  interestMethod,
+  flatInterestBase,
+  getDueDate
+) => {
+  const interestAmount =
+    interestMethod === INTEREST_METHODS.FLAT
+      ? flatInterestBase * periodicRate * periods
+      : principal * (Math.pow(1 + periodicRate, periods) - 1);
+
+  return [
+    buildInstallment(
+      periods,
+      toMinorUnits(principal),
+      toMinorUnits(interestAmount),
+      0,
+      getDueDate(periods)
+    ),
+  ];
 };
 
 /**
  * Generate complete amortization schedule
  * Returns an array of EMI objects with principal, interest, and balance breakdown
+ * `periods` is the number of installments at the chosen frequency
+ *
+ * Options:
+ * - interestMethod: INTEREST_METHODS.REDUCING (default) or INTEREST_METHODS.FLAT
+ * - repaymentType: REPAYMENT_TYPES.EMI (default), INTEREST_ONLY or BULLET
+ * - frequency: REPAYMENT_FREQUENCIES.MONTHLY (default), WEEKLY or BIWEEKLY
+ * - moratoriumMonths: months before the first payment is due (default 0)
+ * - moratoriumInterest: MORATORIUM_INTEREST.WAIVED (default) or CAPITALIZED
+ * - firstDueDate: due date of the first installment (default one period
+ *   after the start date, pushed back by any moratorium)
+ * - dueDayPolicy: DUE_DAY_POLICIES.SAME_DAY (default), MONTH_END or FIXED_DAY
+ * - dueDay: day of the month for FIXED_DAY (1-31)
+ * - dueDateAdjustment: DUE_DATE_ADJUSTMENTS.NONE (default), NEXT_BUSINESS_DAY
+ *   or PREVIOUS_BUSINESS_DAY for due dates on a weekend or holiday
+ * - calendar: business day calendar used by the adjustment
+ * - stepPercent: EMI change every `stepPeriods` installments for graduated
+ *   EMI plans, positive to step up, negative to step down (default 0, level)
+ * - stepPeriods: installments between steps (default 12)
+ * - stepOffset: installments of the plan already behind the first one, used
+ *   when part of a graduated schedule is regenerated
+ * - flatInterestBase: principal flat interest is charged on (default
+ *   `principal`), used when part of a flat schedule is regenerated
+ *
+ * Due dates are calendar dates at UTC midnight
  */
 export const generateAmortizationSchedule = (
   principal,
   annualInterestRate,
-  durationMonths,
-  startDate = new Date()
+  periods,
+  startDate = today(),
+  options = {}
 ) => {
+  const {
+    interestMethod = INTEREST_METHODS.REDUCING,
+    repaymentType = REPAYMENT_TYPES.EMI,
+    frequency = REPAYMENT_FREQUENCIES.MONTHLY,
+    moratoriumMonths = 0,
+    dueDateAdjustment = DUE_DATE_ADJUSTMENTS.NONE,
+    calendar,
+    stepPercent = 0,
+  } = options;
+  const flatInterestBase = options.flatInterestBase ?? principal;
+  const periodicRate = getPeriodicRate(annualInterestRate, frequency);
+  const dueDay = resolveDueDay(startDate, options);
+  const firstDueDate = getFirstDueDate(startDate, options);
+
+  // Repayments start once the moratorium is over, on the capitalized
+  // principal when interest accrued during it
+  if (moratoriumMonths > 0) {
+    return generateAmortizationSchedule(
+      sumMoney([
+        principal,
+        calculateCapitalizedInterest(principal, annualInterestRate, options),
+      ]),
+      annualInterestRate,
+      periods,
+      startDate,
+      {
+        ...options,
+        moratoriumMonths: 0,
+        dueDay,
+        firstDueDate: getDeferredFirstDueDate(
+          startDate,
+          moratoriumMonths,
+          options,
+          dueDay
+        ),
+      }
+    );
+  }
+
+  // Due dates on weekends and holidays move to a business day
+  const getDueDate = (month) => {
+    const scheduledDueDate = getPeriodDueDate(
+      firstDueDate,
+      month - 1,
+      frequency,
+      dueDay
+    );
+    const dueDate = adjustDueDate(scheduledDueDate, dueDateAdjustment, calendar);
+
+    return dueDate.getTime() === scheduledDueDate.getTime()
+      ? { dueDate }
+      : { dueDate, scheduledDueDate };
+  };
+
+  if (repaymentType === REPAYMENT_TYPES.INTEREST_ONLY) {
+    return generateInterestOnlySchedule(
+      principal,
+      periodicRate,
+      periods,
+      getDueDate
+    );
+  }
+
+  if (repaymentType === REPAYMENT_TYPES.BULLET) {
+    return generateBulletSchedule(
+      principal,
+      periodicRate,
+      periods,
+      interestMethod,
+      flatInterestBase,
+      getDueDate
+    );
+  }
+
   const schedule = [];
-  const monthlyRate = annualInterestRate / 12 / 100;
-  const emi = calculateEMI(principal, annualInterestRate, durationMonths);
+  const emisMinor = (
+    stepPercent
+      ? calculateGraduatedEMIs(principal, annualInterestRate, periods, options)
+      : Array(periods).fill(
+          calculateEMI(principal, annualInterestRate, periods, {
+            interestMethod,
+            frequency,
+            flatInterestBase,
+          })
+        )
+  ).map(toMinorUnits);
+  const flatBaseMinor = toMinorUnits(flatInterestBase);
 
-  let balance = principal;
-  let currentDate = new Date(startDate);
+  let balanceMinor = toMinorUnits(principal);
 
-  for (let month = 1; month <= durationMonths; month++) {
-    // Calculate interest for this month
-    const interestAmount = balance * monthlyRate;
+  for (let month = 1; month <= periods; month++) {
+    // Calculate interest for this period
+    const interestMinor = Math.round(
+      (interestMethod === INTEREST_METHODS.FLAT
+        ? flatBaseMinor
+        : balanceMinor) * periodicRate
+    );
 
-    // Calculate principal for this month
-    const principalAmount = emi - interestAmount;
+    // Calculate principal for this period, the final installment clears
+    // whatever rounding left over so the principal column sums exactly
+    const principalPartMinor =
+      month === periods
+        ? balanceMinor
+        : Math.min(balanceMinor, emisMinor[month - 1] - interestMinor);
 
     // Update balance
-    balance = Math.max(0, balance - principalAmount);
-
-    // Due date is one month from current date
-    const dueDate = new Date(currentDate);
-    dueDate.setMonth(dueDate.getMonth() + 1);
-
-    schedule.push({
-      month,
-      emi: Math.round(emi * 100) / 100,
-      principal: Math.round(principalAmount * 100) / 100,
-      interest: Math.round(interestAmount * 100) / 100,
-      balance: Math.round(balance * 100) / 100,
-      dueDate: dueDate.toISOString(),
-      paid: false,
-      paidDate: null,
-    });
+    balanceMinor -= principalPartMinor;
 
-    currentDate = new Date(dueDate);
+    schedule.push(
+      buildInstallment(
+        month,
+        principalPartMinor,
+        interestMinor,
+        balanceMinor,
+        getDueDate(month)
+      )
+    );
   }
 
   return schedule;
 };
 
+/**
+ * Totals of a schedule for the amount lent
+ * Everything repaid above the principal counts as interest, which includes
+ * interest capitalized during a moratorium
+ */
+export const summarizeSchedule = (emis, principal) => {
+  const totalAmount = sumMoney(emis.map((emi) => emi.emi));
+
+  return {
+    totalAmount,
+    totalInterest: sumMoney([totalAmount, -principal]),
+  };
+};
+
 /**
  * Calculate total interest to be paid over the loan period
+ * Includes interest capitalized during a moratorium
  */
-export const calculateTotalInterest = (principal, annualInterestRate, durationMonths) => {
-  const schedule = generateAmortizationSchedule(principal, annualInterestRate, durationMonths);
-  const totalInterest = schedule.reduce((sum, emi) => sum + emi.interest, 0);
-  return Math.round(totalInterest * 100) / 100;
+export const calculateTotalInterest = (
+  principal,
+  annualInterestRate,
+  periods,
+  options = {}
+) => {
+  const schedule = generateAmortizationSchedule(
+    principal,
+    annualInterestRate,
+    periods,
+    today(),
+    options
+  );
+  return summarizeSchedule(schedule, principal).totalInterest;
 };
 
 /**
  * Calculate total amount to be paid (principal + interest)
  */
-export const calculateTotalAmount = (principal, annualInterestRate, durationMonths) => {
-  const totalInterest = calculateTotalInterest(principal, annualInterestRate, durationMonths);
-  return Math.round((principal + totalInterest) * 100) / 100;
+export const calculateTotalAmount = (
+  principal,
+  annualInterestRate,
+  periods,
+  options = {}
+) => {
+  const schedule = generateAmortizationSchedule(
+    principal,
+    annualInterestRate,
+    periods,
+    today(),
+    options
+  );
+  return summarizeSchedule(schedule, principal).totalAmount;
+};
+
+// Older monthly loans keep the day of their first installment
+const getLegacyDueDay = (loan) => {
+  const firstInstallment = (loan.emis || []).find(isInstallment);
+  return firstInstallment
+    ? toCalendarDate(firstInstallment.dueDate).getUTCDate()
+    : undefined;
+};
+
+/**
+ * Schedule options stored on a loan record
+ * Older loans predate these fields and fall back to the defaults
+ */
+export const getScheduleOptions = (loan) => ({
+  interestMethod: loan.interestMethod || INTEREST_METHODS.REDUCING,
+  repaymentType: loan.repaymentType || REPAYMENT_TYPES.EMI,
+  frequency: loan.frequency || REPAYMENT_FREQUENCIES.MONTHLY,
+  moratoriumMonths: loan.moratoriumMonths || 0,
+  moratoriumInterest: loan.moratoriumInterest || MORATORIUM_INTEREST.WAIVED,
+  dueDayPolicy: loan.dueDayPolicy || DUE_DAY_POLICIES.SAME_DAY,
+  dueDay: loan.dueDay || getLegacyDueDay(loan),
+  dueDateAdjustment: loan.dueDateAdjustment || DUE_DATE_ADJUSTMENTS.NONE,
+  stepPercent: loan.stepPercent || 0,
+  stepPeriods: loan.stepPeriods || DEFAULT_STEP_PERIODS,
+});
+
+/**
+ * Number of installments in a loan's original term
+ * Older monthly loans only stored `durationMonths`
+ */
+export const getLoanDuration = (loan) => loan.duration ?? loan.durationMonths;
+
+/**
+ * Schedule rows are installments unless marked otherwise
+ * PREPAYMENT rows record extra principal paid ahead of schedule
+ */
+export const SCHEDULE_ROW_TYPES = {
+  INSTALLMENT: 'installment',
+  PREPAYMENT: 'prepayment',
+};
+
+export const isInstallment = (emi) =>
+  !emi.type || emi.type === SCHEDULE_ROW_TYPES.INSTALLMENT;
+
+/**
+ * Principal a flat rate loan charges interest on: everything lent, with
+ * any interest capitalized during the moratorium, less the principal
+ * prepaid so far. Regenerated installments keep charging it rather than
+ * the balance left
+ */
+export const getFlatInterestBase = (loan) => {
+  const initialAmount =
+    loan.disbursements && loan.disbursements.length > 0
+      ? loan.disbursements[0].amount
+      : loan.amount;
+  const initialRate =
+    loan.rateHistory && loan.rateHistory.length > 0
+      ? loan.rateHistory[0].annualInterestRate
+      : loan.annualInterestRate;
+
+  return sumMoney([
+    loan.amount,
+    calculateCapitalizedInterest(
+      initialAmount,
+      initialRate,
+      getScheduleOptions(loan)
+    ),
+    ...(loan.emis || [])
+      .filter((emi) => !isInstallment(emi))
+      .map((emi) => -emi.principal),
+  ]);
+};
+
+/**
+ * How a prepayment is absorbed by the remaining schedule
+ * REDUCE_EMI: keep the number of installments, lower the EMI
+ * REDUCE_TENURE: keep the EMI (as far as possible), fewer installments
+ */
+export const PREPAYMENT_MODES = {
+  REDUCE_EMI: 'reduceEmi',
+  REDUCE_TENURE: 'reduceTenure',
+};
+
+export const PREPAYMENT_MODE_LABELS = {
+  [PREPAYMENT_MODES.REDUCE_EMI]: 'Reduce EMI',
+  [PREPAYMENT_MODES.REDUCE_TENURE]: 'Reduce Tenure',
+};
+
+/**
+ * Regenerate the schedule from `fromIndex` onwards for a new principal
+ * Rows before `fromIndex` are kept untouched, the regenerated rows keep the
+ * due date and numbering of the first row they replace (any moratorium is
+ * already behind them)
+ *
+ * Options are the schedule options plus:
+ * - periods: number of installments to regenerate (defaults to the rows replaced)
+ * - flatInterestBase: for flat rate loans, see getFlatInterestBase
+ */
+export const reamortizeSchedule = (
+  emis,
+  fromIndex,
+  principal,
+  annualInterestRate,
+  options = {}
+) => {
+  const keptRows = emis.slice(0, fromIndex);
+  const replacedRows = emis.slice(fromIndex).filter(isInstallment);
+  const { periods = replacedRows.length, ...scheduleOptions } = options;
+
+  if (replacedRows.length === 0 || periods <= 0) {
+    return keptRows;
+  }
+
+  const firstReplaced = replacedRows[0];
+  const firstDueDate = firstReplaced.scheduledDueDate || firstReplaced.dueDate;
+  const monthOffset = firstReplaced.month - 1;
+
+  const regeneratedRows = generateAmortizationSchedule(
+    principal,
+    annualInterestRate,
+    periods,
+    firstDueDate,
+    {
+      ...scheduleOptions,
+      moratoriumMonths: 0,
+      firstDueDate,
+      // Graduated plans carry on with the step they had reached
+      stepOffset: monthOffset,
+    }
+  ).map((emi) => ({ ...emi, month: emi.month + monthOffset }));
+
+  return [...keptRows, ...regeneratedRows];
+};
+
+/**
+ * Apply a prepayment of extra principal to a schedule
+ * Installments due by the prepayment date, paid or overdue, and any that
+ * have received money are kept as they are. A paid PREPAYMENT row is added
+ * among them in date order and the installments due later are regenerated
+ * for the reduced principal
+ * `calendar` is the business day calendar for the regenerated due dates
+ */
+export const applyPrepaymentToSchedule = (
+  loan,
+  amount,
+  paymentDate,
+  mode = PREPAYMENT_MODES.REDUCE_EMI,
+  calendar
+) => {
+  const { emis } = loan;
+  const options = getScheduleOptions(loan);
+
+  if (options.repaymentType === REPAYMENT_TYPES.BULLET) {
+    throw new Error('Prepayment is not available for bullet loans');
+  }
+
+  if (
+    options.repaymentType === REPAYMENT_TYPES.INTEREST_ONLY &&
+    mode === PREPAYMENT_MODES.REDUCE_TENURE
+  ) {
+    throw new Error('Interest-only loans can only reduce the EMI');
+  }
+
+  if (options.stepPercent && mode === PREPAYMENT_MODES.REDUCE_TENURE) {
+    throw new Error('Step-up and step-down plans can only reduce the EMI');
+  }
+
+  // Keep everything up to the last row already due or with money on it
+  const paymentTime = new Date(paymentDate).getTime();
+  const isDueBy = (emi) => new Date(emi.dueDate).getTime() <= paymentTime;
+
+  let fromIndex = 0;
+  emis.forEach((emi, index) => {
+    if (isDueBy(emi) || getEMIPaidAmount(emi) > 0) fromIndex = index + 1;
+  });
+
+  const remainingInstallments = emis.slice(fromIndex).filter(isInstallment);
+  if (remainingInstallments.length === 0) {
+    throw new Error('There are no unpaid installments left to re-amortize');
+  }
+
+  // Opening balance of the first unpaid installment, which includes any
+  // interest capitalized during a moratorium
+  const outstandingPrincipal = sumMoney([
+    remainingInstallments[0].balance,
+    remainingInstallments[0].principal,
+  ]);
+
+  if (amount >= outstandingPrincipal) {
+    throw new Error(
+      `Prepayment must be less than the outstanding principal of ${formatCurrency(
+        outstandingPrincipal,
+        getLoanCurrency(loan)
+      )}`
+    );
+  }
+
+  const newPrincipal = sumMoney([outstandingPrincipal, -amount]);
+  const flatInterestBase = sumMoney([getFlatInterestBase(loan), -amount]);
+  const periods =
+    mode === PREPAYMENT_MODES.REDUCE_TENURE
+      ? Math.min(
+          remainingInstallments.length,
+          solveTenure(
+            newPrincipal,
+            loan.annualInterestRate,
+            remainingInstallments[0].emi,
+            { ...options, flatInterestBase }
+          )
+        )
+      : remainingInstallments.length;
+
+  const prepaymentRow = {
+    type: SCHEDULE_ROW_TYPES.PREPAYMENT,
+    month: null,
+    emi: amount,
+    principal: amount,
+    interest: 0,
+    balance: newPrincipal,
+    dueDate: paymentDate,
+    paid: true,
+    paidDate: paymentDate,
+    paidAmount: amount,
+  };
+
+  // Rows paid ahead of their due date may follow the prepayment
+  let prepaymentIndex = fromIndex;
+  while (prepaymentIndex > 0 && !isDueBy(emis[prepaymentIndex - 1])) {
+    prepaymentIndex--;
+  }
+
+  const keptRows = [
+    ...emis.slice(0, prepaymentIndex),
+    prepaymentRow,
+    ...emis.slice(prepaymentIndex, fromIndex),
+  ];
+  const schedule = reamortizeSchedule(
+    [...keptRows, ...remainingInstallments],
+    keptRows.length,
+    newPrincipal,
+    loan.annualInterestRate,
+    { ...options, calendar, periods, flatInterestBase }
+  );
+
+  return { emis: schedule, prepaymentIndex };
+};
+
+/**
+ * Amount received against an EMI
+ * Older records only carry the paid flag, so a paid EMI counts in full
+ */
+export const getEMIPaidAmount = (emi) => {
+  if (typeof emi.paidAmount === 'number') return emi.paidAmount;
+  return emi.paid ? emi.emi : 0;
 };
 
+/**
+ * Amount of an EMI written off when a loan was settled for less
+ */
+export const getEMIWaivedAmount = (emi) => emi.waivedAmount || 0;
+
+/**
+ * Amount still due on an EMI
+ */
+export const getEMIOutstanding = (emi) =>
+  Math.max(
+    0,
+    sumMoney([emi.emi, -getEMIPaidAmount(emi), -getEMIWaivedAmount(emi)])
+  );
+
+// Interest of an EMI that was written off, a waiver forgoes the interest
+// before the principal
+const getEMIInterestWaived = (emi) =>
+  Math.min(getEMIWaivedAmount(emi), emi.interest || 0);
+
+/**
+ * Interest portion of the amount received against an EMI
+ * Payments settle the interest component before the principal
+ */
+export const getEMIInterestPaid = (emi) =>
+  Math.min(
+    getEMIPaidAmount(emi),
+    sumMoney([emi.interest || 0, -getEMIInterestWaived(emi)])
+  );
+
+/**
+ * Principal portion of an EMI that has not been received yet
+ */
+export const getEMIPrincipalOutstanding = (emi) =>
+  Math.max(
+    0,
+    sumMoney([
+      emi.principal,
+      -sumMoney([getEMIPaidAmount(emi), -getEMIInterestPaid(emi)]),
+      -sumMoney([getEMIWaivedAmount(emi), -getEMIInterestWaived(emi)]),
+    ])
+  );
+
 /**
  * Calculate loan progress percentage
+ * Based on the money received against the total amount due
  */
 export const calculateLoanProgress = (emis) => {
   if (!emis || emis.length === 0) return 0;
 
-  const paidCount = emis.filter((emi) => emi.paid).length;
-  const progress = (paidCount / emis.length) * 100;
+  const totalDue = sumMoney(emis.map((emi) => emi.emi));
+  if (totalDue === 0) return 0;
 
-  return Math.round(progress * 100) / 100;
+  const progress = (calculateTotalPaid(emis) / totalDue) * 100;
+
+  return Math.min(100, Math.round(progress * 100) / 100);
 };
 
 /**
@@ -113,15 +1172,12 @@ export const getNextEMIDueDate = (emis) => {
 
 /**
  * Calculate total paid amount
+ * Sums the money actually received against each EMI, including partial payments
  */
 export const calculateTotalPaid = (emis) => {
   if (!emis || emis.length === 0) return 0;
 
-  const totalPaid = emis
-    .filter((emi) => emi.paid)
-    .reduce((sum, emi) => sum + emi.emi, 0);
-
-  return Math.round(totalPaid * 100) / 100;
+  return sumMoney(emis.map(getEMIPaidAmount));
 };
 
 /**
@@ -130,48 +1186,44 @@ export const calculateTotalPaid = (emis) => {
 export const calculateRemainingAmount = (emis) => {
   if (!emis || emis.length === 0) return 0;
 
-  const totalRemaining = emis
-    .filter((emi) => !emi.paid)
-    .reduce((sum, emi) => sum + emi.emi, 0);
-
-  return Math.round(totalRemaining * 100) / 100;
+  return sumMoney(emis.map(getEMIOutstanding));
 };
 
 /**
  * Check if EMI is overdue
  */
-export const isEMIOverdue = (emi) => {
+export const isEMIOverdue = (emi, options = {}) => {
   if (emi.paid) return false;
 
-  const dueDate = new Date(emi.dueDate);
-  const today = new Date();
-
-  return today > dueDate;
+  return getDaysUntilDue(emi.dueDate, options) < 0;
 };
 
 /**
- * Get number of days until due date (negative if overdue)
+ * Get number of calendar days until due date (negative if overdue)
+ * Pass the loan's `dueDateAdjustment` and the `calendar` to count to the
+ * business day the payment is actually expected on
  */
-export const getDaysUntilDue = (dueDate) => {
-  const today = new Date();
-  const due = new Date(dueDate);
-
-  const diffTime = due - today;
-  const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+export const getDaysUntilDue = (dueDate, options = {}) => {
+  const { dueDateAdjustment = DUE_DATE_ADJUSTMENTS.NONE, calendar } = options;
 
-  return diffDays;
+  return daysBetween(
+    today(),
+    adjustDueDate(dueDate, dueDateAdjustment, calendar)
+  );
 };
 
 /**
- * Format currency for display
+ * Format currency for display, with the symbol and digit grouping of the
+ * currency code, e.g. "₹1,00,000" or "$100,000"
  */
-export const formatCurrency = (amount, currency = '₹') => {
-  const formatted = new Intl.NumberFormat('en-IN', {
+export const formatCurrency = (amount, currency = DEFAULT_CURRENCY) => {
+  const { symbol, locale } = getCurrency(currency);
+  const formatted = new Intl.NumberFormat(locale, {
     minimumFractionDigits: 0,
     maximumFractionDigits: 2,
   }).format(amount);
 
-  return `${currency}${formatted}`;
+  return `${symbol}${formatted}`;
 };
 
 /**
@@ -179,12 +1231,24 @@ export const formatCurrency = (amount, currency = '₹') => {
  */
 export const formatDate = (date, format = 'short') => {
   const d = new Date(date);
+  // Calendar dates read the same everywhere, timestamps show local time
+  const timeZone = isCalendarDate(d) ? 'UTC' : undefined;
 
   if (format === 'short') {
     return d.toLocaleDateString('en-IN', {
       day: '2-digit',
       month: 'short',
       year: 'numeric',
+      timeZone,
+    });
+  }
+
+  if (format === 'compact') {
+    return d.toLocaleDateString('en-IN', {
+      day: '2-digit',
+      month: 'short',
+      year: '2-digit',
+      timeZone,
     });
   }
 
@@ -192,14 +1256,56 @@ export const formatDate = (date, format = 'short') => {
     day: '2-digit',
     month: 'long',
     year: 'numeric',
+    timeZone,
   });
 };
 
 export default {
+  toMinorUnits,
+  fromMinorUnits,
+  roundMoney,
+  sumMoney,
+  INTEREST_METHODS,
+  INTEREST_METHOD_LABELS,
+  REPAYMENT_TYPES,
+  REPAYMENT_TYPE_LABELS,
+  REPAYMENT_FREQUENCIES,
+  REPAYMENT_FREQUENCY_LABELS,
+  getPeriodicRate,
+  getPeriodUnit,
+  formatDuration,
+  MORATORIUM_INTEREST,
+  MORATORIUM_INTEREST_LABELS,
+  calculateCapitalizedInterest,
   calculateEMI,
+  DEFAULT_STEP_PERIODS,
+  calculateGraduatedEMIs,
+  describeEMIStep,
+  solveTenure,
+  solveInterestRate,
+  solveLoanAmount,
   generateAmortizationSchedule,
+  summarizeSchedule,
   calculateTotalInterest,
   calculateTotalAmount,
+  getScheduleOptions,
+  DUE_DAY_POLICIES,
+  DUE_DAY_POLICY_LABELS,
+  resolveDueDay,
+  describeDueDay,
+  getFirstDueDate,
+  getLoanDuration,
+  SCHEDULE_ROW_TYPES,
+  isInstallment,
+  PREPAYMENT_MODES,
+  PREPAYMENT_MODE_LABELS,
+  reamortizeSchedule,
+  applyPrepaymentToSchedule,
+  getEMIPaidAmount,
+  getEMIWaivedAmount,
+  getEMIOutstanding,
+  getEMIInterestPaid,
+  getEMIPrincipalOutstanding,
   calculateLoanProgress,
   getNextEMIDueDate,
   calculateTotalPaid,
@@ -0,0 +1,204 @@
+/**
+ * Loan return utilities
+ * Measures what lending actually earns with XIRR: the annual rate at which
+ * the money lent and the money received, on the dates they changed hands,
+ * are worth the same
+ *
+ * Cash flows are { amount, date }, money lent is negative and money
+ * received is positive
+ *
+ * Two returns are reported for a loan:
+ * - realized: the payments received so far, with the principal still owed
+ *   counted as repaid today
+ * - projected: the payments received so far plus every unpaid installment
+ *   paid in full on its due date (or today, if it is overdue)
+ * Closed loans, e.g. written off or settled for less, expect nothing more
+ */
+
+import {
+  getEMIPaidAmount,
+  getEMIOutstanding,
+  getEMIInterestPaid,
+  getEMIPrincipalOutstanding,
+  isInstallment,
+  sumMoney,
+} from './loanCalculations';
+import { daysBetween, today, toCalendarDate } from './dateUtils';
+import { isLoanClosed } from './loanStatus';
+import { getDisbursements } from './disbursements';
+
+const DAYS_PER_YEAR = 365;
+
+// Bisection steps, far more than needed to settle on a basis point
+const MAX_ITERATIONS = 200;
+const RATE_TOLERANCE = 1e-9;
+
+// Rates are searched between -99.99% and this, a year
+const MAX_RATE = 1e6;
+
+// Value of the cash flows on the date of the first one at an annual rate
+const getNetPresentValue = (cashFlows, rate) => {
+  const start = cashFlows[0].date;
+
+  return cashFlows.reduce(
+    (total, flow) =>
+      total +
+      flow.amount /
+        Math.pow(1 + rate, daysBetween(start, flow.date) / DAYS_PER_YEAR),
+    0
+  );
+};
+
+/**
+ * Calculate the XIRR of a set of cash flows as a fraction (0.12 is 12%)
+ * Returns null when there is no answer, e.g. nothing lent or nothing back
+ */
+export const calculateXIRR = (cashFlows) => {
+  const flows = cashFlows
+    .filter((flow) => flow.amount !== 0)
+    .map((flow) => ({ ...flow, date: toCalendarDate(flow.date) }))
+    .sort((a, b) => a.date - b.date);
+
+  if (
+    !flows.some((flow) => flow.amount < 0) ||
+    !flows.some((flow) => flow.amount > 0)
+  ) {
+    return null;
+  }
+
+  // Money goes out before it comes back, so the value of the flows falls as
+  // the rate rises: bracket the rate where it crosses zero and halve the
+  // bracket until it settles
+  let low = -0.9999;
+  let high = 1;
+
+  if (getNetPresentValue(flows, low) < 0) return null;
+
+  while (getNetPresentValue(flows, high) > 0) {
+    if (high >= MAX_RATE) return null;
+    high *= 10;
+  }
+
+  for (let i = 0; i < MAX_ITERATIONS && high - low > RATE_TOLERANCE; i++) {
+    const mid = (low + high) / 2;
+
+    if (getNetPresentValue(flows, mid) > 0) {
+      low = mid;
+    } else {
+      high = mid;
+    }
+  }
+
+  return (low + high) / 2;
+};
+
+/**
+ * Money that has actually changed hands on a loan, each tranche lent on its
+ * own date
+ * Older loans without a payment ledger fall back to what each EMI received
+ */
+export const getLoanCashFlows = (loan) => {
+  const disbursements = getDisbursements(loan).map((disbursement) => ({
+    amount: -disbursement.amount,
+    date: disbursement.date,
+  }));
+
+  const receipts =
+    loan.payments && loan.payments.length > 0
+      ? loan.payments.map((payment) => ({
+          amount: payment.amount,
+          date: payment.date,
+        }))
+      : (loan.emis || [])
+          .filter((emi) => getEMIPaidAmount(emi) > 0)
+          .map((emi) => ({
+            amount: getEMIPaidAmount(emi),
+            date: emi.paidDate || emi.dueDate,
+          }));
+
+  return [...disbursements, ...receipts];
+};
+
+/**
+ * Principal of the installments still owed
+ */
+export const getOutstandingPrincipal = (emis = []) =>
+  sumMoney(emis.filter(isInstallment).map(getEMIPrincipalOutstanding));
+
+// Installments that can still bring money in
+const getExpectedEMIs = (loan) => (isLoanClosed(loan) ? [] : loan.emis || []);
+
+// Cash flows for the realized return: the principal still owed as if repaid
+const getRealizedCashFlows = (loan, asOf) => [
+  ...getLoanCashFlows(loan),
+  { amount: getOutstandingPrincipal(getExpectedEMIs(loan)), date: asOf },
+];
+
+// Cash flows for the projected return: every unpaid installment paid in full
+const getProjectedCashFlows = (loan, asOf) => [
+  ...getLoanCashFlows(loan),
+  ...getExpectedEMIs(loan).filter(isInstallment).map((emi) => ({
+    amount: getEMIOutstanding(emi),
+    date: daysBetween(asOf, emi.dueDate) < 0 ? asOf : emi.dueDate,
+  })),
+];
+
+/**
+ * Interest and XIRR of a loan, realized so far and projected to the end
+ * Returns { realizedInterest, projectedInterest, realizedXIRR, projectedXIRR }
+ */
+export const calculateLoanReturns = (loan, asOf = today()) =>
+  calculatePortfolioReturns([loan], asOf);
+
+/**
+ * Interest and XIRR across loans, all cash flows taken together
+ */
+export const calculatePortfolioReturns = (loans, asOf = today()) => {
+  const installments = loans.flatMap((loan) =>
+    (loan.emis || []).filter(isInstallment)
+  );
+
+  return {
+    realizedInterest: sumMoney(installments.map(getEMIInterestPaid)),
+    projectedInterest: sumMoney(
+      installments.map((emi) => emi.interest || 0)
+    ),
+    realizedXIRR: calculateXIRR(
+      loans.flatMap((loan) => getRealizedCashFlows(loan, asOf))
+    ),
+    projectedXIRR: calculateXIRR(
+      loans.flatMap((loan) => getProjectedCashFlows(loan, asOf))
+    ),
+  };
+};
+
+/**
+ * Effective annual rate (APR) of a loan's schedule as agreed, as a fraction
+ * The XIRR of the money lent against every installment paid on its due date,
+ * so compounding, flat interest and capitalized interest all show up in it
+ * even when the quoted rate hides them
+ */
+export const calculateEffectiveAnnualRate = (loan) =>
+  calculateXIRR([
+    ...getDisbursements(loan).map((disbursement) => ({
+      amount: -disbursement.amount,
+      date: disbursement.date,
+    })),
+    ...(loan.emis || []).map((emi) => ({ amount: emi.emi, date: emi.dueDate })),
+  ]);
+
+/**
+ * Format an XIRR for display, e.g. "12.68%", or "—" when there is none
+ */
+export const formatXIRR = (xirr) =>
+  xirr === null ? '—' : `${(xirr * 100).toFixed(2)}%`;
+
+export default {
+  calculateXIRR,
+  getLoanCashFlows,
+  getOutstandingPrincipal,
+  calculateLoanReturns,
+  calculatePortfolioReturns,
+  calculateEffectiveAnnualRate,
+  formatXIRR,
+};
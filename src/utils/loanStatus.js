@@ -0,0 +1,348 @@
+/**
+ * Loan lifecycle utilities
+ * A loan moves through these statuses:
+ *
+ *   draft ⇄ pending acceptance → active ⇄ overdue → defaulted
+ *     ↓            ↓              ↓         ↓           ↓
+ *   cancelled   cancelled     settled, completed, restructured,
+ *                             written-off (once overdue or defaulted)
+ *
+ * Active, overdue and completed follow the schedule and change on their own
+ * as installments fall due and get paid; the rest are set by the lender,
+ * most of them with a reason. Every change is kept in `statusHistory`,
+ * oldest first:
+ * { id, from, to, reason, changedAt }
+ */
+
+import {
+  generateAmortizationSchedule,
+  getLoanDuration,
+  getScheduleOptions,
+  isEMIOverdue,
+} from './loanCalculations';
+import { calculatePenaltyDue } from './latePenalties';
+import { createInitialRateEntry } from './rateChanges';
+import { daysBetween, today } from './dateUtils';
+import { generateId } from './ids';
+
+export const LOAN_STATUSES = {
+  DRAFT: 'draft',
+  PENDING_ACCEPTANCE: 'pending_acceptance',
+  ACTIVE: 'active',
+  OVERDUE: 'overdue',
+  DEFAULTED: 'defaulted',
+  SETTLED: 'settled',
+  WRITTEN_OFF: 'written_off',
+  CANCELLED: 'cancelled',
+  COMPLETED: 'completed',
+  RESTRUCTURED: 'restructured',
+};
+
+export const LOAN_STATUS_LABELS = {
+  [LOAN_STATUSES.DRAFT]: 'Draft',
+  [LOAN_STATUSES.PENDING_ACCEPTANCE]: 'Pending Acceptance',
+  [LOAN_STATUSES.ACTIVE]: 'Active',
+  [LOAN_STATUSES.OVERDUE]: 'Overdue',
+  [LOAN_STATUSES.DEFAULTED]: 'Defaulted',
+  [LOAN_STATUSES.SETTLED]: 'Settled',
+  [LOAN_STATUSES.WRITTEN_OFF]: 'Written Off',
+  [LOAN_STATUSES.CANCELLED]: 'Cancelled',
+  [LOAN_STATUSES.COMPLETED]: 'Completed',
+  [LOAN_STATUSES.RESTRUCTURED]: 'Restructured',
+};
+
+// Every move a loan can make, whoever makes it
+const LOAN_STATUS_TRANSITIONS = {
+  [LOAN_STATUSES.DRAFT]: [
+    LOAN_STATUSES.PENDING_ACCEPTANCE,
+    LOAN_STATUSES.ACTIVE,
+    LOAN_STATUSES.CANCELLED,
+  ],
+  [LOAN_STATUSES.PENDING_ACCEPTANCE]: [
+    LOAN_STATUSES.DRAFT,
+    LOAN_STATUSES.ACTIVE,
+    LOAN_STATUSES.CANCELLED,
+  ],
+  [LOAN_STATUSES.ACTIVE]: [
+    LOAN_STATUSES.OVERDUE,
+    LOAN_STATUSES.SETTLED,
+    LOAN_STATUSES.COMPLETED,
+    LOAN_STATUSES.RESTRUCTURED,
+  ],
+  [LOAN_STATUSES.OVERDUE]: [
+    LOAN_STATUSES.ACTIVE,
+    LOAN_STATUSES.DEFAULTED,
+    LOAN_STATUSES.SETTLED,
+    LOAN_STATUSES.WRITTEN_OFF,
+    LOAN_STATUSES.COMPLETED,
+    LOAN_STATUSES.RESTRUCTURED,
+  ],
+  [LOAN_STATUSES.DEFAULTED]: [
+    LOAN_STATUSES.ACTIVE,
+    LOAN_STATUSES.SETTLED,
+    LOAN_STATUSES.WRITTEN_OFF,
+    LOAN_STATUSES.COMPLETED,
+    LOAN_STATUSES.RESTRUCTURED,
+  ],
+};
+
+// Statuses the schedule sets on its own, or a dedicated action does
+const AUTOMATIC_STATUSES = [
+  LOAN_STATUSES.OVERDUE,
+  LOAN_STATUSES.COMPLETED,
+  LOAN_STATUSES.RESTRUCTURED,
+];
+
+// Statuses the lender has to explain
+const REASON_REQUIRED_STATUSES = [
+  LOAN_STATUSES.DEFAULTED,
+  LOAN_STATUSES.SETTLED,
+  LOAN_STATUSES.WRITTEN_OFF,
+  LOAN_STATUSES.CANCELLED,
+];
+
+// Statuses in which installments are being repaid
+const REPAYING_STATUSES = [
+  LOAN_STATUSES.ACTIVE,
+  LOAN_STATUSES.OVERDUE,
+  LOAN_STATUSES.DEFAULTED,
+];
+
+/**
+ * Whether a loan's installments are being repaid (active, overdue or
+ * defaulted), so payments, penalties and reminders apply
+ */
+export const isLoanRepaying = (loan) =>
+  REPAYING_STATUSES.includes(loan.status || LOAN_STATUSES.ACTIVE);
+
+/**
+ * Whether a loan has reached the end of its life
+ */
+export const isLoanClosed = (loan) =>
+  !isLoanRepaying(loan) &&
+  loan.status !== LOAN_STATUSES.DRAFT &&
+  loan.status !== LOAN_STATUSES.PENDING_ACCEPTANCE;
+
+/**
+ * Whether the money of a loan has actually been lent, i.e. it got past
+ * draft and acceptance without being cancelled
+ */
+export const isLoanDisbursed = (loan) =>
+  ![
+    LOAN_STATUSES.DRAFT,
+    LOAN_STATUSES.PENDING_ACCEPTANCE,
+    LOAN_STATUSES.CANCELLED,
+  ].includes(loan.status);
+
+/**
+ * Whether a reason has to be given to move a loan to `status`
+ */
+export const isReasonRequired = (status) =>
+  REASON_REQUIRED_STATUSES.includes(status);
+
+/**
+ * Statuses the lender can move a loan to by hand
+ * An overdue loan only becomes active again once it is caught up
+ */
+export const getManualTransitions = (loan) => {
+  const from = loan.status || LOAN_STATUSES.ACTIVE;
+
+  return (LOAN_STATUS_TRANSITIONS[from] || []).filter(
+    (status) =>
+      !AUTOMATIC_STATUSES.includes(status) &&
+      !(from === LOAN_STATUSES.OVERDUE && status === LOAN_STATUSES.ACTIVE)
+  );
+};
+
+/**
+ * Action label for moving a loan from one status to another,
+ * e.g. "Write Off" or "Mark Accepted"
+ */
+export const getTransitionLabel = (from, to) => {
+  switch (to) {
+    case LOAN_STATUSES.DRAFT:
+      return 'Back to Draft';
+    case LOAN_STATUSES.PENDING_ACCEPTANCE:
+      return 'Send for Acceptance';
+    case LOAN_STATUSES.ACTIVE:
+      if (from === LOAN_STATUSES.PENDING_ACCEPTANCE) return 'Mark Accepted';
+      if (from === LOAN_STATUSES.DEFAULTED) return 'Reinstate';
+      return 'Activate';
+    case LOAN_STATUSES.DEFAULTED:
+      return 'Mark Defaulted';
+    case LOAN_STATUSES.SETTLED:
+      return 'Settle';
+    case LOAN_STATUSES.WRITTEN_OFF:
+      return 'Write Off';
+    case LOAN_STATUSES.CANCELLED:
+      return 'Cancel Loan';
+    default:
+      return LOAN_STATUS_LABELS[to];
+  }
+};
+
+/**
+ * Status history of a loan
+ * Older loans have none and start from the status they are in
+ */
+export const getStatusHistory = (loan) => {
+  if (loan.statusHistory && loan.statusHistory.length > 0) {
+    return loan.statusHistory;
+  }
+
+  return [
+    {
+      id: 'initial',
+      from: null,
+      to: loan.status || LOAN_STATUSES.ACTIVE,
+      reason: '',
+      changedAt: loan.createdAt,
+    },
+  ];
+};
+
+/**
+ * Status history entry for the status a loan is created in
+ */
+export const createInitialStatusEntry = (status) => ({
+  id: generateId('status'),
+  from: null,
+  to: status,
+  reason: '',
+  changedAt: new Date().toISOString(),
+});
+
+/**
+ * Move a loan to `status`
+ * Returns the loan fields to save: { status, statusHistory }
+ * Throws if the move is not allowed or a required reason is missing
+ */
+export const transitionLoanStatus = (loan, status, reason = '') => {
+  const from = loan.status || LOAN_STATUSES.ACTIVE;
+
+  if (!(LOAN_STATUS_TRANSITIONS[from] || []).includes(status)) {
+    throw new Error(
+      `A loan that is ${LOAN_STATUS_LABELS[from] || from} cannot become ${
+        LOAN_STATUS_LABELS[status] || status
+      }`
+    );
+  }
+
+  if (isReasonRequired(status) && !reason.trim()) {
+    throw new Error('Please give a reason for the status change');
+  }
+
+  return {
+    status,
+    statusHistory: [
+      ...getStatusHistory(loan),
+      {
+        id: generateId('status'),
+        from,
+        to: status,
+        reason: reason.trim(),
+        changedAt: new Date().toISOString(),
+      },
+    ],
+  };
+};
+
+/**
+ * Status a loan's schedule puts it in
+ * Repaying loans are completed once everything is paid and otherwise active
+ * or overdue, defaulted loans stay defaulted until reinstated.
+ * Loans in any other status are left as they are
+ * Due dates on weekends and holidays follow the loan's adjustment rule
+ * against the business day `calendar`
+ */
+export const getScheduleStatus = (loan, calendar) => {
+  const status = loan.status || LOAN_STATUSES.ACTIVE;
+
+  if (!REPAYING_STATUSES.includes(status)) {
+    return status;
+  }
+
+  if (
+    (loan.emis || []).every((emi) => emi.paid) &&
+    calculatePenaltyDue(loan.penalties) === 0
+  ) {
+    return LOAN_STATUSES.COMPLETED;
+  }
+
+  if (status === LOAN_STATUSES.DEFAULTED) {
+    return status;
+  }
+
+  const { dueDateAdjustment } = getScheduleOptions(loan);
+  const overdue = (loan.emis || []).some((emi) =>
+    isEMIOverdue(emi, { dueDateAdjustment, calendar })
+  );
+
+  return overdue ? LOAN_STATUSES.OVERDUE : LOAN_STATUSES.ACTIVE;
+};
+
+// Reasons recorded for the changes the schedule makes
+const SCHEDULE_STATUS_REASONS = {
+  [LOAN_STATUSES.ACTIVE]: 'Overdue installments paid',
+  [LOAN_STATUSES.OVERDUE]: 'An installment is past its due date',
+  [LOAN_STATUSES.COMPLETED]: 'Everything has been repaid',
+};
+
+/**
+ * Bring a loan's status in line with its schedule
+ * Returns the loan fields to save, empty when nothing changed
+ */
+export const syncLoanStatus = (loan, calendar) => {
+  const status = getScheduleStatus(loan, calendar);
+
+  if (status === (loan.status || LOAN_STATUSES.ACTIVE)) {
+    return {};
+  }
+
+  return transitionLoanStatus(loan, status, SCHEDULE_STATUS_REASONS[status]);
+};
+
+/**
+ * Restart the schedule of a draft or pending loan from the day it is
+ * activated, so installments fall due from then on
+ * Returns the loan fields to save:
+ * { startDate, firstDueDate, emis, rateHistory }
+ */
+export const getActivationUpdates = (loan, calendar, activatedOn = today()) => {
+  const options = getScheduleOptions(loan);
+  const firstDueDate =
+    loan.firstDueDate && daysBetween(activatedOn, loan.firstDueDate) > 0
+      ? loan.firstDueDate
+      : null;
+  const startDate = activatedOn.toISOString();
+
+  return {
+    startDate,
+    firstDueDate,
+    emis: generateAmortizationSchedule(
+      loan.amount,
+      loan.annualInterestRate,
+      getLoanDuration(loan),
+      activatedOn,
+      { ...options, firstDueDate, calendar }
+    ),
+    rateHistory: [createInitialRateEntry(loan.annualInterestRate, startDate)],
+  };
+};
+
+export default {
+  LOAN_STATUSES,
+  LOAN_STATUS_LABELS,
+  isLoanRepaying,
+  isLoanClosed,
+  isLoanDisbursed,
+  isReasonRequired,
+  getManualTransitions,
+  getTransitionLabel,
+  getStatusHistory,
+  createInitialStatusEntry,
+  transitionLoanStatus,
+  getScheduleStatus,
+  syncLoanStatus,
+  getActivationUpdates,
+};
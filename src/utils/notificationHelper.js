@@ -10,18 +10,46 @@
  * For now, this provides the logic to identify which EMIs need reminders
  */
 
-import { getDaysUntilDue } from './loanCalculations';
+import {
+  REPAYMENT_FREQUENCIES,
+  REPAYMENT_FREQUENCY_LABELS,
+  getScheduleOptions,
+  getDaysUntilDue,
+  getEMIOutstanding,
+  formatCurrency,
+} from './loanCalculations';
+import { adjustDueDate } from './businessCalendar';
+import { isLoanRepaying } from './loanStatus';
+import { getLoanCurrency } from './currencies';
+
+// Name of a loan's installments in messages, e.g. "Weekly EMI"
+const getInstallmentLabel = (loan) =>
+  `${REPAYMENT_FREQUENCY_LABELS[getScheduleOptions(loan).frequency]} EMI`;
+
+// Amount still due on a reminder's EMI in the loan's currency
+const getEMIAmountLabel = (reminder) =>
+  formatCurrency(
+    getEMIOutstanding(reminder.emi),
+    getLoanCurrency(reminder.loan)
+  );
 
 /**
  * Check if an EMI needs a reminder notification
  * Returns the reminder type: '7day', '3day', '1day', or null
+ * Weekly loans skip the 7-day reminder, which would land on the previous due date
+ * `dueDateOptions` ({ dueDateAdjustment, calendar }) count the days to the
+ * business day the payment is expected on
  */
-export const getEMIReminderType = (emi) => {
+export const getEMIReminderType = (
+  emi,
+  frequency = REPAYMENT_FREQUENCIES.MONTHLY,
+  dueDateOptions = {}
+) => {
   if (emi.paid) {
     return null; // No reminder needed for paid EMIs
   }
 
-  const daysUntilDue = getDaysUntilDue(emi.dueDate);
+  const daysUntilDue = getDaysUntilDue(emi.dueDate, dueDateOptions);
 
   // Check if EMI is overdue
   if (daysUntilDue < 0) {
@@ -29,7 +57,7 @@ export const getEMIReminderType = (emi) => {
   }
 
   // Check for reminder thresholds
-  if (daysUntilDue === 7) {
+  if (daysUntilDue === 7 && frequency !== REPAYMENT_FREQUENCIES.WEEKLY) {
     return '7day';
   } else if (daysUntilDue === 3) {
     return '3day';
@@ -42,8 +70,10 @@ export const getEMIReminderType = (emi) => {
 
 /**
  * Get all EMIs that need reminders from a list of loans
+ * Due dates on weekends and holidays follow each loan's adjustment rule
+ * against the business day `calendar`
  */
-export const getEMIsNeedingReminders = (loans) => {
+export const getEMIsNeedingReminders = (loans, calendar) => {
   const reminders = {
     sevenDay: [],
     threeDay: [],
@@ -52,18 +82,28 @@ export const getEMIsNeedingReminders = (loans) => {
   };
 
   loans.forEach((loan) => {
-    if (!loan.emis || loan.status === 'completed') {
+    // Drafts and closed loans (completed, written off, ...) get no reminders
+    if (!loan.emis || !isLoanRepaying(loan)) {
       return;
     }
 
+    const { frequency, dueDateAdjustment } = getScheduleOptions(loan);
+    const dueDateOptions = { dueDateAdjustment, calendar };
+
     loan.emis.forEach((emi, index) => {
-      const reminderType = getEMIReminderType(emi);
+      const reminderType = getEMIReminderType(emi, frequency, dueDateOptions);
 
       if (reminderType) {
         const reminderData = {
           loan,
           emi,
           emiIndex: index,
+          dueDate: adjustDueDate(
+            emi.dueDate,
+            dueDateAdjustment,
+            calendar
+          ).toISOString(),
+          daysUntilDue: getDaysUntilDue(emi.dueDate, dueDateOptions),
         };
 
         switch (reminderType) {
@@ -97,7 +137,10 @@ export const sendEmailReminder = async (recipientEmail, reminderData) => {
   console.log('Subject: Loan Payment Reminder - LoanLedger');
   console.log('Reminder Type:', reminderData.type);
   console.log('Loan ID:', reminderData.loanId);
-  console.log('EMI Amount:', reminderData.emiAmount);
+  console.log(
+    'EMI Amount:',
+    formatCurrency(reminderData.emiAmount, reminderData.currency)
+  );
   console.log('Due Date:', reminderData.dueDate);
   console.log('Days Until Due:', reminderData.daysUntilDue);
 
@@ -121,13 +164,16 @@ export const sendSMSReminder = async (phoneNumber, reminderData) => {
   console.log('To:', phoneNumber);
   console.log('Message:');
   console.log(
-    `LoanLedger Reminder: EMI of ${reminderData.emiAmount} is due in ${reminderData.daysUntilDue} days (${reminderData.dueDate})`
+    `LoanLedger Reminder: ${reminderData.installmentLabel} of ${formatCurrency(
+      reminderData.emiAmount,
+      reminderData.currency
+    )} is due in ${reminderData.daysUntilDue} days (${reminderData.dueDate})`
   );
 
   // In production:
   // await smsService.send({
   //   to: phoneNumber,
-  //   message: `LoanLedger: EMI of ${reminderData.emiAmount} due in ${reminderData.daysUntilDue} days`,
+  //   message: `LoanLedger: ${reminderData.installmentLabel} of ${reminderData.emiAmount} due in ${reminderData.daysUntilDue} days`,
   // });
 
   return true;
@@ -161,23 +207,25 @@ export const sendPushNotification = async (userId, reminderData) => {
  * Process all pending reminders for a user's loans
  * This would typically be called from a background task or cloud function
  */
-export const processLoanReminders = async (loans, userContact) => {
-  const reminders = getEMIsNeedingReminders(loans);
+export const processLoanReminders = async (loans, userContact, calendar) => {
+  const reminders = getEMIsNeedingReminders(loans, calendar);
   const notifications = [];
 
   // Process 7-day reminders
   for (const reminder of reminders.sevenDay) {
-    const daysUntilDue = getDaysUntilDue(reminder.emi.dueDate);
+    const { daysUntilDue } = reminder;
 
     const reminderData = {
       type: '7day',
       loanId: reminder.loan.id,
       borrowerName: reminder.loan.borrowerName,
-      emiAmount: reminder.emi.emi,
-      dueDate: reminder.emi.dueDate,
+      installmentLabel: getInstallmentLabel(reminder.loan),
+      emiAmount: getEMIOutstanding(reminder.emi),
+      currency: getLoanCurrency(reminder.loan),
+      dueDate: reminder.dueDate,
       daysUntilDue,
       title: 'Loan Payment Reminder',
-      body: `EMI of ₹${reminder.emi.emi} for ${reminder.loan.borrowerName} is due in 7 days`,
+      body: `${getInstallmentLabel(reminder.loan)} of ${getEMIAmountLabel(reminder)} for ${reminder.loan.borrowerName} is due in 7 days`,
       data: {
         loanId: reminder.loan.id,
         emiIndex: reminder.emiIndex,
@@ -197,17 +245,19 @@ export const processLoanReminders = async (loans, userContact) => {
 
   // Process 3-day reminders
   for (const reminder of reminders.threeDay) {
-    const daysUntilDue = getDaysUntilDue(reminder.emi.dueDate);
+    const { daysUntilDue } = reminder;
 
     const reminderData = {
       type: '3day',
       loanId: reminder.loan.id,
       borrowerName: reminder.loan.borrowerName,
-      emiAmount: reminder.emi.emi,
-      dueDate: reminder.emi.dueDate,
+      installmentLabel: getInstallmentLabel(reminder.loan),
+      emiAmount: getEMIOutstanding(reminder.emi),
+      currency: getLoanCurrency(reminder.loan),
+      dueDate: reminder.dueDate,
       daysUntilDue,
       title: 'Urgent: Loan Payment Reminder',
-      body: `EMI of ₹${reminder.emi.emi} for ${reminder.loan.borrowerName} is due in 3 days`,
+      body: `${getInstallmentLabel(reminder.loan)} of ${getEMIAmountLabel(reminder)} for ${reminder.loan.borrowerName} is due in 3 days`,
       data: {
         loanId: reminder.loan.id,
         emiIndex: reminder.emiIndex,
@@ -226,17 +276,19 @@ export const processLoanReminders = async (loans, userContact) => {
 
   // Process 1-day reminders
   for (const reminder of reminders.oneDay) {
-    const daysUntilDue = getDaysUntilDue(reminder.emi.dueDate);
+    const { daysUntilDue } = reminder;
 
     const reminderData = {
       type: '1day',
       loanId: reminder.loan.id,
       borrowerName: reminder.loan.borrowerName,
-      emiAmount: reminder.emi.emi,
-      dueDate: reminder.emi.dueDate,
+      installmentLabel: getInstallmentLabel(reminder.loan),
+      emiAmount: getEMIOutstanding(reminder.emi),
+      currency: getLoanCurrency(reminder.loan),
+      dueDate: reminder.dueDate,
       daysUntilDue,
       title: 'URGENT: Payment Due Tomorrow',
-      body: `EMI of ₹${reminder.emi.emi} for ${reminder.loan.borrowerName} is due tomorrow!`,
+      body: `${getInstallmentLabel(reminder.loan)} of ${getEMIAmountLabel(reminder)} for ${reminder.loan.borrowerName} is due tomorrow!`,
       data: {
         loanId: reminder.loan.id,
         emiIndex: reminder.emiIndex,
@@ -255,17 +307,19 @@ export const processLoanReminders = async (loans, userContact) => {
 
   // Process overdue reminders
   for (const reminder of reminders.overdue) {
-    const daysUntilDue = getDaysUntilDue(reminder.emi.dueDate);
+    const { daysUntilDue } = reminder;
 
     const reminderData = {
       type: 'overdue',
       loanId: reminder.loan.id,
       borrowerName: reminder.loan.borrowerName,
-      emiAmount: reminder.emi.emi,
-      dueDate: reminder.emi.dueDate,
+      installmentLabel: getInstallmentLabel(reminder.loan),
+      emiAmount: getEMIOutstanding(reminder.emi),
+      currency: getLoanCurrency(reminder.loan),
+      dueDate: reminder.dueDate,
       daysUntilDue,
       title: 'OVERDUE: Payment Required',
-      body: `EMI of ₹${reminder.emi.emi} for ${reminder.loan.borrowerName} is ${Math.abs(daysUntilDue)} days overdue`,
+      body: `${getInstallmentLabel(reminder.loan)} of ${getEMIAmountLabel(reminder)} for ${reminder.loan.borrowerName} is ${Math.abs(daysUntilDue)} days overdue`,
       data: {
         loanId: reminder.loan.id,
         emiIndex: reminder.emiIndex,
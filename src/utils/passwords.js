@@ -0,0 +1,213 @@
+/**
+ * Password utilities for local accounts
+ * Passwords are never stored, only a salted PBKDF2-HMAC-SHA256 credential:
+ * {
+ *   algorithm: 'pbkdf2-sha256',
+ *   iterations,
+ *   salt,  // hex, random per account
+ *   hash,  // hex
+ * }
+ * The iterations are kept with the credential so they can be raised later,
+ * older credentials are rehashed on the next successful sign-in
+ *
+ * Failed sign-ins are counted per email, and too many in a row lock the
+ * email out for a while, longer after every lockout:
+ * { failures, lockouts, lockedUntil }
+ *
+ * A forgotten password is reset offline with the account's recovery code,
+ * shown once when it is made and stored hashed like a password. A code is
+ * used up by a reset and replaced with a new one
+ */
+
+import { getRandomBytes } from 'expo-crypto';
+import {
+  pbkdf2Sha256,
+  utf8Encode,
+  toHex,
+  fromHex,
+  constantTimeEqual,
+} from './sha256';
+
+export const PASSWORD_HASH = {
+  algorithm: 'pbkdf2-sha256',
+  iterations: 25000,
+  saltLength: 16,
+  keyLength: 32,
+};
+
+export const SIGN_IN_THROTTLE = {
+  maxFailures: 5,
+  lockoutMinutes: 5,
+  maxLockoutMinutes: 60,
+};
+
+export const MIN_PASSWORD_LENGTH = 6;
+
+// Crockford's base32, without letters easily mistaken for digits
+const RECOVERY_ALPHABET = '0123456789ABCDEFGHJKMNPQRSTVWXYZ';
+
+export const RECOVERY_CODE = {
+  groups: 4,
+  groupLength: 4,
+};
+
+const MINUTE = 60 * 1000;
+
+const derive = (password, salt, iterations) =>
+  pbkdf2Sha256(
+    utf8Encode(password),
+    salt,
+    iterations,
+    PASSWORD_HASH.keyLength
+  );
+
+/**
+ * Salted credential for a password
+ */
+export const hashPassword = (password) => {
+  const salt = getRandomBytes(PASSWORD_HASH.saltLength);
+  const { algorithm, iterations } = PASSWORD_HASH;
+
+  return {
+    algorithm,
+    iterations,
+    salt: toHex(salt),
+    hash: toHex(derive(password, salt, iterations)),
+  };
+};
+
+/**
+ * Whether `password` matches a stored credential
+ */
+export const verifyPassword = (password, credential) => {
+  if (!credential || credential.algorithm !== PASSWORD_HASH.algorithm) {
+    return false;
+  }
+
+  const hash = derive(
+    password,
+    fromHex(credential.salt),
+    credential.iterations
+  );
+  return constantTimeEqual(hash, fromHex(credential.hash));
+};
+
+/**
+ * Whether a credential was made with weaker settings than today's
+ */
+export const needsRehash = (credential) =>
+  credential.algorithm !== PASSWORD_HASH.algorithm ||
+  credential.iterations < PASSWORD_HASH.iterations;
+
+/**
+ * Throws if `password` is too weak to use
+ */
+export const validatePassword = (password) => {
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    throw new Error(
+      `Password must be at least ${MIN_PASSWORD_LENGTH} characters`
+    );
+  }
+};
+
+/**
+ * New random recovery code, e.g. "7K2M-QX9D-4HTW-B1NE"
+ */
+export const generateRecoveryCode = () => {
+  const { groups, groupLength } = RECOVERY_CODE;
+  const bytes = getRandomBytes(groups * groupLength);
+  const characters = Array.from(
+    bytes,
+    (byte) => RECOVERY_ALPHABET[byte % RECOVERY_ALPHABET.length]
+  );
+
+  const parts = [];
+  for (let i = 0; i < characters.length; i += groupLength) {
+    parts.push(characters.slice(i, i + groupLength).join(''));
+  }
+  return parts.join('-');
+};
+
+/**
+ * A recovery code as typed, reduced to the form that was hashed
+ * Case, spaces and dashes do not matter, and O, I and L read as 0, 1 and 1
+ */
+export const normalizeRecoveryCode = (code) =>
+  (code || '')
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/O/g, '0')
+    .replace(/[IL]/g, '1');
+
+/**
+ * Stored credential for a recovery code
+ */
+export const hashRecoveryCode = (code) =>
+  hashPassword(normalizeRecoveryCode(code));
+
+/**
+ * Whether `code` matches a stored recovery code credential
+ */
+export const verifyRecoveryCode = (code, credential) =>
+  verifyPassword(normalizeRecoveryCode(code), credential);
+
+/**
+ * Milliseconds until a locked out email may try again, 0 when it may now
+ */
+export const getLockoutRemaining = (attempts, now = Date.now()) => {
+  if (!attempts || !attempts.lockedUntil) return 0;
+  return Math.max(0, new Date(attempts.lockedUntil).getTime() - now);
+};
+
+/**
+ * Attempts after one more failed sign-in
+ * Every `maxFailures` in a row start a lockout, each twice as long as the
+ * last up to `maxLockoutMinutes`
+ */
+export const recordFailedSignIn = (attempts, now = Date.now()) => {
+  const failures = ((attempts && attempts.failures) || 0) + 1;
+  const lockouts = (attempts && attempts.lockouts) || 0;
+
+  if (failures < SIGN_IN_THROTTLE.maxFailures) {
+    return { failures, lockouts, lockedUntil: null };
+  }
+
+  const minutes = Math.min(
+    SIGN_IN_THROTTLE.lockoutMinutes * 2 ** lockouts,
+    SIGN_IN_THROTTLE.maxLockoutMinutes
+  );
+
+  return {
+    failures: 0,
+    lockouts: lockouts + 1,
+    lockedUntil: new Date(now + minutes * MINUTE).toISOString(),
+  };
+};
+
+/**
+ * Message for a sign-in refused because of a lockout
+ */
+export const getLockoutMessage = (remaining) => {
+  const minutes = Math.ceil(remaining / MINUTE);
+  return `Too many failed attempts. Try again in ${minutes} minute${
+    minutes === 1 ? '' : 's'
+  }`;
+};
+
+export default {
+  PASSWORD_HASH,
+  SIGN_IN_THROTTLE,
+  MIN_PASSWORD_LENGTH,
+  RECOVERY_CODE,
+  hashPassword,
+  verifyPassword,
+  needsRehash,
+  validatePassword,
+  generateRecoveryCode,
+  normalizeRecoveryCode,
+  hashRecoveryCode,
+  verifyRecoveryCode,
+  getLockoutRemaining,
+  recordFailedSignIn,
+  getLockoutMessage,
+};
@@ -0,0 +1,406 @@
+/**
+ * Payment ledger utilities
+ * Records money received on a loan and allocates it to installments
+ *
+ * Each loan keeps a `payments` array:
+ * {
+ *   id, type, amount, date, method, note, recordedAt,
+ *   allocations: [{ emiIndex, amount, penaltyId? }]
+ * }
+ * and every EMI tracks the `paidAmount` allocated to it, so installments
+ * can be partially paid. `paid` is only set once an EMI is fully covered.
+ * Late penalties on an installment are settled before the installment itself
+ * and show up as their own allocation carrying the `penaltyId`.
+ * Prepayments are added to the schedule as their own paid row.
+ * Settlements close a loan early: overdue EMIs are paid as usual and the
+ * EMIs not yet due are marked `settled`, charged only the interest accrued
+ * up to the settlement date.
+ * Restructures close a loan the same way, with the balance carried into a
+ * new loan instead of received (see restructuring.js).
+ * A settlement for less than the payoff quote records the difference as
+ * `waivedAmount` on the payment and on the EMIs and penalties it came off,
+ * which no longer count it as received.
+ */
+
+import {
+  PREPAYMENT_MODES,
+  applyPrepaymentToSchedule,
+  getEMIPaidAmount,
+  getEMIWaivedAmount,
+  getEMIOutstanding,
+  getEMIInterestPaid,
+  getEMIPrincipalOutstanding,
+  sumMoney,
+  toMinorUnits,
+  fromMinorUnits,
+  roundMoney,
+} from './loanCalculations';
+import { accruePenalties, getPenaltyOutstanding } from './latePenalties';
+import { today } from './dateUtils';
+import { generateId } from './ids';
+
+export const PAYMENT_METHODS = {
+  CASH: 'cash',
+  UPI: 'upi',
+  BANK: 'bank',
+  OTHER: 'other',
+};
+
+export const PAYMENT_METHOD_LABELS = {
+  [PAYMENT_METHODS.CASH]: 'Cash',
+  [PAYMENT_METHODS.UPI]: 'UPI',
+  [PAYMENT_METHODS.BANK]: 'Bank',
+  [PAYMENT_METHODS.OTHER]: 'Other',
+};
+
+export const PAYMENT_TYPES = {
+  INSTALLMENT: 'installment',
+  PREPAYMENT: 'prepayment',
+  SETTLEMENT: 'settlement',
+  RESTRUCTURE: 'restructure',
+};
+
+/**
+ * Allocate an amount to installments, oldest outstanding first
+ * Any penalty on an installment is paid before the installment itself
+ * When `emiIndex` is given, that installment is settled before the others
+ * Returns the updated EMIs and penalties, the allocations made and any
+ * unallocated excess
+ */
+export const allocatePayment = (
+  emis,
+  amount,
+  paymentDate,
+  emiIndex = null,
+  penalties = []
+) => {
+  const updatedEMIs = emis.map((emi) => ({ ...emi }));
+  const updatedPenalties = penalties.map((penalty) => ({ ...penalty }));
+  const allocations = [];
+  let remainingMinor = toMinorUnits(amount);
+
+  const order = updatedEMIs.map((_, index) => index);
+  if (emiIndex !== null) {
+    order.splice(order.indexOf(emiIndex), 1);
+    order.unshift(emiIndex);
+  }
+
+  for (const index of order) {
+    if (remainingMinor <= 0) break;
+
+    const penalty = updatedPenalties.find((p) => p.emiIndex === index);
+    const penaltyDueMinor = penalty
+      ? toMinorUnits(getPenaltyOutstanding(penalty))
+      : 0;
+
+    if (penaltyDueMinor > 0) {
+      const allocatedMinor = Math.min(penaltyDueMinor, remainingMinor);
+      penalty.paidAmount = fromMinorUnits(
+        toMinorUnits(penalty.paidAmount || 0) + allocatedMinor
+      );
+
+      allocations.push({
+        emiIndex: index,
+        penaltyId: penalty.id,
+        amount: fromMinorUnits(allocatedMinor),
+      });
+      remainingMinor -= allocatedMinor;
+      if (remainingMinor <= 0) break;
+    }
+
+    const emi = updatedEMIs[index];
+    const outstandingMinor = toMinorUnits(getEMIOutstanding(emi));
+    if (outstandingMinor <= 0) continue;
+
+    const allocatedMinor = Math.min(outstandingMinor, remainingMinor);
+    const paidAmount = fromMinorUnits(
+      toMinorUnits(getEMIPaidAmount(emi)) + allocatedMinor
+    );
+    const fullyPaid = allocatedMinor === outstandingMinor;
+
+    updatedEMIs[index] = {
+      ...emi,
+      paidAmount,
+      paid: fullyPaid,
+      paidDate: fullyPaid ? paymentDate : null,
+    };
+
+    allocations.push({
+      emiIndex: index,
+      amount: fromMinorUnits(allocatedMinor),
+    });
+    remainingMinor -= allocatedMinor;
+  }
+
+  return {
+    emis: updatedEMIs,
+    penalties: updatedPenalties,
+    allocations,
+    unallocated: fromMinorUnits(remainingMinor),
+  };
+};
+
+/**
+ * Record a payment against a loan
+ * Returns the updated `emis`, `penalties` and `payments` to persist along
+ * with the new entry
+ * Throws if the amount is invalid or more than what is still due
+ */
+export const applyPayment = (loan, paymentData, emiIndex = null) => {
+  const amount = roundMoney(parseFloat(paymentData.amount));
+  if (!amount || amount <= 0) {
+    throw new Error('Please enter a valid payment amount');
+  }
+
+  const date = paymentData.date || today().toISOString();
+  const { emis, penalties, allocations, unallocated } = allocatePayment(
+    loan.emis,
+    amount,
+    date,
+    emiIndex,
+    loan.penalties || []
+  );
+
+  if (unallocated > 0) {
+    throw new Error('Payment exceeds the outstanding amount');
+  }
+
+  const payment = {
+    id: generateId('payment'),
+    type: PAYMENT_TYPES.INSTALLMENT,
+    amount,
+    date,
+    method: paymentData.method || PAYMENT_METHODS.CASH,
+    note: paymentData.note || '',
+    allocations,
+    recordedAt: new Date().toISOString(),
+  };
+
+  return {
+    emis,
+    penalties,
+    payments: [...(loan.payments || []), payment],
+    payment,
+  };
+};
+
+/**
+ * Point penalties and payment allocations at the same installments after a
+ * row is inserted into the schedule at `insertedIndex`
+ */
+const shiftEmiIndexes = (loan, insertedIndex) => {
+  const shift = (emiIndex) =>
+    typeof emiIndex === 'number' && emiIndex >= insertedIndex
+      ? emiIndex + 1
+      : emiIndex;
+
+  return {
+    penalties: (loan.penalties || []).map((penalty) => ({
+      ...penalty,
+      emiIndex: shift(penalty.emiIndex),
+    })),
+    payments: (loan.payments || []).map((payment) => ({
+      ...payment,
+      allocations: (payment.allocations || []).map((allocation) => ({
+        ...allocation,
+        emiIndex: shift(allocation.emiIndex),
+      })),
+    })),
+  };
+};
+
+/**
+ * Record a prepayment of extra principal
+ * The installments due after the payment date are regenerated according to
+ * `mode` (see PREPAYMENT_MODES), earlier ones and those that already
+ * received money stay as they are
+ * `calendar` is the business day calendar for the regenerated due dates
+ * Returns the updated `emis`, `penalties` and `payments` to persist along
+ * with the new entry
+ */
+export const applyPrepayment = (
+  loan,
+  paymentData,
+  mode = PREPAYMENT_MODES.REDUCE_EMI,
+  calendar
+) => {
+  const amount = roundMoney(parseFloat(paymentData.amount));
+  if (!amount || amount <= 0) {
+    throw new Error('Please enter a valid payment amount');
+  }
+
+  const date = paymentData.date || today().toISOString();
+  const { emis, prepaymentIndex } = applyPrepaymentToSchedule(
+    loan,
+    amount,
+    date,
+    mode,
+    calendar
+  );
+
+  const { penalties, payments } = shiftEmiIndexes(loan, prepaymentIndex);
+
+  const payment = {
+    id: generateId('payment'),
+    type: PAYMENT_TYPES.PREPAYMENT,
+    prepaymentMode: mode,
+    amount,
+    date,
+    method: paymentData.method || PAYMENT_METHODS.CASH,
+    note: paymentData.note || '',
+    allocations: [{ emiIndex: prepaymentIndex, amount }],
+    recordedAt: new Date().toISOString(),
+  };
+
+  return {
+    emis,
+    penalties,
+    payments: [...payments, payment],
+    payment,
+  };
+};
+
+// Take the waived part of a settlement back off what it allocated: first
+// the foreclosure fee, then the latest EMIs and penalties it settled
+// Updates `emis` and `penalties` in place and returns the allocations left
+const applyWaiver = (emis, penalties, allocations, waivedAmount, fee, date) => {
+  let remainingMinor = Math.max(
+    0,
+    toMinorUnits(waivedAmount) - toMinorUnits(fee)
+  );
+  const updatedAllocations = [...allocations];
+
+  for (let i = updatedAllocations.length - 1; i >= 0; i--) {
+    if (remainingMinor <= 0) break;
+
+    const allocation = updatedAllocations[i];
+    const allocatedMinor = toMinorUnits(allocation.amount);
+    const waivedMinor = Math.min(remainingMinor, allocatedMinor);
+    const waived = fromMinorUnits(waivedMinor);
+    remainingMinor -= waivedMinor;
+
+    updatedAllocations[i] = {
+      ...allocation,
+      amount: fromMinorUnits(allocatedMinor - waivedMinor),
+    };
+
+    if (allocation.penaltyId) {
+      const index = penalties.findIndex((p) => p.id === allocation.penaltyId);
+      const penalty = penalties[index];
+      penalties[index] = {
+        ...penalty,
+        paidAmount: sumMoney([penalty.paidAmount || 0, -waived]),
+        waived: true,
+        waivedAmount: sumMoney([penalty.waivedAmount || 0, waived]),
+        waivedReason: penalty.waivedReason || 'Waived at settlement',
+        waivedAt: penalty.waivedAt || date,
+      };
+    } else {
+      const emi = emis[allocation.emiIndex];
+      emis[allocation.emiIndex] = {
+        ...emi,
+        paidAmount: sumMoney([getEMIPaidAmount(emi), -waived]),
+        waivedAmount: sumMoney([getEMIWaivedAmount(emi), waived]),
+      };
+    }
+  }
+
+  return updatedAllocations.filter((allocation) => allocation.amount > 0);
+};
+
+/**
+ * Record the settlement that closes a loan early
+ * `quote` comes from calculatePayoffQuote, its total less any
+ * `paymentData.waivedAmount` is the amount received
+ * Returns the updated `emis`, `penalties` and `payments` to persist along
+ * with the new entry
+ */
+export const applySettlement = (loan, quote, paymentData = {}) => {
+  const date = quote.payoffDate;
+  const waivedAmount = Math.min(
+    roundMoney(paymentData.waivedAmount || 0),
+    quote.total
+  );
+
+  // Overdue EMIs and late penalties are settled like any other payment
+  const { emis, penalties, allocations } = allocatePayment(
+    loan.emis,
+    sumMoney([quote.overdueAmount, quote.penaltyDue]),
+    date,
+    null,
+    accruePenalties(loan, date)
+  );
+
+  // EMIs not yet due are closed with their principal, the running one also
+  // with the interest accrued on it
+  quote.settledIndexes.forEach((index) => {
+    const emi = emis[index];
+    const accrued = index === quote.accruedIndex ? quote.accruedInterest : 0;
+    const amount = sumMoney([getEMIPrincipalOutstanding(emi), accrued]);
+    const interest = sumMoney([getEMIInterestPaid(emi), accrued]);
+
+    emis[index] = {
+      ...emi,
+      emi: sumMoney([emi.principal, interest]),
+      interest,
+      balance: 0,
+      paid: true,
+      paidDate: date,
+      paidAmount: sumMoney([emi.principal, interest]),
+      settled: true,
+    };
+
+    if (amount > 0) {
+      allocations.push({ emiIndex: index, amount });
+    }
+  });
+
+  const payment = {
+    id: generateId('payment'),
+    type: PAYMENT_TYPES.SETTLEMENT,
+    amount: sumMoney([quote.total, -waivedAmount]),
+    date,
+    method: paymentData.method || PAYMENT_METHODS.CASH,
+    note: paymentData.note || '',
+    allocations: applyWaiver(
+      emis,
+      penalties,
+      allocations,
+      waivedAmount,
+      quote.foreclosureFee,
+      date
+    ),
+    foreclosureFee: quote.foreclosureFee,
+    recordedAt: new Date().toISOString(),
+  };
+
+  if (waivedAmount > 0) {
+    payment.waivedAmount = waivedAmount;
+  }
+
+  return {
+    emis,
+    penalties,
+    payments: [...(loan.payments || []), payment],
+    payment,
+  };
+};
+
+/**
+ * Payments sorted newest first for display
+ */
+export const getPaymentHistory = (loan) =>
+  [...(loan.payments || [])].sort(
+    (a, b) => new Date(b.date) - new Date(a.date)
+  );
+
+export default {
+  PAYMENT_METHODS,
+  PAYMENT_METHOD_LABELS,
+  PAYMENT_TYPES,
+  allocatePayment,
+  applyPayment,
+  applyPrepayment,
+  applySettlement,
+  getPaymentHistory,
+};
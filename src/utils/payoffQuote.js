@@ -0,0 +1,159 @@
+/**
+ * Payoff quote utilities
+ * Works out how much closes a loan on a given date:
+ * - overdue EMIs (and their late penalties) in full
+ * - the principal of every EMI not yet due
+ * - interest on the running installment, accrued day by day up to the date
+ * - an optional foreclosure fee on the principal still owed
+ * Interest scheduled for later installments is not charged
+ */
+
+import {
+  getEMIOutstanding,
+  getEMIInterestPaid,
+  getEMIPrincipalOutstanding,
+  isInstallment,
+  roundMoney,
+  sumMoney,
+} from './loanCalculations';
+import { accruePenalties, calculatePenaltyDue } from './latePenalties';
+import { getOutstandingPrincipal } from './loanReturns';
+import { daysBetween, today, toCalendarDate } from './dateUtils';
+
+/**
+ * Foreclosure fee charged on top of the payoff amount
+ * NONE: no fee
+ * PERCENT: a percentage of the principal still owed
+ * FIXED: a fixed amount
+ */
+export const FORECLOSURE_FEE_TYPES = {
+  NONE: 'none',
+  PERCENT: 'percent',
+  FIXED: 'fixed',
+};
+
+export const FORECLOSURE_FEE_TYPE_LABELS = {
+  [FORECLOSURE_FEE_TYPES.NONE]: 'None',
+  [FORECLOSURE_FEE_TYPES.PERCENT]: '% of Principal',
+  [FORECLOSURE_FEE_TYPES.FIXED]: 'Fixed',
+};
+
+/**
+ * Foreclosure fee for a fee rule { type, value }
+ */
+export const calculateForeclosureFee = (principal, fee = {}) => {
+  if (fee.type === FORECLOSURE_FEE_TYPES.PERCENT) {
+    return roundMoney((principal * (fee.value || 0)) / 100);
+  }
+
+  if (fee.type === FORECLOSURE_FEE_TYPES.FIXED) {
+    return roundMoney(fee.value || 0);
+  }
+
+  return 0;
+};
+
+/**
+ * Share of an installment's interest earned by `date`, counted in days from
+ * the previous due date (or the loan start for the first installment)
+ */
+const getAccruedShare = (loan, index, date) => {
+  const previous = loan.emis.slice(0, index).filter(isInstallment).pop();
+  const periodStart = previous
+    ? previous.dueDate
+    : loan.startDate || loan.createdAt;
+  const periodDays = daysBetween(periodStart, loan.emis[index].dueDate);
+
+  if (periodDays <= 0) return 1;
+
+  return Math.min(1, Math.max(0, daysBetween(periodStart, date) / periodDays));
+};
+
+/**
+ * Quote the amount that closes a loan on `payoffDate`
+ * `foreclosureFee` is a fee rule { type, value } (see FORECLOSURE_FEE_TYPES)
+ * Returns {
+ *   payoffDate, overdueAmount, principalOutstanding, accruedInterest,
+ *   penaltyDue, foreclosureFee, total, settledIndexes, accruedIndex
+ * }
+ * Throws if the date is before the loan started or nothing is left to pay
+ */
+export const calculatePayoffQuote = (
+  loan,
+  payoffDate = today(),
+  foreclosureFee = { type: FORECLOSURE_FEE_TYPES.NONE }
+) => {
+  const date = toCalendarDate(payoffDate);
+  const start = loan.startDate || loan.createdAt;
+
+  if (start && daysBetween(start, date) < 0) {
+    throw new Error('Payoff date cannot be before the loan started');
+  }
+
+  const unpaid = loan.emis
+    .map((emi, index) => ({ emi, index }))
+    .filter(({ emi }) => isInstallment(emi) && getEMIOutstanding(emi) > 0);
+  const penaltyDue = calculatePenaltyDue(accruePenalties(loan, date));
+
+  if (unpaid.length === 0 && penaltyDue === 0) {
+    throw new Error('This loan has nothing left to pay');
+  }
+
+  // EMIs due by the payoff date are owed in full
+  const overdue = unpaid.filter(
+    ({ emi }) => daysBetween(emi.dueDate, date) >= 0
+  );
+  const upcoming = unpaid.filter(
+    ({ emi }) => daysBetween(emi.dueDate, date) < 0
+  );
+
+  // Of the EMIs not yet due only the running one has earned any interest
+  const running = upcoming[0];
+  const accruedInterest = running
+    ? Math.max(
+        0,
+        sumMoney([
+          roundMoney(
+            running.emi.interest * getAccruedShare(loan, running.index, date)
+          ),
+          -getEMIInterestPaid(running.emi),
+        ])
+      )
+    : 0;
+
+  const overdueAmount = sumMoney(
+    overdue.map(({ emi }) => getEMIOutstanding(emi))
+  );
+  const principalOutstanding = sumMoney(
+    upcoming.map(({ emi }) => getEMIPrincipalOutstanding(emi))
+  );
+  const fee = calculateForeclosureFee(
+    getOutstandingPrincipal(loan.emis),
+    foreclosureFee
+  );
+
+  return {
+    payoffDate: date.toISOString(),
+    overdueAmount,
+    principalOutstanding,
+    accruedInterest,
+    penaltyDue,
+    foreclosureFee: fee,
+    total: sumMoney([
+      overdueAmount,
+      principalOutstanding,
+      accruedInterest,
+      penaltyDue,
+      fee,
+    ]),
+    settledIndexes: upcoming.map(({ index }) => index),
+    accruedIndex: running ? running.index : null,
+  };
+};
+
+export default {
+  FORECLOSURE_FEE_TYPES,
+  FORECLOSURE_FEE_TYPE_LABELS,
+  calculateForeclosureFee,
+  calculatePayoffQuote,
+};
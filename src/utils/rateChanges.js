@@ -0,0 +1,136 @@
+/**
+ * Interest rate change utilities
+ * Records renegotiated rates and regenerates the unpaid installments
+ *
+ * Each loan keeps a `rateHistory` array, oldest first:
+ * {
+ *   id,
+ *   annualInterestRate,
+ *   effectiveDate,  // first due date the rate applies to
+ *   note,
+ *   recordedAt
+ * }
+ * The first entry is the rate the loan was created with and
+ * `annualInterestRate` on the loan is always the latest rate
+ */
+
+import {
+  REPAYMENT_TYPES,
+  getEMIPaidAmount,
+  getFlatInterestBase,
+  getScheduleOptions,
+  isInstallment,
+  reamortizeSchedule,
+  sumMoney,
+} from './loanCalculations';
+import { daysBetween, toCalendarDate } from './dateUtils';
+import { generateId } from './ids';
+
+/**
+ * Rate history entry for the rate a loan starts with
+ */
+export const createInitialRateEntry = (annualInterestRate, effectiveDate) => ({
+  id: generateId('rate'),
+  annualInterestRate,
+  effectiveDate,
+  note: '',
+  recordedAt: new Date().toISOString(),
+});
+
+/**
+ * Rate history of a loan
+ * Older loans have none and start from the rate they were created with
+ */
+export const getRateHistory = (loan) => {
+  if (loan.rateHistory && loan.rateHistory.length > 0) {
+    return loan.rateHistory;
+  }
+
+  return [
+    {
+      id: 'initial',
+      annualInterestRate: loan.annualInterestRate,
+      effectiveDate: loan.startDate || loan.createdAt,
+      note: '',
+    },
+  ];
+};
+
+/**
+ * Change a loan's interest rate from `effectiveDate`
+ * Unpaid installments due on or after the effective date are regenerated at
+ * the new rate over the same number of installments, rows that already
+ * received money keep the rate they were charged at
+ * Returns the loan fields to save: { emis, annualInterestRate, rateHistory }
+ */
+export const applyRateChange = (
+  loan,
+  { annualInterestRate, effectiveDate, note = '' },
+  calendar
+) => {
+  if (!(annualInterestRate >= 0)) {
+    throw new Error('Please enter a valid interest rate');
+  }
+
+  if (annualInterestRate === loan.annualInterestRate) {
+    throw new Error('The new rate is the same as the current rate');
+  }
+
+  const options = getScheduleOptions(loan);
+  if (options.repaymentType === REPAYMENT_TYPES.BULLET) {
+    throw new Error('Rate changes are not available for bullet loans');
+  }
+
+  const { emis } = loan;
+  const effective = toCalendarDate(effectiveDate);
+
+  // Start after the last row that has received money, at the first
+  // installment due on or after the effective date
+  let fromIndex = 0;
+  emis.forEach((emi, index) => {
+    if (getEMIPaidAmount(emi) > 0) fromIndex = index + 1;
+  });
+
+  while (
+    fromIndex < emis.length &&
+    (!isInstallment(emis[fromIndex]) ||
+      daysBetween(effective, emis[fromIndex].dueDate) < 0)
+  ) {
+    fromIndex++;
+  }
+
+  if (fromIndex >= emis.length) {
+    throw new Error(
+      'No unpaid installments fall due on or after the effective date'
+    );
+  }
+
+  // Opening balance of the first regenerated installment
+  const firstReplaced = emis[fromIndex];
+  const principal = sumMoney([firstReplaced.balance, firstReplaced.principal]);
+
+  return {
+    emis: reamortizeSchedule(emis, fromIndex, principal, annualInterestRate, {
+      ...options,
+      calendar,
+      flatInterestBase: getFlatInterestBase(loan),
+    }),
+    annualInterestRate,
+    rateHistory: [
+      ...getRateHistory(loan),
+      {
+        id: generateId('rate'),
+        annualInterestRate,
+        effectiveDate: effective.toISOString(),
+        note: note.trim(),
+        recordedAt: new Date().toISOString(),
+      },
+    ],
+  };
+};
+
+export default {
+  createInitialRateEntry,
+  getRateHistory,
+  applyRateChange,
+};
@@ -0,0 +1,128 @@
+/**
+ * Interest rate conventions
+ * Loans always store `annualInterestRate` (% per year, nominal), but people
+ * quote rates in different ways. `rateConvention` on the loan remembers how
+ * the lender entered the rate so it is shown back the same way
+ *
+ * MONTHLY: % per month, 1.5 is 18% a year
+ * ANNUAL: % per year
+ * PER_HUNDRED: money per hundred lent per month, "₹2 per ₹100" is 24% a year
+ */
+
+import { getCurrencySymbol } from './currencies';
+
+export const RATE_CONVENTIONS = {
+  MONTHLY: 'monthly',
+  ANNUAL: 'annual',
+  PER_HUNDRED: 'perHundred',
+};
+
+export const RATE_CONVENTION_LABELS = {
+  [RATE_CONVENTIONS.MONTHLY]: '% Monthly',
+  [RATE_CONVENTIONS.ANNUAL]: '% Yearly',
+  [RATE_CONVENTIONS.PER_HUNDRED]: 'Per Hundred',
+};
+
+export const RATE_CONVENTION_OPTIONS = Object.values(RATE_CONVENTIONS).map(
+  (convention) => ({
+    label: RATE_CONVENTION_LABELS[convention],
+    value: convention,
+  })
+);
+
+// Rates are shown to at most 2 decimal places, without trailing zeros
+const roundRate = (rate) => Math.round(rate * 100) / 100;
+
+/**
+ * Convention a loan's rate is shown in
+ * Loans created before conventions existed were entered per month
+ */
+export const getRateConvention = (loan) =>
+  (loan && loan.rateConvention) || RATE_CONVENTIONS.MONTHLY;
+
+/**
+ * Nominal annual rate (%) for a rate entered in `convention`
+ */
+export const toAnnualRate = (rate, convention = RATE_CONVENTIONS.MONTHLY) =>
+  convention === RATE_CONVENTIONS.ANNUAL ? rate : rate * 12;
+
+/**
+ * Rate in `convention` for a nominal annual rate (%)
+ */
+export const fromAnnualRate = (
+  annualRate,
+  convention = RATE_CONVENTIONS.MONTHLY
+) => (convention === RATE_CONVENTIONS.ANNUAL ? annualRate : annualRate / 12);
+
+/**
+ * Label for a rate input in `convention`,
+ * e.g. "Interest Rate (₹ per ₹100 per month)"
+ */
+export const getRateInputLabel = (convention, currency, prefix = 'Interest') => {
+  const symbol = getCurrencySymbol(currency);
+
+  switch (convention) {
+    case RATE_CONVENTIONS.ANNUAL:
+      return `${prefix} Rate (% per year)`;
+    case RATE_CONVENTIONS.PER_HUNDRED:
+      return `${prefix} (${symbol} per ${symbol}100 per month)`;
+    default:
+      return `${prefix} Rate (% per month)`;
+  }
+};
+
+/**
+ * Format a nominal annual rate for display in `convention`,
+ * e.g. "1.5% per month", "18% per year" or "₹1.5 per ₹100 per month"
+ */
+export const formatRate = (
+  annualRate,
+  convention = RATE_CONVENTIONS.MONTHLY,
+  currency
+) => {
+  const rate = roundRate(fromAnnualRate(annualRate, convention));
+  const symbol = getCurrencySymbol(currency);
+
+  switch (convention) {
+    case RATE_CONVENTIONS.ANNUAL:
+      return `${rate}% per year`;
+    case RATE_CONVENTIONS.PER_HUNDRED:
+      return `${symbol}${rate} per ${symbol}100 per month`;
+    default:
+      return `${rate}% per month`;
+  }
+};
+
+/**
+ * Short form of formatRate for tight spaces,
+ * e.g. "1.5% /mo", "18% /yr" or "₹1.5/₹100 /mo"
+ */
+export const formatRateShort = (
+  annualRate,
+  convention = RATE_CONVENTIONS.MONTHLY,
+  currency
+) => {
+  const rate = roundRate(fromAnnualRate(annualRate, convention));
+  const symbol = getCurrencySymbol(currency);
+
+  switch (convention) {
+    case RATE_CONVENTIONS.ANNUAL:
+      return `${rate}% /yr`;
+    case RATE_CONVENTIONS.PER_HUNDRED:
+      return `${symbol}${rate}/${symbol}100 /mo`;
+    default:
+      return `${rate}% /mo`;
+  }
+};
+
+export default {
+  RATE_CONVENTIONS,
+  RATE_CONVENTION_LABELS,
+  RATE_CONVENTION_OPTIONS,
+  getRateConvention,
+  toAnnualRate,
+  fromAnnualRate,
+  getRateInputLabel,
+  formatRate,
+  formatRateShort,
+};
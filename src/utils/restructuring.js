@@ -0,0 +1,168 @@
+/**
+ * Loan restructuring utilities
+ * Renegotiates a loan that is in trouble without losing its history:
+ * the current schedule is closed at its outstanding balance and that balance
+ * is carried into a new loan with new terms, linked to the old one
+ *
+ * The closed loan keeps its schedule and gets a `restructure` record:
+ * { date, balance, amount, waivedAmount, note, paymentId, intoLoanId }
+ * and the new loan points back with `restructuredFrom`:
+ * { loanId, date, balance }
+ * A balance carried over is recorded on the closed loan as a RESTRUCTURE
+ * payment, no money changes hands
+ */
+
+import {
+  MORATORIUM_INTEREST,
+  generateAmortizationSchedule,
+  getScheduleOptions,
+  roundMoney,
+  sumMoney,
+} from './loanCalculations';
+import { PAYMENT_TYPES, applySettlement } from './paymentLedger';
+import { calculatePayoffQuote } from './payoffQuote';
+import { createInitialRateEntry } from './rateChanges';
+import {
+  LOAN_STATUSES,
+  createInitialStatusEntry,
+  transitionLoanStatus,
+} from './loanStatus';
+import { getLoanCurrency } from './currencies';
+import { getRateConvention } from './rateConventions';
+import { daysBetween, today, toCalendarDate } from './dateUtils';
+
+/**
+ * Whether a loan has been restructured into another one
+ */
+export const isRestructured = (loan) =>
+  loan.status === LOAN_STATUSES.RESTRUCTURED;
+
+/**
+ * Money a loan lent afresh: a loan restructured from another only counts
+ * what it adds on top of the balance carried into it, which the closed loan
+ * already counts
+ */
+export const getFreshAmount = (loan) =>
+  loan.restructuredFrom
+    ? Math.max(0, sumMoney([loan.amount || 0, -loan.restructuredFrom.balance]))
+    : loan.amount || 0;
+
+/**
+ * Restructure a loan on `terms.date` into a new loan of `terms.amount` at
+ * `terms.annualInterestRate` over `terms.duration` installments
+ * The amount defaults to the outstanding balance, a smaller amount waives the
+ * difference and a larger one lends the difference afresh
+ * Returns {
+ *   quote,
+ *   closedLoan,  // fields to save on the current loan, less `intoLoanId`
+ *   newLoan      // data for the new loan, less its id
+ * }
+ */
+export const applyRestructure = (loan, terms, calendar) => {
+  const date = toCalendarDate(terms.date || today());
+
+  if (daysBetween(today(), date) > 0) {
+    throw new Error('A loan can only be restructured on or before today');
+  }
+
+  const quote = calculatePayoffQuote(loan, date);
+  const amount = roundMoney(terms.amount ?? quote.total);
+  const duration = parseInt(terms.duration);
+
+  if (!(amount > 0)) {
+    throw new Error('Please enter a valid amount');
+  }
+
+  if (!(terms.annualInterestRate >= 0)) {
+    throw new Error('Please enter a valid interest rate');
+  }
+
+  if (!(duration > 0)) {
+    throw new Error('Please enter a valid duration');
+  }
+
+  const note = (terms.note || '').trim();
+  const carried = Math.min(amount, quote.total);
+  const waivedAmount = sumMoney([quote.total, -carried]);
+
+  // The balance closes the current schedule like a settlement, but is
+  // carried into the new loan rather than received, and what is not
+  // carried is waived
+  const settlement = applySettlement(loan, quote, { note, waivedAmount });
+  const payment = {
+    ...settlement.payment,
+    type: PAYMENT_TYPES.RESTRUCTURE,
+    method: null,
+  };
+
+  // The new loan keeps the frequency, method and due day rules, and
+  // starts repaying straight away at a level EMI
+  const scheduleOptions = {
+    ...getScheduleOptions(loan),
+    moratoriumMonths: 0,
+    moratoriumInterest: MORATORIUM_INTEREST.WAIVED,
+    stepPercent: 0,
+  };
+  const startDate = date.toISOString();
+
+  return {
+    quote,
+    closedLoan: {
+      emis: settlement.emis,
+      penalties: settlement.penalties,
+      payments: [...(loan.payments || []), payment],
+      restructure: {
+        date: startDate,
+        balance: quote.total,
+        amount,
+        waivedAmount,
+        note,
+        paymentId: payment.id,
+      },
+      ...transitionLoanStatus(loan, LOAN_STATUSES.RESTRUCTURED, note),
+    },
+    newLoan: {
+      borrowerId: loan.borrowerId,
+      borrowerName: loan.borrowerName,
+      borrowerEmail: loan.borrowerEmail,
+      borrowerPhone: loan.borrowerPhone,
+      lenderId: loan.lenderId,
+      lenderName: loan.lenderName,
+      currency: getLoanCurrency(loan),
+      rateConvention: getRateConvention(loan),
+      ...scheduleOptions,
+      amount,
+      duration,
+      annualInterestRate: terms.annualInterestRate,
+      startDate,
+      firstDueDate: null,
+      penaltyRule: loan.penaltyRule,
+      rateHistory: [
+        createInitialRateEntry(terms.annualInterestRate, startDate),
+      ],
+      emis: generateAmortizationSchedule(
+        amount,
+        terms.annualInterestRate,
+        duration,
+        date,
+        { ...scheduleOptions, calendar }
+      ),
+      payments: [],
+      penalties: [],
+      status: LOAN_STATUSES.ACTIVE,
+      statusHistory: [createInitialStatusEntry(LOAN_STATUSES.ACTIVE)],
+      restructuredFrom: {
+        loanId: loan.id,
+        date: startDate,
+        balance: quote.total,
+      },
+      createdAt: new Date().toISOString(),
+    },
+  };
+};
+
+export default {
+  isRestructured,
+  getFreshAmount,
+  applyRestructure,
+};
@@ -0,0 +1,306 @@
+/**
+ * SHA-256, HMAC-SHA256 and PBKDF2-HMAC-SHA256 in plain JavaScript
+ * Hermes has no Web Crypto, and keys have to be derived the same way on
+ * every device the app runs on
+ *
+ * Bytes are Uint8Arrays, use utf8Encode and toHex/fromHex to convert
+ */
+
+const K = new Uint32Array([
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1,
+  0x923f82a4, 0xab1c5ed5, 0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+  0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174, 0xe49b69c1, 0xefbe4786,
+  0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147,
+  0x06ca6351, 0x14292967, 0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+  0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85, 0xa2bfe8a1, 0xa81a664b,
+  0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a,
+  0x5b9cca4f, 0x682e6ff3, 0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+  0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+]);
+
+const INITIAL_STATE = [
+  0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c,
+  0x1f83d9ab, 0x5be0cd19,
+];
+
+const BLOCK_SIZE = 64;
+const DIGEST_SIZE = 32;
+
+// Message schedule, reused by every block
+const W = new Int32Array(64);
+
+// Mix one 64 byte block, starting at `offset`, into `state`
+const compress = (state, block, offset) => {
+  for (let i = 0; i < 16; i++) {
+    const j = offset + i * 4;
+    W[i] =
+      (block[j] << 24) | (block[j + 1] << 16) | (block[j + 2] << 8) |
+      block[j + 3];
+  }
+
+  for (let i = 16; i < 64; i++) {
+    const w15 = W[i - 15];
+    const w2 = W[i - 2];
+    const s0 =
+      ((w15 >>> 7) | (w15 << 25)) ^ ((w15 >>> 18) | (w15 << 14)) ^ (w15 >>> 3);
+    const s1 =
+      ((w2 >>> 17) | (w2 << 15)) ^ ((w2 >>> 19) | (w2 << 13)) ^ (w2 >>> 10);
+    W[i] = (W[i - 16] + s0 + W[i - 7] + s1) | 0;
+  }
+
+  let a = state[0];
+  let b = state[1];
+  let c = state[2];
+  let d = state[3];
+  let e = state[4];
+  let f = state[5];
+  let g = state[6];
+  let h = state[7];
+
+  for (let i = 0; i < 64; i++) {
+    const S1 =
+      ((e >>> 6) | (e << 26)) ^ ((e >>> 11) | (e << 21)) ^
+      ((e >>> 25) | (e << 7));
+    const ch = (e & f) ^ (~e & g);
+    const t1 = (h + S1 + ch + K[i] + W[i]) | 0;
+    const S0 =
+      ((a >>> 2) | (a << 30)) ^ ((a >>> 13) | (a << 19)) ^
+      ((a >>> 22) | (a << 10));
+    const maj = (a & b) ^ (a & c) ^ (b & c);
+    const t2 = (S0 + maj) | 0;
+
+    h = g;
+    g = f;
+    f = e;
+    e = (d + t1) | 0;
+    d = c;
+    c = b;
+    b = a;
+    a = (t1 + t2) | 0;
+  }
+
+  state[0] = (state[0] + a) | 0;
+  state[1] = (state[1] + b) | 0;
+  state[2] = (state[2] + c) | 0;
+  state[3] = (state[3] + d) | 0;
+  state[4] = (state[4] + e) | 0;
+  state[5] = (state[5] + f) | 0;
+  state[6] = (state[6] + g) | 0;
+  state[7] = (state[7] + h) | 0;
+};
+
+// Write the state out as a big-endian digest
+const stateToBytes = (state, out = new Uint8Array(DIGEST_SIZE)) => {
+  for (let i = 0; i < 8; i++) {
+    out[i * 4] = state[i] >>> 24;
+    out[i * 4 + 1] = state[i] >>> 16;
+    out[i * 4 + 2] = state[i] >>> 8;
+    out[i * 4 + 3] = state[i];
+  }
+  return out;
+};
+
+// Hash `bytes` on top of a state that has already absorbed `prefixLength`
+// bytes, a whole number of blocks
+const finish = (state, bytes, prefixLength = 0) => {
+  const totalLength = prefixLength + bytes.length;
+  const paddedLength =
+    Math.ceil((bytes.length + 9) / BLOCK_SIZE) * BLOCK_SIZE;
+  const padded = new Uint8Array(paddedLength);
+
+  padded.set(bytes);
+  padded[bytes.length] = 0x80;
+
+  // Length in bits, messages stay well under 2^32 bytes
+  const bitLength = totalLength * 8;
+  padded[paddedLength - 5] = Math.floor(bitLength / 0x100000000);
+  padded[paddedLength - 4] = bitLength >>> 24;
+  padded[paddedLength - 3] = bitLength >>> 16;
+  padded[paddedLength - 2] = bitLength >>> 8;
+  padded[paddedLength - 1] = bitLength;
+
+  for (let offset = 0; offset < paddedLength; offset += BLOCK_SIZE) {
+    compress(state, padded, offset);
+  }
+
+  return stateToBytes(state);
+};
+
+/**
+ * SHA-256 digest of `bytes`
+ */
+export const sha256 = (bytes) => finish(Int32Array.from(INITIAL_STATE), bytes);
+
+// States after the inner and outer padded keys, shared by every HMAC
+// computed with the same key
+const createHmacStates = (key) => {
+  const block = new Uint8Array(BLOCK_SIZE);
+  block.set(key.length > BLOCK_SIZE ? sha256(key) : key);
+
+  const inner = Int32Array.from(INITIAL_STATE);
+  const outer = Int32Array.from(INITIAL_STATE);
+  const innerPad = block.map((byte) => byte ^ 0x36);
+  const outerPad = block.map((byte) => byte ^ 0x5c);
+
+  compress(inner, innerPad, 0);
+  compress(outer, outerPad, 0);
+
+  return { inner, outer };
+};
+
+const hmacWithStates = ({ inner, outer }, message) => {
+  const innerDigest = finish(Int32Array.from(inner), message, BLOCK_SIZE);
+  return finish(Int32Array.from(outer), innerDigest, BLOCK_SIZE);
+};
+
+/**
+ * HMAC-SHA256 of `message` under `key`
+ */
+export const hmacSha256 = (key, message) =>
+  hmacWithStates(createHmacStates(key), message);
+
+/**
+ * HMAC-SHA256 function for one key, faster than hmacSha256 when the same
+ * key signs many messages
+ */
+export const createHmacSha256 = (key) => {
+  const states = createHmacStates(key);
+  return (message) => hmacWithStates(states, message);
+};
+
+/**
+ * PBKDF2 with HMAC-SHA256 (RFC 8018)
+ * Deliberately slow, each iteration is two SHA-256 blocks
+ */
+export const pbkdf2Sha256 = (password, salt, iterations, length) => {
+  const states = createHmacStates(password);
+  const output = new Uint8Array(length);
+  const blocks = Math.ceil(length / DIGEST_SIZE);
+
+  // Every iteration after the first hashes a 32 byte digest, which pads to
+  // exactly one block, so the blocks are built once and refilled in place
+  const innerBlock = new Uint8Array(BLOCK_SIZE);
+  const outerBlock = new Uint8Array(BLOCK_SIZE);
+  [innerBlock, outerBlock].forEach((block) => {
+    block[DIGEST_SIZE] = 0x80;
+    block[BLOCK_SIZE - 2] = 0x03; // (64 + 32) * 8 = 768 bits
+  });
+  const state = new Int32Array(8);
+
+  for (let index = 1; index <= blocks; index++) {
+    const saltBlock = new Uint8Array(salt.length + 4);
+    saltBlock.set(salt);
+    saltBlock[salt.length] = index >>> 24;
+    saltBlock[salt.length + 1] = index >>> 16;
+    saltBlock[salt.length + 2] = index >>> 8;
+    saltBlock[salt.length + 3] = index;
+
+    const u = hmacWithStates(states, saltBlock);
+    const t = u.slice();
+
+    for (let i = 1; i < iterations; i++) {
+      state.set(states.inner);
+      innerBlock.set(u);
+      compress(state, innerBlock, 0);
+      stateToBytes(state, outerBlock);
+
+      state.set(states.outer);
+      compress(state, outerBlock, 0);
+      stateToBytes(state, u);
+
+      for (let j = 0; j < DIGEST_SIZE; j++) {
+        t[j] ^= u[j];
+      }
+    }
+
+    const start = (index - 1) * DIGEST_SIZE;
+    output.set(t.subarray(0, Math.min(DIGEST_SIZE, length - start)), start);
+  }
+
+  return output;
+};
+
+/**
+ * UTF-8 bytes of a string
+ */
+export const utf8Encode = (string) => new TextEncoder().encode(string);
+
+/**
+ * String from UTF-8 bytes
+ * Written out by hand, TextDecoder is not available on every Hermes version
+ */
+export const utf8Decode = (bytes) => {
+  const chunks = [];
+  let codes = [];
+
+  for (let i = 0; i < bytes.length; ) {
+    const byte = bytes[i];
+    let code;
+
+    if (byte < 0x80) {
+      code = byte;
+      i += 1;
+    } else if (byte < 0xe0) {
+      code = ((byte & 0x1f) << 6) | (bytes[i + 1] & 0x3f);
+      i += 2;
+    } else if (byte < 0xf0) {
+      code =
+        ((byte & 0x0f) << 12) |
+        ((bytes[i + 1] & 0x3f) << 6) |
+        (bytes[i + 2] & 0x3f);
+      i += 3;
+    } else {
+      code =
+        ((byte & 0x07) << 18) |
+        ((bytes[i + 1] & 0x3f) << 12) |
+        ((bytes[i + 2] & 0x3f) << 6) |
+        (bytes[i + 3] & 0x3f);
+      i += 4;
+    }
+
+    codes.push(code);
+
+    // Turned into a string in chunks, a whole blob would overflow the
+    // argument list of fromCodePoint
+    if (codes.length === 8192) {
+      chunks.push(String.fromCodePoint(...codes));
+      codes = [];
+    }
+  }
+
+  chunks.push(String.fromCodePoint(...codes));
+  return chunks.join('');
+};
+
+export const toHex = (bytes) =>
+  Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+export const fromHex = (hex) =>
+  new Uint8Array((hex.match(/../g) || []).map((byte) => parseInt(byte, 16)));
+
+/**
+ * Compare two byte arrays in time that does not depend on where they differ
+ */
+export const constantTimeEqual = (a, b) => {
+  if (a.length !== b.length) return false;
+
+  let difference = 0;
+  for (let i = 0; i < a.length; i++) {
+    difference |= a[i] ^ b[i];
+  }
+  return difference === 0;
+};
+
+export default {
+  sha256,
+  hmacSha256,
+  createHmacSha256,
+  pbkdf2Sha256,
+  utf8Encode,
+  utf8Decode,
+  toHex,
+  fromHex,
+  constantTimeEqual,
+};